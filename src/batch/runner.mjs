@@ -0,0 +1,228 @@
+import crypto from 'crypto';
+
+const DAY_S = 24 * 60 * 60;
+// Batches in these states still have work to do and are picked up again after a restart
+const ACTIVE_STATUSES = ['validating', 'in_progress', 'finalizing', 'cancelling'];
+
+const nowS = () => Math.floor(Date.now() / 1000);
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Rate limits, upstream failures and errors without a status are worth another try
+const isRetryable = (err) => !err.statusCode || err.statusCode === 429 || err.statusCode >= 500;
+
+/**
+ * Parse and validate a batch input file. Every line must be a request for `endpoint` with a unique
+ * `custom_id`; like OpenAI, one bad line fails the whole batch.
+ * @returns {{ requests: Array<{ custom_id: string, body: object }>, errors: Array<{ code: string, message: string, line: number }> }}
+ */
+export function parseBatchInput(content, endpoint) {
+  const requests = [];
+  const errors = [];
+  const seen = new Set();
+  const lines = String(content).split('\n');
+  lines.forEach((raw, i) => {
+    if (!raw.trim()) return;
+    const line = i + 1;
+    let entry;
+    try {
+      entry = JSON.parse(raw);
+    } catch (e) {
+      errors.push({ code: 'invalid_json_line', message: 'This line is not parseable as valid JSON.', line });
+      return;
+    }
+    if (typeof entry?.custom_id !== 'string' || !entry.custom_id) errors.push({ code: 'missing_required_parameter', message: 'custom_id is required.', line });
+    else if (seen.has(entry.custom_id)) errors.push({ code: 'duplicate_custom_id', message: `The custom_id ${entry.custom_id} is used more than once.`, line });
+    else if (entry.method !== 'POST') errors.push({ code: 'invalid_method', message: 'method must be POST.', line });
+    else if (entry.url !== endpoint) errors.push({ code: 'invalid_url', message: `url must be ${endpoint}, the batch endpoint.`, line });
+    else if (!entry.body || typeof entry.body !== 'object' || Array.isArray(entry.body)) errors.push({ code: 'invalid_request', message: 'body must be an object.', line });
+    else {
+      seen.add(entry.custom_id);
+      requests.push({ custom_id: entry.custom_id, body: entry.body });
+    }
+  });
+  if (requests.length === 0 && errors.length === 0) errors.push({ code: 'empty_file', message: 'The input file contains no requests.', line: null });
+  return { requests, errors };
+}
+
+/**
+ * Runs batches one at a time through `execute(body, { batch, customId })`, which resolves with
+ * a response body or throws an error carrying `statusCode`/`type`. Up to `concurrency` requests
+ * are in flight and each is retried up to `maxRetries` times on retryable failures.
+ * Results are appended to the batch's output and error files as they arrive, so a batch
+ * interrupted by a restart resumes with the requests that have no result yet.
+ */
+class BatchRunner {
+  constructor({ store, execute, concurrency = 4, maxRetries = 2, retryDelayMs = 1000, logger } = {}) {
+    this.store = store;
+    this.execute = execute;
+    this.concurrency = Math.max(1, concurrency);
+    this.maxRetries = Math.max(0, maxRetries);
+    this.retryDelayMs = retryDelayMs;
+    this.logger = logger;
+    this.queue = [];
+    this.running = null;
+    this._draining = false;
+    this._idle = Promise.resolve();
+  }
+
+  /** Create a batch for an uploaded input file and queue it. */
+  create({ inputFileId, endpoint, completionWindow = '24h', metadata = null, owner, bucket }) {
+    const created = nowS();
+    const batch = this.store.createBatch({
+      endpoint,
+      errors: null,
+      input_file_id: inputFileId,
+      completion_window: completionWindow,
+      status: 'validating',
+      output_file_id: null,
+      error_file_id: null,
+      created_at: created,
+      in_progress_at: null,
+      expires_at: created + DAY_S,
+      finalizing_at: null,
+      completed_at: null,
+      failed_at: null,
+      expired_at: null,
+      cancelling_at: null,
+      cancelled_at: null,
+      request_counts: { total: 0, completed: 0, failed: 0 },
+      metadata,
+      owner,
+      bucket,
+    });
+    this.enqueue(batch.id);
+    return batch;
+  }
+
+  /** Queue unfinished batches found in the store (after a restart). */
+  resume() {
+    for (const batch of this.store.listBatches().reverse()) {
+      if (ACTIVE_STATUSES.includes(batch.status)) this.enqueue(batch.id);
+    }
+  }
+
+  enqueue(batchId) {
+    if (this.queue.includes(batchId) || this.running === batchId) return;
+    this.queue.push(batchId);
+    if (!this._draining) {
+      this._draining = true;
+      this._idle = this._drain();
+    }
+  }
+
+  /** Resolves once every queued batch has finished. */
+  whenIdle() {
+    return this._idle;
+  }
+
+  async _drain() {
+    // Start on a later tick, so callers get the batch back while it is still `validating`
+    await null;
+    while (this.queue.length > 0) {
+      this.running = this.queue.shift();
+      try {
+        await this._run(this.store.getBatch(this.running));
+      } catch (err) {
+        this.logger?.error({ batchId: this.running, err: err.message }, 'Batch run failed');
+      }
+    }
+    this.running = null;
+    this._draining = false;
+  }
+
+  /**
+   * Ask a batch to stop. Requests already in flight finish; the rest are skipped.
+   * @returns {object|undefined} the updated batch
+   */
+  cancel(batchId) {
+    const batch = this.store.getBatch(batchId);
+    if (!batch || !['validating', 'in_progress'].includes(batch.status)) return batch;
+    this._update(batch, { status: 'cancelling', cancelling_at: nowS() });
+    return batch;
+  }
+
+  _update(batch, fields) {
+    Object.assign(batch, fields);
+    this.store.saveBatch(batch);
+  }
+
+  async _run(batch) {
+    if (!batch) return;
+    const input = this.store.readFile(batch.input_file_id);
+    if (batch.status === 'validating') {
+      const { requests, errors } = input ? parseBatchInput(input.toString('utf8'), batch.endpoint) : { requests: [], errors: [{ code: 'file_not_found', message: `Input file ${batch.input_file_id} no longer exists.`, line: null }] };
+      if (errors.length > 0) {
+        this._update(batch, { status: 'failed', failed_at: nowS(), errors: { object: 'list', data: errors } });
+        return;
+      }
+      this._update(batch, { status: 'in_progress', in_progress_at: nowS(), request_counts: { total: requests.length, completed: 0, failed: 0 } });
+    }
+
+    if (batch.status === 'in_progress') {
+      const { requests } = parseBatchInput(input ? input.toString('utf8') : '', batch.endpoint);
+      const done = new Set();
+      for (const fileId of [batch.output_file_id, batch.error_file_id]) {
+        const content = fileId && this.store.readFile(fileId);
+        if (!content) continue;
+        for (const line of content.toString('utf8').split('\n')) {
+          try { if (line) done.add(JSON.parse(line).custom_id); } catch (e) { /* partial line from a crash */ }
+        }
+      }
+      const pending = requests.filter(r => !done.has(r.custom_id));
+      if (done.size > 0) this.logger?.info({ batchId: batch.id, remaining: pending.length }, 'Resuming batch');
+
+      let next = 0;
+      const worker = async () => {
+        while (next < pending.length && batch.status === 'in_progress') {
+          if (nowS() >= batch.expires_at) {
+            this._update(batch, { status: 'expired', expired_at: nowS() });
+            return;
+          }
+          const request = pending[next++];
+          this._record(batch, request.custom_id, await this._attempt(batch, request));
+        }
+      };
+      await Promise.all(Array.from({ length: Math.min(this.concurrency, pending.length) }, worker));
+      if (batch.status === 'in_progress') this._update(batch, { status: 'finalizing', finalizing_at: nowS() });
+    }
+
+    if (batch.status === 'finalizing') this._update(batch, { status: 'completed', completed_at: nowS() });
+    else if (batch.status === 'cancelling') this._update(batch, { status: 'cancelled', cancelled_at: nowS() });
+    this.logger?.info({ batchId: batch.id, status: batch.status, requestCounts: batch.request_counts }, 'Batch finished');
+  }
+
+  async _attempt(batch, { custom_id: customId, body }) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return { statusCode: 200, body: await this.execute(body, { batch, customId }) };
+      } catch (err) {
+        if (attempt < this.maxRetries && isRetryable(err) && batch.status === 'in_progress') {
+          await sleep(this.retryDelayMs * 2 ** attempt);
+          continue;
+        }
+        if (!err.statusCode) this.logger?.warn({ batchId: batch.id, customId, err: err.message }, 'Batch request failed');
+        return { statusCode: err.statusCode || 500, body: { error: { message: err.statusCode ? err.message : 'Internal server error', type: err.type || 'server_error', ...(err.code ? { code: err.code } : {}), ...(err.param ? { param: err.param } : {}) } } };
+      }
+    }
+  }
+
+  // Successful responses go to the output file, failures to the error file (both created on first use)
+  _record(batch, customId, { statusCode, body }) {
+    const ok = statusCode === 200;
+    const key = ok ? 'output_file_id' : 'error_file_id';
+    if (!batch[key]) {
+      const file = this.store.createFile({ filename: `${batch.id}_${ok ? 'output' : 'error'}.jsonl`, purpose: ok ? 'batch_output' : 'batch_error', owner: batch.owner });
+      batch[key] = file.id;
+    }
+    this.store.appendLine(batch[key], {
+      id: `batch_req_${crypto.randomBytes(12).toString('hex')}`,
+      custom_id: customId,
+      response: { status_code: statusCode, request_id: crypto.randomUUID(), body },
+      error: null,
+    });
+    const counts = batch.request_counts;
+    this._update(batch, { request_counts: { ...counts, completed: counts.completed + (ok ? 1 : 0), failed: counts.failed + (ok ? 0 : 1) } });
+  }
+}
+
+export default BatchRunner;
@@ -0,0 +1,123 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+const FILE_ID = /^file-[0-9a-f]{24}$/;
+const BATCH_ID = /^batch_[0-9a-f]{24}$/;
+
+const newId = (prefix) => `${prefix}${crypto.randomBytes(12).toString('hex')}`;
+
+function writeJsonAtomic(file, value) {
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(value));
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+function readJsonDir(dir, logger) {
+  const records = [];
+  let names = [];
+  try { names = fs.readdirSync(dir); } catch (e) { return records; }
+  for (const name of names.filter(n => n.endsWith('.json'))) {
+    try {
+      records.push(JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8')));
+    } catch (err) {
+      logger?.warn({ file: name, err: err.message }, 'Skipping unreadable batch record');
+    }
+  }
+  return records;
+}
+
+/**
+ * File-backed storage for the Batch API: uploaded and generated files under `<dir>/files`
+ * (content plus a `.json` metadata record) and one JSON record per batch under `<dir>/batches`.
+ * Metadata is loaded at startup, so batches and their files survive a restart.
+ */
+class BatchStore {
+  constructor({ dir, logger } = {}) {
+    if (!dir) throw new Error('BatchStore requires a directory');
+    this.dir = dir;
+    this.logger = logger;
+    this.filesDir = path.join(dir, 'files');
+    this.batchesDir = path.join(dir, 'batches');
+    this.files = new Map(readJsonDir(this.filesDir, logger).map(f => [f.id, f]));
+    this.batches = new Map(readJsonDir(this.batchesDir, logger).map(b => [b.id, b]));
+  }
+
+  // Directories are created on first write, so an unused Batch API leaves nothing on disk
+  _ensureDirs() {
+    fs.mkdirSync(this.filesDir, { recursive: true });
+    fs.mkdirSync(this.batchesDir, { recursive: true });
+  }
+
+  _contentPath(fileId) {
+    return path.join(this.filesDir, `${fileId}.data`);
+  }
+
+  /** Store a file; `owner` is the uploading key's fingerprint (or undefined without keys). */
+  createFile({ filename, purpose, data = '', owner }) {
+    const id = newId('file-');
+    this._ensureDirs();
+    fs.writeFileSync(this._contentPath(id), data);
+    const file = { id, object: 'file', bytes: Buffer.byteLength(data), created_at: Math.floor(Date.now() / 1000), filename, purpose, owner };
+    writeJsonAtomic(path.join(this.filesDir, `${id}.json`), file);
+    this.files.set(id, file);
+    return file;
+  }
+
+  getFile(fileId) {
+    return FILE_ID.test(String(fileId)) ? this.files.get(fileId) : undefined;
+  }
+
+  readFile(fileId) {
+    return this.getFile(fileId) ? fs.readFileSync(this._contentPath(fileId)) : undefined;
+  }
+
+  // Add one JSONL line to a generated file
+  appendLine(fileId, value) {
+    const file = this.getFile(fileId);
+    const line = `${JSON.stringify(value)}\n`;
+    fs.appendFileSync(this._contentPath(fileId), line);
+    file.bytes += Buffer.byteLength(line);
+    writeJsonAtomic(path.join(this.filesDir, `${fileId}.json`), file);
+  }
+
+  deleteFile(fileId) {
+    if (!this.getFile(fileId)) return false;
+    this.files.delete(fileId);
+    for (const file of [this._contentPath(fileId), path.join(this.filesDir, `${fileId}.json`)]) {
+      try { fs.rmSync(file, { force: true }); } catch (e) { /* already gone */ }
+    }
+    return true;
+  }
+
+  /** Files, newest first. */
+  listFiles({ purpose } = {}) {
+    return Array.from(this.files.values()).filter(f => !purpose || f.purpose === purpose).sort((a, b) => b.created_at - a.created_at);
+  }
+
+  createBatch(fields) {
+    const batch = { id: newId('batch_'), object: 'batch', ...fields };
+    this.saveBatch(batch);
+    return batch;
+  }
+
+  saveBatch(batch) {
+    this.batches.set(batch.id, batch);
+    try {
+      this._ensureDirs();
+      writeJsonAtomic(path.join(this.batchesDir, `${batch.id}.json`), batch);
+    } catch (err) {
+      this.logger?.error({ batchId: batch.id, err: err.message }, 'Failed to persist batch');
+    }
+  }
+
+  getBatch(batchId) {
+    return BATCH_ID.test(String(batchId)) ? this.batches.get(batchId) : undefined;
+  }
+
+  /** Batches, newest first. */
+  listBatches() {
+    return Array.from(this.batches.values()).sort((a, b) => b.created_at - a.created_at || b.id.localeCompare(a.id));
+  }
+}
+
+export default BatchStore;
@@ -1,14 +1,59 @@
+import crypto from 'crypto';
 import LruTtlCache from './utils/lruTtlCache.mjs';
+import { toCohereToolCall, toCohereToolResults } from './utils/openaiTools.mjs';
+import { MemorySessionStore } from './sessionStore/memoryStore.mjs';
+import PreambleTemplateStore from './utils/preambleTemplates.mjs';
+
+function conversationError(statusCode, type, message, param) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.type = type;
+  if (param) err.param = param;
+  return err;
+}
+
+// Stable id for a stored message, so feedback can point at it
+const newMessageId = () => `msg_${crypto.randomBytes(8).toString('hex')}`;
+
+const messageText = (content) => (typeof content === 'string' ? content : JSON.stringify(content ?? ''));
+
+function sameMessage(stored, incoming) {
+  if (stored.role !== incoming.role || messageText(stored.content) !== messageText(incoming.content)) return false;
+  return stored.role !== 'tool' || stored.toolCallId === incoming.metadata?.toolCallId;
+}
+
+/**
+ * The turns of `incoming` that are new, when it only carries new turns: its leading system messages
+ * are already stored, and apart from repeating the latest stored turns, no message but the
+ * last one matches a stored turn (repeating "yes" is a real turn). Returns null otherwise.
+ */
+function newTurns(stored, incoming) {
+  let system = 0;
+  while (system < incoming.length && incoming[system].role === 'system') system++;
+  if (!incoming.slice(0, system).every(s => stored.some(m => m.role === 'system' && sameMessage(m, s)))) return null;
+  const turns = stored.filter(m => m.role !== 'system');
+  const tail = incoming.slice(system);
+  let overlap = Math.min(tail.length - 1, turns.length);
+  while (overlap > 0 && !tail.slice(0, overlap).every((m, i) => sameMessage(turns[turns.length - overlap + i], m))) overlap--;
+  const fresh = tail.slice(Math.max(overlap, 0));
+  return fresh.slice(0, -1).some(m => turns.some(t => sameMessage(t, m))) ? null : fresh;
+}
 
 class ConversationManager {
-  constructor(ragManager, { ttlMs = 30 * 60 * 1000, logger = console } = {}) {
-    this.conversations = new Map();
+  constructor(ragManager, { ttlMs = 30 * 60 * 1000, logger = console, store, cleanupIntervalMs = 60 * 1000, templates } = {}) {
+    // use LRU for ephemeral sessions if desired
+    this.sessionLimit = 1000;
+    // Map-like session store (see src/sessionStore); in-memory unless a persistent one is given
+    this.conversations = store || new MemorySessionStore({ maxSessions: this.sessionLimit });
     this.ttl = ttlMs;
     this.ragManager = ragManager;
     this.logger = logger;
+    // Named preamble templates; without a directory only the built-in `default` exists
+    this.templates = templates || new PreambleTemplateStore({ logger });
     this.cleanupInterval = null;
-    // use LRU for ephemeral sessions if desired
-    this.sessionLimit = 1000;
+    // Per-session tail of pending writes (see _enqueue)
+    this._writeQueues = new Map();
+    if (cleanupIntervalMs > 0 && this.ttl > 0) this.startCleanup(cleanupIntervalMs);
 
     // Prompt batching config (tunable via env)
     this._promptDelayMs = Number(process.env.PROMPT_BATCH_DELAY_MS) || 50;
@@ -23,49 +68,225 @@ class ConversationManager {
 
   getConversation(sessionId) {
     const session = this.conversations.get(sessionId);
-    if (session) { session.lastAccessed = Date.now(); return session.messages; }
+    // Expired sessions are dropped on access too, so the TTL holds between cleanup runs
+    if (session && !this._isExpired(session)) { session.lastAccessed = Date.now(); return session.messages; }
+    if (session) this.conversations.delete(sessionId);
     const newSession = { messages: [], lastAccessed: Date.now(), created: Date.now(), ragContext: [] };
     this.conversations.set(sessionId, newSession);
-    // prune
-    if (this.conversations.size > this.sessionLimit) {
-      const oldest = Array.from(this.conversations.entries()).sort((a, b) => a[1].lastAccessed - b[1].lastAccessed)[0][0];
-      this.conversations.delete(oldest);
-    }
     return newSession.messages;
   }
 
-  async addMessage(sessionId, role, content, metadata = {}) {
+  _isExpired(session) {
+    return this.ttl > 0 && Date.now() - (session.lastAccessed || 0) > this.ttl;
+  }
+
+  // Remove sessions idle for longer than the TTL; returns how many were removed.
+  cleanupExpired() {
+    const expired = this.conversations.expire(Date.now() - this.ttl);
+    if (expired.length > 0) this.logger.info?.({ count: expired.length }, 'Expired idle conversations');
+    return expired.length;
+  }
+
+  startCleanup(intervalMs) {
+    if (this.cleanupInterval) clearInterval(this.cleanupInterval);
+    this.cleanupInterval = setInterval(() => {
+      try { this.cleanupExpired(); } catch (err) { this.logger.warn?.({ err }, 'Conversation cleanup failed'); }
+    }, intervalMs);
+    if (typeof this.cleanupInterval.unref === 'function') this.cleanupInterval.unref();
+  }
+
+  // Run `task` after every earlier write to the same session, so overlapping requests
+  // append in arrival order instead of racing each other. With nothing pending it starts
+  // right away, so writes that never await (assistant/system messages) apply synchronously.
+  _enqueue(sessionId, task) {
+    let queue = this._writeQueues.get(sessionId);
+    if (!queue) {
+      queue = { pending: 0, tail: null };
+      this._writeQueues.set(sessionId, queue);
+    }
+    const run = async () => {
+      try {
+        return await task();
+      } finally {
+        if (--queue.pending === 0 && this._writeQueues.get(sessionId) === queue) this._writeQueues.delete(sessionId);
+      }
+    };
+    queue.pending++;
+    const result = queue.tail ? queue.tail.then(run) : run();
+    queue.tail = result.catch(() => {});
+    return result;
+  }
+
+  // `rag` overrides the session's retrieval settings for this message (see ragSettings).
+  async _append(sessionId, role, content, metadata = {}, { retrieve = true, rag } = {}) {
+    if (role === 'user' && retrieve && this.ragManager) {
+      const { enabled, collections } = this.ragSettings(sessionId, rag);
+      try {
+        const docs = enabled ? await this.ragManager.retrieveRelevantDocuments(content, { maxResults: 3, ...(collections ? { collections } : {}) }) : [];
+        this.getConversation(sessionId);
+        this.conversations.get(sessionId).ragContext = docs;
+      } catch (err) { this.logger.warn({ err }, 'RAG retrieval failed'); }
+    }
     const messages = this.getConversation(sessionId);
-    const session = this.conversations.get(sessionId);
-    if (!session._processing) session._processing = false;
-    if (!session._lastMessageHash) session._lastMessageHash = null;
-    const messageHash = JSON.stringify({ role, content, ...metadata });
-    if (session._processing) return null;
-    if (session._lastMessageHash === messageHash) return null;
-    session._processing = true;
-    try {
-      if (role === 'user' && this.ragManager) {
-        try {
-          const docs = await this.ragManager.retrieveRelevantDocuments(content, { maxResults: 3 });
-          session.ragContext = docs;
-        } catch (err) { this.logger.warn({ err }, 'RAG retrieval failed'); }
+    const message = { id: newMessageId(), role, content, timestamp: Date.now(), ...metadata };
+    messages.push(message);
+    this.conversations.save(sessionId);
+    return message;
+  }
+
+  // Append one message. Identical consecutive messages are kept: repeating "yes" is a real turn.
+  addMessage(sessionId, role, content, metadata = {}, { rag } = {}) {
+    return this._enqueue(sessionId, () => this._append(sessionId, role, content, metadata, { rag }));
+  }
+
+  /**
+   * Reconcile the message list an OpenAI client sent with the stored history.
+   * Messages are matched by role and content (stored feedback notes are ignored):
+   * - the stored history is a prefix of `incoming`: only the new tail is appended;
+   * - `incoming` holds only new turns, after system messages already stored and optionally repeating
+   *   the latest stored turns (clients that send `[system, user]` or a sliding window): the new turns are appended;
+   * - otherwise `incoming` overlaps the stored turns but differs part-way (the client edited or dropped
+   *   earlier turns, or changed the system prompt): the stored version is kept as a branch and
+   *   history continues from the client's version.
+   * @param {Array<{ role: string, content: string, metadata?: object }>} incoming
+   * @param {{ rag?: { enabled?: boolean, collections?: string[] }, owner?: string }} [options] - per-request
+   *   retrieval settings, and the API key fingerprint to record as the owner when this call creates the session
+   * @returns {Promise<{ appended: number, branchId?: string }>}
+   */
+  syncMessages(sessionId, incoming, { rag, owner } = {}) {
+    return this._enqueue(sessionId, async () => {
+      const isNew = !this.findConversation(sessionId);
+      const messages = this.getConversation(sessionId);
+      const session = this.conversations.get(sessionId);
+      if (isNew && owner) session.owner = owner;
+      const view = messages.map((m, index) => ({ m, index })).filter(({ m }) => m.type !== 'feedback');
+      let common = 0;
+      while (common < view.length && common < incoming.length && sameMessage(view[common].m, incoming[common])) common++;
+
+      let branchId;
+      let added = common === view.length ? incoming.slice(common) : newTurns(view.map(({ m }) => m), incoming);
+      if (!added) {
+        branchId = this._branch(sessionId, session, messages, { reason: 'sync', messageIndex: view[common].index });
+        messages.splice(view[common].index);
+        added = incoming.slice(common);
+      }
+      // Retrieval only matters for the newest user turn, whose context the next reply uses
+      const lastUser = added.map(m => m.role).lastIndexOf('user');
+      for (let i = 0; i < added.length; i++) {
+        await this._append(sessionId, added[i].role, added[i].content, added[i].metadata || {}, { retrieve: i === lastUser, rag });
       }
-      const message = { role, content, timestamp: Date.now(), ...metadata };
-      messages.push(message);
-      session._lastMessageHash = messageHash;
-      return message;
-    } finally { session._processing = false; }
+      if (branchId || added.length === 0) this.conversations.save(sessionId);
+      return { appended: added.length, ...(branchId ? { branchId } : {}) };
+    });
   }
 
-  getFormattedHistoryWithRAG(sessionId) {
+  // Also returns `basePreamble`, `ragDocuments` and `preambleOptions` so callers can rebuild the preamble with fewer documents.
+  // The template is the request's choice, else the session's, else `fallbackTemplate` (API key or server default).
+  // Pinned documents come first and are included even when retrieval is turned off.
+  getFormattedHistoryWithRAG(sessionId, { template, fallbackTemplate, variables = {}, rag } = {}) {
     const messages = this.getConversation(sessionId);
     const session = this.conversations.get(sessionId);
     const conversationData = this.getFormattedHistory(sessionId);
-    if (session.ragContext && session.ragContext.length > 0) {
-      const ragContext = this.formatRAGContext(session.ragContext);
-      conversationData.preamble = this.buildEnhancedPreamble(conversationData.preamble, ragContext);
+    const pinned = this.pinnedDocuments(sessionId);
+    const pinnedIds = new Set(pinned.map(d => d.id));
+    const retrieved = this.ragSettings(sessionId, rag).enabled ? (session.ragContext || []).filter(d => !d.id || !pinnedIds.has(d.id)) : [];
+    const ragDocuments = [...pinned, ...retrieved];
+    const preambleOptions = { template: template || session.preambleTemplate || fallbackTemplate, variables };
+    return { ...conversationData, basePreamble: conversationData.preamble, ragDocuments, preambleOptions, preamble: this.composePreamble(conversationData.preamble, ragDocuments, conversationData.summary, preambleOptions) };
+  }
+
+  // Select the preamble template used for a session's later turns; null clears it.
+  setPreambleTemplate(sessionId, template) {
+    if (template !== null && !this.templates.has(template)) throw conversationError(400, 'invalid_request_error', `Unknown preamble template: ${template}`, 'template');
+    const session = this.conversations.get(sessionId);
+    if (!session) return false;
+    if (template === null) delete session.preambleTemplate;
+    else session.preambleTemplate = template;
+    this.conversations.save(sessionId);
+    return true;
+  }
+
+  /**
+   * Retrieval settings of a session: whether retrieval runs, which index collections it searches
+   * (null: all of them) and the pinned documents. `override` holds per-request `enabled`/`collections`.
+   * @returns {{ enabled: boolean, collections: string[]|null, pins: Array<object> }}
+   */
+  ragSettings(sessionId, override = {}) {
+    const stored = this.findConversation(sessionId)?.rag || {};
+    return {
+      enabled: override?.enabled ?? stored.enabled ?? true,
+      collections: override?.collections ?? stored.collections ?? null,
+      pins: stored.pins || [],
+    };
+  }
+
+  /**
+   * Update a session's `enabled` and/or `collections` (null: search every collection).
+   * Context retrieved under the old settings is dropped. Returns false for unknown sessions.
+   */
+  setRagSettings(sessionId, { enabled, collections } = {}) {
+    const session = this.findConversation(sessionId);
+    if (!session) return false;
+    const rag = { ...session.rag };
+    if (enabled !== undefined) rag.enabled = enabled;
+    if (collections !== undefined) rag.collections = collections;
+    session.rag = rag;
+    session.ragContext = [];
+    this.conversations.save(sessionId);
+    return true;
+  }
+
+  /**
+   * Pin a chunk (`{ id }`) or a whole file (`{ filePath, collection? }`) so it is sent with every turn.
+   * Throws a 404-style error for unknown sessions and a 400-style one when nothing in the index matches.
+   * @returns {{ id: string, chunkId?: string, filePath?: string, collection?: string, documents: number, created: number }}
+   */
+  pinDocument(sessionId, { id, filePath, collection } = {}) {
+    const session = this.findConversation(sessionId);
+    if (!session) throw conversationError(404, 'not_found_error', `Conversation ${sessionId} not found`);
+    const target = id ? { id } : { filePath, collection };
+    const documents = this.ragManager?.resolvePin?.(target) || [];
+    if (documents.length === 0) throw conversationError(400, 'invalid_request_error', id ? `No indexed chunk ${id}` : `No indexed file ${filePath}`, id ? 'chunk_id' : 'file_path');
+    const pin = { id: `pin_${crypto.randomBytes(6).toString('hex')}`, ...(id ? { chunkId: id } : { filePath, ...(collection ? { collection } : {}) }), documents: documents.length, created: Date.now() };
+    session.rag = { ...session.rag, pins: [...(session.rag?.pins || []), pin] };
+    this.conversations.save(sessionId);
+    return pin;
+  }
+
+  // Remove a pin; returns false when the session or pin does not exist.
+  unpinDocument(sessionId, pinId) {
+    const session = this.findConversation(sessionId);
+    const pins = session?.rag?.pins || [];
+    if (!pins.some(p => p.id === pinId)) return false;
+    session.rag = { ...session.rag, pins: pins.filter(p => p.id !== pinId) };
+    this.conversations.save(sessionId);
+    return true;
+  }
+
+  // Current index contents of a session's pins (re-resolved, so re-indexing updates them), without duplicates.
+  pinnedDocuments(sessionId) {
+    const { pins } = this.ragSettings(sessionId);
+    if (pins.length === 0 || !this.ragManager?.resolvePin) return [];
+    const seen = new Set();
+    const docs = [];
+    for (const pin of pins) {
+      for (const doc of this.ragManager.resolvePin(pin.chunkId ? { id: pin.chunkId } : { filePath: pin.filePath, collection: pin.collection })) {
+        if (seen.has(doc.id)) continue;
+        seen.add(doc.id);
+        docs.push({ ...doc, pinned: true });
+      }
     }
-    return conversationData;
+    return docs;
+  }
+
+  // System preamble plus the RAG context and, when given, a summary of earlier turns.
+  // Without a selected template the persona is only added when there is retrieved context.
+  composePreamble(basePreamble, ragDocuments = [], summary, { template, variables } = {}) {
+    let preamble = template || ragDocuments.length > 0
+      ? this.buildEnhancedPreamble(basePreamble, this.formatRAGContext(ragDocuments), { template, variables })
+      : basePreamble;
+    if (summary) preamble = [preamble, `# Summary of earlier conversation\n\n${summary}`].filter(Boolean).join('\n\n');
+    return preamble;
   }
 
   formatRAGContext(ragDocuments) {
@@ -79,39 +300,150 @@ class ConversationManager {
       const language = m.language || 'text';
       const category = m.category || 'unknown';
       const rawScore = (typeof doc.relevanceScore !== 'undefined') ? doc.relevanceScore : (typeof doc.score !== 'undefined' ? doc.score : 0);
-      const relevancePct = (typeof rawScore === 'number' && Number.isFinite(rawScore)) ? `${(rawScore * 100).toFixed(1)}%` : 'n/a';
+      const relevancePct = doc.pinned ? 'pinned' : (typeof rawScore === 'number' && Number.isFinite(rawScore)) ? `${(rawScore * 100).toFixed(1)}%` : 'n/a';
       const content = String(doc.content || '').trim() || '(no content)';
+      const lines = m.startLine ? `:${m.startLine}-${m.endLine}` : '';
+      const symbol = m.symbol ? `\n**Symbol**: ${m.symbol}` : '';
       sections.push(
-        `## Relevant Code Context ${idx + 1}\n**File**: ${filePath}\n**Type**: ${category} (${language})\n**Relevance**: ${relevancePct}\n\n\`\`\`${language}\n${content}\n\`\`\``
+        `## Relevant Code Context ${idx + 1}\n**File**: ${filePath}${lines}${symbol}\n**Type**: ${category} (${language})\n**Relevance**: ${relevancePct}\n\n\`\`\`${language}\n${content}\n\`\`\``
       );
     }
-    return `# Retrieved Codebase Context\n\n${sections.join('\n\n')}\n\nPlease use this context...`;
+    return `# Retrieved Codebase Context\n\n${sections.join('\n\n')}\n\nUse this context when it is relevant to the question and cite the file paths you rely on. If it does not cover what was asked, say so rather than guessing.`;
   }
 
-  buildEnhancedPreamble(originalPreamble, ragContext) {
-    const basePreamble = `You are RooCode Assistant, an AI coding companion enhanced with RAG capabilities.`;
-    const combined = [basePreamble];
-    if (originalPreamble) combined.push(originalPreamble);
-    combined.push(ragContext);
-    return combined.join('\n\n');
+  buildEnhancedPreamble(originalPreamble, ragContext, { template = 'default', variables = {} } = {}) {
+    return this.templates.render(template, { ...variables, preamble: originalPreamble, context: ragContext }) || undefined;
   }
 
+  // With a rolling summary, the turns it covers are left out and the summary is returned as `summary`.
   getFormattedHistory(sessionId) {
     const messages = this.getConversation(sessionId);
+    const summary = this._summaryFor(this.conversations.get(sessionId));
+    if (!summary) return this.formatMessages(messages);
+    // System messages (including feedback notes) still apply, wherever they sit
+    const kept = messages.filter((m, i) => i > summary.throughIndex || m.role === 'system');
+    return { ...this.formatMessages(kept), summary: summary.text };
+  }
+
+  // The session's rolling summary while it still matches the stored messages: edits, deletes and
+  // rewinds inside the summarised range change the message at `throughIndex`, which retires it.
+  _summaryFor(session) {
+    const summary = session?.summary;
+    return summary && summary.throughMessageId && session.messages[summary.throughIndex]?.id === summary.throughMessageId ? summary : undefined;
+  }
+
+  getSummary(sessionId) {
+    return this._summaryFor(this.findConversation(sessionId));
+  }
+
+  /**
+   * Turns to fold into the rolling summary: everything not yet summarised except the latest `keepRecent`
+   * messages, cut so the kept part starts at a user turn. Returns undefined until more than `threshold`
+   * messages are unsummarised (unless `force`). With `rebuild` the existing summary is ignored.
+   * @returns {{ previous?: string, turns: Array<{ role: string, content: string }>, throughIndex: number, throughMessageId: string }|undefined}
+   */
+  summaryCandidate(sessionId, { threshold = 0, keepRecent = 0, force = false, rebuild = false } = {}) {
+    const session = this.findConversation(sessionId);
+    if (!session) return undefined;
+    const current = rebuild ? undefined : this._summaryFor(session);
+    const open = session.messages
+      .map((m, index) => ({ m, index }))
+      .filter(({ m, index }) => m.role !== 'system' && index > (current ? current.throughIndex : -1));
+    if (!force && open.length <= threshold) return undefined;
+    let cut = Math.max(0, open.length - keepRecent);
+    while (cut < open.length && open[cut].m.role !== 'user') cut++;
+    if (cut === 0) return undefined;
+    const last = open[cut - 1];
+    if (!last.m.id) return undefined;
+    return {
+      previous: current?.text,
+      turns: open.slice(0, cut).map(({ m }) => ({ role: m.role, content: messageText(m.content) })),
+      throughIndex: last.index,
+      throughMessageId: last.m.id,
+    };
+  }
+
+  /** Store a summary built from `summaryCandidate`; ignored (false) if the session changed underneath it. */
+  setSummary(sessionId, { text, throughIndex, throughMessageId, model }) {
+    const session = this.findConversation(sessionId);
+    if (!session || session.messages[throughIndex]?.id !== throughMessageId) return false;
+    session.summary = { text, throughIndex, throughMessageId, model, updatedAt: Date.now() };
+    this.conversations.save(sessionId);
+    return true;
+  }
+
+  // Cohere chat fields (preamble, chat_history, message, ...) for messages in the stored shape.
+  formatMessages(messages) {
     const systemMessages = messages.filter(m => m.role === 'system');
     const conversationMessages = messages.filter(m => m.role !== 'system');
-    const chatHistory = [];
-    for (let i = 0; i < conversationMessages.length - 1; i += 2) {
-      const userMsg = conversationMessages[i];
-      const assistantMsg = conversationMessages[i+1];
-      if (userMsg?.role === 'user' && assistantMsg?.role === 'assistant') {
-        chatHistory.push({ role: 'USER', message: userMsg.content });
-        chatHistory.push({ role: 'CHATBOT', message: assistantMsg.content });
-      }
+    const toolCalls = conversationMessages.flatMap(m => m.toolCalls || []);
+    const preamble = systemMessages.map(m => m.content).join('\n\n') || undefined;
+    // Images are only expressible in Cohere's v2 message format, so once a session has any,
+    // every later turn also carries the full v2 transcript and follow-ups can refer back to them.
+    const v2 = conversationMessages.some(m => m.images?.length) ? { messages: this._toV2Messages(conversationMessages) } : {};
+
+    // Trailing tool results answer the assistant's last tool calls: Cohere expects them
+    // as `tool_results` with an empty message, and the tool-call turn kept in history.
+    let end = conversationMessages.length;
+    while (end > 0 && conversationMessages[end - 1].role === 'tool') end--;
+    if (end < conversationMessages.length) {
+      const toolResults = toCohereToolResults(conversationMessages.slice(end), toolCalls);
+      return { preamble, chatHistory: this._toChatHistory(conversationMessages.slice(0, end), toolCalls), message: '', toolResults, ...v2 };
     }
+
     const lastMessage = conversationMessages[conversationMessages.length -1];
+    const historyMessages = lastMessage?.role === 'user' ? conversationMessages.slice(0, -1) : conversationMessages;
     const currentUserMessage = lastMessage?.role === 'user' ? lastMessage.content : 'Please continue our conversation.';
-    return { preamble: systemMessages.map(m => m.content).join('\n\n') || undefined, chatHistory, message: currentUserMessage };
+    return { preamble, chatHistory: this._toChatHistory(historyMessages, toolCalls), message: currentUserMessage, ...v2 };
+  }
+
+  // Map stored messages to Cohere v2 chat messages (system turns excluded; they travel as the preamble).
+  _toV2Messages(messages) {
+    const v2Messages = messages.map((m) => {
+      if (m.role === 'user') {
+        if (!m.images?.length) return { role: 'user', content: m.content };
+        const parts = m.content ? [{ type: 'text', text: m.content }] : [];
+        return { role: 'user', content: [...parts, ...m.images.map(url => ({ type: 'image_url', image_url: { url } }))] };
+      }
+      if (m.role === 'tool') return { role: 'tool', tool_call_id: m.toolCallId, content: m.content };
+      const entry = { role: 'assistant', content: m.content || '' };
+      if (m.toolCalls?.length) entry.tool_calls = m.toolCalls;
+      return entry;
+    });
+    if (v2Messages[v2Messages.length - 1]?.role === 'assistant') v2Messages.push({ role: 'user', content: 'Please continue our conversation.' });
+    return v2Messages;
+  }
+
+  // Map stored messages to Cohere chat_history entries, grouping consecutive tool results into one TOOL turn.
+  _toChatHistory(messages, toolCalls = []) {
+    const chatHistory = [];
+    for (let i = 0; i < messages.length; i++) {
+      const m = messages[i];
+      if (m.role === 'user') chatHistory.push({ role: 'USER', message: m.content });
+      else if (m.role === 'assistant') {
+        const entry = { role: 'CHATBOT', message: m.content || '' };
+        if (m.toolCalls?.length) entry.tool_calls = m.toolCalls.map(toCohereToolCall);
+        chatHistory.push(entry);
+      } else if (m.role === 'tool') {
+        const group = [m];
+        while (messages[i + 1]?.role === 'tool') group.push(messages[++i]);
+        chatHistory.push({ role: 'TOOL', tool_results: toCohereToolResults(group, toolCalls) });
+      }
+    }
+    return chatHistory;
+  }
+
+  /**
+   * The message feedback is about (by id, or the latest assistant reply) and the conversation before it,
+   * without feedback notes. Returns undefined when there is no such message.
+   * @returns {{ message: object, prompt: Array<{ role: string, content: string }> }|undefined}
+   */
+  feedbackTarget(sessionId, messageId) {
+    const messages = this.findConversation(sessionId)?.messages || [];
+    const index = messageId ? messages.findIndex(m => m.id === messageId) : messages.map(m => m.role).lastIndexOf('assistant');
+    if (index < 0) return undefined;
+    const prompt = messages.slice(0, index).filter(m => m.type !== 'feedback').map(m => ({ role: m.role, content: messageText(m.content) }));
+    return { message: messages[index], prompt };
   }
 
   addFeedback(sessionId, feedback, feedbackType = 'correction') {
@@ -119,12 +451,187 @@ class ConversationManager {
     return this.addMessage(sessionId, 'system', systemMessage, { type: 'feedback', feedbackType });
   }
 
+  // Stored session without creating one; expired sessions count as missing.
+  findConversation(sessionId) {
+    const session = this.conversations.get(sessionId);
+    return session && !this._isExpired(session) ? session : undefined;
+  }
+
+  /**
+   * Sessions matching `filters` (see parseConversationFilters), most recently accessed first.
+   * Pages continue after the session id given as `after`. Works from the store's session
+   * summaries, so no session is loaded.
+   * @returns {{ data: Array<{ id, created, lastAccessed, messageCount, hasFeedback }>, hasMore: boolean }}
+   */
+  listConversations(filters = {}, { limit = 20, after } = {}) {
+    const matches = [];
+    for (const summary of this.conversations.summaries()) {
+      if (this._isExpired(summary)) continue;
+      if (typeof filters.createdAfter === 'number' && summary.created < filters.createdAfter) continue;
+      if (typeof filters.createdBefore === 'number' && summary.created > filters.createdBefore) continue;
+      if (typeof filters.lastAccessedAfter === 'number' && summary.lastAccessed < filters.lastAccessedAfter) continue;
+      if (typeof filters.lastAccessedBefore === 'number' && summary.lastAccessed > filters.lastAccessedBefore) continue;
+      if (typeof filters.minMessages === 'number' && summary.messageCount < filters.minMessages) continue;
+      if (typeof filters.maxMessages === 'number' && summary.messageCount > filters.maxMessages) continue;
+      if (typeof filters.hasFeedback === 'boolean' && summary.hasFeedback !== filters.hasFeedback) continue;
+      matches.push(summary);
+    }
+    matches.sort((a, b) => b.lastAccessed - a.lastAccessed || a.id.localeCompare(b.id));
+    const start = after ? matches.findIndex(m => m.id === after) + 1 : 0;
+    return { data: matches.slice(start, start + limit), hasMore: start + limit < matches.length };
+  }
+
+  /**
+   * Case-insensitive full-text search over message content across all sessions.
+   * Sessions are read without caching them, so a search doesn't push active sessions out.
+   * @returns {Array<{ sessionId, messageIndex, role, timestamp, snippet }>}
+   */
+  searchConversations(query, { limit = 20 } = {}) {
+    const needle = String(query).toLowerCase();
+    const results = [];
+    for (const summary of Array.from(this.conversations.summaries())) {
+      if (this._isExpired(summary)) continue;
+      const { id } = summary;
+      const session = this.conversations.peek(id, { containing: needle });
+      if (!session) continue;
+      for (let i = 0; i < session.messages.length && results.length < limit; i++) {
+        const m = session.messages[i];
+        const content = typeof m.content === 'string' ? m.content : JSON.stringify(m.content ?? '');
+        const at = content.toLowerCase().indexOf(needle);
+        if (at < 0) continue;
+        const from = Math.max(0, at - 40);
+        const to = Math.min(content.length, at + needle.length + 40);
+        const snippet = `${from > 0 ? '…' : ''}${content.slice(from, to)}${to < content.length ? '…' : ''}`;
+        results.push({ sessionId: id, messageIndex: i, role: m.role, timestamp: m.timestamp, snippet });
+      }
+      if (results.length >= limit) break;
+    }
+    return results;
+  }
+
+  // Throws a 404-style error for unknown sessions and a 400-style one for bad message indexes.
+  _requireMessage(sessionId, messageIndex) {
+    const session = this.findConversation(sessionId);
+    if (!session) throw conversationError(404, 'not_found_error', `Conversation ${sessionId} not found`);
+    if (!Number.isInteger(messageIndex) || messageIndex < 0 || messageIndex >= session.messages.length) {
+      throw conversationError(400, 'invalid_request_error', `messageIndex must be an integer between 0 and ${session.messages.length - 1}`, 'messageIndex');
+    }
+    return session;
+  }
+
+  // Copy `messages` into a new child session of `sessionId` and record it in the parent's branch list.
+  _branch(sessionId, session, messages, { reason, messageIndex, newSessionId }) {
+    const branchId = newSessionId || `${sessionId}-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    if (this.findConversation(branchId)) throw conversationError(409, 'invalid_request_error', `Conversation ${branchId} already exists`, 'newSessionId');
+    const now = Date.now();
+    this.conversations.set(branchId, {
+      messages: messages.map(m => ({ ...m })),
+      ragContext: [...(session.ragContext || [])],
+      ...(session.rag ? { rag: { ...session.rag, pins: [...(session.rag.pins || [])] } } : {}),
+      created: now,
+      lastAccessed: now,
+      parent: { sessionId, messageIndex, reason },
+      branches: [],
+      ...(session.owner ? { owner: session.owner } : {}),
+      // Still valid for the branch as long as it holds the summarised messages (see _summaryFor)
+      ...(session.summary ? { summary: { ...session.summary } } : {}),
+    });
+    session.branches = [...(session.branches || []), { sessionId: branchId, messageIndex, reason, created: now }];
+    this.conversations.save(sessionId);
+    return branchId;
+  }
+
+  /**
+   * Fork a session into a new one holding its messages up to and including `messageIndex`.
+   * @returns {string} the new session id
+   */
+  forkConversation(sessionId, messageIndex, { newSessionId } = {}) {
+    const session = this._requireMessage(sessionId, messageIndex);
+    return this._branch(sessionId, session, session.messages.slice(0, messageIndex + 1), { reason: 'fork', messageIndex, newSessionId });
+  }
+
+  /**
+   * Replace the content of message `messageIndex` and drop the messages after it, since later
+   * replies answered the old content. The previous version stays retrievable as a branch.
+   * @returns {{ message: object, branchId: string }}
+   */
+  editMessage(sessionId, messageIndex, content) {
+    const session = this._requireMessage(sessionId, messageIndex);
+    const branchId = this._branch(sessionId, session, session.messages, { reason: 'edit', messageIndex });
+    const message = { ...session.messages[messageIndex], id: newMessageId(), content, editedAt: Date.now() };
+    session.messages.splice(messageIndex, session.messages.length - messageIndex, message);
+    this._afterRewrite(sessionId, session);
+    return { message, branchId };
+  }
+
+  /**
+   * Remove a single message; the previous version stays retrievable as a branch.
+   * @returns {{ message: object, branchId: string }}
+   */
+  deleteMessage(sessionId, messageIndex) {
+    const session = this._requireMessage(sessionId, messageIndex);
+    const branchId = this._branch(sessionId, session, session.messages, { reason: 'delete', messageIndex });
+    const [message] = session.messages.splice(messageIndex, 1);
+    this._afterRewrite(sessionId, session);
+    return { message, branchId };
+  }
+
+  /**
+   * Drop the assistant reply at `messageIndex` and everything after it so the reply can be
+   * generated again. The previous version stays retrievable as a branch.
+   * @returns {string} the branch id holding the previous version
+   */
+  rewindForRegeneration(sessionId, messageIndex) {
+    const session = this._requireMessage(sessionId, messageIndex);
+    if (session.messages[messageIndex].role !== 'assistant') {
+      throw conversationError(400, 'invalid_request_error', `Message ${messageIndex} is not an assistant reply`, 'messageIndex');
+    }
+    const branchId = this._branch(sessionId, session, session.messages, { reason: 'regenerate', messageIndex });
+    session.messages.splice(messageIndex);
+    this._afterRewrite(sessionId, session);
+    return branchId;
+  }
+
+  /**
+   * Undo a rewindForRegeneration whose reply could not be generated: the dropped messages come back
+   * from the branch it made, and that branch is removed.
+   */
+  cancelRegeneration(sessionId, branchId) {
+    const session = this.findConversation(sessionId);
+    const branch = this.conversations.get(branchId);
+    if (!session || !branch) return;
+    const { messageIndex } = branch.parent;
+    session.messages.splice(messageIndex, session.messages.length - messageIndex, ...branch.messages.slice(messageIndex));
+    session.branches = (session.branches || []).filter(b => b.sessionId !== branchId);
+    this.conversations.delete(branchId);
+    this._afterRewrite(sessionId, session);
+  }
+
+  _afterRewrite(sessionId, session) {
+    session.lastAccessed = Date.now();
+    this.conversations.save(sessionId);
+  }
+
+  /**
+   * Position of a session in the branch tree.
+   * @returns {{ parent: { sessionId, messageIndex, reason }|null, branches: Array<{ sessionId, messageIndex, reason, created }> }|undefined}
+   */
+  getBranches(sessionId) {
+    const session = this.findConversation(sessionId);
+    if (!session) return undefined;
+    return { parent: session.parent || null, branches: session.branches || [] };
+  }
+
   clearConversation(sessionId) { this.conversations.delete(sessionId); }
 
-  getStats() { return { activeConversations: this.conversations.size, totalMessages: Array.from(this.conversations.values()).reduce((s, ses) => s + ses.messages.length, 0), ragEnabled: !!this.ragManager } }
+  getStats() {
+    const { sessions, messages } = this.conversations.stats();
+    return { activeConversations: sessions, totalMessages: messages, ragEnabled: !!this.ragManager };
+  }
 
   // Public: enqueue a prompt for batching. Returns a Promise resolved/rejected per-prompt.
-  sendPrompt(promptPayload) {
+  // `callOptions` (e.g. a cacheVariant) is passed through to the client's chat call.
+  sendPrompt(promptPayload, callOptions) {
     // Bound the queue
     if (this._promptQueue.length + 1 > this._promptQueueLimit) {
       const err = new Error('Prompt queue limit exceeded');
@@ -134,7 +641,7 @@ class ConversationManager {
 
     const id = Date.now().toString(36) + Math.random().toString(36).slice(2,8);
     return new Promise((resolve, reject) => {
-      this._promptQueue.push({ id, promptPayload, resolve, reject });
+      this._promptQueue.push({ id, promptPayload, callOptions, resolve, reject });
 
       // If we reached max batch size, flush immediately
       if (this._promptQueue.length >= this._promptMaxBatch) {
@@ -169,8 +676,11 @@ class ConversationManager {
     // Prepare per-item call promises, keep errors per-item
     const calls = batch.map((item) => {
       try {
-        const call = (this.ragManager && this.ragManager.cohere && typeof this.ragManager.cohere.chat === 'function')
-          ? this.ragManager.cohere.chat(item.promptPayload)
+        const cohere = this.ragManager && this.ragManager.cohere;
+        // v2 `messages` payloads go to the SDK's v2 namespace when it has one
+        const chatApi = item.promptPayload.messages && typeof cohere?.v2?.chat === 'function' ? cohere.v2 : cohere;
+        const call = (chatApi && typeof chatApi.chat === 'function')
+          ? (item.callOptions ? chatApi.chat(item.promptPayload, item.callOptions) : chatApi.chat(item.promptPayload))
           : Promise.reject(new Error('No Cohere client available'));
         return call
           .then((resp) => ({ id: item.id, status: 'fulfilled', resp }))
@@ -196,18 +706,21 @@ class ConversationManager {
     }
 
     this._flushing = false;
+    // Prompts queued while this batch was in flight would otherwise wait for the next sendPrompt
+    if (this._promptQueue.length > 0) void this._flushPromptBatch();
   }
 
   // Ensure queued prompts are flushed on shutdown
   async shutdown() {
     if (this._promptTimer) { clearTimeout(this._promptTimer); this._promptTimer = null; }
+    if (this.cleanupInterval) { clearInterval(this.cleanupInterval); this.cleanupInterval = null; }
     // flush remaining items
     try {
       await this._flushPromptBatch();
     } catch (e) {
       this.logger.warn?.({ e }, 'prompt:shutdown:flush_failed');
     }
-    /* allow other graceful cleanup hooks if needed */
+    this.conversations.flush?.();
   }
 }
 
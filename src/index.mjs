@@ -17,7 +17,6 @@ console.log(
 import express from 'express';
 import cors from 'cors';
 import { CohereClient } from 'cohere-ai';
-import rateLimit from 'express-rate-limit';
 import helmet from 'helmet';
 import morgan from 'morgan';
 import compression from 'compression';
@@ -31,12 +30,33 @@ import Pino from 'pino';
 import promClient from 'prom-client';
 import { createStartupWatchdog } from './utils/startupWatchdog.mjs';
 import { httpAgent, httpsAgent, applyGlobalAgents, EXTERNAL_API_TIMEOUT_MS } from './utils/httpAgent.mjs';
-import { createCohereClient, getModelsList, validateModelOrThrow } from './utils/cohereClientFactory.mjs';
+import { createCohereClient, getModelsList, validateModelOrThrow, recordCohereTokenUsage } from './utils/cohereClientFactory.mjs';
+import { resolveCohereTools, extractToolCalls, fromCohereToolCalls } from './utils/openaiTools.mjs';
+import { startSSE, writeSSE, endSSE, consumeCohereStream, extractResponseText, isCohereStream } from './utils/openaiStream.mjs';
+import { extractImageUrls, resolveVisionModel } from './utils/openaiImages.mjs';
+import { toCohereSampling } from './utils/samplingParams.mjs';
+import { extractCohereUsage, toOpenAIUsage, sumOpenAIUsage } from './utils/usage.mjs';
+import { mapFinishReason, toOpenAIError, sendOpenAIError } from './utils/openaiErrors.mjs';
+import { resolveResponseFormat, toCohereResponseFormat, checkStructuredOutput, structuredOutputMaxRetries } from './utils/structuredOutput.mjs';
+import { fitToContextWindow } from './utils/contextBudget.mjs';
 
 import LruTtlCache from './utils/lruTtlCache.mjs';
-import RAGDocumentManager from './ragDocumentManager.mjs';
+import RAGDocumentManager, { isValidCollectionName } from './ragDocumentManager.mjs';
 import ConversationManager from './conversationManager.mjs';
+import { createSessionStore } from './sessionStore/index.mjs';
+import { EXPORT_FORMATS, toJSONExport, toMarkdownExport, toFineTuningJSONL } from './utils/conversationExport.mjs';
+import { parseConversationFilters, parseFeedbackFilters, parseLimit } from './utils/conversationQuery.mjs';
 import diagnostics from './middleware/diagnostics.mjs';
+import { createApiKeyAuth } from './middleware/apiKeyAuth.mjs';
+import { createKeyRateLimit } from './middleware/keyRateLimit.mjs';
+import ApiKeyStore from './utils/apiKeyStore.mjs';
+import KeyRateLimiter from './utils/keyRateLimiter.mjs';
+import PreambleTemplateStore from './utils/preambleTemplates.mjs';
+import { parseMultipart } from './utils/multipart.mjs';
+import BatchStore from './batch/store.mjs';
+import BatchRunner from './batch/runner.mjs';
+import FeedbackStore, { FEEDBACK_RATINGS, summarizeFeedback, toPreferencePairs } from './utils/feedbackStore.mjs';
+import { redactorFromEnv } from './utils/secretRedactor.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -50,10 +70,29 @@ console.log('[startup debug] Cohere client creation result:', {
   hasChatMethod: typeof _defaultCohereClient?.chat === 'function'
 });
 
+// max_tokens used when the client does not send one
+const DEFAULT_MAX_TOKENS = 512;
+// Endpoints a batch may target
+const BATCH_ENDPOINTS = ['/v1/chat/completions'];
+
 const DIAGNOSTICS_DISABLED = !!(process.env.SKIP_DIAGNOSTICS && ['1', 'true', 'yes'].includes(String(process.env.SKIP_DIAGNOSTICS).toLowerCase()));
 function nowMs() { return Number(process.hrtime.bigint() / 1000000n); }
 function generateTraceId() { return Date.now().toString(36) + Math.random().toString(36).slice(2,10); }
 function diagLog(obj) { if (DIAGNOSTICS_DISABLED) return; try { console.log(JSON.stringify(obj)); } catch (e) {} }
+const isCollectionList = (value) => Array.isArray(value) && value.length > 0 && value.every(isValidCollectionName);
+// Sessions, files and batches belong to the key that created them; other keys need the admin scope
+const isVisibleTo = (req, record) => !!record && (!record.owner || record.owner === req.apiKey?.fingerprint || ApiKeyStore.hasScope(req.apiKey, 'admin'));
+
+// The deprecated RATE_LIMIT_WINDOW_MS/RATE_LIMIT_MAX_REQUESTS (the old global limiter) as a per-minute rate
+function legacyRequestsPerMinute(env) {
+  if (!env.RATE_LIMIT_WINDOW_MS && !env.RATE_LIMIT_MAX_REQUESTS) return undefined;
+  const windowMs = Number(env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000;
+  const max = Number(env.RATE_LIMIT_MAX_REQUESTS) || 100;
+  const requestsPerMinute = Math.max(1, Math.round((max * 60 * 1000) / windowMs));
+  if (env.RATE_LIMIT_REQUESTS_PER_MINUTE) logger.warn('RATE_LIMIT_WINDOW_MS and RATE_LIMIT_MAX_REQUESTS are deprecated and ignored in favour of RATE_LIMIT_REQUESTS_PER_MINUTE');
+  else logger.warn({ requestsPerMinute }, 'RATE_LIMIT_WINDOW_MS and RATE_LIMIT_MAX_REQUESTS are deprecated; set RATE_LIMIT_REQUESTS_PER_MINUTE instead');
+  return requestsPerMinute;
+}
 
 // Best-effort: apply global agents to improve connection reuse
 // Prefer explicit SDK agent injection; only set global agents when explicitly enabled.
@@ -72,7 +111,32 @@ class EnhancedCohereRAGServer {
     this.currentModel = process.env.COHERE_MODEL || 'command-a-03-2025';
 
     this.ragManager = new RAGDocumentManager(this.cohere, { logger });
-    this.conversationManager = new ConversationManager(this.ragManager, { logger });
+    // Named assistant personas (<name>.md / <name>.txt), re-read when the directory changes
+    this.preambleTemplates = new PreambleTemplateStore({ dir: process.env.PREAMBLE_TEMPLATES_DIR || path.join(process.cwd(), 'preambles'), logger });
+    this.DEFAULT_PREAMBLE_TEMPLATE = process.env.PREAMBLE_TEMPLATE || undefined;
+    this.PROJECT_NAME = process.env.PROJECT_NAME || undefined;
+    // SESSION_STORE=file keeps conversations across restarts (one JSON file per session)
+    this.conversationManager = new ConversationManager(this.ragManager, {
+      logger,
+      store: createSessionStore({ type: process.env.SESSION_STORE || 'memory', dir: process.env.SESSION_STORE_DIR || path.join(process.cwd(), 'data', 'sessions'), logger }),
+      ttlMs: Number(process.env.SESSION_TTL_MS) || 30 * 60 * 1000,
+      cleanupIntervalMs: Number(process.env.SESSION_CLEANUP_INTERVAL_MS) || 60 * 1000,
+      templates: this.preambleTemplates,
+    });
+    // Batch API: uploaded files and batch jobs live under BATCH_DIR and resume after a restart.
+    // Batch requests go through ConversationManager.sendPrompt with bounded concurrency and retries.
+    this.BATCH_MAX_FILE_BYTES = Number(process.env.BATCH_MAX_FILE_BYTES) || 50 * 1024 * 1024;
+    this.batchStore = new BatchStore({ dir: process.env.BATCH_DIR || path.join(process.cwd(), 'data', 'batches'), logger });
+    this.batchRunner = new BatchRunner({
+      store: this.batchStore,
+      execute: (body, context) => this.executeBatchRequest(body, context),
+      concurrency: Number(process.env.BATCH_CONCURRENCY) || 4,
+      maxRetries: process.env.BATCH_MAX_RETRIES !== undefined ? Number(process.env.BATCH_MAX_RETRIES) : 2,
+      retryDelayMs: Number(process.env.BATCH_RETRY_DELAY_MS) || 1000,
+      logger,
+    });
+    // Structured feedback, appended to FEEDBACK_FILE so it outlives session expiry
+    this.feedbackStore = new FeedbackStore({ filePath: process.env.FEEDBACK_FILE || path.join(process.cwd(), 'data', 'feedback.jsonl'), logger });
 
     this.supportedModels = new Set();
 
@@ -80,12 +144,41 @@ class EnhancedCohereRAGServer {
     this.MIN_COMPLETION_TOKENS = Number(process.env.MIN_COMPLETION_TOKENS) || 50;
     this.MAX_COMPLETION_TOKENS = Number(process.env.MAX_COMPLETION_TOKENS) || 2048;
     this.TOKEN_SAFETY_BUFFER = Number(process.env.TOKEN_SAFETY_BUFFER) || 100;
-
-    this.RATE_LIMIT_WINDOW_MS = Number(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000;
-    this.RATE_LIMIT_MAX_REQUESTS = Number(process.env.RATE_LIMIT_MAX_REQUESTS) || 100;
+    // Summarise history turns that no longer fit instead of silently dropping them
+    this.SUMMARIZE_DROPPED_HISTORY = ['1', 'true', 'yes'].includes(String(process.env.SUMMARIZE_DROPPED_HISTORY || '').toLowerCase());
+    // Rolling summary memory: past this many unsummarised messages, older turns are folded into a
+    // per-session summary in the background, keeping the latest SUMMARY_MEMORY_KEEP_RECENT verbatim (0 disables)
+    this.SUMMARY_MEMORY_THRESHOLD = process.env.SUMMARY_MEMORY_THRESHOLD !== undefined ? Number(process.env.SUMMARY_MEMORY_THRESHOLD) : 40;
+    this.SUMMARY_MEMORY_KEEP_RECENT = Number(process.env.SUMMARY_MEMORY_KEEP_RECENT) || 10;
+    this.SUMMARY_MODEL = process.env.SUMMARY_MODEL || undefined;
+    this._summarizing = new Set();
+    // Upper bound on upstream calls fanned out by one request (n choices x prompts)
+    this.MAX_CHOICES_PER_REQUEST = Number(process.env.MAX_CHOICES_PER_REQUEST) || 16;
+    // Redact secrets from messages and preambles before they are sent to Cohere (off by default)
+    this.REDACT_CHAT_MESSAGES = ['1', 'true', 'yes'].includes(String(process.env.REDACT_CHAT_MESSAGES || '').toLowerCase());
+    this.chatRedactor = this.REDACT_CHAT_MESSAGES ? redactorFromEnv({ logger }) : null;
+
+    // Budgets per API key (or client IP without one); 0 tokens per day means no token budget
+    const legacyRequestsLimit = legacyRequestsPerMinute(process.env);
+    this.RATE_LIMIT_REQUESTS_PER_MINUTE = Number(process.env.RATE_LIMIT_REQUESTS_PER_MINUTE) || legacyRequestsLimit || 60;
+    this.RATE_LIMIT_TOKENS_PER_DAY = Number(process.env.RATE_LIMIT_TOKENS_PER_DAY) || 0;
 
     this.promptCache = new LruTtlCache({ ttlMs: 5 * 60 * 1000, maxSize: 500 });
 
+    // API keys with per-key scopes (API_KEYS_FILE, plus ADMIN_API_KEY as an admin key).
+    // With neither configured, routes are left open for local development.
+    this.apiKeyStore = new ApiKeyStore({ filePath: process.env.API_KEYS_FILE, adminKey: process.env.ADMIN_API_KEY, logger });
+    const requireScope = createApiKeyAuth(this.apiKeyStore, { logger });
+    this.rateLimiter = new KeyRateLimiter({
+      requestsPerMinute: this.RATE_LIMIT_REQUESTS_PER_MINUTE,
+      tokensPerDay: this.RATE_LIMIT_TOKENS_PER_DAY,
+      filePath: process.env.RATE_LIMIT_STATE_FILE || path.join(process.cwd(), '.rate_limits.json'),
+      logger,
+    });
+    const rateLimit = createKeyRateLimit(this.rateLimiter, { logger });
+    // Rate limiting runs after authentication so requests are bucketed by key
+    this.requireScope = (scope) => [requireScope(scope), rateLimit];
+
     this.setupMiddleware();
     this.setupRoutes();
     this.setupErrorHandling();
@@ -157,14 +250,12 @@ class EnhancedCohereRAGServer {
   this.app.use(diagnostics);
   this.app.use(morgan('combined'));
 
-    const limiter = rateLimit({ windowMs: this.RATE_LIMIT_WINDOW_MS, max: this.RATE_LIMIT_MAX_REQUESTS });
-    this.app.use(limiter);
-
     this.app.use(cors({ origin: process.env.ALLOWED_ORIGINS?.split(',') || '*' }));
     this.app.use(express.json({ limit: '10mb' }));
     this.app.use(express.urlencoded({ extended: true }));
   }
 
+  // Every route except /health (used by container health checks) requires an API key scope.
   setupRoutes() {
     this.app.get('/health', (req, res) => {
       const conversationStats = this.conversationManager.getStats();
@@ -173,7 +264,7 @@ class EnhancedCohereRAGServer {
     });
 
     // Prometheus metrics endpoint - update gauges from ragManager and return registry
-    this.app.get('/metrics', async (req, res) => {
+    this.app.get('/metrics', this.requireScope('admin'), async (req, res) => {
       try {
         const ragStats = this.ragManager.getStats();
         const m = ragStats?.metrics || {};
@@ -191,7 +282,7 @@ class EnhancedCohereRAGServer {
     });
 
     // Models management endpoints
-    this.app.get('/v1/models', (req, res) => {
+    this.app.get('/v1/models', this.requireScope('chat'), (req, res) => {
       try {
         const models = getModelsList();
         res.json({ models });
@@ -201,7 +292,7 @@ class EnhancedCohereRAGServer {
       }
     });
 
-    this.app.post('/v1/models/switch', (req, res) => {
+    this.app.post('/v1/models/switch', this.requireScope('admin'), (req, res) => {
       const { model } = req.body || {};
       try {
         validateModelOrThrow(model);
@@ -214,7 +305,7 @@ class EnhancedCohereRAGServer {
     });
 
     // Embeddings endpoint
-    this.app.post('/v1/embed', async (req, res) => {
+    this.app.post('/v1/embed', this.requireScope('embed'), async (req, res) => {
       try {
         let { input, model } = req.body || {};
         if (!input || (Array.isArray(input) && input.length === 0)) {
@@ -250,6 +341,7 @@ class EnhancedCohereRAGServer {
 
         const resp = await this.embedCache.getOrSetAsync(cacheKey, fetchFn);
         const embeddings = resp?.body?.embeddings ?? resp?.embeddings ?? resp;
+        this.chargeTokens(res, { total_tokens: extractCohereUsage(resp?.body ?? resp)?.inputTokens });
         const data = (Array.isArray(embeddings) ? embeddings : []).map((e, i) => ({ index: i, embedding: e }));
         res.json({ object: 'list', data });
       } catch (err) {
@@ -260,7 +352,7 @@ class EnhancedCohereRAGServer {
     });
 
     // Rerank endpoint
-    this.app.post('/v1/rerank', async (req, res) => {
+    this.app.post('/v1/rerank', this.requireScope('embed'), async (req, res) => {
       try {
         const { query, documents, model, top_n } = req.body || {};
         if (!query || !documents) {
@@ -312,12 +404,14 @@ class EnhancedCohereRAGServer {
     });
 
     // existing chat + rag + conversation routes
-    this.app.post('/v1/chat/completions', this.handleChatCompletion.bind(this));
+    this.app.post('/v1/chat/completions', this.requireScope('chat'), this.handleChatCompletion.bind(this));
+    this.app.post('/v1/completions', this.requireScope('chat'), this.handleCompletion.bind(this));
     this.setupRAGRoutes();
     this.setupConversationRoutes();
+    this.setupBatchRoutes();
 
     // Vision endpoint
-    this.app.post('/v1/vision', async (req, res) => {
+    this.app.post('/v1/vision', this.requireScope('chat'), async (req, res) => {
       try {
         let { input, model } = req.body || {};
         if (!input || (Array.isArray(input) && input.length === 0)) {
@@ -363,52 +457,477 @@ class EnhancedCohereRAGServer {
   }
 
   setupRAGRoutes() {
-    this.app.post('/v1/rag/index', async (req, res) => {
-      const { projectPath, options } = req.body;
+    // `collection` names the index collection the project goes into (default: `default`)
+    this.app.post('/v1/rag/index', this.requireScope('rag:write'), async (req, res) => {
+      const { projectPath, options, collection } = req.body;
       try {
-        const result = await this.ragManager.indexCodebase(projectPath, options);
+        const result = await this.ragManager.indexCodebase(projectPath, { ...options, ...(collection !== undefined ? { collection } : {}) });
         res.json({ success: true, result });
       } catch (err) {
+        if (err.statusCode && err.type) return sendOpenAIError(res, err);
         logger.error({ err }, 'Indexing failed');
         res.status(500).json({ error: { message: 'Failed to index codebase', type: 'internal_server_error' } });
       }
     });
 
-    this.app.delete('/v1/rag/index', (req, res) => {
-      this.ragManager.clearIndex();
-      res.json({ success: true, message: 'RAG index cleared' });
+    // `?collection=name` clears only that collection
+    this.app.delete('/v1/rag/index', this.requireScope('rag:write'), (req, res) => {
+      const { collection } = req.query;
+      if (collection !== undefined && !isValidCollectionName(collection)) {
+        return res.status(400).json({ error: { message: 'Invalid collection name', type: 'invalid_request_error', param: 'collection' } });
+      }
+      this.ragManager.clearIndex(collection);
+      res.json({ success: true, message: collection ? `RAG collection ${collection} cleared` : 'RAG index cleared' });
+    });
+
+    this.app.get('/v1/rag/stats', this.requireScope('chat'), (req, res) => res.json({ success: true, stats: this.ragManager.getStats() }));
+
+    // Jobs expose server paths and file errors, so following them needs the scope that starts them
+    this.app.get('/v1/rag/jobs', this.requireScope('rag:write'), (req, res) => {
+      res.json({ object: 'list', data: this.ragManager.listJobs().map(job => this.formatIndexJob(job)) });
+    });
+
+    this.app.get('/v1/rag/jobs/:jobId', this.requireScope('rag:write'), (req, res) => {
+      const job = this.ragManager.getJob(req.params.jobId);
+      if (!job) return res.status(404).json({ error: { message: `Index job ${req.params.jobId} not found`, type: 'not_found_error' } });
+      res.json(this.formatIndexJob(job));
+    });
+
+    // Progress as server-sent events: one job object per update, then [DONE] once the job has
+    // finished and its embeddings are done
+    this.app.get('/v1/rag/jobs/:jobId/events', this.requireScope('rag:write'), (req, res) => {
+      const job = this.ragManager.getJob(req.params.jobId);
+      if (!job) return res.status(404).json({ error: { message: `Index job ${req.params.jobId} not found`, type: 'not_found_error' } });
+      startSSE(res);
+      writeSSE(res, this.formatIndexJob(job));
+      if (this.ragManager.isJobDone(job)) return endSSE(res);
+      const unsubscribe = this.ragManager.subscribeJob(job.jobId, (update) => {
+        writeSSE(res, this.formatIndexJob(update));
+        if (!this.ragManager.isJobDone(update)) return;
+        unsubscribe();
+        endSSE(res);
+      });
+      res.on('close', () => unsubscribe());
+    });
+
+    this.app.delete('/v1/rag/jobs/:jobId', this.requireScope('rag:write'), (req, res) => {
+      const job = this.ragManager.cancelJob(req.params.jobId);
+      if (!job) return res.status(404).json({ error: { message: `Index job ${req.params.jobId} not found`, type: 'not_found_error' } });
+      if (!['cancelling', 'cancelled'].includes(job.status)) {
+        return res.status(409).json({ error: { message: `Index job ${job.jobId} has already ${job.status}`, type: 'invalid_request_error', code: 'job_finished' } });
+      }
+      res.json(this.formatIndexJob(job));
+    });
+
+    this.app.get('/v1/rag/collections', this.requireScope('chat'), (req, res) => {
+      res.json({ object: 'list', data: this.ragManager.listCollections().map(c => ({ id: c.name, object: 'rag_collection', documents: c.documents, files: c.files })) });
     });
 
-    this.app.get('/v1/rag/stats', (req, res) => res.json({ success: true, stats: this.ragManager.getStats() }));
+    this.app.get('/v1/preamble-templates', this.requireScope('chat'), (req, res) => {
+      res.json({ object: 'list', data: this.preambleTemplates.names().map(name => ({ id: name, object: 'preamble_template' })), default: this.DEFAULT_PREAMBLE_TEMPLATE ?? null });
+    });
+
+    // Templates are picked up automatically when files change; this forces a re-read now.
+    this.app.post('/v1/preamble-templates/reload', this.requireScope('admin'), (req, res) => {
+      res.json({ success: true, templates: this.preambleTemplates.reload() });
+    });
   }
 
   setupConversationRoutes() {
-    this.app.post('/v1/conversations/:sessionId/feedback', (req, res) => {
+    // Listing and search span every session, so they are limited to admin keys.
+    this.app.get('/v1/conversations', this.requireScope('admin'), (req, res) => {
+      let filters;
+      let limit;
+      try {
+        filters = parseConversationFilters(req.query);
+        limit = parseLimit(req.query.limit);
+      } catch (e) {
+        return sendOpenAIError(res, e);
+      }
+      const { data, hasMore } = this.conversationManager.listConversations(filters, { limit, after: req.query.after });
+      res.json({
+        object: 'list',
+        data: data.map(c => ({
+          id: c.id,
+          object: 'conversation',
+          created_at: Math.floor(c.created / 1000),
+          last_accessed_at: Math.floor(c.lastAccessed / 1000),
+          message_count: c.messageCount,
+          has_feedback: c.hasFeedback,
+        })),
+        first_id: data[0]?.id ?? null,
+        last_id: data[data.length - 1]?.id ?? null,
+        has_more: hasMore,
+      });
+    });
+
+    this.app.get('/v1/conversations/search', this.requireScope('admin'), (req, res) => {
+      const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+      if (!q) return res.status(400).json({ error: { message: 'Search query q is required', type: 'invalid_request_error', param: 'q' } });
+      let limit;
+      try {
+        limit = parseLimit(req.query.limit);
+      } catch (e) {
+        return sendOpenAIError(res, e);
+      }
+      const results = this.conversationManager.searchConversations(q, { limit });
+      res.json({
+        object: 'list',
+        data: results.map(r => ({ session_id: r.sessionId, message_index: r.messageIndex, role: r.role, timestamp: r.timestamp, snippet: r.snippet })),
+      });
+    });
+
+    // Feedback across all sessions, so admin only
+    this.app.get('/v1/feedback', this.requireScope('admin'), (req, res) => {
+      let filters;
+      try {
+        filters = parseFeedbackFilters(req.query);
+      } catch (e) {
+        return sendOpenAIError(res, e);
+      }
+      const records = this.feedbackStore.list(filters);
+      res.json({ ...summarizeFeedback(records), recent: records.slice(-20).reverse().map(r => this.formatFeedback(r)) });
+    });
+
+    this.app.get('/v1/feedback/export', this.requireScope('admin'), (req, res) => {
+      const format = String(req.query.format || 'preference_pairs');
+      if (!['preference_pairs', 'records'].includes(format)) {
+        return res.status(400).json({ error: { message: `Unsupported export format: ${format}. Use preference_pairs or records`, type: 'invalid_request_error', param: 'format' } });
+      }
+      let filters;
+      try {
+        filters = parseFeedbackFilters(req.query);
+      } catch (e) {
+        return sendOpenAIError(res, e);
+      }
+      const records = this.feedbackStore.list(filters);
+      res.set('Content-Type', 'application/jsonl');
+      res.set('Content-Disposition', `attachment; filename="feedback-${format}.jsonl"`);
+      if (format === 'records') return res.send(records.map(r => JSON.stringify(this.formatFeedback(r))).join('\n') + (records.length ? '\n' : ''));
+      return res.send(toPreferencePairs(records));
+    });
+
+    // Another key's session looks the same as a missing one
+    const ownSession = (req, res, next) => {
+      const session = this.conversationManager.findConversation(req.params.sessionId);
+      if (session && !isVisibleTo(req, session)) {
+        return res.status(404).json({ error: { message: `Conversation ${req.params.sessionId} not found`, type: 'not_found_error' } });
+      }
+      next();
+    };
+
+    this.app.get('/v1/conversations/:sessionId/export', this.requireScope('chat'), ownSession, (req, res) => {
       const { sessionId } = req.params;
-      const { feedback, type = 'correction' } = req.body;
-      if (!feedback) return res.status(400).json({ error: { message: 'Feedback is required', type: 'invalid_request_error' } });
-      const message = this.conversationManager.addFeedback(sessionId, feedback, type);
-      res.json({ success: true, message });
+      const format = String(req.query.format || 'json');
+      if (!EXPORT_FORMATS[format]) {
+        return res.status(400).json({ error: { message: `Unsupported export format: ${format}. Use json, markdown or jsonl`, type: 'invalid_request_error', param: 'format' } });
+      }
+      const session = this.conversationManager.findConversation(sessionId);
+      if (!session) return res.status(404).json({ error: { message: `Conversation ${sessionId} not found`, type: 'not_found_error' } });
+      const { contentType, extension } = EXPORT_FORMATS[format];
+      res.set('Content-Type', contentType);
+      res.set('Content-Disposition', `attachment; filename="conversation-${encodeURIComponent(sessionId)}.${extension}"`);
+      if (format === 'json') return res.send(JSON.stringify(toJSONExport(sessionId, session), null, 2));
+      if (format === 'markdown') return res.send(toMarkdownExport(sessionId, session));
+      return res.send(toFineTuningJSONL(session));
+    });
+
+    // Feedback on a reply (message_id, or the latest assistant reply): free text, a thumbs up/down, or both.
+    // Text is also added to the session so later replies take it into account.
+    this.app.post('/v1/conversations/:sessionId/feedback', this.requireScope('chat'), ownSession, async (req, res) => {
+      const { sessionId } = req.params;
+      const { feedback, type = 'correction', message_id: messageId, rating } = req.body || {};
+      if (!feedback && !rating) return res.status(400).json({ error: { message: 'Feedback text or a rating is required', type: 'invalid_request_error', param: 'feedback' } });
+      if (feedback && typeof feedback !== 'string') return res.status(400).json({ error: { message: 'feedback must be a string', type: 'invalid_request_error', param: 'feedback' } });
+      if (rating && !FEEDBACK_RATINGS.includes(rating)) return res.status(400).json({ error: { message: 'rating must be up or down', type: 'invalid_request_error', param: 'rating' } });
+      if (!this.conversationManager.findConversation(sessionId)) return res.status(404).json({ error: { message: `Conversation ${sessionId} not found`, type: 'not_found_error' } });
+      const target = this.conversationManager.feedbackTarget(sessionId, messageId);
+      if (messageId && !target) return res.status(404).json({ error: { message: `Message ${messageId} not found in conversation ${sessionId}`, type: 'not_found_error', param: 'message_id' } });
+      const record = this.feedbackStore.add({
+        sessionId,
+        messageId: target?.message.id ?? null,
+        type: String(type),
+        text: feedback || null,
+        rating: rating || null,
+        model: target?.message.model ?? null,
+        preambleTemplate: target?.message.preambleTemplate ?? null,
+        ragDocuments: target?.message.ragDocuments ?? 0,
+        prompt: target?.prompt ?? [],
+        response: target ? this.extractContentString(target.message.content) : null,
+      });
+      const message = feedback ? await this.conversationManager.addFeedback(sessionId, feedback, type) : undefined;
+      res.json({ success: true, message, feedback: this.formatFeedback(record) });
     });
 
-    this.app.get('/v1/conversations/:sessionId/history', (req, res) => {
+    this.app.get('/v1/conversations/:sessionId/history', this.requireScope('chat'), ownSession, (req, res) => {
       const { sessionId } = req.params;
-      const messages = this.conversationManager.getConversation(sessionId);
-      res.json({ sessionId, messages, count: messages.length });
+      const session = this.conversationManager.findConversation(sessionId);
+      if (!session) return res.status(404).json({ error: { message: `Conversation ${sessionId} not found`, type: 'not_found_error' } });
+      const { messages } = session;
+      const summary = this.conversationManager.getSummary(sessionId);
+      res.json({ sessionId, messages, count: messages.length, summary: summary ? this.formatSummary(summary) : null });
     });
 
-    this.app.delete('/v1/conversations/:sessionId', (req, res) => {
+    // Rebuild the session's rolling summary now, from every turn but the latest `keep_recent`
+    this.app.post('/v1/conversations/:sessionId/summary', this.requireScope('chat'), ownSession, async (req, res) => {
+      const { sessionId } = req.params;
+      const { keep_recent: keepRecent = this.SUMMARY_MEMORY_KEEP_RECENT, model = this.SUMMARY_MODEL || this.currentModel } = req.body || {};
+      if (!Number.isInteger(keepRecent) || keepRecent < 0) return res.status(400).json({ error: { message: 'keep_recent must be a non-negative integer', type: 'invalid_request_error', param: 'keep_recent' } });
+      try {
+        validateModelOrThrow(model);
+      } catch (e) {
+        return res.status(400).json({ error: { message: e.message, type: 'invalid_request_error', param: 'model' } });
+      }
+      if (!this.conversationManager.findConversation(sessionId)) return res.status(404).json({ error: { message: `Conversation ${sessionId} not found`, type: 'not_found_error' } });
+      if (!this.conversationManager.summaryCandidate(sessionId, { keepRecent, force: true, rebuild: true })) {
+        return res.status(400).json({ error: { message: 'Not enough history to summarise', type: 'invalid_request_error', param: 'keep_recent' } });
+      }
+      const summary = await this.updateSummaryMemory(sessionId, model, { keepRecent, force: true, rebuild: true });
+      if (!summary) return res.status(502).json({ error: { message: 'Could not generate a summary, please retry', type: 'server_error' } });
+      res.json({ session_id: sessionId, summary: this.formatSummary(summary) });
+    });
+
+    // Branching: every rewrite keeps the previous version as a child session (see ConversationManager._branch)
+    const branchRoute = (handler) => (req, res) => {
+      try {
+        return handler(req, res);
+      } catch (err) {
+        if (err.statusCode && err.type) return sendOpenAIError(res, err);
+        logger.error({ err }, 'Conversation update failed');
+        return res.status(500).json({ error: { message: 'Internal server error', type: 'internal_server_error' } });
+      }
+    };
+
+    this.app.post('/v1/conversations/:sessionId/fork', this.requireScope('chat'), ownSession, branchRoute((req, res) => {
+      const { sessionId } = req.params;
+      const { messageIndex, newSessionId } = req.body || {};
+      const forkId = this.conversationManager.forkConversation(sessionId, messageIndex, { newSessionId });
+      res.json({ session_id: forkId, parent_session_id: sessionId, message_count: this.conversationManager.getConversation(forkId).length });
+    }));
+
+    this.app.patch('/v1/conversations/:sessionId/messages/:index', this.requireScope('chat'), ownSession, branchRoute((req, res) => {
+      const { content } = req.body || {};
+      if (typeof content !== 'string' || !content) {
+        return res.status(400).json({ error: { message: 'content must be a non-empty string', type: 'invalid_request_error', param: 'content' } });
+      }
+      const { message, branchId } = this.conversationManager.editMessage(req.params.sessionId, Number(req.params.index), content);
+      res.json({ success: true, message, branch_id: branchId });
+    }));
+
+    this.app.delete('/v1/conversations/:sessionId/messages/:index', this.requireScope('chat'), ownSession, branchRoute((req, res) => {
+      const { message, branchId } = this.conversationManager.deleteMessage(req.params.sessionId, Number(req.params.index));
+      res.json({ success: true, message, branch_id: branchId });
+    }));
+
+    // Persona for the session's later turns; `{ "template": null }` goes back to the key/server default
+    this.app.put('/v1/conversations/:sessionId/template', this.requireScope('chat'), ownSession, branchRoute((req, res) => {
+      const { template } = req.body || {};
+      if (template !== null && (typeof template !== 'string' || !template)) {
+        return res.status(400).json({ error: { message: 'template must be a template name or null', type: 'invalid_request_error', param: 'template' } });
+      }
+      if (!this.conversationManager.setPreambleTemplate(req.params.sessionId, template)) {
+        return res.status(404).json({ error: { message: `Conversation ${req.params.sessionId} not found`, type: 'not_found_error' } });
+      }
+      res.json({ success: true, session_id: req.params.sessionId, template });
+    }));
+
+    // Session-scoped retrieval: on/off, the collections searched (null: all) and pinned files or chunks
+    this.app.get('/v1/conversations/:sessionId/rag', this.requireScope('chat'), ownSession, (req, res) => {
+      if (!this.conversationManager.findConversation(req.params.sessionId)) {
+        return res.status(404).json({ error: { message: `Conversation ${req.params.sessionId} not found`, type: 'not_found_error' } });
+      }
+      res.json({ session_id: req.params.sessionId, ...this.formatRagSettings(this.conversationManager.ragSettings(req.params.sessionId)) });
+    });
+
+    this.app.put('/v1/conversations/:sessionId/rag', this.requireScope('chat'), ownSession, branchRoute((req, res) => {
+      const { enabled, collections } = req.body || {};
+      if (enabled !== undefined && typeof enabled !== 'boolean') {
+        return res.status(400).json({ error: { message: 'enabled must be a boolean', type: 'invalid_request_error', param: 'enabled' } });
+      }
+      if (collections !== undefined && collections !== null && !isCollectionList(collections)) {
+        return res.status(400).json({ error: { message: 'collections must be a non-empty array of collection names or null', type: 'invalid_request_error', param: 'collections' } });
+      }
+      if (!this.conversationManager.setRagSettings(req.params.sessionId, { enabled, collections })) {
+        return res.status(404).json({ error: { message: `Conversation ${req.params.sessionId} not found`, type: 'not_found_error' } });
+      }
+      res.json({ session_id: req.params.sessionId, ...this.formatRagSettings(this.conversationManager.ragSettings(req.params.sessionId)) });
+    }));
+
+    // Pin a chunk (`chunk_id`) or every chunk of a file (`file_path`, optionally within `collection`)
+    this.app.post('/v1/conversations/:sessionId/rag/pins', this.requireScope('chat'), ownSession, branchRoute((req, res) => {
+      const { chunk_id: chunkId, file_path: filePath, collection } = req.body || {};
+      if ((typeof chunkId === 'string' && chunkId) === (typeof filePath === 'string' && filePath)) {
+        return res.status(400).json({ error: { message: 'Provide exactly one of chunk_id or file_path', type: 'invalid_request_error', param: 'file_path' } });
+      }
+      if (collection !== undefined && !isValidCollectionName(collection)) {
+        return res.status(400).json({ error: { message: 'Invalid collection name', type: 'invalid_request_error', param: 'collection' } });
+      }
+      const pin = this.conversationManager.pinDocument(req.params.sessionId, chunkId ? { id: chunkId } : { filePath, collection });
+      res.json(this.formatPin(pin));
+    }));
+
+    this.app.delete('/v1/conversations/:sessionId/rag/pins/:pinId', this.requireScope('chat'), ownSession, (req, res) => {
+      if (!this.conversationManager.unpinDocument(req.params.sessionId, req.params.pinId)) {
+        return res.status(404).json({ error: { message: `Pin ${req.params.pinId} not found`, type: 'not_found_error' } });
+      }
+      res.json({ id: req.params.pinId, object: 'rag_pin', deleted: true });
+    });
+
+    this.app.get('/v1/conversations/:sessionId/branches', this.requireScope('chat'), ownSession, (req, res) => {
+      const tree = this.conversationManager.getBranches(req.params.sessionId);
+      if (!tree) return res.status(404).json({ error: { message: `Conversation ${req.params.sessionId} not found`, type: 'not_found_error' } });
+      res.json({ session_id: req.params.sessionId, parent: tree.parent, branches: tree.branches });
+    });
+
+    this.app.post('/v1/conversations/:sessionId/regenerate', this.requireScope('chat'), ownSession, this.handleRegenerate.bind(this));
+
+    this.app.delete('/v1/conversations/:sessionId', this.requireScope('chat'), ownSession, (req, res) => {
       const { sessionId } = req.params;
       this.conversationManager.clearConversation(sessionId);
       res.json({ success: true, message: 'Conversation cleared' });
     });
   }
 
+  // OpenAI Files and Batches APIs. Files and batches belong to the key that created them;
+  // other keys only see them with the admin scope.
+  setupBatchRoutes() {
+    // owner and bucket are internal: the creating key's fingerprint and its rate-limit bucket
+    const publicRecord = ({ owner, bucket, ...record }) => record;
+    const notFound = (res, kind, id) => res.status(404).json({ error: { message: `No such ${kind}: ${id}`, type: 'not_found_error' } });
+    const invalid = (res, message, param) => res.status(400).json({ error: { message, type: 'invalid_request_error', param } });
+
+    // Accepts multipart/form-data (`purpose` and `file` fields, as the OpenAI SDKs send it)
+    // or a raw JSONL body with `purpose` (and optionally `filename`) in the query string.
+    this.app.post('/v1/files', this.requireScope('chat'), express.raw({ type: () => true, limit: this.BATCH_MAX_FILE_BYTES }), (req, res) => {
+      let purpose = req.query.purpose;
+      let filename = req.query.filename || 'upload.jsonl';
+      let data = Buffer.isBuffer(req.body) ? req.body : undefined;
+      if (/^multipart\/form-data/i.test(req.headers['content-type'] || '')) {
+        let parsed;
+        try {
+          parsed = parseMultipart(req.body, req.headers['content-type']);
+        } catch (e) {
+          return sendOpenAIError(res, e);
+        }
+        const file = parsed.files.find(f => f.field === 'file');
+        purpose = parsed.fields.purpose;
+        filename = file?.filename || filename;
+        data = file?.data;
+      }
+      if (purpose !== 'batch') return invalid(res, 'purpose must be "batch"', 'purpose');
+      if (!data || data.length === 0) return invalid(res, 'A non-empty file is required', 'file');
+      const file = this.batchStore.createFile({ filename: String(filename), purpose, data, owner: req.apiKey?.fingerprint });
+      res.json(publicRecord(file));
+    });
+
+    this.app.get('/v1/files', this.requireScope('chat'), (req, res) => {
+      const files = this.batchStore.listFiles({ purpose: req.query.purpose }).filter(f => isVisibleTo(req, f));
+      res.json({ object: 'list', data: files.map(publicRecord), has_more: false });
+    });
+
+    this.app.get('/v1/files/:fileId', this.requireScope('chat'), (req, res) => {
+      const file = this.batchStore.getFile(req.params.fileId);
+      if (!isVisibleTo(req, file)) return notFound(res, 'file', req.params.fileId);
+      res.json(publicRecord(file));
+    });
+
+    this.app.get('/v1/files/:fileId/content', this.requireScope('chat'), (req, res) => {
+      const file = this.batchStore.getFile(req.params.fileId);
+      if (!isVisibleTo(req, file)) return notFound(res, 'file', req.params.fileId);
+      res.set('Content-Type', 'application/jsonl');
+      res.send(this.batchStore.readFile(file.id));
+    });
+
+    this.app.delete('/v1/files/:fileId', this.requireScope('chat'), (req, res) => {
+      const file = this.batchStore.getFile(req.params.fileId);
+      if (!isVisibleTo(req, file)) return notFound(res, 'file', req.params.fileId);
+      this.batchStore.deleteFile(file.id);
+      res.json({ id: file.id, object: 'file', deleted: true });
+    });
+
+    this.app.post('/v1/batches', this.requireScope('chat'), (req, res) => {
+      const { input_file_id: inputFileId, endpoint, completion_window: completionWindow = '24h', metadata = null } = req.body || {};
+      const input = this.batchStore.getFile(inputFileId);
+      if (!isVisibleTo(req, input) || input.purpose !== 'batch') return invalid(res, `No batch input file with id ${inputFileId}`, 'input_file_id');
+      if (!BATCH_ENDPOINTS.includes(endpoint)) return invalid(res, `endpoint must be one of: ${BATCH_ENDPOINTS.join(', ')}`, 'endpoint');
+      if (completionWindow !== '24h') return invalid(res, 'completion_window must be "24h"', 'completion_window');
+      if (metadata !== null && (typeof metadata !== 'object' || Array.isArray(metadata))) return invalid(res, 'metadata must be an object', 'metadata');
+      const batch = this.batchRunner.create({ inputFileId, endpoint, completionWindow, metadata, owner: req.apiKey?.fingerprint, bucket: res.locals.rateLimitBucket });
+      res.json(publicRecord(batch));
+    });
+
+    this.app.get('/v1/batches', this.requireScope('chat'), (req, res) => {
+      let limit;
+      try {
+        limit = parseLimit(req.query.limit);
+      } catch (e) {
+        return sendOpenAIError(res, e);
+      }
+      const batches = this.batchStore.listBatches().filter(b => isVisibleTo(req, b));
+      const start = req.query.after ? batches.findIndex(b => b.id === req.query.after) + 1 : 0;
+      const page = batches.slice(start, start + limit);
+      res.json({ object: 'list', data: page.map(publicRecord), first_id: page[0]?.id ?? null, last_id: page[page.length - 1]?.id ?? null, has_more: start + limit < batches.length });
+    });
+
+    this.app.get('/v1/batches/:batchId', this.requireScope('chat'), (req, res) => {
+      const batch = this.batchStore.getBatch(req.params.batchId);
+      if (!isVisibleTo(req, batch)) return notFound(res, 'batch', req.params.batchId);
+      res.json(publicRecord(batch));
+    });
+
+    this.app.post('/v1/batches/:batchId/cancel', this.requireScope('chat'), (req, res) => {
+      const batch = this.batchStore.getBatch(req.params.batchId);
+      if (!isVisibleTo(req, batch)) return notFound(res, 'batch', req.params.batchId);
+      if (!['validating', 'in_progress', 'cancelling'].includes(batch.status)) {
+        return res.status(409).json({ error: { message: `Cannot cancel a batch with status ${batch.status}`, type: 'invalid_request_error' } });
+      }
+      res.json(publicRecord(this.batchRunner.cancel(batch.id)));
+    });
+  }
+
+  // One line of a batch: a stateless /v1/chat/completions request (no session, no RAG context).
+  // Throws OpenAI-style errors; the runner records them in the batch's error file.
+  async executeBatchRequest(body, { batch } = {}) {
+    const startTime = nowMs();
+    const { messages, temperature = 0.7, max_tokens, model = process.env.COHERE_MODEL || 'command-a-03-2025', tools, tool_choice, response_format } = body;
+    const invalidRequest = (message, param) => Object.assign(new Error(message), { statusCode: 400, type: 'invalid_request_error', param });
+    if (!Array.isArray(messages) || messages.length === 0) throw invalidRequest('Messages array required', 'messages');
+    if (body.stream) throw invalidRequest('Streaming is not supported in batches', 'stream');
+    try {
+      validateModelOrThrow(model);
+    } catch (e) {
+      throw invalidRequest(e.message, 'model');
+    }
+    let sampling, n, responseFormat, toolOptions, conversationData;
+    let chatModel = model;
+    try {
+      ({ sampling, n } = toCohereSampling(body, { maxChoices: this.MAX_CHOICES_PER_REQUEST }));
+      responseFormat = resolveResponseFormat(response_format);
+      toolOptions = resolveCohereTools(tools, tool_choice);
+      const stored = messages.map((m) => ({ role: m.role, content: this.extractContentString(m.content), ...this.extractMessageMetadata(m) }));
+      conversationData = this.conversationManager.formatMessages(stored);
+      if (conversationData.messages) {
+        chatModel = resolveVisionModel(model);
+        toolOptions = {};
+      }
+    } catch (e) {
+      // These helpers throw 400s without a `type`; the runner would otherwise record them as server errors
+      if (e.statusCode && e.statusCode < 500 && !e.type) throw invalidRequest(e.message, e.param);
+      throw e;
+    }
+    const budget = await this.fitContextWindow(chatModel, conversationData, max_tokens, { traceId: batch?.id });
+    const responses = await this.generateChoices(n, chatModel, budget.conversationData, temperature, budget.maxTokens, { sampling, responseFormat, queued: true, ...toolOptions });
+    const choices = responses.map((response) => ({ text: extractResponseText(response), toolCalls: fromCohereToolCalls(extractToolCalls(response)), response }));
+    const { session_id: _sessionId, conversation_stats: _stats, ...completion } = this.formatChatResponse(choices, chatModel, budget.conversationData, startTime);
+    if (batch?.bucket) this.rateLimiter.recordTokens(batch.bucket, completion.usage?.total_tokens);
+    return completion;
+  }
+
   async handleChatCompletion(req, res) {
     const startTime = nowMs();
     const traceId = req.headers['x-trace-id'] || generateTraceId();
     try {
-      const { messages, temperature = 0.7, max_tokens, model = process.env.COHERE_MODEL || 'command-a-03-2025', sessionId } = req.body;
+      const { messages, temperature = 0.7, max_tokens, model = process.env.COHERE_MODEL || 'command-a-03-2025', sessionId, tools, tool_choice, stream, stream_options, response_format } = req.body;
       if (!Array.isArray(messages) || messages.length === 0) return res.status(400).json({ error: { message: 'Messages array required', type: 'invalid_request_error' } });
       // PATCH: Validate model and return 400 if invalid (matches test expectations)
       try {
@@ -416,111 +935,130 @@ class EnhancedCohereRAGServer {
       } catch (e) {
         return res.status(e.statusCode || 400).json({ error: { message: e.message, type: 'invalid_request_error' } });
       }
+      let toolOptions;
+      let messageMetadata;
+      let sampling;
+      let n;
+      let responseFormat;
+      let preambleOptions;
+      let rag;
+      try {
+        ({ sampling, n } = toCohereSampling(req.body, { maxChoices: this.MAX_CHOICES_PER_REQUEST }));
+        responseFormat = resolveResponseFormat(response_format);
+        toolOptions = resolveCohereTools(tools, tool_choice);
+        // Validated up front so a bad image never leaves a half-written conversation behind
+        messageMetadata = messages.map((m) => this.extractMessageMetadata(m));
+        preambleOptions = this.resolvePreambleOptions(req);
+        rag = this.resolveRagOptions(req);
+      } catch (e) {
+        return res.status(e.statusCode || 400).json({ error: { message: e.message, type: 'invalid_request_error', param: e.param } });
+      }
       if (!DIAGNOSTICS_DISABLED) {
         req._diag = { traceId, t0: startTime };
         diagLog({ traceId, phase: 'server:received', route: req.path, start: startTime });
       }
  
       const effectiveSessionId = sessionId || this.generateId();
+      const existing = this.conversationManager.findConversation(effectiveSessionId);
+      if (existing && !isVisibleTo(req, existing)) {
+        return res.status(404).json({ error: { message: `Conversation ${effectiveSessionId} not found`, type: 'not_found_error', param: 'sessionId' } });
+      }
       const tAdd = nowMs();
-      for (const m of messages) await this.conversationManager.addMessage(effectiveSessionId, m.role, this.extractContentString(m.content));
+      // Clients resend the whole conversation each turn; only what is new (or edited) gets stored
+      const sync = await this.conversationManager.syncMessages(effectiveSessionId, messages.map((m, i) => ({ role: m.role, content: this.extractContentString(m.content), metadata: messageMetadata[i] })), { rag, owner: req.apiKey?.fingerprint });
+      if (sync.branchId) logger.info({ sessionId: effectiveSessionId, branchId: sync.branchId }, 'Client history diverged from the stored session; kept the old version as a branch');
       if (!DIAGNOSTICS_DISABLED) diagLog({ traceId, phase: 'server:messages-added', durationMs: nowMs() - tAdd, messageCount: messages.length });
  
       const convoStart = nowMs();
-      const conversationData = this.conversationManager.getFormattedHistoryWithRAG(effectiveSessionId);
+      const conversationData = this.conversationManager.getFormattedHistoryWithRAG(effectiveSessionId, { ...preambleOptions, rag });
       if (!DIAGNOSTICS_DISABLED) diagLog({ traceId, phase: 'server:conversation-built', durationMs: nowMs() - convoStart, ragCount: (this.conversationManager.conversations.get(effectiveSessionId)?.ragContext || []).length });
+
+      // Conversations with images go to a vision model in Cohere's v2 message format.
+      // Vision models don't take tools, so tool definitions are not forwarded on that path.
+      let chatModel = model;
+      if (conversationData.messages) {
+        try {
+          chatModel = resolveVisionModel(model);
+        } catch (e) {
+          return res.status(e.statusCode || 400).json({ error: { message: e.message, type: 'invalid_request_error', param: e.param } });
+        }
+        toolOptions = {};
+      }
+
+      // Trim history/RAG context to the model's window; the clamped max_tokens is what Cohere gets
+      const budget = await this.fitContextWindow(chatModel, conversationData, max_tokens, { traceId, sessionId: effectiveSessionId });
  
-      const streamingEnabled = !!(
+      // Stream when the request asks for it; the env flag keeps streaming as the default for clients that don't say.
+      const streamingEnabled = typeof stream === 'boolean' ? stream : !!(
         process.env.COHERE_V2_STREAMING_SUPPORTED &&
         ['1', 'true', 'yes'].includes(String(process.env.COHERE_V2_STREAMING_SUPPORTED).toLowerCase())
       );
  
-      // Call the Cohere API (the client factory will inject stream: true into the payload when supported)
-      const response = await this.callCohereChatAPI(model, conversationData, temperature, max_tokens, traceId);
-      if (!response) return res.status(500).json({ error: { message: 'Failed to receive response from Cohere API', type: 'internal_server_error' } });
+      // Structured output must be validated as a whole, so it is generated without streaming
+      // and replayed as chunks when the client asked for a stream.
+      const responses = await this.generateChoices(n, chatModel, budget.conversationData, temperature, budget.maxTokens, { traceId, stream: streamingEnabled && !responseFormat, sampling, responseFormat, ...toolOptions });
  
-      // If streaming is enabled, attempt to stream back chunks via Server-Sent Events (SSE).
       if (streamingEnabled) {
-        // Set SSE headers
-        res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
-        res.setHeader('Cache-Control', 'no-cache, no-transform');
-        res.setHeader('Connection', 'keep-alive');
-        // Prevent Express from buffering the response
-        if (typeof res.flushHeaders === 'function') res.flushHeaders();
-        // Send an initial comment to establish the stream
-        res.write(': ok\n\n');
- 
-        let assistantResponse = '';
-        try {
-          // Async iterable (preferred)
-          if (response && typeof response[Symbol.asyncIterator] === 'function') {
-            for await (const chunk of response) {
-              let textChunk = '';
-              if (typeof chunk === 'string') {
-                textChunk = chunk;
-              } else if (chunk && typeof chunk === 'object') {
-                // Common shapes: { text }, { delta: { content } }, or SDK-specific tokens
-                if (typeof chunk.text === 'string') textChunk = chunk.text;
-                else if (chunk.delta && typeof chunk.delta.content === 'string') textChunk = chunk.delta.content;
-                else if (typeof chunk.content === 'string') textChunk = chunk.content;
-                else textChunk = JSON.stringify(chunk);
-              }
-              if (textChunk) {
-                assistantResponse += textChunk;
-                // Send chunk as SSE data event
-                res.write(`data: ${JSON.stringify({ text: textChunk })}\n\n`);
-              }
-            }
-            // Finalize stream
-            res.write('event: done\ndata: {}\n\n');
-            this.conversationManager.addMessage(effectiveSessionId, 'assistant', assistantResponse);
-            return res.end();
-          }
- 
-          // Node-style stream (fallback)
-          if (response && typeof response.on === 'function') {
-            response.on('data', (chunk) => {
-              const s = chunk?.toString ? chunk.toString() : String(chunk || '');
-              if (s) {
-                assistantResponse += s;
-                res.write(`data: ${JSON.stringify({ text: s })}\n\n`);
-              }
-            });
-            response.on('end', () => {
-              res.write('event: done\ndata: {}\n\n');
-              this.conversationManager.addMessage(effectiveSessionId, 'assistant', assistantResponse);
-              res.end();
-            });
-            response.on('error', (e) => {
-              logger.error({ err: e }, 'Streaming response error');
-              res.write('event: error\ndata: {}\n\n');
-              res.end();
-            });
-            return;
-          }
- 
-          // If the response isn't streamable, fall back to non-stream behavior below.
-        } catch (err) {
-          logger.error({ err }, 'Error while streaming response');
-          // Attempt to end the SSE connection gracefully
-          try { res.write('event: error\ndata: {}\n\n'); } catch (e) {}
-          try { res.end(); } catch (e) {}
-          return;
-        }
+        await this.streamChatCompletion(res, responses, { model: chatModel, sessionId: effectiveSessionId, conversationData: budget.conversationData, includeUsage: !!stream_options?.include_usage, replyMetadata: this.replyMetadata(chatModel, conversationData, budget) });
+        void this.updateSummaryMemory(effectiveSessionId, chatModel);
+        return;
       }
  
-      // Non-streaming response handling (existing behavior)
-      const assistantResponse = response.text || '';
-      this.conversationManager.addMessage(effectiveSessionId, 'assistant', assistantResponse);
+      // Non-streaming response handling; the first choice continues the stored conversation
+      const choices = responses.map((response) => ({ text: extractResponseText(response), toolCalls: fromCohereToolCalls(extractToolCalls(response)), response }));
+      await this.conversationManager.addMessage(effectiveSessionId, 'assistant', choices[0].text, { ...this.replyMetadata(chatModel, conversationData, budget), ...(choices[0].toolCalls ? { toolCalls: choices[0].toolCalls } : {}) });
+      void this.updateSummaryMemory(effectiveSessionId, chatModel);
  
-      const completionResponse = this.formatChatResponse(response, model, conversationData, startTime, effectiveSessionId);
+      const completionResponse = this.formatChatResponse(choices, chatModel, budget.conversationData, startTime, effectiveSessionId);
+      this.chargeTokens(res, completionResponse.usage);
       res.json(completionResponse);
     } catch (err) {
+      // Upstream and structured-output failures already carry their OpenAI status and type
+      if (err.statusCode && err.type) return sendOpenAIError(res, err);
       logger.error({ err }, 'Chat completion failed');
       res.status(500).json({ error: { message: 'Internal server error', type: 'internal_server_error' } });
     }
   }
 
+  // Stream Cohere responses back as OpenAI `chat.completion.chunk` events, terminated by `data: [DONE]`.
+  // Each response is one choice; their deltas interleave as they arrive, tagged with the choice index.
+  async streamChatCompletion(res, responses, { model, sessionId, conversationData, includeUsage = false, replyMetadata = {} }) {
+    const id = `chatcmpl-${this.generateId()}`;
+    const created = Math.floor(Date.now() / 1000);
+    // With stream_options.include_usage, every chunk carries `usage: null` and a final chunk with empty choices carries the totals.
+    const chunk = (choices, usage = null) => ({ id, object: 'chat.completion.chunk', created, model: `cohere/${model}`, choices, ...(includeUsage ? { usage } : {}) });
+    const delta = (index, d, finishReason = null) => chunk([{ index, delta: d, finish_reason: finishReason }]);
+
+    startSSE(res);
+    try {
+      const results = await Promise.all(responses.map(async (response, index) => {
+        writeSSE(res, delta(index, { role: 'assistant', content: '' }));
+        let toolCalls;
+        const result = await consumeCohereStream(response, {
+          onText: (text) => writeSSE(res, delta(index, { content: text })),
+          onToolCalls: (calls) => {
+            toolCalls = fromCohereToolCalls(calls);
+            writeSSE(res, delta(index, { tool_calls: toolCalls.map((c, i) => ({ index: i, ...c })) }));
+          },
+        });
+        writeSSE(res, delta(index, {}, mapFinishReason(result.finishReason, { toolCalls })));
+        // Replayed (non-stream) responses were already counted by the client wrapper
+        if (isCohereStream(response)) recordCohereTokenUsage({ model, response: result.response });
+        return { text: result.text, toolCalls, response: result.response };
+      }));
+      const usage = this.buildUsage(conversationData, results.map(r => r.text), results.map(r => r.response));
+      this.chargeTokens(res, usage);
+      if (includeUsage) writeSSE(res, chunk([], usage));
+      await this.conversationManager.addMessage(sessionId, 'assistant', results[0].text, { ...replyMetadata, ...(results[0].toolCalls ? { toolCalls: results[0].toolCalls } : {}) });
+      endSSE(res);
+    } catch (err) {
+      logger.error({ err }, 'Error while streaming response');
+      // Headers are already sent: report the failure in-band and close the stream
+      try { writeSSE(res, { error: { message: 'Streaming response interrupted', type: 'server_error' } }); } catch (e) {}
+      try { res.end(); } catch (e) {}
+    }
+  }
+
   extractContentString(content) {
     if (typeof content === 'string') return content;
     if (content && typeof content === 'object') {
@@ -531,26 +1069,454 @@ class EnhancedCohereRAGServer {
     return String(content || '');
   }
 
-  async callCohereChatAPI(model, conversationData, temperature, maxTokens) {
-    const payload = { model, message: conversationData.message, temperature: temperature || 0.7, max_tokens: maxTokens || 512 };
-    if (conversationData.chatHistory && conversationData.chatHistory.length > 0) payload.chat_history = conversationData.chatHistory;
-    if (conversationData.preamble) payload.preamble = conversationData.preamble;
+  // Issue `n` parallel calls for the same conversation; each gets its own cache slot so choices differ.
+  // Rejects with the first upstream error (see callCohereChatAPI).
+  async generateChoices(n, model, conversationData, temperature, maxTokens, options = {}) {
+    const call = (opts) => (opts.responseFormat
+      ? this.callStructuredChat(model, conversationData, temperature, maxTokens, opts)
+      : this.callCohereChatAPI(model, conversationData, temperature, maxTokens, opts));
+    if (n <= 1) return [await call(options)];
+    return Promise.all(Array.from({ length: n }, (_, i) => call({ ...options, cacheVariant: i })));
+  }
+
+  // Call Cohere in JSON mode and validate the output against the requested format, retrying
+  // up to STRUCTURED_OUTPUT_MAX_RETRIES times. Throws a 502-style error once retries are exhausted.
+  async callStructuredChat(model, conversationData, temperature, maxTokens, options) {
+    const maxRetries = structuredOutputMaxRetries();
+    let errors = [];
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      // Retries get their own cache slot, otherwise the cached invalid response would come straight back
+      const cacheVariant = attempt === 0 ? options.cacheVariant : `${options.cacheVariant ?? 0}:retry${attempt}`;
+      const response = await this.callCohereChatAPI(model, conversationData, temperature, maxTokens, { ...options, stream: false, cacheVariant });
+      const result = checkStructuredOutput(extractResponseText(response), options.responseFormat);
+      if (result.ok) return response;
+      errors = result.errors;
+      logger.warn({ attempt, errors: errors.slice(0, 5) }, 'Structured output did not match response_format');
+    }
+    const label = options.responseFormat.name ? `schema "${options.responseFormat.name}"` : 'response_format';
+    const err = new Error(`Model output did not match ${label} after ${maxRetries + 1} attempt(s): ${errors.slice(0, 5).join('; ')}`);
+    err.statusCode = 502;
+    err.type = 'server_error';
+    err.code = 'structured_output_invalid';
+    throw err;
+  }
+
+  // Generate the assistant reply at `messageIndex` (default: the last one) again. The replaced reply and
+  // anything after it stay available as a branch. Tool definitions are not stored with the session,
+  // so regenerated replies are plain text.
+  async handleRegenerate(req, res) {
+    const startTime = nowMs();
+    const traceId = req.headers['x-trace-id'] || generateTraceId();
+    const { sessionId } = req.params;
+    try {
+      const { messageIndex, temperature = 0.7, max_tokens, model = process.env.COHERE_MODEL || 'command-a-03-2025' } = req.body || {};
+      try {
+        validateModelOrThrow(model);
+      } catch (e) {
+        return res.status(e.statusCode || 400).json({ error: { message: e.message, type: 'invalid_request_error', param: 'model' } });
+      }
+      const messages = this.conversationManager.findConversation(sessionId)?.messages;
+      if (!messages) return res.status(404).json({ error: { message: `Conversation ${sessionId} not found`, type: 'not_found_error' } });
+      const index = typeof messageIndex === 'undefined' ? messages.map(m => m.role).lastIndexOf('assistant') : messageIndex;
+      if (index < 0) return res.status(400).json({ error: { message: 'Conversation has no assistant reply to regenerate', type: 'invalid_request_error', param: 'messageIndex' } });
+      let chatModel = model;
+      if (messages.some(m => m.images?.length)) {
+        try {
+          chatModel = resolveVisionModel(model);
+        } catch (e) {
+          return res.status(e.statusCode || 400).json({ error: { message: e.message, type: 'invalid_request_error', param: e.param } });
+        }
+      }
+      let preambleOptions;
+      let rag;
+      try {
+        preambleOptions = this.resolvePreambleOptions(req);
+        rag = this.resolveRagOptions(req);
+      } catch (e) {
+        return sendOpenAIError(res, e);
+      }
+      const branchId = this.conversationManager.rewindForRegeneration(sessionId, index);
+
+      let conversationData;
+      let budget;
+      let choice;
+      try {
+        conversationData = this.conversationManager.getFormattedHistoryWithRAG(sessionId, { ...preambleOptions, rag });
+        budget = await this.fitContextWindow(chatModel, conversationData, max_tokens, { traceId, sessionId });
+        const [response] = await this.generateChoices(1, chatModel, budget.conversationData, temperature, budget.maxTokens, { traceId });
+        choice = { text: extractResponseText(response), toolCalls: null, response };
+      } catch (err) {
+        // No new reply, so the session keeps the one it had
+        this.conversationManager.cancelRegeneration(sessionId, branchId);
+        throw err;
+      }
+      await this.conversationManager.addMessage(sessionId, 'assistant', choice.text, this.replyMetadata(chatModel, conversationData, budget));
+
+      const completion = this.formatChatResponse([choice], chatModel, budget.conversationData, startTime, sessionId);
+      this.chargeTokens(res, completion.usage);
+      res.json({ ...completion, branch_id: branchId });
+    } catch (err) {
+      if (err.statusCode && err.type) return sendOpenAIError(res, err);
+      logger.error({ err, sessionId }, 'Regeneration failed');
+      res.status(500).json({ error: { message: 'Internal server error', type: 'internal_server_error' } });
+    }
+  }
+
+  formatFeedback(record) {
+    return {
+      id: record.id,
+      object: 'feedback',
+      created_at: Math.floor(record.created / 1000),
+      session_id: record.sessionId,
+      message_id: record.messageId,
+      type: record.type,
+      text: record.text,
+      rating: record.rating,
+      model: record.model,
+      preamble_template: record.preambleTemplate,
+      rag_documents: record.ragDocuments,
+    };
+  }
+
+  formatIndexJob(job) {
+    const seconds = (ms) => (ms ? Math.floor(ms / 1000) : null);
+    const { progress } = job;
+    return {
+      id: job.jobId,
+      object: 'rag.index_job',
+      status: job.status,
+      project_path: job.projectPath,
+      collection: job.collection,
+      created_at: seconds(job.createdAt),
+      started_at: seconds(job.startedAt),
+      finished_at: seconds(job.finishedAt),
+      progress: {
+        files_total: progress.filesTotal,
+        files_scanned: progress.filesScanned,
+        chunks_created: progress.chunksCreated,
+        redactions: progress.redactions,
+        redactions_by_type: progress.redactionsByType,
+        embeddings_pending: progress.embeddingsPending,
+        error_count: progress.errorCount,
+        errors: progress.errors,
+      },
+      result: job.result,
+      error: job.error,
+    };
+  }
+
+  formatPin(pin) {
+    return {
+      id: pin.id,
+      object: 'rag_pin',
+      created_at: Math.floor(pin.created / 1000),
+      chunk_id: pin.chunkId ?? null,
+      file_path: pin.filePath ?? null,
+      collection: pin.collection ?? null,
+      documents: pin.documents,
+    };
+  }
+
+  formatRagSettings({ enabled, collections, pins }) {
+    return { enabled, collections, pins: pins.map(p => this.formatPin(p)) };
+  }
+
+  // What produced a stored reply, kept on the message so feedback on it can be broken down later.
+  replyMetadata(model, conversationData, budget) {
+    const ragDocuments = Math.max(0, (conversationData.ragDocuments || []).length - (budget?.droppedDocuments || 0));
+    const template = conversationData.preambleOptions?.template || (ragDocuments > 0 ? 'default' : null);
+    return { model, preambleTemplate: template, ragDocuments };
+  }
+
+  // Preamble template and its variables for a request. The request can pick a template with the
+  // x-preamble-template header or metadata.preamble_template; otherwise the session's choice applies,
+  // then the API key's, then PREAMBLE_TEMPLATE. An unknown template named by the request is a 400.
+  resolvePreambleOptions(req) {
+    const metadata = req.body?.metadata && typeof req.body.metadata === 'object' ? req.body.metadata : {};
+    const header = req.headers['x-preamble-template'];
+    const template = header || metadata.preamble_template || undefined;
+    if (template !== undefined && (typeof template !== 'string' || !this.preambleTemplates.has(template))) {
+      const err = new Error(`Unknown preamble template: ${template}`);
+      err.statusCode = 400;
+      err.type = 'invalid_request_error';
+      err.param = header ? 'x-preamble-template' : 'metadata.preamble_template';
+      throw err;
+    }
+    return {
+      template,
+      fallbackTemplate: req.apiKey?.preambleTemplate || this.DEFAULT_PREAMBLE_TEMPLATE,
+      variables: {
+        date: new Date().toISOString().slice(0, 10),
+        user: metadata.user || req.body?.user || req.apiKey?.name,
+        project: metadata.project || this.PROJECT_NAME,
+      },
+    };
+  }
+
+  // Per-request retrieval settings: `x-rag: off|on` or `metadata.rag` as a boolean or
+  // `{ enabled, collections }`. Anything not given falls back to the session's settings.
+  resolveRagOptions(req) {
+    const invalid = (message, param) => Object.assign(new Error(message), { statusCode: 400, type: 'invalid_request_error', param });
+    const header = req.headers['x-rag'];
+    const metadata = req.body?.metadata && typeof req.body.metadata === 'object' ? req.body.metadata : {};
+    const rag = {};
+    if (typeof metadata.rag === 'boolean') rag.enabled = metadata.rag;
+    else if (metadata.rag && typeof metadata.rag === 'object') {
+      const { enabled, collections } = metadata.rag;
+      if (enabled !== undefined && typeof enabled !== 'boolean') throw invalid('metadata.rag.enabled must be a boolean', 'metadata.rag.enabled');
+      if (collections !== undefined && !isCollectionList(collections)) throw invalid('metadata.rag.collections must be a non-empty array of collection names', 'metadata.rag.collections');
+      Object.assign(rag, enabled !== undefined ? { enabled } : {}, collections !== undefined ? { collections } : {});
+    } else if (metadata.rag !== undefined) throw invalid('metadata.rag must be a boolean or an object', 'metadata.rag');
+    if (header !== undefined) {
+      const value = String(header).toLowerCase();
+      if (!['on', 'off', 'true', 'false', '1', '0'].includes(value)) throw invalid('x-rag must be on or off', 'x-rag');
+      rag.enabled = ['on', 'true', '1'].includes(value);
+    }
+    return rag;
+  }
+
+  // Fit `conversationData` into the model's context window (capped by MAX_TOTAL_TOKENS) and clamp max_tokens
+  // to what is left. Oldest turns go first; with SUMMARIZE_DROPPED_HISTORY they are replaced by a summary.
+  // Throws a 400 `context_length_exceeded` error when the current turn alone does not fit.
+  async fitContextWindow(model, conversationData, requestedMaxTokens, { traceId, sessionId } = {}) {
+    const contextWindow = getModelsList().find(m => m.id === model)?.contextWindow;
+    const basePreamble = 'basePreamble' in conversationData ? conversationData.basePreamble : conversationData.preamble;
+    const composePreamble = this.conversationManager.composePreamble?.bind(this.conversationManager);
+    const options = {
+      limit: Math.min(contextWindow || Infinity, this.MAX_TOTAL_TOKENS),
+      countTokens: (text) => this.estimateTokens(text),
+      safetyBuffer: this.TOKEN_SAFETY_BUFFER,
+      minCompletionTokens: this.MIN_COMPLETION_TOKENS,
+      maxCompletionTokens: this.MAX_COMPLETION_TOKENS,
+      requestedMaxTokens: requestedMaxTokens || DEFAULT_MAX_TOKENS,
+      ragDocuments: conversationData.ragDocuments || [],
+      // The session's rolling summary; like a summary of dropped turns, it goes before the documents do
+      summary: conversationData.summary,
+      ...(composePreamble ? { buildPreamble: (docs, summary) => composePreamble(basePreamble, docs, summary, conversationData.preambleOptions) } : {}),
+    };
+    let fitted = fitToContextWindow(conversationData, options);
+    if (fitted.droppedTurns.length > 0 && this.SUMMARIZE_DROPPED_HISTORY) {
+      const summary = await this.summarizeTurns(model, fitted.droppedTurns, { traceId, previousSummary: conversationData.summary });
+      if (summary) fitted = fitToContextWindow(conversationData, { ...options, summary });
+    }
+    if (fitted.droppedTurns.length > 0 || fitted.droppedDocuments > 0) {
+      logger.info({ traceId, sessionId, model, droppedTurns: fitted.droppedTurns.length, droppedDocuments: fitted.droppedDocuments, summaryDropped: fitted.summaryDropped, promptTokens: fitted.promptTokens, maxTokens: fitted.maxTokens }, 'Trimmed conversation to fit the context window');
+    }
+    return fitted;
+  }
+
+  // Fold older turns into the session's rolling summary once more than SUMMARY_MEMORY_THRESHOLD messages
+  // are unsummarised (or now, with `force`). Called without awaiting after each reply; one run per session at a time.
+  // Resolves with the stored summary, or undefined when there was nothing to do or summarising failed.
+  async updateSummaryMemory(sessionId, model, { force = false, rebuild = false, keepRecent = this.SUMMARY_MEMORY_KEEP_RECENT } = {}) {
+    if ((!force && !(this.SUMMARY_MEMORY_THRESHOLD > 0)) || this._summarizing.has(sessionId)) return undefined;
+    const candidate = this.conversationManager.summaryCandidate?.(sessionId, { threshold: this.SUMMARY_MEMORY_THRESHOLD, keepRecent, force, rebuild });
+    if (!candidate) return undefined;
+    this._summarizing.add(sessionId);
+    try {
+      const summaryModel = this.SUMMARY_MODEL || model;
+      const text = await this.summarizeTurns(summaryModel, candidate.turns, { previousSummary: candidate.previous });
+      if (!text) return undefined;
+      if (!this.conversationManager.setSummary(sessionId, { text, throughIndex: candidate.throughIndex, throughMessageId: candidate.throughMessageId, model: summaryModel })) return undefined;
+      logger.info({ sessionId, summarisedThrough: candidate.throughIndex }, 'Updated conversation summary');
+      return this.conversationManager.getSummary(sessionId);
+    } finally {
+      this._summarizing.delete(sessionId);
+    }
+  }
+
+  formatSummary(summary) {
+    return { text: summary.text, through_message_id: summary.throughMessageId, message_count: summary.throughIndex + 1, model: summary.model ?? null, updated_at: Math.floor(summary.updatedAt / 1000) };
+  }
+
+  // Best-effort summary of history turns, extending `previousSummary` when given; returns undefined when Cohere can't produce one.
+  async summarizeTurns(model, turns, { traceId, previousSummary } = {}) {
+    const transcript = turns.map((t) => `${String(t.role).toLowerCase()}: ${this.extractContentString(t.message ?? t.content ?? '')}`).join('\n');
+    const message = previousSummary
+      ? `Here is a summary of a conversation so far:\n\n${previousSummary}\n\nRewrite it in a few sentences to also cover these later turns, keeping names, facts and decisions:\n\n${transcript}`
+      : `Summarise this conversation in a few sentences, keeping names, facts and decisions:\n\n${transcript}`;
+    try {
+      const response = await this.callCohereChatAPI(model, {
+        message,
+        chatHistory: [],
+        preamble: 'You write short, factual summaries of conversations.',
+      }, 0.3, 256);
+      return extractResponseText(response).trim() || undefined;
+    } catch (err) {
+      logger.warn({ traceId, err: err.message }, 'Could not summarise history turns');
+      return undefined;
+    }
+  }
+
+  // Legacy prompt-style completions, served by the same Cohere chat call as /v1/chat/completions.
+  async handleCompletion(req, res) {
+    const traceId = req.headers['x-trace-id'] || generateTraceId();
+    try {
+      const { prompt, suffix, echo = false, temperature = 0.7, max_tokens, model = process.env.COHERE_MODEL || 'command-a-03-2025', stream = false, stream_options } = req.body || {};
+      const prompts = Array.isArray(prompt) ? prompt : [prompt];
+      if (prompts.length === 0 || prompts.some(p => typeof p !== 'string' || p.length === 0)) {
+        return res.status(400).json({ error: { message: 'Prompt is required and must be a string or an array of strings', type: 'invalid_request_error', param: 'prompt' } });
+      }
+      let sampling;
+      let n;
+      try {
+        // Every prompt gets n choices, so the cap applies to the product
+        ({ sampling, n } = toCohereSampling(req.body, { maxChoices: Math.max(1, Math.floor(this.MAX_CHOICES_PER_REQUEST / prompts.length)) }));
+      } catch (e) {
+        return res.status(e.statusCode || 400).json({ error: { message: e.message, type: 'invalid_request_error', param: e.param } });
+      }
+      try {
+        validateModelOrThrow(model);
+      } catch (e) {
+        return res.status(e.statusCode || 400).json({ error: { message: e.message, type: 'invalid_request_error' } });
+      }
+
+      const preambleParts = ['Continue the text provided by the user. Reply with the continuation only, without repeating the text.'];
+      if (typeof suffix === 'string' && suffix) preambleParts.push(`The continuation will be followed by this text, so it must lead naturally into it:\n${suffix}`);
+      const options = { traceId, stream: !!stream, sampling };
+
+      // One entry per (prompt, choice), indexed the way OpenAI orders choices.
+      const jobs = [];
+      for (let p = 0; p < prompts.length; p++) {
+        const { conversationData, maxTokens } = await this.fitContextWindow(model, { message: prompts[p], chatHistory: [], preamble: preambleParts.join('\n\n') }, max_tokens, { traceId });
+        const responses = await this.generateChoices(n, model, conversationData, temperature, maxTokens, options);
+        responses.forEach((response, j) => jobs.push({ index: p * n + j, prompt: p, conversationData, response }));
+      }
+      // `finals` holds the response (or final stream event) carrying each choice's reported usage
+      const usageFor = (texts, finals) => sumOpenAIUsage(prompts.map((_, p) => {
+        const group = jobs.filter(job => job.prompt === p);
+        return this.buildUsage(group[0].conversationData, group.map(job => texts[job.index]), group.map(job => finals[job.index]));
+      }));
+
+      const id = `cmpl-${this.generateId()}`;
+      const created = Math.floor(Date.now() / 1000);
+      if (stream) {
+        const includeUsage = !!stream_options?.include_usage;
+        const chunk = (choices, usage = null) => ({ id, object: 'text_completion', created, model: `cohere/${model}`, choices, ...(includeUsage ? { usage } : {}) });
+        const choice = (index, text, finishReason = null) => ({ text, index, logprobs: null, finish_reason: finishReason });
+        const texts = [];
+        const finals = [];
+        startSSE(res);
+        try {
+          await Promise.all(jobs.map(async (job) => {
+            if (echo) writeSSE(res, chunk([choice(job.index, job.conversationData.message)]));
+            const result = await consumeCohereStream(job.response, { onText: (text) => writeSSE(res, chunk([choice(job.index, text)])) });
+            texts[job.index] = result.text;
+            finals[job.index] = result.response;
+            if (isCohereStream(job.response)) recordCohereTokenUsage({ model, response: result.response });
+            writeSSE(res, chunk([choice(job.index, '', mapFinishReason(result.finishReason))]));
+          }));
+          const usage = usageFor(texts, finals);
+          this.chargeTokens(res, usage);
+          if (includeUsage) writeSSE(res, chunk([], usage));
+          endSSE(res);
+        } catch (err) {
+          logger.error({ err }, 'Error while streaming completion');
+          try { writeSSE(res, { error: { message: 'Streaming response interrupted', type: 'server_error' } }); } catch (e) {}
+          try { res.end(); } catch (e) {}
+        }
+        return;
+      }
+
+      const texts = [];
+      for (const job of jobs) texts[job.index] = extractResponseText(job.response);
+      const usage = usageFor(texts, jobs.map(job => job.response));
+      this.chargeTokens(res, usage);
+      res.json({
+        id,
+        object: 'text_completion',
+        created,
+        model: `cohere/${model}`,
+        choices: jobs.map((job) => ({ text: echo ? job.conversationData.message + texts[job.index] : texts[job.index], index: job.index, logprobs: null, finish_reason: mapFinishReason(job.response?.finish_reason ?? job.response?.finishReason) })).sort((a, b) => a.index - b.index),
+        usage,
+      });
+    } catch (err) {
+      if (err.statusCode && err.type) return sendOpenAIError(res, err);
+      logger.error({ err }, 'Completion failed');
+      res.status(500).json({ error: { message: 'Internal server error', type: 'internal_server_error' } });
+    }
+  }
+
+  // Tool-calling fields and image URLs carried alongside an OpenAI message, in ConversationManager's metadata shape.
+  // Throws a 400-style error for invalid image parts.
+  extractMessageMetadata(message) {
+    const metadata = {};
+    if (message?.role === 'user') {
+      const images = extractImageUrls(message.content);
+      if (images.length > 0) metadata.images = images;
+    }
+    if (message?.role === 'assistant' && Array.isArray(message.tool_calls) && message.tool_calls.length > 0) metadata.toolCalls = message.tool_calls;
+    if (message?.role === 'tool') {
+      metadata.toolCallId = message.tool_call_id;
+      if (message.name) metadata.name = message.name;
+    }
+    return metadata;
+  }
+
+  // Redact secrets from the text a chat payload sends upstream: preamble, message, history and v2 message
+  // content. Entries are copied rather than edited, since they belong to the session.
+  redactChatPayload(payload) {
+    const byType = {};
+    const redact = (text) => {
+      if (typeof text !== 'string' || !text) return text;
+      const result = this.chatRedactor.redact(text);
+      for (const [type, n] of Object.entries(result.byType)) byType[type] = (byType[type] || 0) + n;
+      return result.text;
+    };
+    if (payload.preamble) payload.preamble = redact(payload.preamble);
+    if (payload.message) payload.message = redact(payload.message);
+    if (payload.chat_history) payload.chat_history = payload.chat_history.map(entry => (entry.message ? { ...entry, message: redact(entry.message) } : entry));
+    if (payload.messages) {
+      payload.messages = payload.messages.map(message => (message.content ? {
+        ...message,
+        content: Array.isArray(message.content)
+          ? message.content.map(part => (part?.type === 'text' ? { ...part, text: redact(part.text) } : part))
+          : redact(message.content),
+      } : message));
+    }
+    const redactions = Object.values(byType).reduce((sum, n) => sum + n, 0);
+    if (redactions > 0) logger.info({ redactions, byType }, 'Redacted secrets from chat request');
+    return redactions;
+  }
+
+  // Throws OpenAI-style errors (statusCode/type/retryAfter, see toOpenAIError) when the call fails.
+  // With `queued`, the call goes through ConversationManager.sendPrompt's batching queue.
+  async callCohereChatAPI(model, conversationData, temperature, maxTokens, { tools, toolChoice, stream, sampling, responseFormat, cacheVariant, queued = false } = {}) {
+    const v2Messages = conversationData.messages;
+    const payload = v2Messages
+      ? { model, messages: [...(conversationData.preamble ? [{ role: 'system', content: conversationData.preamble }] : []), ...v2Messages], temperature: temperature ?? 0.7, max_tokens: maxTokens ?? DEFAULT_MAX_TOKENS }
+      : { model, message: conversationData.message, temperature: temperature ?? 0.7, max_tokens: maxTokens ?? DEFAULT_MAX_TOKENS };
+    if (!v2Messages && conversationData.chatHistory && conversationData.chatHistory.length > 0) payload.chat_history = conversationData.chatHistory;
+    if (!v2Messages && conversationData.preamble) payload.preamble = conversationData.preamble;
+    if (tools) payload.tools = tools;
+    if (toolChoice) payload.tool_choice = toolChoice;
+    if (!v2Messages && conversationData.toolResults && conversationData.toolResults.length > 0) payload.tool_results = conversationData.toolResults;
+    if (typeof stream === 'boolean') payload.stream = stream;
+    if (sampling) Object.assign(payload, sampling);
+    if (responseFormat) payload.response_format = toCohereResponseFormat(responseFormat, { v2: !!v2Messages });
+    if (this.chatRedactor) this.redactChatPayload(payload);
 
     logger.info({ model, payloadKeys: Object.keys(payload), messageLength: conversationData.message?.length }, 'Preparing Cohere API call');
 
+    if (!this.cohere || typeof this.cohere.chat !== 'function') {
+      logger.error({ cohereClient: !!this.cohere, hasChatMethod: typeof this.cohere?.chat === 'function' }, 'Cohere client not properly initialized');
+      const err = new Error('Cohere client is not initialized');
+      err.statusCode = 503;
+      err.type = 'server_error';
+      err.code = 'upstream_unavailable';
+      throw err;
+    }
+
     try {
       const sent = nowMs();
       if (!DIAGNOSTICS_DISABLED) diagLog({ phase: 'cohere:call:start', model, payloadSizeChars: String(JSON.stringify(payload).length), start: sent });
 
-      // If Cohere client accepts agent, try to use it (best-effort). Otherwise rely on globalAgent.
-      let callFn = () => this.cohere.chat(payload);
-      if (this.cohere && typeof this.cohere.chat === 'function') {
-        // prefer existing SDK behavior; many SDKs accept an options object but not all — keep best-effort
-        callFn = () => this.cohere.chat(payload);
-      } else {
-        logger.error({ cohereClient: !!this.cohere, hasChatMethod: typeof this.cohere?.chat === 'function' }, 'Cohere client not properly initialized');
-        return null;
-      }
+      // v2 `messages` payloads go to the SDK's v2 namespace when it has one
+      const chatApi = v2Messages && typeof this.cohere.v2?.chat === 'function' ? this.cohere.v2 : this.cohere;
+      // prefer existing SDK behavior; many SDKs accept an options object but not all — keep best-effort
+      // cacheVariant is consumed by the client factory's response cache, never sent upstream
+      const callOptions = typeof cacheVariant !== 'undefined' ? { cacheVariant } : undefined;
+      const callFn = () => (queued ? this.conversationManager.sendPrompt(payload, callOptions) : chatApi.chat(payload, ...(callOptions ? [callOptions] : [])));
 
       const resp = await callFn();
       logger.info({ model, responseReceived: !!resp, responseKeys: resp ? Object.keys(resp) : null }, 'Cohere API call successful');
@@ -565,22 +1531,24 @@ class EnhancedCohereRAGServer {
         stack: err?.stack
       }, 'Cohere chat API error details');
       if (!DIAGNOSTICS_DISABLED) diagLog({ phase: 'cohere:error', model, err: String(err?.message), statusCode: err?.status || err?.statusCode });
-      return null;
+      throw toOpenAIError(err);
     }
   }
 
-  formatChatResponse(response, model, conversationData, startTime, sessionId) {
-    const generatedText = response.text || '';
+  // `choices` holds one `{ text, toolCalls, response }` per generated choice.
+  formatChatResponse(choices, model, conversationData, startTime, sessionId) {
     const processingTime = Date.now() - startTime;
-    const promptTokens = this.estimateTokens(conversationData.message) + (conversationData.chatHistory?.length * 10 || 0);
-    const completionTokens = this.estimateTokens(generatedText);
     return {
       id: `chatcmpl-${this.generateId()}`,
       object: 'chat.completion',
       created: Math.floor(Date.now() / 1000),
       model: `cohere/${model}`,
-      choices: [{ index: 0, message: { role: 'assistant', content: generatedText }, finish_reason: 'stop' }],
-      usage: { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens },
+      choices: choices.map(({ text, toolCalls, response }, index) => ({
+        index,
+        message: toolCalls ? { role: 'assistant', content: text || null, tool_calls: toolCalls } : { role: 'assistant', content: text },
+        finish_reason: mapFinishReason(response?.finish_reason ?? response?.finishReason, { toolCalls }),
+      })),
+      usage: this.buildUsage(conversationData, choices.map(c => c.text), choices.map(c => c.response)),
       system_fingerprint: `cohere_chat_${model}_${Date.now()}`,
       processing_time_ms: processingTime,
       session_id: sessionId,
@@ -588,6 +1556,28 @@ class EnhancedCohereRAGServer {
     };
   }
 
+  // Usage from the token counts Cohere reported for `responses` (one per choice). Each call is billed
+  // for its own prompt, so n > 1 choices count the prompt once per call. Falls back to a local
+  // estimate when any response lacks usage (e.g. mocked or older SDK responses).
+  buildUsage(conversationData, generatedText, responses = []) {
+    const reported = [].concat(responses).map(extractCohereUsage);
+    if (reported.length > 0 && reported.every(Boolean)) {
+      return toOpenAIUsage(reported.reduce((acc, u) => ({
+        promptTokens: acc.promptTokens + u.inputTokens,
+        completionTokens: acc.completionTokens + u.outputTokens,
+        cachedTokens: acc.cachedTokens + u.cachedTokens,
+      }), { promptTokens: 0, completionTokens: 0, cachedTokens: 0 }));
+    }
+    const promptTokens = this.estimateTokens(conversationData.message) + (conversationData.chatHistory?.length * 10 || 0);
+    const completionTokens = [].concat(generatedText).reduce((sum, text) => sum + this.estimateTokens(text), 0);
+    return toOpenAIUsage({ promptTokens, completionTokens });
+  }
+
+  // Charge a request's token usage to the caller's rate limit bucket (see createKeyRateLimit).
+  chargeTokens(res, usage) {
+    this.rateLimiter.recordTokens(res.locals?.rateLimitBucket, usage?.total_tokens);
+  }
+
   estimateTokens(text) { return encode(this.extractContentString(text)).length; }
   generateId() { return Date.now().toString(36) + Math.random().toString(36).slice(2); }
 
@@ -610,6 +1600,8 @@ class EnhancedCohereRAGServer {
     watchdog.start();
     try {
       await this.initializeSupportedModels();
+      if (!this.apiKeyStore.enabled) logger.warn('No API keys configured (API_KEYS_FILE / ADMIN_API_KEY): all routes are open');
+      this.batchRunner.resume();
       console.log('start(): about to call app.listen on port', this.port);
       this.server = this.app.listen(this.port, () => {
         console.log('start(): app.listen callback fired');
@@ -625,6 +1617,7 @@ class EnhancedCohereRAGServer {
 
   async stop() {
     if (this.server) await new Promise((r) => this.server.close(r));
+    this.rateLimiter.flush();
     await this.ragManager.shutdown?.();
     await this.conversationManager.shutdown?.();
   }
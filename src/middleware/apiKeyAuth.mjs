@@ -1,11 +1,43 @@
-import { createRequire } from 'module';
-const require = createRequire(import.meta.url);
+import crypto from 'crypto';
+import ApiKeyStore, { keyFingerprint } from '../utils/apiKeyStore.mjs';
+
+const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+
+function presentedKey(req) {
+  const header = (req.headers && (req.headers['x-api-key'] || req.headers['authorization'])) || '';
+  return String(header || '').replace(/^Bearer\s+/i, '');
+}
+
 // small, dependency-free API key middleware that reads ADMIN_API_KEY from env
 export function apiKeyAuth(req, res, next) {
   const adminKey = process.env.ADMIN_API_KEY;
   if (!adminKey) return next(); // no auth configured in env => allow through (safe for local/dev)
-  const header = (req.headers && (req.headers['x-api-key'] || req.headers['authorization'])) || '';
-  const token = String(header || '').replace(/^Bearer\s+/i, '');
-  if (token === adminKey) return next();
+  if (crypto.timingSafeEqual(digest(presentedKey(req)), digest(adminKey))) return next();
   res.status(401).json({ error: 'Unauthorized' });
 }
+
+/**
+ * Scope-checking middleware factory backed by an ApiKeyStore.
+ * `requireScope(scope)` answers 401 for a missing/unknown key and 403 when the key lacks the scope;
+ * on success the key's name, scopes and fingerprint are available as `req.apiKey`.
+ * Only key fingerprints are ever logged.
+ */
+export function createApiKeyAuth(store, { logger } = {}) {
+  return function requireScope(scope) {
+    return (req, res, next) => {
+      if (!store.enabled) return next();
+      const key = presentedKey(req);
+      const record = store.lookup(key);
+      if (!record) {
+        logger?.warn({ path: req.path, fingerprint: key ? keyFingerprint(key) : undefined }, 'Rejected request with missing or unknown API key');
+        return res.status(401).json({ error: { message: 'Missing or invalid API key', type: 'authentication_error', code: 'invalid_api_key' } });
+      }
+      if (!ApiKeyStore.hasScope(record, scope)) {
+        logger?.warn({ path: req.path, key: record.name, fingerprint: record.fingerprint, scope }, 'API key lacks required scope');
+        return res.status(403).json({ error: { message: `API key does not have the "${scope}" scope`, type: 'permission_error', code: 'insufficient_scope' } });
+      }
+      req.apiKey = record;
+      return next();
+    };
+  };
+}
@@ -0,0 +1,37 @@
+import { formatResetDuration } from '../utils/keyRateLimiter.mjs';
+
+function setRateLimitHeaders(res, status) {
+  if (status.limitRequests) {
+    res.set('x-ratelimit-limit-requests', String(status.limitRequests));
+    res.set('x-ratelimit-remaining-requests', String(status.remainingRequests));
+    res.set('x-ratelimit-reset-requests', formatResetDuration(status.resetRequestsMs));
+  }
+  if (status.limitTokens) {
+    res.set('x-ratelimit-limit-tokens', String(status.limitTokens));
+    res.set('x-ratelimit-remaining-tokens', String(status.remainingTokens));
+    res.set('x-ratelimit-reset-tokens', formatResetDuration(status.resetTokensMs));
+  }
+}
+
+/**
+ * Rate limiting middleware backed by a KeyRateLimiter. Requests are bucketed by the API key
+ * authenticated earlier in the chain (`req.apiKey`), falling back to the client IP.
+ * The bucket is left in `res.locals.rateLimitBucket` so handlers can charge tokens once usage is known.
+ */
+export function createKeyRateLimit(limiter, { logger } = {}) {
+  return (req, res, next) => {
+    const bucket = req.apiKey ? `key:${req.apiKey.fingerprint}` : `ip:${req.ip}`;
+    const status = limiter.consume(bucket, req.apiKey?.limits);
+    setRateLimitHeaders(res, status);
+    res.locals.rateLimitBucket = bucket;
+    if (status.allowed) return next();
+
+    const resetMs = status.reason === 'tokens' ? status.resetTokensMs : status.resetRequestsMs;
+    logger?.warn({ bucket, path: req.path, reason: status.reason }, 'Rate limit reached');
+    res.set('Retry-After', String(Math.max(1, Math.ceil(resetMs / 1000))));
+    const message = status.reason === 'tokens'
+      ? `Daily token limit of ${status.limitTokens} reached. Please try again in ${formatResetDuration(resetMs)}.`
+      : `Rate limit of ${status.limitRequests} requests per minute reached. Please try again in ${formatResetDuration(resetMs)}.`;
+    return res.status(429).json({ error: { message, type: 'rate_limit_error', code: 'rate_limit_exceeded' } });
+  };
+}
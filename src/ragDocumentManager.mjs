@@ -6,6 +6,28 @@ import zlib from 'zlib';
 import path from 'path';
 import crypto from 'crypto';
 import LruTtlCache from './utils/lruTtlCache.mjs';
+import { chunkText, chunkerFor, CHUNKER_VERSION } from './utils/chunkers.mjs';
+import { DEFAULT_IGNORE_FILES, compileRule, parseIgnoreRules, matchesRules, isBinaryContent } from './utils/fileFilters.mjs';
+import { redactorFromEnv } from './utils/secretRedactor.mjs';
+
+// Documents indexed without a collection (including older persisted indexes) belong to this one
+export const DEFAULT_COLLECTION = 'default';
+const COLLECTION_PATTERN = /^[\w.-]{1,64}$/;
+
+export function isValidCollectionName(name) {
+  return typeof name === 'string' && COLLECTION_PATTERN.test(name);
+}
+
+const collectionOf = (doc) => doc?.metadata?.collection || DEFAULT_COLLECTION;
+
+// `js` and `.JS` both mean `.js`
+const normalizeExtension = (ext) => { const e = String(ext).trim().toLowerCase(); return e.startsWith('.') ? e : `.${e}`; };
+const isStringList = (value) => Array.isArray(value) && value.every(v => typeof v === 'string' && v.length > 0);
+
+// Index jobs in these states are done scanning
+const FINISHED_JOB_STATUSES = ['completed', 'failed', 'cancelled'];
+// Keep at most this many per-file errors on a job record
+const MAX_JOB_ERRORS = 100;
 
 class RAGDocumentManager {
   constructor(cohereClient, { logger = console } = {}) {
@@ -14,9 +36,25 @@ class RAGDocumentManager {
     this.embeddingCache = new LruTtlCache({ ttlMs: 60 * 60 * 1000, maxSize: 5000 });
     this.documentIndex = new Map();
     this.logger = logger;
-    this.supportedExtensions = new Set(['.js', '.ts', '.py', '.java', '.md', '.json', '.yaml', '.yml', '.html', '.css', '.sql', '.sh']);
+    // Default extensions to index; RAG_EXTENSIONS (comma-separated) or the index request's `extensions` replace them
+    this.supportedExtensions = new Set(process.env.RAG_EXTENSIONS
+      ? process.env.RAG_EXTENSIONS.split(',').filter(e => e.trim()).map(normalizeExtension)
+      : ['.js', '.ts', '.py', '.java', '.md', '.json', '.yaml', '.yml', '.html', '.css', '.sql', '.sh']);
     this.indexingQueue = [];
     this.indexing = false;
+    // Chunk size and overlap in characters; index requests can override them with chunkSize/chunkOverlap
+    this.chunkSize = Number(process.env.RAG_CHUNK_SIZE) || 1200;
+    this.chunkOverlap = process.env.RAG_CHUNK_OVERLAP !== undefined ? Number(process.env.RAG_CHUNK_OVERLAP) : 200;
+    // Secrets are redacted from file content before it is chunked, embedded or persisted; RAG_REDACT_SECRETS=0 turns this off
+    this.redactor = process.env.RAG_REDACT_SECRETS === '0' || process.env.RAG_REDACT_SECRETS === 'false' ? null : redactorFromEnv({ logger });
+    this.jobs = new Map();
+    this.maxJobRecords = 100;
+    // jobId -> Set of listeners for progress updates (see subscribeJob)
+    this._jobListeners = new Map();
+    this.jobProgressIntervalMs = 250;
+    this._embeddingBatch = []; // items being embedded right now
+    // Per-file record of what was indexed (see _doIndex), keyed by collection and file path
+    this.fileManifest = new Map();
   // Embedding batching/queue config (tunable via env)
   this.embeddingModel = process.env.COHERE_EMBEDDING_MODEL || 'small';
   this.maxEmbeddingBatch = Number(process.env.MAX_EMBEDDING_BATCH) || 24;
@@ -48,12 +86,42 @@ class RAGDocumentManager {
   if (this.persistEmbeddings) this._loadEmbeddings().catch((e) => this.logger.info({ e }, 'No persisted RAG embeddings loaded'));
   }
 
+  /**
+   * Queue indexing of `projectPath` into `options.collection` (default: `default`), so separate
+   * projects can be searched separately. File selection options (see _scanDirectory): `include`
+   * and `exclude` globs, `extensions`, `ignoreFiles` and `excludeDirs`.
+   * Throws a 400-style error for an invalid collection name or option.
+   */
   async indexCodebase(projectPath, options = {}) {
     if (!projectPath) throw new Error('projectPath required');
+    const invalid = (message, param) => Object.assign(new Error(message), { statusCode: 400, type: 'invalid_request_error', param });
+    if (options.collection !== undefined && !isValidCollectionName(options.collection)) {
+      throw invalid('collection must be 1-64 letters, digits, dots, dashes or underscores', 'collection');
+    }
+    for (const name of ['include', 'exclude', 'extensions', 'ignoreFiles', 'excludeDirs']) {
+      if (options[name] !== undefined && !isStringList(options[name])) throw invalid(`options.${name} must be an array of strings`, `options.${name}`);
+    }
     const absPath = path.resolve(projectPath);
     // enqueue job and return job id
     const jobId = crypto.randomBytes(8).toString('hex');
     this.indexingQueue.push({ jobId, absPath, options });
+    this.jobs.set(jobId, {
+      jobId,
+      status: 'queued',
+      projectPath: absPath,
+      collection: options.collection || DEFAULT_COLLECTION,
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+      progress: { filesTotal: null, filesScanned: 0, chunksCreated: 0, redactions: 0, redactionsByType: {}, errorCount: 0, errors: [] },
+      result: null,
+      error: null,
+    });
+    // Keep the most recent job records only
+    for (const id of this.jobs.keys()) {
+      if (this.jobs.size <= this.maxJobRecords) break;
+      if (FINISHED_JOB_STATUSES.includes(this.jobs.get(id).status)) this.jobs.delete(id);
+    }
     this._processQueue();
     return { jobId, status: 'queued' };
   }
@@ -62,49 +130,247 @@ class RAGDocumentManager {
     if (this.indexing) return;
     this.indexing = true;
     while (this.indexingQueue.length > 0) {
-      const job = this.indexingQueue.shift();
+      const { jobId, absPath, options } = this.indexingQueue.shift();
+      const job = this.jobs.get(jobId);
+      Object.assign(job, { status: 'running', startedAt: Date.now() });
+      this._notifyJob(job, true);
       try {
-        await this._doIndex(job.absPath, job.options);
-        this.logger.info({ jobId: job.jobId }, 'Index job completed');
+        const result = await this._doIndex(absPath, options, job);
+        Object.assign(job, { status: job.status === 'cancelling' ? 'cancelled' : 'completed', result, finishedAt: Date.now() });
+        this.logger.info({ jobId, status: job.status, ...result }, 'Index job finished');
       } catch (err) {
-        this.logger.error({ err, jobId: job.jobId }, 'Index job failed');
+        Object.assign(job, { status: 'failed', error: err.message, finishedAt: Date.now() });
+        this.logger.error({ err, jobId }, 'Index job failed');
       }
+      this._notifyJob(job, true);
     }
     this.indexing = false;
   }
 
-  async _doIndex(absPath, options = {}) {
-    const files = await this._scanDirectory(absPath, options.excludeDirs || ['node_modules', '.git', 'dist', 'build']);
+  /**
+   * An indexing job: `{ jobId, status, projectPath, collection, createdAt, startedAt, finishedAt,
+   * progress: { filesTotal, filesScanned, chunksCreated, redactions, redactionsByType, embeddingsPending, errorCount, errors }, result, error }`.
+   * Status is queued, running, cancelling, then completed, failed or cancelled.
+   */
+  getJob(jobId) {
+    const job = this.jobs.get(jobId);
+    return job && this._jobSnapshot(job);
+  }
+
+  /** Jobs, newest first. */
+  listJobs() {
+    return Array.from(this.jobs.values()).reverse().map(job => this._jobSnapshot(job));
+  }
+
+  // Finished scanning and every chunk it queued has been embedded
+  isJobDone(snapshot) {
+    return FINISHED_JOB_STATUSES.includes(snapshot.status) && snapshot.progress.embeddingsPending === 0;
+  }
+
+  /**
+   * Stop a job. A queued job is cancelled right away; a running one stops after the file it is on
+   * (files indexed so far stay indexed, and nothing is purged). Finished jobs are returned unchanged.
+   * @returns {object|undefined} the job
+   */
+  cancelJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) return undefined;
+    if (job.status === 'queued') {
+      this.indexingQueue = this.indexingQueue.filter(j => j.jobId !== jobId);
+      Object.assign(job, { status: 'cancelled', finishedAt: Date.now() });
+      this._notifyJob(job, true);
+    } else if (job.status === 'running') {
+      job.status = 'cancelling';
+      this._notifyJob(job, true);
+    }
+    return this._jobSnapshot(job);
+  }
+
+  /**
+   * Call `listener(job)` on progress of job `jobId` (at most every jobProgressIntervalMs, plus on
+   * status changes and as its embeddings finish). Returns an unsubscribe function, or null for unknown jobs.
+   */
+  subscribeJob(jobId, listener) {
+    if (!this.jobs.has(jobId)) return null;
+    if (!this._jobListeners.has(jobId)) this._jobListeners.set(jobId, new Set());
+    this._jobListeners.get(jobId).add(listener);
+    return () => {
+      const listeners = this._jobListeners.get(jobId);
+      listeners?.delete(listener);
+      if (listeners?.size === 0) this._jobListeners.delete(jobId);
+    };
+  }
+
+  _jobSnapshot(job) {
+    let embeddingsPending = 0;
+    for (const item of this.embeddingQueue) if (item.jobId === job.jobId) embeddingsPending++;
+    for (const item of this._embeddingBatch) if (item.jobId === job.jobId) embeddingsPending++;
+    const { _notifiedAt, ...fields } = job;
+    return { ...fields, progress: { ...job.progress, redactionsByType: { ...job.progress.redactionsByType }, errors: [...job.progress.errors], embeddingsPending } };
+  }
+
+  _notifyJob(job, force = false) {
+    const listeners = this._jobListeners.get(job.jobId);
+    if (!listeners || listeners.size === 0) return;
+    const now = Date.now();
+    if (!force && now - (job._notifiedAt || 0) < this.jobProgressIntervalMs) return;
+    job._notifiedAt = now;
+    const snapshot = this._jobSnapshot(job);
+    for (const listener of listeners) {
+      try { listener(snapshot); } catch (err) { this.logger.warn({ err, jobId: job.jobId }, 'Job listener failed'); }
+    }
+  }
+
+  _manifestKey(collection, filePath) {
+    return `${collection}:${filePath}`;
+  }
+
+  // Drop chunks from the index, their embeddings and any embedding still queued for them.
+  _removeChunks(ids) {
+    if (ids.size === 0) return;
+    for (const id of ids) {
+      this.documents.delete(id);
+      this.embeddingCache.delete(id);
+    }
+    for (const set of this.documentIndex.values()) for (const id of ids) set.delete(id);
+    this.embeddingQueue = this.embeddingQueue.filter(item => !ids.has(item.key));
+    this.metrics.embeddingQueueLength = this.embeddingQueue.length;
+  }
+
+  /**
+   * Index `absPath` incrementally against the file manifest (mtime, size, content hash and chunk ids
+   * per file): unchanged files are skipped, changed ones re-chunked (only new chunks are embedded),
+   * and chunks of files that are gone or no longer indexable are removed. Progress goes to `job`, if given.
+   * @returns {{ indexed: number, added: number, updated: number, removed: number, unchanged: number }}
+   */
+  async _doIndex(absPath, options = {}, job) {
+    const progress = job?.progress || { errors: [] };
+    const files = await this._scanDirectory(absPath, options);
+    progress.filesTotal = files.length;
+    const extensions = options.extensions ? new Set(options.extensions.map(normalizeExtension)) : this.supportedExtensions;
+    const collection = options.collection || DEFAULT_COLLECTION;
+    const chunkSize = Math.max(100, Number(options.chunkSize) || this.chunkSize);
+    const chunkOverlap = Math.min(Math.max(0, Number(options.chunkOverlap ?? this.chunkOverlap) || 0), Math.floor(chunkSize / 2));
+    // Files chunked with other settings count as changed
+    const chunking = `${CHUNKER_VERSION}:${chunkSize}:${chunkOverlap}:${this.redactor?.signature || 'raw'}`;
+    const counts = { added: 0, updated: 0, removed: 0, unchanged: 0, skipped: 0 };
+    const underProject = (fp) => fp === absPath || fp.startsWith(absPath + path.sep);
+    // Chunks indexed before the manifest existed are replaced the first time their file is seen
+    const tracked = new Set();
+    for (const entry of this.fileManifest.values()) for (const id of entry.chunkIds) tracked.add(id);
+    const untracked = new Map();
+    for (const [id, doc] of this.documents) {
+      const fp = doc.metadata?.filePath;
+      if (tracked.has(id) || collectionOf(doc) !== collection || !fp || !underProject(fp)) continue;
+      if (!untracked.has(fp)) untracked.set(fp, new Set());
+      untracked.get(fp).add(id);
+    }
+    const seen = new Set();
+    let cancelled = false;
     for (const fp of files) {
+      if (job?.status === 'cancelling') {
+        cancelled = true;
+        break;
+      }
+      progress.filesScanned = (progress.filesScanned || 0) + 1;
+      if (job) this._notifyJob(job);
+      const key = this._manifestKey(collection, fp);
+      const previous = this.fileManifest.get(key);
       try {
         const stat = await fs.stat(fp);
         if (!stat.isFile()) continue;
-        if (stat.size > (options.maxFileSize || 500 * 1024)) continue;
         const ext = path.extname(fp).toLowerCase();
-        if (!this.supportedExtensions.has(ext)) continue;
-        const content = await fs.readFile(fp, 'utf8');
-        const chunks = this._splitIntoChunks(content, 1200);
-        for (const c of chunks) {
-          const id = crypto.createHash('md5').update(fp + c).digest('hex');
-          const metadata = { filePath: fp, language: ext.replace('.', ''), category: this._categorizeFile(fp) };
+        if (stat.size > (options.maxFileSize || 500 * 1024) || !extensions.has(ext)) {
+          counts.skipped += 1;
+          continue;
+        }
+        if (previous && previous.chunking === chunking && previous.mtimeMs === stat.mtimeMs && previous.size === stat.size) {
+          seen.add(key);
+          counts.unchanged += 1;
+          continue;
+        }
+        const buffer = await fs.readFile(fp);
+        if (isBinaryContent(buffer)) {
+          counts.skipped += 1;
+          continue;
+        }
+        seen.add(key);
+        let content = buffer.toString('utf8');
+        const hash = crypto.createHash('sha256').update(content).digest('hex');
+        if (previous && previous.chunking === chunking && previous.hash === hash) {
+          Object.assign(previous, { mtimeMs: stat.mtimeMs, size: stat.size });
+          counts.unchanged += 1;
+          continue;
+        }
+        // Redact the whole file rather than each chunk, so a secret split across chunks is still found
+        if (this.redactor) {
+          const redacted = this.redactor.redact(content);
+          content = redacted.text;
+          if (redacted.count > 0) this._countRedactions(progress, redacted.byType);
+        }
+        const chunkIds = new Set();
+        const chunker = chunkerFor(fp);
+        for (const chunk of chunkText(content, { chunker, size: chunkSize, overlap: chunkOverlap })) {
+          const c = chunk.content;
+          // Default-collection ids are unchanged, so persisted embeddings still match them
+          const id = crypto.createHash('md5').update((collection === DEFAULT_COLLECTION ? '' : `${collection}:`) + fp + c).digest('hex');
+          chunkIds.add(id);
+          const metadata = { filePath: fp, language: ext.replace('.', ''), category: this._categorizeFile(fp), collection, projectPath: absPath, chunker, startLine: chunk.startLine, endLine: chunk.endLine, symbol: chunk.symbol };
           this.documents.set(id, { content: c, metadata });
           this._indexByCategory(metadata.category, id);
-          // enqueue chunk for batched embedding; don't await here
-          this.enqueueEmbedding(id, c);
+          // enqueue chunk for batched embedding unless an identical chunk already has one; don't await here
+          if (!this.embeddingCache.get(id)) this.enqueueEmbedding(id, c, job?.jobId);
         }
+        progress.chunksCreated = (progress.chunksCreated || 0) + chunkIds.size;
+        const stale = new Set([...(previous?.chunkIds || []), ...(untracked.get(fp) || [])].filter(id => !chunkIds.has(id)));
+        this._removeChunks(stale);
+        this.fileManifest.set(key, { filePath: fp, collection, projectPath: absPath, mtimeMs: stat.mtimeMs, size: stat.size, hash, chunking, chunkIds: Array.from(chunkIds) });
+        counts[previous || untracked.has(fp) ? 'updated' : 'added'] += 1;
+        untracked.delete(fp);
       } catch (err) {
+        // Keep what was indexed before; a transient read error shouldn't remove the file
+        if (previous) seen.add(key);
+        untracked.delete(fp);
+        progress.errorCount = (progress.errorCount || 0) + 1;
+        if (progress.errors.length < MAX_JOB_ERRORS) progress.errors.push({ file: fp, message: err.message });
         this.logger.warn({ err, file: fp }, 'Skipping file');
       }
     }
+    // A cancelled scan hasn't seen every file, so nothing can be purged
+    if (cancelled) {
+      untracked.clear();
+      seen.clear();
+    }
+    for (const [key, entry] of this.fileManifest) {
+      if (cancelled) break;
+      if (entry.collection !== collection || !underProject(entry.filePath) || seen.has(key)) continue;
+      this._removeChunks(new Set(entry.chunkIds));
+      this.fileManifest.delete(key);
+      untracked.delete(entry.filePath);
+      counts.removed += 1;
+    }
+    for (const [fp, ids] of untracked) {
+      this._removeChunks(ids);
+      if (!seen.has(this._manifestKey(collection, fp))) counts.removed += 1;
+    }
   // persist index after indexing job completes
   try { await this._saveIndex(); } catch (e) { this.logger.warn({ e }, 'Failed to save index after _doIndex'); }
-  return { indexed: files.length };
+  return { indexed: files.length, ...counts };
+  }
+
+  // Add one file's redactions, by detector type, to a job's progress
+  _countRedactions(progress, byType) {
+    progress.redactionsByType = progress.redactionsByType || {};
+    for (const [type, n] of Object.entries(byType)) {
+      progress.redactions = (progress.redactions || 0) + n;
+      progress.redactionsByType[type] = (progress.redactionsByType[type] || 0) + n;
+    }
   }
 
-  // Enqueue a single text to be embedded by the background worker
-  enqueueEmbedding(key, text) {
+  // Enqueue a single text to be embedded by the background worker (`jobId`: the index job it belongs to)
+  enqueueEmbedding(key, text, jobId) {
     try {
-  this.embeddingQueue.push({ key, text });
+  this.embeddingQueue.push(jobId ? { key, text, jobId } : { key, text });
   this.metrics.embeddingQueueLength = this.embeddingQueue.length;
       if (!this.embeddingWorkerRunning) {
         // start worker but don't await - it will run asynchronously
@@ -120,6 +386,7 @@ class RAGDocumentManager {
     this.embeddingWorkerRunning = true;
     while (this.embeddingQueue.length > 0) {
       const batch = this.embeddingQueue.splice(0, this.maxEmbeddingBatch);
+      this._embeddingBatch = batch;
       this.metrics.embeddingQueueLength = this.embeddingQueue.length;
       const texts = batch.map(b => b.text);
       try {
@@ -153,8 +420,15 @@ class RAGDocumentManager {
         this.metrics.embeddingFailures += 1;
         // simple requeue with delay to avoid tight failure loops
         this.embeddingQueue.unshift(...batch);
+        this._embeddingBatch = [];
         await new Promise(r => setTimeout(r, 1000));
       }
+      this._embeddingBatch = [];
+      // Index jobs report their pending embeddings going down
+      for (const jobId of new Set(batch.map(b => b.jobId).filter(Boolean))) {
+        const job = this.jobs.get(jobId);
+        if (job) this._notifyJob(job, FINISHED_JOB_STATUSES.includes(job.status));
+      }
       // polite throttle between batches
       await new Promise(r => setTimeout(r, this.embeddingWorkerDelayMs));
     }
@@ -189,6 +463,7 @@ class RAGDocumentManager {
       const snapshot = {
         documents: Array.from(this.documents.entries()),
         documentIndex: Array.from(this.documentIndex.entries()).map(([k, s]) => [k, Array.from(s)]),
+        files: Array.from(this.fileManifest.entries()),
       };
       await fs.writeFile(this.persistPath, JSON.stringify(snapshot), 'utf8');
     } catch (e) {
@@ -202,6 +477,7 @@ class RAGDocumentManager {
       const snap = JSON.parse(raw);
       if (snap?.documents) this.documents = new Map(snap.documents);
       if (snap?.documentIndex) this.documentIndex = new Map(snap.documentIndex.map(([k, arr]) => [k, new Set(arr)]));
+      if (snap?.files) this.fileManifest = new Map(snap.files);
     } catch (e) {
       // no persisted index is acceptable
     }
@@ -395,6 +671,10 @@ class RAGDocumentManager {
     }
   }
 
+  /**
+   * Documents relevant to `query`, most relevant first, as `{ id, content, metadata, score, matchType }`.
+   * `options.collections` limits the search to those collections (all of them when omitted).
+   */
   async retrieveRelevantDocuments(query, options = {}) {
     // Try semantic search first using embedding similarity
     if (!query) return [];
@@ -402,7 +682,7 @@ class RAGDocumentManager {
     let results = [];
     if (useSemantic && this.documents.size > 0) {
       try {
-        results = await this.semanticSearch(query, { maxResults: options.maxResults || 5, minSimilarity: options.minSimilarity || 0.3 });
+        results = await this.semanticSearch(query, { maxResults: options.maxResults || 5, minSimilarity: options.minSimilarity || 0.3, collections: options.collections });
       } catch (err) {
         this.logger.warn({ err }, 'Semantic search failed, falling back to keyword');
       }
@@ -410,30 +690,36 @@ class RAGDocumentManager {
     if (results.length === 0) {
       results = this._keywordSearch(query, options);
     }
-    return results.slice(0, options.maxResults || 5);
+    return results.slice(0, options.maxResults || 5).map(r => ({ id: r.id, ...r.document, score: r.score, matchType: r.matchType }));
+  }
+
+  _inCollections(doc, collections) {
+    return !Array.isArray(collections) || collections.includes(collectionOf(doc));
   }
 
-  async semanticSearch(query, { maxResults = 10, minSimilarity = 0.3 } = {}) {
+  async semanticSearch(query, { maxResults = 10, minSimilarity = 0.3, collections } = {}) {
     const queryEmbedding = await this.getEmbedding(query);
     if (!queryEmbedding) throw new Error('Failed to get query embedding');
     const scores = [];
     for (const [id, doc] of this.documents) {
+      if (!this._inCollections(doc, collections)) continue;
       const cached = this.embeddingCache.get(id);
       if (!cached) continue;
       const score = this._cosineSimilarity(queryEmbedding, cached);
       if (score >= minSimilarity) scores.push({ id, score, document: doc });
     }
-    return scores.sort((a, b) => b.score - a.score).slice(0, maxResults).map(s => ({ document: s.document, score: s.score, matchType: 'semantic' }));
+    return scores.sort((a, b) => b.score - a.score).slice(0, maxResults).map(s => ({ id: s.id, document: s.document, score: s.score, matchType: 'semantic' }));
   }
 
   _keywordSearch(query, options = {}) {
     const terms = query.toLowerCase().split(/\s+/).filter(t => t.length > 2);
     const results = [];
     for (const [id, doc] of this.documents) {
+      if (!this._inCollections(doc, options.collections)) continue;
       let score = 0;
       const text = (doc.content + ' ' + JSON.stringify(doc.metadata)).toLowerCase();
       for (const t of terms) if (text.includes(t)) score += 1;
-      if (score > 0) results.push({ document: doc, score, matchType: 'keyword' });
+      if (score > 0) results.push({ id, document: doc, score, matchType: 'keyword' });
     }
     return results.sort((a, b) => b.score - a.score).slice(0, options.maxResults || 10);
   }
@@ -454,28 +740,43 @@ class RAGDocumentManager {
     }
   }
 
-  _scanDirectory(dir, excludeDirs = []) {
+  /**
+   * Files under `dir` that may be indexed. Skips `excludeDirs` names, whatever the `ignoreFiles`
+   * (.gitignore, .ignore and .ragignore by default) in each directory exclude, paths matching an
+   * `exclude` glob and, when `include` globs are given, files matching none of them. Globs are
+   * gitignore-style and relative to `dir`. Symlinks are followed, but never into a directory already walked.
+   */
+  async _scanDirectory(dir, { excludeDirs = ['node_modules', '.git', 'dist', 'build'], ignoreFiles = DEFAULT_IGNORE_FILES, include = [], exclude = [] } = {}) {
     const results = [];
-    const walk = async (d) => {
+    const visited = new Set();
+    const includeRules = include.map(p => compileRule(p)).filter(Boolean);
+    const excludeRules = exclude.map(p => compileRule(p)).filter(Boolean);
+    const walk = async (d, rel, rules) => {
+      let real;
+      try { real = await fs.realpath(d); } catch (e) { return; }
+      // A symlink back to an ancestor (or any directory seen before) would loop forever
+      if (visited.has(real)) return;
+      visited.add(real);
       let items;
       try { items = await fs.readdir(d); } catch (e) { return; }
+      for (const name of ignoreFiles) {
+        if (!items.includes(name)) continue;
+        try { rules = [...rules, ...parseIgnoreRules(await fs.readFile(path.join(d, name), 'utf8'), rel)]; } catch (e) { /* unreadable ignore file */ }
+      }
       for (const it of items) {
         const full = path.join(d, it);
+        const relPath = rel ? `${rel}/${it}` : it;
         if (excludeDirs.includes(it)) continue;
         let st;
         try { st = await fs.stat(full); } catch (e) { continue; }
-        if (st.isDirectory()) await walk(full);
-        else results.push(full);
+        const isDir = st.isDirectory();
+        if (matchesRules(rules, relPath, isDir) || matchesRules(excludeRules, relPath, isDir)) continue;
+        if (isDir) await walk(full, relPath, rules);
+        else if (includeRules.length === 0 || matchesRules(includeRules, relPath)) results.push(full);
       }
     };
-    return (async () => { await walk(dir); return results; })();
-  }
-
-  _splitIntoChunks(text, size = 1000) {
-    if (!text) return [];
-    const out = [];
-    for (let i = 0; i < text.length; i += size) out.push(text.slice(i, i + size));
-    return out;
+    await walk(path.resolve(dir), '', []);
+    return results;
   }
 
   _categorizeFile(filePath) {
@@ -494,16 +795,57 @@ class RAGDocumentManager {
     return dot / (Math.sqrt(na) * Math.sqrt(nb) || 1);
   }
 
+  /** Indexed collections with their chunk and file counts, by name. */
+  listCollections() {
+    const collections = new Map();
+    for (const doc of this.documents.values()) {
+      const name = collectionOf(doc);
+      if (!collections.has(name)) collections.set(name, { name, documents: 0, files: new Set() });
+      const entry = collections.get(name);
+      entry.documents += 1;
+      if (doc.metadata?.filePath) entry.files.add(doc.metadata.filePath);
+    }
+    return Array.from(collections.values(), c => ({ ...c, files: c.files.size })).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Documents a pin refers to, in index order: one chunk by `id`, or every chunk of `filePath`
+   * (absolute, or relative to the indexed project) within `collection` (any collection when omitted).
+   */
+  resolvePin({ id, filePath, collection } = {}) {
+    if (id) {
+      const doc = this.documents.get(id);
+      return doc ? [{ id, ...doc }] : [];
+    }
+    if (!filePath) return [];
+    const docs = [];
+    for (const [docId, doc] of this.documents) {
+      const m = doc.metadata || {};
+      if (collection && collectionOf(doc) !== collection) continue;
+      const relative = m.projectPath && m.filePath ? path.relative(m.projectPath, m.filePath) : undefined;
+      if (m.filePath === filePath || (relative && relative === path.normalize(filePath))) docs.push({ id: docId, ...doc });
+    }
+    return docs;
+  }
+
   getStats() {
     return {
       docs: this.documents.size,
+      collections: this.listCollections().map(c => c.name),
       embeddingCache: this.embeddingCache.map?.size ?? undefined,
       metrics: this.metrics,
       persistEmbeddings: this.persistEmbeddings || false,
     };
   }
 
-  clearIndex() { this.documents.clear(); this.documentIndex.clear(); this.embeddingCache.clear(); }
+  // Clear the whole index, or only the documents of one collection.
+  clearIndex(collection) {
+    if (!collection) { this.documents.clear(); this.documentIndex.clear(); this.embeddingCache.clear(); this.fileManifest.clear(); return; }
+    const ids = new Set();
+    for (const [id, doc] of this.documents) if (collectionOf(doc) === collection) ids.add(id);
+    this._removeChunks(ids);
+    for (const [key, entry] of this.fileManifest) if (entry.collection === collection) this.fileManifest.delete(key);
+  }
 
   async shutdown() { 
     try { await this._saveIndex(); } catch (e) { this.logger.warn({ e }, 'Failed to save index on shutdown'); }
@@ -0,0 +1,53 @@
+// Minimal interface for a conversation session store. Sessions are plain objects
+// ({ messages, ragContext, created, lastAccessed, ... }); keys starting with `_` are transient
+// and never persisted. ConversationManager mutates sessions in place and calls `save` afterwards.
+export class SessionStore {
+  // session object or undefined; persistent stores load it on first access
+  get(sessionId) { throw new Error('NotImplemented'); }
+  set(sessionId, session) { throw new Error('NotImplemented'); }
+  // persist a session after it was changed in place
+  save(sessionId) { throw new Error('NotImplemented'); }
+  has(sessionId) { return typeof this.get(sessionId) !== 'undefined'; }
+  delete(sessionId) { throw new Error('NotImplemented'); }
+  // ids of every stored session
+  ids() { throw new Error('NotImplemented'); }
+  // sessions currently held in memory
+  values() { throw new Error('NotImplemented'); }
+  // sessionSummary of every stored session; persistent stores answer from an index without loading sessions
+  *summaries() {
+    for (const id of Array.from(this.ids())) {
+      const session = this.get(id);
+      if (session) yield sessionSummary(id, session);
+    }
+  }
+  // session object without caching it, for one-off reads such as search. With `containing`
+  // (lower case), stores may skip sessions whose stored text cannot contain it.
+  peek(sessionId, { containing } = {}) { return this.get(sessionId); }
+  get size() { return Array.from(this.ids()).length; }
+  // { sessions, messages } counted over every stored session; called by health checks, so it should be cheap
+  stats() {
+    let messages = 0;
+    for (const session of this.values()) messages += session.messages?.length || 0;
+    return { sessions: this.size, messages };
+  }
+  // delete sessions last accessed before `cutoff` (ms timestamp); returns the deleted ids
+  expire(cutoff) { throw new Error('NotImplemented'); }
+  flush() {}
+}
+
+// Session fields worth persisting (transient `_`-prefixed bookkeeping is dropped).
+export function serializeSession(session) {
+  return JSON.stringify(session, (key, value) => (key.startsWith('_') ? undefined : value));
+}
+
+// What listing and filtering need to know about a session, without its messages.
+export function sessionSummary(id, session) {
+  const messages = session.messages || [];
+  return {
+    id,
+    created: session.created,
+    lastAccessed: session.lastAccessed,
+    messageCount: messages.length,
+    hasFeedback: messages.some(m => m.type === 'feedback'),
+  };
+}
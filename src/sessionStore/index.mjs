@@ -0,0 +1,24 @@
+import { MemorySessionStore } from './memoryStore.mjs';
+import { JsonFileSessionStore } from './jsonFileStore.mjs';
+
+export { SessionStore } from './adapter.mjs';
+export { MemorySessionStore, JsonFileSessionStore };
+
+/**
+ * Build the session store selected by `type` (SESSION_STORE): `memory` (default) or `file`.
+ * @param {object} opts
+ * @param {string} [opts.type='memory']
+ * @param {string} [opts.dir] - directory for the `file` store
+ * @param {number} [opts.maxSessions=1000] - in-memory session (or cache) limit
+ */
+export function createSessionStore({ type = 'memory', dir, maxSessions = 1000, logger } = {}) {
+  switch (type) {
+    case 'memory':
+      return new MemorySessionStore({ maxSessions });
+    case 'file':
+    case 'json':
+      return new JsonFileSessionStore({ dir, cacheSize: maxSessions, logger });
+    default:
+      throw new Error(`Unknown session store type: ${type}`);
+  }
+}
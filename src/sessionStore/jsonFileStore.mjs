@@ -0,0 +1,231 @@
+import fs from 'fs';
+import path from 'path';
+import { SessionStore, serializeSession, sessionSummary } from './adapter.mjs';
+
+const SUFFIX = '.json';
+// Summaries of the stored sessions (see sessionSummary), keyed by session id
+const INDEX_FILE = '.index';
+
+/**
+ * One JSON file per session under `dir`. Nothing is read at startup: a session's history is
+ * loaded from disk the first time it is accessed and kept in a bounded in-memory cache.
+ * Changes are written shortly after `save` (atomically, via a temp file) and on `flush`.
+ * A summary of every session, including its last access, is kept in an index file, so listing,
+ * counting and expiring sessions don't read (or rewrite) the session files.
+ */
+export class JsonFileSessionStore extends SessionStore {
+  constructor({ dir, cacheSize = 1000, writeDelayMs = 200, logger } = {}) {
+    super();
+    if (!dir) throw new Error('JsonFileSessionStore requires a directory');
+    this.dir = dir;
+    this.cacheSize = cacheSize;
+    this.writeDelayMs = writeDelayMs;
+    this.logger = logger;
+    this.cache = new Map(); // insertion order doubles as access order
+    this.dirty = new Set();
+    // Loaded on first use, then kept current by writes, evictions and deletes
+    this._index = null;
+    this._indexDirty = false;
+    this._writeTimer = null;
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  _file(sessionId) {
+    return path.join(this.dir, Buffer.from(String(sessionId)).toString('base64url') + SUFFIX);
+  }
+
+  _cache(sessionId, session) {
+    this.cache.delete(sessionId);
+    this.cache.set(sessionId, session);
+    while (this.cache.size > this.cacheSize) {
+      const [oldest] = this.cache.keys();
+      const evicted = this.cache.get(oldest);
+      this.cache.delete(oldest);
+      if (this.dirty.delete(oldest)) this._write(oldest, evicted);
+      else this._touch(oldest, evicted);
+    }
+  }
+
+  // Record a newer lastAccessed in the index so TTL expiry sees it
+  _touch(sessionId, session) {
+    const summary = this._summaries().get(sessionId);
+    if (!summary || summary.lastAccessed === session.lastAccessed) return;
+    summary.lastAccessed = session.lastAccessed;
+    this._indexDirty = true;
+    this._scheduleFlush();
+  }
+
+  _read(sessionId) {
+    try {
+      return fs.readFileSync(this._file(sessionId), 'utf8');
+    } catch (err) {
+      if (err.code !== 'ENOENT') this.logger?.warn({ err: err.message }, 'Failed to read stored session');
+      return undefined;
+    }
+  }
+
+  _parse(raw) {
+    try {
+      return JSON.parse(raw);
+    } catch (err) {
+      this.logger?.warn({ err: err.message }, 'Ignoring corrupt stored session');
+      return undefined;
+    }
+  }
+
+  get(sessionId) {
+    if (this.cache.has(sessionId)) {
+      const session = this.cache.get(sessionId);
+      this._cache(sessionId, session);
+      return session;
+    }
+    const raw = this._read(sessionId);
+    const session = raw === undefined ? undefined : this._parse(raw);
+    if (session) this._cache(sessionId, session);
+    return session;
+  }
+
+  peek(sessionId, { containing } = {}) {
+    if (this.cache.has(sessionId)) return this.cache.get(sessionId);
+    const raw = this._read(sessionId);
+    if (raw === undefined) return undefined;
+    // Text is stored JSON-escaped, so look for the escaped form
+    if (containing && !raw.toLowerCase().includes(JSON.stringify(containing).slice(1, -1))) return undefined;
+    return this._parse(raw);
+  }
+
+  set(sessionId, session) {
+    this._cache(sessionId, session);
+    this.save(sessionId);
+    return this;
+  }
+
+  save(sessionId) {
+    if (!this.cache.has(sessionId)) return;
+    this.dirty.add(sessionId);
+    this._scheduleFlush();
+  }
+
+  _scheduleFlush() {
+    if (this._writeTimer) return;
+    this._writeTimer = setTimeout(() => {
+      this._writeTimer = null;
+      this.flush();
+    }, this.writeDelayMs);
+    if (typeof this._writeTimer.unref === 'function') this._writeTimer.unref();
+  }
+
+  _write(sessionId, session) {
+    const file = this._file(sessionId);
+    try {
+      fs.writeFileSync(`${file}.tmp`, serializeSession(session));
+      fs.renameSync(`${file}.tmp`, file);
+      this._summaries().set(sessionId, sessionSummary(sessionId, session));
+      this._indexDirty = true;
+    } catch (err) {
+      this.logger?.error({ err: err.message }, 'Failed to persist session');
+    }
+  }
+
+  flush() {
+    if (this._writeTimer) { clearTimeout(this._writeTimer); this._writeTimer = null; }
+    for (const sessionId of this.dirty) {
+      const session = this.cache.get(sessionId);
+      if (session) this._write(sessionId, session);
+    }
+    this.dirty.clear();
+    for (const [sessionId, session] of this.cache) this._touch(sessionId, session);
+    if (this._indexDirty) this._writeIndex();
+  }
+
+  // The index file is a cache of what the session files hold; sessions it misses are summarised from their files
+  _summaries() {
+    if (this._index) return this._index;
+    let saved = {};
+    try {
+      saved = JSON.parse(fs.readFileSync(path.join(this.dir, INDEX_FILE), 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') this.logger?.warn({ err: err.message }, 'Rebuilding the session index');
+    }
+    this._index = new Map();
+    for (const id of this._storedIds()) {
+      if (saved[id]) { this._index.set(id, { ...saved[id], id }); continue; }
+      const raw = this._read(id);
+      const session = raw === undefined ? undefined : this._parse(raw);
+      if (!session) continue;
+      this._index.set(id, sessionSummary(id, session));
+      this._indexDirty = true;
+    }
+    return this._index;
+  }
+
+  _writeIndex() {
+    const file = path.join(this.dir, INDEX_FILE);
+    try {
+      fs.writeFileSync(`${file}.tmp`, JSON.stringify(Object.fromEntries(this._index)));
+      fs.renameSync(`${file}.tmp`, file);
+      this._indexDirty = false;
+    } catch (err) {
+      this.logger?.error({ err: err.message }, 'Failed to persist the session index');
+    }
+  }
+
+  has(sessionId) {
+    return this.cache.has(sessionId) || fs.existsSync(this._file(sessionId));
+  }
+
+  delete(sessionId) {
+    const existed = this.has(sessionId);
+    this.cache.delete(sessionId);
+    this.dirty.delete(sessionId);
+    if (this._index?.delete(sessionId)) {
+      this._indexDirty = true;
+      this._scheduleFlush();
+    }
+    try { fs.rmSync(this._file(sessionId), { force: true }); } catch (e) { /* already gone */ }
+    return existed;
+  }
+
+  _storedIds() {
+    let files = [];
+    try { files = fs.readdirSync(this.dir); } catch (e) { return []; }
+    return files.filter(f => f.endsWith(SUFFIX)).map(f => Buffer.from(f.slice(0, -SUFFIX.length), 'base64url').toString());
+  }
+
+  *ids() {
+    const seen = new Set(this.cache.keys());
+    yield* seen;
+    for (const id of this._storedIds()) if (!seen.has(id)) yield id;
+  }
+
+  values() { return this.cache.values(); }
+
+  // Cached sessions as they are in memory, the others as last written
+  *summaries() {
+    for (const [id, session] of this.cache) yield sessionSummary(id, session);
+    for (const [id, summary] of this._summaries()) if (!this.cache.has(id)) yield summary;
+  }
+
+  get size() {
+    let size = this._summaries().size;
+    for (const id of this.cache.keys()) if (!this._index.has(id)) size++;
+    return size;
+  }
+
+  stats() {
+    let sessions = 0;
+    let messages = 0;
+    for (const summary of this.summaries()) {
+      sessions++;
+      messages += summary.messageCount;
+    }
+    return { sessions, messages };
+  }
+
+  expire(cutoff) {
+    const expired = [];
+    for (const { id, lastAccessed } of this.summaries()) if ((lastAccessed || 0) < cutoff) expired.push(id);
+    for (const id of expired) this.delete(id);
+    return expired;
+  }
+}
@@ -0,0 +1,37 @@
+import { SessionStore } from './adapter.mjs';
+
+// Process-local store; evicts the least recently accessed session past `maxSessions`.
+export class MemorySessionStore extends SessionStore {
+  constructor({ maxSessions = 1000 } = {}) {
+    super();
+    this.maxSessions = maxSessions;
+    this.sessions = new Map();
+  }
+
+  get(sessionId) { return this.sessions.get(sessionId); }
+
+  set(sessionId, session) {
+    this.sessions.set(sessionId, session);
+    if (this.sessions.size > this.maxSessions) {
+      const oldest = Array.from(this.sessions.entries()).sort((a, b) => a[1].lastAccessed - b[1].lastAccessed)[0][0];
+      this.sessions.delete(oldest);
+    }
+    return this;
+  }
+
+  save() {}
+  has(sessionId) { return this.sessions.has(sessionId); }
+  delete(sessionId) { return this.sessions.delete(sessionId); }
+  ids() { return this.sessions.keys(); }
+  values() { return this.sessions.values(); }
+  get size() { return this.sessions.size; }
+
+  expire(cutoff) {
+    const expired = [];
+    for (const [id, session] of this.sessions) {
+      if ((session.lastAccessed || 0) < cutoff) expired.push(id);
+    }
+    for (const id of expired) this.sessions.delete(id);
+    return expired;
+  }
+}
@@ -0,0 +1,116 @@
+import crypto from 'crypto';
+import fs from 'fs';
+
+// Scopes a key can hold; `admin` implies all of them.
+export const API_KEY_SCOPES = ['chat', 'embed', 'rag:write', 'admin'];
+
+const sha256 = (value) => crypto.createHash('sha256').update(String(value)).digest();
+
+/** Short, non-reversible identifier for a key, safe to log. */
+export function keyFingerprint(key) {
+  return sha256(key).toString('hex').slice(0, 12);
+}
+
+/**
+ * API keys with per-key scopes, loaded from a JSON file and reloaded when the file changes:
+ *
+ *   { "keys": [ { "name": "ci", "key": "sk-...", "scopes": ["chat", "embed"], "requestsPerMinute": 120, "tokensPerDay": 500000 },
+ *               { "name": "ops", "sha256": "<hex digest of the key>", "scopes": ["admin"], "preambleTemplate": "reviewer" } ] }
+ *
+ * `adminKey` (ADMIN_API_KEY) is accepted as an extra key with the admin scope.
+ * With no keys configured at all, the store is disabled and authentication is skipped.
+ */
+class ApiKeyStore {
+  constructor({ filePath, adminKey, logger, reloadIntervalMs = 1000 } = {}) {
+    this.filePath = filePath || null;
+    this.logger = logger;
+    this.reloadIntervalMs = reloadIntervalMs;
+    this.entries = [];
+    this._mtimeMs = null;
+    this._checkedAt = 0;
+    this._adminEntry = adminKey ? { name: 'admin', digest: sha256(adminKey), scopes: ['admin'], fingerprint: keyFingerprint(adminKey) } : null;
+    if (this.filePath) this.reload();
+  }
+
+  get enabled() {
+    return !!this._adminEntry || this.entries.length > 0 || !!this.filePath;
+  }
+
+  // Re-read the key file; a missing or malformed file keeps the previously loaded keys.
+  reload() {
+    if (!this.filePath) return;
+    let stat;
+    try {
+      stat = fs.statSync(this.filePath);
+    } catch (err) {
+      if (this._mtimeMs !== null) this.logger?.warn({ file: this.filePath }, 'API key file disappeared, keeping loaded keys');
+      return;
+    }
+    this._mtimeMs = stat.mtimeMs;
+    try {
+      const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.entries = this._parseEntries(parsed?.keys);
+      this.logger?.info({ file: this.filePath, keys: this.entries.length }, 'Loaded API keys');
+    } catch (err) {
+      this.logger?.error({ file: this.filePath, err: err.message }, 'Failed to load API key file, keeping loaded keys');
+    }
+  }
+
+  _parseEntries(keys) {
+    if (!Array.isArray(keys)) throw new Error('API key file must contain a "keys" array');
+    const entries = [];
+    for (const [i, k] of keys.entries()) {
+      const name = typeof k?.name === 'string' && k.name ? k.name : `key-${i}`;
+      const scopes = Array.isArray(k?.scopes) ? k.scopes.filter(s => API_KEY_SCOPES.includes(s)) : [];
+      let digest;
+      if (typeof k?.key === 'string' && k.key) digest = sha256(k.key);
+      else if (typeof k?.sha256 === 'string' && /^[0-9a-f]{64}$/i.test(k.sha256)) digest = Buffer.from(k.sha256, 'hex');
+      if (!digest || scopes.length === 0) {
+        this.logger?.warn({ name }, 'Skipping API key entry without a key or valid scopes');
+        continue;
+      }
+      const entry = { name, digest, scopes, fingerprint: digest.toString('hex').slice(0, 12) };
+      // Optional per-key budgets, overriding the server-wide rate limits
+      const limits = {};
+      if (Number.isFinite(k.requestsPerMinute) && k.requestsPerMinute >= 0) limits.requestsPerMinute = k.requestsPerMinute;
+      if (Number.isFinite(k.tokensPerDay) && k.tokensPerDay >= 0) limits.tokensPerDay = k.tokensPerDay;
+      if (Object.keys(limits).length > 0) entry.limits = limits;
+      if (typeof k.preambleTemplate === 'string' && k.preambleTemplate) entry.preambleTemplate = k.preambleTemplate;
+      entries.push(entry);
+    }
+    return entries;
+  }
+
+  _reloadIfChanged() {
+    if (!this.filePath) return;
+    const now = Date.now();
+    if (now - this._checkedAt < this.reloadIntervalMs) return;
+    this._checkedAt = now;
+    let mtimeMs;
+    try { mtimeMs = fs.statSync(this.filePath).mtimeMs; } catch (e) { return; }
+    if (mtimeMs !== this._mtimeMs) this.reload();
+  }
+
+  /**
+   * Find the key record for a presented key. Every entry is compared in constant time,
+   * so timing does not reveal which (or whether any) key matched.
+   * @returns {{ name: string, scopes: string[], fingerprint: string, limits?: object, preambleTemplate?: string }|null}
+   */
+  lookup(key) {
+    if (typeof key !== 'string' || key.length === 0) return null;
+    this._reloadIfChanged();
+    const digest = sha256(key);
+    let match = null;
+    for (const entry of [...this.entries, ...(this._adminEntry ? [this._adminEntry] : [])]) {
+      if (crypto.timingSafeEqual(digest, entry.digest) && !match) match = entry;
+    }
+    if (!match) return null;
+    return { name: match.name, scopes: match.scopes.slice(), fingerprint: match.fingerprint, ...(match.limits ? { limits: { ...match.limits } } : {}), ...(match.preambleTemplate ? { preambleTemplate: match.preambleTemplate } : {}) };
+  }
+
+  static hasScope(record, scope) {
+    return !!record && (record.scopes.includes('admin') || record.scopes.includes(scope));
+  }
+}
+
+export default ApiKeyStore;
@@ -0,0 +1,216 @@
+import path from 'path';
+
+// Bump when chunk boundaries change, so the index manifest re-chunks files indexed with older rules
+export const CHUNKER_VERSION = 1;
+
+const CHUNKERS_BY_EXTENSION = {
+  '.js': 'javascript', '.mjs': 'javascript', '.cjs': 'javascript', '.jsx': 'javascript', '.ts': 'javascript', '.tsx': 'javascript',
+  '.py': 'python',
+  '.md': 'markdown', '.markdown': 'markdown',
+  '.json': 'json',
+  '.yaml': 'yaml', '.yml': 'yaml',
+};
+
+/** Name of the chunker used for `filePath`: javascript, python, markdown, json, yaml or text. */
+export function chunkerFor(filePath) {
+  return CHUNKERS_BY_EXTENSION[path.extname(filePath).toLowerCase()] || 'text';
+}
+
+// Move a boundary up over the comments and decorators directly above it, so they stay with the code they describe
+function withLeading(lines, index, floor, pattern) {
+  let start = index;
+  while (start > floor && pattern.test(lines[start - 1])) start--;
+  return start;
+}
+
+const JS_DECLARATION = /^(?:export\s+(?:default\s+)?)?(?:declare\s+)?(?:abstract\s+)?(?:async\s+)?(?:function\*?|class|interface|enum|type|const|let|var)\s+([A-Za-z_$][\w$]*)/;
+const JS_CLASS = /^(?:export\s+(?:default\s+)?)?(?:declare\s+)?(?:abstract\s+)?class\s+([A-Za-z_$][\w$]*)/;
+const JS_METHOD = /^\s+(?:(?:public|private|protected|static|readonly|override|async|get|set)\s+)*\*?\s*(#?[A-Za-z_$][\w$]*)\s*\([^)]*\)\s*(?::[^{]*)?\{\s*$/;
+const JS_NOT_METHODS = new Set(['if', 'for', 'while', 'switch', 'catch', 'function', 'return', 'with']);
+const JS_LEADING = /^\s*(?:\/\/|\/\*|\*|@)/;
+
+// Top-level declarations, plus methods of top-level classes (`Class.method`)
+function javascriptBoundaries(lines) {
+  const boundaries = [];
+  let currentClass = null;
+  let floor = 0;
+  lines.forEach((line, i) => {
+    const declaration = JS_DECLARATION.exec(line);
+    if (declaration) {
+      currentClass = JS_CLASS.test(line) ? declaration[1] : null;
+      boundaries.push({ line: withLeading(lines, i, floor, JS_LEADING), path: [declaration[1]] });
+      floor = i + 1;
+      return;
+    }
+    if (/^\S/.test(line) && !/^[}\])]/.test(line) && !JS_LEADING.test(line)) currentClass = null;
+    const method = currentClass && JS_METHOD.exec(line);
+    if (method && !JS_NOT_METHODS.has(method[1])) {
+      boundaries.push({ line: withLeading(lines, i, floor, JS_LEADING), path: [currentClass, method[1]] });
+      floor = i + 1;
+    }
+  });
+  return boundaries;
+}
+
+const PY_DEFINITION = /^(\s*)(?:async\s+)?(def|class)\s+([A-Za-z_]\w*)/;
+const PY_LEADING = /^\s*(?:#|@)/;
+
+// Functions and classes, and methods of classes; functions nested in functions stay with their parent
+function pythonBoundaries(lines) {
+  const boundaries = [];
+  const stack = [];
+  let floor = 0;
+  lines.forEach((line, i) => {
+    const match = PY_DEFINITION.exec(line);
+    if (!match) return;
+    const indent = match[1].length;
+    while (stack.length > 0 && stack[stack.length - 1].indent >= indent) stack.pop();
+    const path = [...stack.map(s => s.name), match[3]];
+    if (stack.every(s => s.kind === 'class')) {
+      boundaries.push({ line: withLeading(lines, i, floor, PY_LEADING), path });
+      floor = i + 1;
+    }
+    stack.push({ indent, kind: match[2], name: match[3] });
+  });
+  return boundaries;
+}
+
+// Headings outside fenced code blocks; the symbol is the heading path
+function markdownBoundaries(lines) {
+  const boundaries = [];
+  const headings = [];
+  let fence = null;
+  lines.forEach((line, i) => {
+    const fenceMatch = /^\s*(```|~~~)/.exec(line);
+    if (fenceMatch) {
+      if (!fence) fence = fenceMatch[1];
+      else if (fence === fenceMatch[1]) fence = null;
+      return;
+    }
+    const heading = !fence && /^(#{1,6})\s+(.+?)\s*#*\s*$/.exec(line);
+    if (!heading) return;
+    const level = heading[1].length;
+    while (headings.length > 0 && headings[headings.length - 1].level >= level) headings.pop();
+    headings.push({ level, title: heading[2] });
+    boundaries.push({ line: i, path: headings.map(h => h.title) });
+  });
+  return boundaries;
+}
+
+// Keys of the top-level object: lines starting at nesting depth 1 with `"key":`
+function jsonBoundaries(lines) {
+  const boundaries = [];
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  lines.forEach((line, i) => {
+    const key = depth === 1 && !inString && /^\s*"((?:[^"\\]|\\.)*)"\s*:/.exec(line);
+    if (key) boundaries.push({ line: i, path: [key[1]] });
+    for (const ch of line) {
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (ch === '\\') escaped = true;
+        else if (ch === '"') inString = false;
+      } else if (ch === '"') inString = true;
+      else if (ch === '{' || ch === '[') depth++;
+      else if (ch === '}' || ch === ']') depth--;
+    }
+  });
+  return boundaries;
+}
+
+const YAML_KEY = /^("[^"]*"|'[^']*'|[^\s#:\-'"][^:#]*?)\s*:(?:\s|$)/;
+
+// Top-level mapping keys (column 0), with the comments above them
+function yamlBoundaries(lines) {
+  const boundaries = [];
+  let floor = 0;
+  lines.forEach((line, i) => {
+    const key = YAML_KEY.exec(line);
+    if (!key) return;
+    boundaries.push({ line: withLeading(lines, i, floor, /^#/), path: [key[1].replace(/^["']|["']$/g, '')] });
+    floor = i + 1;
+  });
+  return boundaries;
+}
+
+const BOUNDARY_FINDERS = {
+  javascript: javascriptBoundaries,
+  python: pythonBoundaries,
+  markdown: markdownBoundaries,
+  json: jsonBoundaries,
+  yaml: yamlBoundaries,
+  text: () => [],
+};
+
+const SYMBOL_SEPARATORS = { markdown: ' > ' };
+
+function commonPath(a, b) {
+  let n = 0;
+  while (n < a.length && n < b.length && a[n] === b[n]) n++;
+  return a.slice(0, n);
+}
+
+/**
+ * Split a file into chunks along the boundaries of its type: functions and classes in JS/TS and
+ * Python, headings in Markdown, top-level keys in JSON and YAML. Sections are packed into chunks of
+ * up to `size` characters; a longer section is split between lines (or inside a very long line).
+ * Each chunk after the first repeats up to `overlap` characters of whole lines from before it.
+ * `symbol` is the innermost declaration (or heading) that encloses the whole chunk, if any.
+ * @returns {Array<{ content: string, startLine: number, endLine: number, symbol: string|null }>} 1-based, inclusive lines
+ */
+export function chunkText(text, { chunker = 'text', size = 1200, overlap = 0 } = {}) {
+  if (!text) return [];
+  const lines = text.split('\n');
+  const boundaries = (BOUNDARY_FINDERS[chunker] || BOUNDARY_FINDERS.text)(lines)
+    .filter((b, i, all) => i === 0 || b.line > all[i - 1].line);
+  const sections = [];
+  if (boundaries.length === 0 || boundaries[0].line > 0) sections.push({ start: 0, path: [] });
+  for (const b of boundaries) sections.push({ start: b.line, path: b.path });
+  sections.forEach((s, i) => { s.end = i + 1 < sections.length ? sections[i + 1].start : lines.length; });
+
+  // Pieces no longer than `size`: whole sections, runs of lines, or slices of one long line
+  const pieces = [];
+  for (const section of sections) {
+    let run = null;
+    const flush = () => { if (run) pieces.push(run); run = null; };
+    for (let i = section.start; i < section.end; i++) {
+      const line = lines[i];
+      if (line.length > size) {
+        flush();
+        for (let at = 0; at < line.length; at += size) pieces.push({ start: i, end: i + 1, text: line.slice(at, at + size), path: section.path, partial: at > 0 });
+        continue;
+      }
+      if (run && run.text.length + 1 + line.length > size) flush();
+      if (run) { run.text += `\n${line}`; run.end = i + 1; } else run = { start: i, end: i + 1, text: line, path: section.path };
+    }
+    flush();
+  }
+
+  // Pack neighbouring pieces together while they fit
+  const packed = [];
+  for (const piece of pieces) {
+    const last = packed[packed.length - 1];
+    if (last && !piece.partial && last.text.length + 1 + piece.text.length <= size) {
+      last.text += `\n${piece.text}`;
+      last.end = piece.end;
+      last.path = commonPath(last.path, piece.path);
+    } else packed.push({ ...piece });
+  }
+
+  const separator = SYMBOL_SEPARATORS[chunker] || '.';
+  return packed
+    .filter(p => p.text.trim())
+    .map((p, index) => {
+      let { start, text } = p;
+      if (index > 0 && overlap > 0 && !p.partial) {
+        let added = 0;
+        while (start > 0 && added + lines[start - 1].length + 1 <= overlap) {
+          added += lines[start - 1].length + 1;
+          start--;
+        }
+        if (start < p.start) text = `${lines.slice(start, p.start).join('\n')}\n${text}`;
+      }
+      return { content: text, startLine: start + 1, endLine: p.end, symbol: p.path.length > 0 ? p.path.join(separator) : null };
+    });
+}
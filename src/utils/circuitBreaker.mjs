@@ -32,7 +32,10 @@ export class SimpleCircuitBreaker {
   async exec(fn) {
     const now = Date.now();
     if (this.state === 'OPEN' && now < this.nextAttempt) {
-      throw new Error('CircuitOpen');
+      const err = new Error('CircuitOpen');
+      err.code = 'CIRCUIT_OPEN';
+      err.retryAfterMs = this.nextAttempt - now;
+      throw err;
     }
     try {
       const res = await fn();
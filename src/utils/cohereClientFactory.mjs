@@ -13,6 +13,8 @@ import LruTtlCache from './lruTtlCache.mjs';
 import promClient from 'prom-client';
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
+import { extractCohereUsage } from './usage.mjs';
 
 // Cohere request latency (seconds) and success/failure counters.
 // Labels: operation (e.g., chat), model (when available)
@@ -32,6 +34,54 @@ const cohereRequestFailure = new promClient.Counter({
   help: 'Cohere API failed requests',
   labelNames: ['operation', 'model']
 });
+// Tokens Cohere reported (billed units when available). Labels: operation, model, type (input|output|cached)
+const cohereTokens = new promClient.Counter({
+  name: 'cohere_tokens_total',
+  help: 'Tokens reported by the Cohere API',
+  labelNames: ['operation', 'model', 'type']
+});
+
+/**
+ * Record the token usage of a Cohere response in Prometheus.
+ * Called by the wrapped client for complete responses; streaming callers invoke it once the
+ * final stream event (which carries the usage) has been consumed.
+ * @param {object} params
+ * @param {string} [params.operation='chat']
+ * @param {string} [params.model]
+ * @param {object} params.response - response or final stream event carrying meta/usage
+ */
+export function recordCohereTokenUsage({ operation = 'chat', model, response } = {}) {
+  const usage = extractCohereUsage(response);
+  if (!usage) return;
+  const labels = { operation: String(operation), model: String(model || getCohereModel()) };
+  try {
+    if (usage.inputTokens) cohereTokens.inc({ ...labels, type: 'input' }, usage.inputTokens);
+    if (usage.outputTokens) cohereTokens.inc({ ...labels, type: 'output' }, usage.outputTokens);
+    if (usage.cachedTokens) cohereTokens.inc({ ...labels, type: 'cached' }, usage.cachedTokens);
+  } catch (e) { /* ignore metric errors */ }
+}
+
+// Cohere sampling fields that change the generated text and therefore the cache identity.
+const SAMPLING_KEYS = ['stop_sequences', 'p', 'k', 'frequency_penalty', 'presence_penalty', 'seed'];
+
+/**
+ * Build the response-cache key for a chat payload.
+ * Besides model/message/temperature/max_tokens, the key digests the turn context (history, preamble,
+ * tools, tool results, v2 messages, response format) and the remaining sampling parameters, so tool follow-ups,
+ * image turns and seeded runs never share a response with a different request.
+ * `variant` separates otherwise identical calls that must not share a response (e.g. n > 1 choices).
+ */
+function chatCacheKey(p, variant) {
+  const model = p.model || getCohereModel();
+  const message = typeof p.message === 'string' ? p.message : JSON.stringify(p.message || '');
+  const temperature = (typeof p.temperature !== 'undefined') ? String(p.temperature) : '';
+  const maxTokens = (typeof p.max_tokens !== 'undefined') ? String(p.max_tokens) : '';
+  const context = ['chat_history', 'preamble', 'tools', 'tool_choice', 'tool_results', 'messages', 'response_format', ...SAMPLING_KEYS].map((k) => p[k]);
+  const contextDigest = context.some((v) => typeof v !== 'undefined')
+    ? crypto.createHash('sha1').update(JSON.stringify(context)).digest('hex')
+    : '';
+  return `cohere:chat:${model}|${message}|t=${temperature}|m=${maxTokens}|c=${contextDigest}${typeof variant !== 'undefined' ? `|v=${variant}` : ''}`;
+}
 
 /**
  * Create a Cohere client, trying common agent option names for SDK compatibility.
@@ -130,7 +180,7 @@ export async function createCohereClient({ token, agentOptions = defaultHttpsAge
   });
 
   // Response-level cache for chat responses (TTL 2 minutes).
-  // Cache key is based on model, message, temperature, and max_tokens.
+  // Cache key is based on model, message, temperature, max_tokens and the turn context (see chatCacheKey).
   const responseCache = new LruTtlCache({ ttlMs: 2 * 60 * 1000, maxSize: 1000 });
  
   // Feature flag: whether the underlying Cohere V2 client supports streaming.
@@ -148,9 +198,11 @@ export async function createCohereClient({ token, agentOptions = defaultHttpsAge
         const lastArg = args[args.length - 1];
         let callOptions = defaultRetryOptions();
         let overrideProvided = false;
-        if (lastArg && typeof lastArg === 'object' && (lastArg.maxAttempts || lastArg.baseDelayMs || lastArg.perAttemptTimeoutMs)) {
-          // shallow pick known retry props and remove from args for actual SDK call
+        let cacheVariant;
+        if (lastArg && typeof lastArg === 'object' && (lastArg.maxAttempts || lastArg.baseDelayMs || lastArg.perAttemptTimeoutMs || typeof lastArg.cacheVariant !== 'undefined')) {
+          // shallow pick known retry/cache props and remove from args for actual SDK call
           const { maxAttempts, baseDelayMs, perAttemptTimeoutMs, maxDelayMs, jitter } = lastArg;
+          cacheVariant = lastArg.cacheVariant;
           callOptions = {
             ...callOptions,
             ...(typeof maxAttempts === 'number' ? { maxAttempts } : {}),
@@ -175,8 +227,8 @@ export async function createCohereClient({ token, agentOptions = defaultHttpsAge
             if (prop === 'chat' && sdkArgs[0] && typeof sdkArgs[0] === 'object') {
               try {
                 const p = sdkArgs[0];
-                // Ensure we do not mutate caller objects
-                const callPayload = { ...p, ...(COHERE_V2_STREAMING_SUPPORTED ? { stream: true } : {}) };
+                // Ensure we do not mutate caller objects; an explicit per-request `stream` wins over the env default
+                const callPayload = { ...(COHERE_V2_STREAMING_SUPPORTED ? { stream: true } : {}), ...p };
                 callArgsForAttempt = [callPayload, ...sdkArgs.slice(1)];
               } catch (e) {
                 // fallback to original args if anything goes wrong
@@ -200,6 +252,8 @@ export async function createCohereClient({ token, agentOptions = defaultHttpsAge
               try {
                 const res = await circuit.exec(() => retry(() => value.apply(ctx || rawClient, callArgsForAttempt), callOptions));
                 try { cohereRequestSuccess.inc(labels); } catch (e) { /* ignore metric errors */ }
+                // Streams report usage in their final event, which the consumer records
+                if (res && typeof res[Symbol.asyncIterator] !== 'function' && typeof res.on !== 'function') recordCohereTokenUsage({ ...labels, response: res });
                 return res;
               } catch (err) {
                 try { cohereRequestFailure.inc(labels); } catch (e) { /* ignore metric errors */ }
@@ -209,16 +263,11 @@ export async function createCohereClient({ token, agentOptions = defaultHttpsAge
               }
             };
  
-            // If this looks like a chat call, attempt response-level caching.
-            if (prop === 'chat' && sdkArgs[0] && typeof sdkArgs[0] === 'object') {
+            // If this looks like a (non-streaming) chat call, attempt response-level caching.
+            // Streams are single-use, so they are never cached.
+            if (prop === 'chat' && sdkArgs[0] && typeof sdkArgs[0] === 'object' && !callArgsForAttempt[0]?.stream) {
               try {
-                const p = sdkArgs[0];
-                const model = p.model || getCohereModel();
-                const message = typeof p.message === 'string' ? p.message : JSON.stringify(p.message || '');
-                const temperature = (typeof p.temperature !== 'undefined') ? String(p.temperature) : '';
-                const maxTokens = (typeof p.max_tokens !== 'undefined') ? String(p.max_tokens) : '';
-                const cacheKey = `cohere:chat:${model}|${message}|t=${temperature}|m=${maxTokens}`;
-                return responseCache.getOrSetAsync(cacheKey, makeCall);
+                return responseCache.getOrSetAsync(chatCacheKey(sdkArgs[0], cacheVariant), makeCall);
               } catch (e) {
                 // If cache key construction fails for any reason, fall back to making the call.
                 return makeCall();
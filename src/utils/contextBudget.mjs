@@ -0,0 +1,123 @@
+// Fit a conversation into a model's context window before it is sent to Cohere.
+// What gets sacrificed, in order: oldest history turns, the summary of earlier turns,
+// then the least relevant RAG documents. The current turn is never trimmed.
+
+// Rough per-image cost; Cohere does not expose image token counts before the call.
+const IMAGE_TOKEN_ESTIMATE = 1000;
+// Role markers and separators the chat template adds around each turn.
+const TURN_OVERHEAD_TOKENS = 4;
+
+function contextLengthExceeded(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  err.type = 'invalid_request_error';
+  err.code = 'context_length_exceeded';
+  err.param = 'messages';
+  return err;
+}
+
+const isUserTurn = (turn) => turn?.role === 'USER' || turn?.role === 'user';
+
+function turnTokens(turn, countTokens) {
+  let tokens = TURN_OVERHEAD_TOKENS;
+  const content = turn.message ?? turn.content;
+  if (typeof content === 'string') tokens += countTokens(content);
+  else if (Array.isArray(content)) {
+    for (const part of content) tokens += part?.type === 'image_url' ? IMAGE_TOKEN_ESTIMATE : countTokens(part?.text || '');
+  }
+  if (turn.tool_calls) tokens += countTokens(JSON.stringify(turn.tool_calls));
+  if (turn.tool_results) tokens += countTokens(JSON.stringify(turn.tool_results));
+  return tokens;
+}
+
+/**
+ * Trim `conversationData` (as built by ConversationManager) to fit the context limit and clamp max_tokens.
+ *
+ * @param {object} conversationData - { preamble, chatHistory, message, toolResults?, messages? }
+ * @param {object} opts
+ * @param {number} opts.limit - total token limit (prompt + completion)
+ * @param {(text: string) => number} opts.countTokens
+ * @param {number} [opts.safetyBuffer=0] - tokens kept free for tokenizer mismatch
+ * @param {number} [opts.minCompletionTokens=1] - the prompt is trimmed until at least this many completion tokens fit
+ * @param {number} [opts.maxCompletionTokens] - upper bound for max_tokens
+ * @param {number} [opts.requestedMaxTokens] - max_tokens asked for by the client
+ * @param {Array<object>} [opts.ragDocuments=[]] - retrieved documents, most relevant first
+ * @param {string} [opts.summary] - summary of turns dropped earlier
+ * @param {(ragDocuments: Array<object>, summary?: string) => string|undefined} [opts.buildPreamble] - rebuilds the preamble; defaults to the given one
+ * @returns {{ conversationData: object, maxTokens: number, promptTokens: number, droppedTurns: Array<object>, droppedDocuments: number, summaryDropped: boolean }}
+ * @throws 400-style `context_length_exceeded` error when even the current turn does not fit
+ */
+export function fitToContextWindow(conversationData, {
+  limit,
+  countTokens,
+  safetyBuffer = 0,
+  minCompletionTokens = 1,
+  maxCompletionTokens = Infinity,
+  requestedMaxTokens,
+  ragDocuments = [],
+  summary,
+  buildPreamble = () => conversationData.preamble,
+} = {}) {
+  const v2 = Array.isArray(conversationData.messages);
+  const turns = v2 ? conversationData.messages : (conversationData.chatHistory || []);
+  // The current turn must stay intact: for v2 and tool-result turns it starts at the last user entry.
+  let tailStart = turns.length;
+  if (v2 || conversationData.toolResults?.length) {
+    tailStart = Math.max(0, turns.length - 1);
+    while (tailStart > 0 && !isUserTurn(turns[tailStart])) tailStart--;
+  }
+  const tail = turns.slice(tailStart);
+  let history = turns.slice(0, tailStart);
+
+  const fixedTokens = tail.reduce((sum, t) => sum + turnTokens(t, countTokens), 0)
+    + (v2 ? 0 : countTokens(conversationData.message || '') + (conversationData.toolResults?.length ? countTokens(JSON.stringify(conversationData.toolResults)) : 0));
+  const promptBudget = limit - safetyBuffer - minCompletionTokens;
+
+  let docs = ragDocuments.slice();
+  let keptSummary = summary;
+  let preamble;
+  let preambleTokens = 0;
+  const setPreamble = () => {
+    preamble = buildPreamble(docs, keptSummary);
+    preambleTokens = preamble ? countTokens(preamble) : 0;
+  };
+  setPreamble();
+  const historyCosts = history.map((t) => turnTokens(t, countTokens));
+  let historyTokens = historyCosts.reduce((sum, n) => sum + n, 0);
+  const total = () => fixedTokens + preambleTokens + historyTokens;
+
+  const droppedTurns = [];
+  while (total() > promptBudget && history.length > 0) {
+    // Drop whole exchanges: never leave history starting on an assistant or tool turn.
+    do {
+      droppedTurns.push(history.shift());
+      historyTokens -= historyCosts.shift();
+    } while (history.length > 0 && !isUserTurn(history[0]));
+  }
+  let summaryDropped = false;
+  if (total() > promptBudget && keptSummary) {
+    keptSummary = undefined;
+    summaryDropped = true;
+    setPreamble();
+  }
+  let droppedDocuments = 0;
+  while (total() > promptBudget && docs.length > 0) {
+    docs = docs.slice(0, -1);
+    droppedDocuments++;
+    setPreamble();
+  }
+
+  const promptTokens = total();
+  if (promptTokens > promptBudget) {
+    throw contextLengthExceeded(`This model's maximum context length is ${limit} tokens, but the current message needs about ${promptTokens + safetyBuffer + minCompletionTokens} tokens (including ${minCompletionTokens} for the completion). Please shorten the message.`);
+  }
+
+  const available = limit - safetyBuffer - promptTokens;
+  // `available` is at least minCompletionTokens here; a smaller explicit request is honoured as-is
+  const maxTokens = Math.min(requestedMaxTokens || maxCompletionTokens, maxCompletionTokens, available);
+
+  const fitted = { ...conversationData, preamble };
+  if (v2) fitted.messages = [...history, ...tail];
+  else fitted.chatHistory = [...history, ...tail];
+  return { conversationData: fitted, maxTokens, promptTokens, droppedTurns, droppedDocuments, summaryDropped };
+}
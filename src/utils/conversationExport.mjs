@@ -0,0 +1,51 @@
+// Export formats for a stored conversation: JSON, Markdown and OpenAI fine-tuning JSONL.
+
+export const EXPORT_FORMATS = {
+  json: { contentType: 'application/json', extension: 'json' },
+  markdown: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  jsonl: { contentType: 'application/jsonl', extension: 'jsonl' },
+};
+
+const isFeedback = (m) => m.role === 'system' && m.type === 'feedback';
+const text = (content) => (typeof content === 'string' ? content : JSON.stringify(content ?? ''));
+
+/** Full session as JSON, feedback included. */
+export function toJSONExport(sessionId, session) {
+  return {
+    id: sessionId,
+    object: 'conversation',
+    created_at: Math.floor((session.created || 0) / 1000),
+    last_accessed_at: Math.floor((session.lastAccessed || 0) / 1000),
+    messages: session.messages,
+  };
+}
+
+/** Human-readable transcript; feedback is shown as quoted notes. */
+export function toMarkdownExport(sessionId, session) {
+  const lines = [`# Conversation ${sessionId}`, '', `Created: ${new Date(session.created || 0).toISOString()}`, ''];
+  for (const m of session.messages) {
+    if (isFeedback(m)) {
+      lines.push(`> **Feedback (${m.feedbackType || 'note'})**: ${text(m.content).replace(/^User feedback \([^)]*\): /, '')}`, '');
+      continue;
+    }
+    lines.push(`## ${m.role}${m.timestamp ? ` (${new Date(m.timestamp).toISOString()})` : ''}`, '');
+    if (m.content) lines.push(text(m.content), '');
+    for (const call of m.toolCalls || []) lines.push(`Tool call \`${call.function?.name}\`: \`${call.function?.arguments}\``, '');
+    for (const url of m.images || []) lines.push(`![image](${url.startsWith('data:') ? 'inline image' : url})`, '');
+  }
+  return lines.join('\n');
+}
+
+/**
+ * One OpenAI fine-tuning example (`{"messages": [...]}` on a single line).
+ * Feedback notes are left out: they describe the conversation rather than being part of it.
+ */
+export function toFineTuningJSONL(session) {
+  const messages = session.messages.filter(m => !isFeedback(m)).map((m) => {
+    if (m.role === 'tool') return { role: 'tool', tool_call_id: m.toolCallId, content: text(m.content) };
+    const entry = { role: m.role, content: m.content === null || typeof m.content === 'undefined' ? null : text(m.content) };
+    if (m.role === 'assistant' && m.toolCalls?.length) entry.tool_calls = m.toolCalls;
+    return entry;
+  });
+  return `${JSON.stringify({ messages })}\n`;
+}
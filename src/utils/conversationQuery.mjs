@@ -0,0 +1,74 @@
+// Query-string parsing for the conversation listing, search and feedback endpoints.
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+function invalidParam(param, message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  err.type = 'invalid_request_error';
+  err.param = param;
+  return err;
+}
+
+// Unix seconds (OpenAI's convention) or an ISO 8601 date, as a ms timestamp
+function parseTime(value, param) {
+  if (typeof value === 'undefined' || value === '') return undefined;
+  const ms = /^\d+(\.\d+)?$/.test(value) ? Number(value) * 1000 : Date.parse(value);
+  if (!Number.isFinite(ms)) throw invalidParam(param, `${param} must be a unix timestamp in seconds or an ISO 8601 date`);
+  return ms;
+}
+
+function parseCount(value, param) {
+  if (typeof value === 'undefined' || value === '') return undefined;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) throw invalidParam(param, `${param} must be a non-negative integer`);
+  return n;
+}
+
+/**
+ * Parse `limit` (1-100, default 20).
+ * @returns {number}
+ */
+export function parseLimit(value) {
+  if (typeof value === 'undefined' || value === '') return DEFAULT_LIMIT;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1 || n > MAX_LIMIT) throw invalidParam('limit', `limit must be an integer between 1 and ${MAX_LIMIT}`);
+  return n;
+}
+
+/**
+ * Filters for GET /v1/conversations. Throws a 400-style error naming the bad parameter.
+ * @returns {{ createdAfter?: number, createdBefore?: number, lastAccessedAfter?: number, lastAccessedBefore?: number, minMessages?: number, maxMessages?: number, hasFeedback?: boolean }}
+ */
+export function parseConversationFilters(query = {}) {
+  const filters = {
+    createdAfter: parseTime(query.created_after, 'created_after'),
+    createdBefore: parseTime(query.created_before, 'created_before'),
+    lastAccessedAfter: parseTime(query.last_accessed_after, 'last_accessed_after'),
+    lastAccessedBefore: parseTime(query.last_accessed_before, 'last_accessed_before'),
+    minMessages: parseCount(query.min_messages, 'min_messages'),
+    maxMessages: parseCount(query.max_messages, 'max_messages'),
+  };
+  if (typeof query.has_feedback !== 'undefined' && query.has_feedback !== '') {
+    if (!['true', 'false'].includes(String(query.has_feedback))) throw invalidParam('has_feedback', 'has_feedback must be true or false');
+    filters.hasFeedback = String(query.has_feedback) === 'true';
+  }
+  return filters;
+}
+
+/**
+ * Filters for GET /v1/feedback and its export.
+ * @returns {{ createdAfter?: number, createdBefore?: number, model?: string, type?: string, rating?: 'up'|'down' }}
+ */
+export function parseFeedbackFilters(query = {}) {
+  const filters = {
+    createdAfter: parseTime(query.created_after, 'created_after'),
+    createdBefore: parseTime(query.created_before, 'created_before'),
+  };
+  for (const param of ['model', 'type', 'rating']) {
+    if (typeof query[param] === 'string' && query[param]) filters[param] = query[param];
+  }
+  if (filters.rating && !['up', 'down'].includes(filters.rating)) throw invalidParam('rating', 'rating must be up or down');
+  return filters;
+}
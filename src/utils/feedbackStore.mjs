@@ -0,0 +1,122 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+export const FEEDBACK_RATINGS = ['up', 'down'];
+
+/**
+ * Structured feedback records, kept in memory and appended to a JSONL file (one record per line)
+ * so they outlive the sessions they came from. Each record snapshots what was rated:
+ *
+ *   { id, sessionId, messageId, type, text, rating: 'up'|'down'|null, created,
+ *     model, preambleTemplate, ragDocuments, prompt: [{ role, content }], response }
+ */
+class FeedbackStore {
+  constructor({ filePath, logger } = {}) {
+    this.filePath = filePath || null;
+    this.logger = logger;
+    this.records = [];
+    this._load();
+  }
+
+  _load() {
+    if (!this.filePath) return;
+    let raw;
+    try {
+      raw = fs.readFileSync(this.filePath, 'utf8');
+    } catch (err) {
+      if (err.code !== 'ENOENT') this.logger?.warn({ file: this.filePath, err: err.message }, 'Could not load feedback records');
+      return;
+    }
+    for (const line of raw.split('\n')) {
+      if (!line.trim()) continue;
+      try { this.records.push(JSON.parse(line)); } catch (e) { this.logger?.warn({ file: this.filePath }, 'Skipping corrupt feedback record'); }
+    }
+  }
+
+  add(fields) {
+    const record = { id: `fb_${crypto.randomBytes(8).toString('hex')}`, created: Date.now(), ...fields };
+    this.records.push(record);
+    if (this.filePath) {
+      try {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.appendFileSync(this.filePath, `${JSON.stringify(record)}\n`);
+      } catch (err) {
+        this.logger?.error({ file: this.filePath, err: err.message }, 'Failed to persist feedback record');
+      }
+    }
+    return record;
+  }
+
+  /** Records matching `filters` (see parseFeedbackFilters), oldest first. */
+  list({ createdAfter, createdBefore, model, type, rating } = {}) {
+    return this.records.filter(r => (
+      (typeof createdAfter !== 'number' || r.created >= createdAfter)
+      && (typeof createdBefore !== 'number' || r.created <= createdBefore)
+      && (!model || r.model === model)
+      && (!type || r.type === type)
+      && (!rating || r.rating === rating)
+    ));
+  }
+}
+
+function tally(records) {
+  const up = records.filter(r => r.rating === 'up').length;
+  const down = records.filter(r => r.rating === 'down').length;
+  return { total: records.length, up, down, approval_rate: up + down > 0 ? up / (up + down) : null };
+}
+
+function groupBy(records, key, field) {
+  const groups = new Map();
+  for (const r of records) {
+    const value = key(r);
+    if (!groups.has(value)) groups.set(value, []);
+    groups.get(value).push(r);
+  }
+  return Array.from(groups, ([value, group]) => ({ [field]: value, ...tally(group) })).sort((a, b) => b.total - a.total);
+}
+
+/**
+ * Totals plus breakdowns by model, preamble template and whether retrieved context was used.
+ */
+export function summarizeFeedback(records) {
+  return {
+    object: 'feedback.summary',
+    ...tally(records),
+    by_model: groupBy(records, r => r.model ?? null, 'model'),
+    by_preamble_template: groupBy(records, r => r.preambleTemplate ?? null, 'preamble_template'),
+    by_rag_hit: groupBy(records, r => (r.ragDocuments || 0) > 0, 'rag_hit'),
+    by_type: groupBy(records, r => r.type, 'type'),
+  };
+}
+
+/**
+ * Preference pairs for fine-tuning, in OpenAI's preference format (one JSON object per line):
+ * a reply rated up and a different reply rated down to the same prompt make one pair.
+ * Regenerated replies are the usual source, since the rewound version keeps its feedback.
+ */
+export function toPreferencePairs(records) {
+  const byPrompt = new Map();
+  for (const r of records) {
+    if (!FEEDBACK_RATINGS.includes(r.rating) || typeof r.response !== 'string' || !Array.isArray(r.prompt)) continue;
+    const key = JSON.stringify(r.prompt);
+    if (!byPrompt.has(key)) byPrompt.set(key, { prompt: r.prompt, up: new Set(), down: new Set() });
+    byPrompt.get(key)[r.rating].add(r.response);
+  }
+  const lines = [];
+  for (const { prompt, up, down } of byPrompt.values()) {
+    for (const chosen of up) {
+      for (const rejected of down) {
+        if (chosen === rejected) continue;
+        lines.push(JSON.stringify({
+          input: { messages: prompt },
+          preferred_output: [{ role: 'assistant', content: chosen }],
+          non_preferred_output: [{ role: 'assistant', content: rejected }],
+        }));
+      }
+    }
+  }
+  return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+}
+
+export default FeedbackStore;
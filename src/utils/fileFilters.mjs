@@ -0,0 +1,90 @@
+// File selection for RAG indexing: gitignore-style patterns and binary detection.
+
+// Ignore files honoured in every directory of an indexed project
+export const DEFAULT_IGNORE_FILES = ['.gitignore', '.ignore', '.ragignore'];
+
+const escapeRegExp = (c) => c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+
+// Glob to regex source: `*` and `?` stay within a path segment, `**` spans segments, `[...]` is a class
+function globSource(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === '*' && glob[i + 1] === '*' && (i === 0 || glob[i - 1] === '/')) {
+      if (glob[i + 2] === '/') { source += '(?:.*/)?'; i += 2; continue; }
+      if (i + 2 === glob.length) { source += '.*'; i += 1; continue; }
+    }
+    if (c === '*') {
+      source += '[^/]*';
+      while (glob[i + 1] === '*') i++;
+    } else if (c === '?') source += '[^/]';
+    else if (c === '[') {
+      const close = glob.indexOf(']', i + 2);
+      if (close < 0) { source += '\\['; continue; }
+      const body = glob.slice(i + 1, close).replace(/\\/g, '\\\\');
+      source += `[${body[0] === '!' ? `^${body.slice(1)}` : body}]`;
+      i = close;
+    } else if (c === '\\' && i + 1 < glob.length) source += escapeRegExp(glob[++i]);
+    else source += escapeRegExp(c);
+  }
+  return source;
+}
+
+/**
+ * Compile one gitignore-style pattern. A pattern with a slash (other than a trailing one) is
+ * anchored to `base`; one without matches a name at any depth. A trailing `/` matches directories
+ * only and a leading `!` re-includes. Returns null for blank lines and comments.
+ * @returns {{ regex: RegExp, negate: boolean, dirOnly: boolean, base: string }|null}
+ */
+export function compileRule(line, base = '') {
+  let pattern = String(line).replace(/(?<!\\)\s+$/, '');
+  if (!pattern || pattern.startsWith('#')) return null;
+  const negate = pattern.startsWith('!');
+  if (negate) pattern = pattern.slice(1);
+  else if (pattern.startsWith('\\!') || pattern.startsWith('\\#')) pattern = pattern.slice(1);
+  const dirOnly = pattern.endsWith('/');
+  pattern = pattern.replace(/\/+$/, '');
+  if (!pattern) return null;
+  const anchored = pattern.includes('/');
+  const source = globSource(pattern.replace(/^\//, ''));
+  return { regex: new RegExp(anchored ? `^${source}$` : `^(?:.*/)?${source}$`), negate, dirOnly, base };
+}
+
+/** Rules of an ignore file found in directory `base` (relative to the project root, `/`-separated). */
+export function parseIgnoreRules(content, base = '') {
+  return String(content).split(/\r?\n/).map(line => compileRule(line, base)).filter(Boolean);
+}
+
+/**
+ * Whether `relPath` (relative to the project root, `/`-separated) matches `rules`;
+ * as in gitignore, the last matching rule decides.
+ */
+export function matchesRules(rules, relPath, isDir = false) {
+  let matched = false;
+  for (const rule of rules) {
+    if (rule.dirOnly && !isDir) continue;
+    let candidate = relPath;
+    if (rule.base) {
+      if (!relPath.startsWith(`${rule.base}/`)) continue;
+      candidate = relPath.slice(rule.base.length + 1);
+    }
+    if (rule.regex.test(candidate)) matched = !rule.negate;
+  }
+  return matched;
+}
+
+/**
+ * Heuristic used by git and most editors: a NUL byte, or mostly control characters, in the first 8 KB.
+ * @param {Buffer} buffer
+ */
+export function isBinaryContent(buffer) {
+  const sample = buffer.subarray(0, 8000);
+  if (sample.length === 0) return false;
+  let control = 0;
+  for (const byte of sample) {
+    if (byte === 0) return true;
+    // Tab, newline, form feed and carriage return are text
+    if (byte < 32 && ![9, 10, 12, 13].includes(byte)) control++;
+  }
+  return control / sample.length > 0.3;
+}
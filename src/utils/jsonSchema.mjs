@@ -0,0 +1,117 @@
+// Minimal JSON Schema validator covering the subset used by OpenAI structured outputs:
+// type, enum/const, properties/required/additionalProperties, items, string/number/array bounds,
+// pattern, anyOf/oneOf/allOf/not and local $ref (#/$defs/..., #/definitions/...).
+// Unknown keywords are ignored, as the spec requires.
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'object': return typeOf(value) === 'object';
+    default: return typeOf(value) === type;
+  }
+}
+
+function deepEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function resolveRef(root, ref) {
+  if (typeof ref !== 'string' || !ref.startsWith('#')) return undefined;
+  return ref.slice(1).split('/').filter(Boolean)
+    .map((part) => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), root);
+}
+
+function validateNode(value, schema, path, root, errors, depth) {
+  if (schema === true || schema === undefined || schema === null) return;
+  if (schema === false) { errors.push(`${path}: no value is allowed here`); return; }
+  if (depth > 64) { errors.push(`${path}: schema nesting is too deep`); return; }
+
+  if (schema.$ref) {
+    const target = resolveRef(root, schema.$ref);
+    if (!target) { errors.push(`${path}: unresolvable $ref ${schema.$ref}`); return; }
+    validateNode(value, target, path, root, errors, depth + 1);
+  }
+
+  if (typeof schema.type !== 'undefined') {
+    const types = [].concat(schema.type);
+    if (!types.some((t) => matchesType(value, t))) {
+      errors.push(`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+      return;
+    }
+  }
+  if (Array.isArray(schema.enum) && !schema.enum.some((e) => deepEqual(e, value))) errors.push(`${path}: must be one of ${JSON.stringify(schema.enum)}`);
+  if (typeof schema.const !== 'undefined' && !deepEqual(schema.const, value)) errors.push(`${path}: must equal ${JSON.stringify(schema.const)}`);
+
+  if (typeof value === 'string') {
+    if (typeof schema.minLength === 'number' && value.length < schema.minLength) errors.push(`${path}: must be at least ${schema.minLength} characters`);
+    if (typeof schema.maxLength === 'number' && value.length > schema.maxLength) errors.push(`${path}: must be at most ${schema.maxLength} characters`);
+    if (typeof schema.pattern === 'string') {
+      try {
+        if (!new RegExp(schema.pattern, 'u').test(value)) errors.push(`${path}: must match pattern ${schema.pattern}`);
+      } catch (e) { /* invalid patterns are ignored rather than failing every value */ }
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (typeof schema.minimum === 'number' && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum}`);
+    if (typeof schema.maximum === 'number' && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum}`);
+    if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) errors.push(`${path}: must be > ${schema.exclusiveMinimum}`);
+    if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) errors.push(`${path}: must be < ${schema.exclusiveMaximum}`);
+    if (typeof schema.multipleOf === 'number' && schema.multipleOf > 0 && !Number.isInteger(value / schema.multipleOf)) errors.push(`${path}: must be a multiple of ${schema.multipleOf}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (typeof schema.minItems === 'number' && value.length < schema.minItems) errors.push(`${path}: must have at least ${schema.minItems} items`);
+    if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) errors.push(`${path}: must have at most ${schema.maxItems} items`);
+    if (schema.uniqueItems && new Set(value.map((v) => JSON.stringify(v))).size !== value.length) errors.push(`${path}: items must be unique`);
+    const prefix = Array.isArray(schema.prefixItems) ? schema.prefixItems : [];
+    value.forEach((item, i) => {
+      const itemSchema = i < prefix.length ? prefix[i] : schema.items;
+      validateNode(item, itemSchema, `${path}[${i}]`, root, errors, depth + 1);
+    });
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const key of Array.isArray(schema.required) ? schema.required : []) {
+      if (!Object.prototype.hasOwnProperty.call(value, key)) errors.push(`${path}: missing required property "${key}"`);
+    }
+    const keys = Object.keys(value);
+    if (typeof schema.minProperties === 'number' && keys.length < schema.minProperties) errors.push(`${path}: must have at least ${schema.minProperties} properties`);
+    if (typeof schema.maxProperties === 'number' && keys.length > schema.maxProperties) errors.push(`${path}: must have at most ${schema.maxProperties} properties`);
+    for (const key of keys) {
+      if (Object.prototype.hasOwnProperty.call(properties, key)) validateNode(value[key], properties[key], `${path}.${key}`, root, errors, depth + 1);
+      else if (schema.additionalProperties === false) errors.push(`${path}: unexpected property "${key}"`);
+      else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') validateNode(value[key], schema.additionalProperties, `${path}.${key}`, root, errors, depth + 1);
+    }
+  }
+
+  const branchErrors = (sub) => { const e = []; validateNode(value, sub, path, root, e, depth + 1); return e; };
+  if (Array.isArray(schema.allOf)) for (const sub of schema.allOf) validateNode(value, sub, path, root, errors, depth + 1);
+  if (Array.isArray(schema.anyOf) && !schema.anyOf.some((sub) => branchErrors(sub).length === 0)) errors.push(`${path}: must match at least one schema in anyOf`);
+  if (Array.isArray(schema.oneOf)) {
+    const matches = schema.oneOf.filter((sub) => branchErrors(sub).length === 0).length;
+    if (matches !== 1) errors.push(`${path}: must match exactly one schema in oneOf (matched ${matches})`);
+  }
+  if (schema.not && branchErrors(schema.not).length === 0) errors.push(`${path}: must not match the schema in not`);
+}
+
+/**
+ * Validate a parsed JSON value against a JSON Schema.
+ * @param {any} value - parsed JSON value
+ * @param {object|boolean} schema - JSON Schema (draft 2020-12 subset)
+ * @returns {string[]} human-readable errors, empty when the value is valid
+ */
+export function validateJsonSchema(value, schema) {
+  const errors = [];
+  validateNode(value, schema, '$', schema, errors, 0);
+  return errors;
+}
@@ -0,0 +1,143 @@
+import fs from 'fs';
+import path from 'path';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Start of the UTC day containing `ts`; token budgets reset at midnight UTC.
+const dayStart = (ts) => Math.floor(ts / DAY_MS) * DAY_MS;
+
+/**
+ * OpenAI-style reset duration: `20ms`, `1s`, `6m0s`, `2h3m4s`.
+ */
+export function formatResetDuration(ms) {
+  if (ms < 1000) return `${Math.max(0, Math.ceil(ms))}ms`;
+  const total = Math.ceil(ms / 1000);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  if (h) return `${h}h${m}m${s}s`;
+  if (m) return `${m}m${s}s`;
+  return `${s}s`;
+}
+
+/**
+ * Request-per-minute and token-per-day budgets per bucket (an API key fingerprint or a client IP).
+ * Token usage is written to `filePath` shortly after it changes and loaded on construction,
+ * so a restart does not hand out fresh daily budgets; minute windows simply restart.
+ * A limit of 0 disables that budget.
+ */
+class KeyRateLimiter {
+  constructor({ requestsPerMinute = 60, tokensPerDay = 0, filePath, logger, persistDebounceMs = 1000, now = Date.now } = {}) {
+    this.requestsPerMinute = requestsPerMinute;
+    this.tokensPerDay = tokensPerDay;
+    this.filePath = filePath || null;
+    this.logger = logger;
+    this.persistDebounceMs = persistDebounceMs;
+    this.now = now;
+    this.buckets = new Map();
+    this._prunedAt = now();
+    this._persistTimer = null;
+    this._load();
+  }
+
+  _load() {
+    if (!this.filePath) return;
+    try {
+      const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      for (const [id, b] of Object.entries(parsed?.buckets || {})) {
+        if (b && typeof b === 'object') this.buckets.set(id, { windowStart: 0, requests: 0, day: Number(b.day) || 0, tokens: Number(b.tokens) || 0 });
+      }
+    } catch (err) {
+      if (err.code !== 'ENOENT') this.logger?.warn({ file: this.filePath, err: err.message }, 'Could not load rate limit state, starting fresh');
+    }
+  }
+
+  _bucket(id) {
+    const now = this.now();
+    let b = this.buckets.get(id);
+    if (!b) {
+      b = { windowStart: now, requests: 0, day: dayStart(now), tokens: 0 };
+      this.buckets.set(id, b);
+    }
+    if (now - b.windowStart >= MINUTE_MS) { b.windowStart = now; b.requests = 0; }
+    if (dayStart(now) !== b.day) { b.day = dayStart(now); b.tokens = 0; }
+    return b;
+  }
+
+  _status(b, rpm, tpd, allowed, reason) {
+    const now = this.now();
+    return {
+      allowed,
+      reason,
+      limitRequests: rpm,
+      remainingRequests: rpm ? Math.max(0, rpm - b.requests) : undefined,
+      resetRequestsMs: b.windowStart + MINUTE_MS - now,
+      limitTokens: tpd,
+      remainingTokens: tpd ? Math.max(0, tpd - b.tokens) : undefined,
+      resetTokensMs: b.day + DAY_MS - now,
+    };
+  }
+
+  /**
+   * Count a request against bucket `id` unless a budget is exhausted.
+   * `limits` overrides the default budgets (e.g. per-key limits from the key store).
+   * @returns {{ allowed: boolean, reason?: 'requests'|'tokens', limitRequests: number, remainingRequests?: number, resetRequestsMs: number, limitTokens: number, remainingTokens?: number, resetTokensMs: number }}
+   */
+  consume(id, { requestsPerMinute = this.requestsPerMinute, tokensPerDay = this.tokensPerDay } = {}) {
+    if (this.now() - this._prunedAt >= MINUTE_MS) this._prune();
+    const b = this._bucket(id);
+    if (tokensPerDay && b.tokens >= tokensPerDay) return this._status(b, requestsPerMinute, tokensPerDay, false, 'tokens');
+    if (requestsPerMinute && b.requests >= requestsPerMinute) return this._status(b, requestsPerMinute, tokensPerDay, false, 'requests');
+    b.requests++;
+    return this._status(b, requestsPerMinute, tokensPerDay, true);
+  }
+
+  /** Charge tokens used by a completed request to bucket `id`. */
+  recordTokens(id, tokens) {
+    if (!id || !(tokens > 0)) return;
+    this._bucket(id).tokens += tokens;
+    this._schedulePersist();
+  }
+
+  _schedulePersist() {
+    if (!this.filePath || this._persistTimer) return;
+    this._persistTimer = setTimeout(() => {
+      this._persistTimer = null;
+      this.flush();
+    }, this.persistDebounceMs);
+    if (typeof this._persistTimer.unref === 'function') this._persistTimer.unref();
+  }
+
+  // Drop buckets with nothing left to remember: their minute window is over and they used no tokens today.
+  // Runs at most once a minute from consume(), so buckets of one-off clients (e.g. IPs) don't pile up.
+  _prune() {
+    const now = this.now();
+    this._prunedAt = now;
+    for (const [id, b] of this.buckets) {
+      if (now - b.windowStart >= MINUTE_MS && !(b.day === dayStart(now) && b.tokens > 0)) this.buckets.delete(id);
+    }
+  }
+
+  /** Write today's token usage now, dropping buckets with nothing left to remember. */
+  flush() {
+    if (this._persistTimer) { clearTimeout(this._persistTimer); this._persistTimer = null; }
+    if (!this.filePath) return;
+    this._prune();
+    const today = dayStart(this.now());
+    const buckets = {};
+    for (const [id, b] of this.buckets) {
+      if (b.day === today && b.tokens > 0) buckets[id] = { day: b.day, tokens: b.tokens };
+    }
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tmp = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ version: 1, buckets }));
+      fs.renameSync(tmp, this.filePath);
+    } catch (err) {
+      this.logger?.error({ file: this.filePath, err: err.message }, 'Failed to persist rate limit state');
+    }
+  }
+}
+
+export default KeyRateLimiter;
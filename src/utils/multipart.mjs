@@ -0,0 +1,57 @@
+// Minimal multipart/form-data parsing for file uploads (the whole body is already buffered).
+
+function invalidUpload(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  err.type = 'invalid_request_error';
+  return err;
+}
+
+function parseHeaders(raw) {
+  const headers = {};
+  for (const line of raw.split('\r\n')) {
+    const at = line.indexOf(':');
+    if (at > 0) headers[line.slice(0, at).trim().toLowerCase()] = line.slice(at + 1).trim();
+  }
+  return headers;
+}
+
+// name="..." / filename="..." from a Content-Disposition header
+function dispositionParam(disposition, param) {
+  const match = new RegExp(`(?:^|;)\\s*${param}="([^"]*)"`, 'i').exec(disposition || '');
+  return match ? match[1] : undefined;
+}
+
+/**
+ * Split a multipart/form-data body into text fields and files.
+ * Throws a 400-style error when the body is not valid multipart data.
+ * @returns {{ fields: Record<string, string>, files: Array<{ field: string, filename: string, contentType?: string, data: Buffer }> }}
+ */
+export function parseMultipart(body, contentType) {
+  const boundary = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || '');
+  if (!boundary) throw invalidUpload('multipart/form-data body is missing its boundary');
+  const delimiter = Buffer.from(`--${boundary[1] || boundary[2].trim()}`);
+  const fields = {};
+  const files = [];
+  let start = body.indexOf(delimiter);
+  if (start < 0) throw invalidUpload('Malformed multipart/form-data body');
+  while (true) {
+    start += delimiter.length;
+    // `--` after a delimiter closes the body
+    if (body.subarray(start, start + 2).toString() === '--') break;
+    const next = body.indexOf(delimiter, start);
+    if (next < 0) throw invalidUpload('Malformed multipart/form-data body');
+    // A part is CRLF, headers, blank line, content, CRLF
+    const part = body.subarray(start + 2, next - 2);
+    const split = part.indexOf('\r\n\r\n');
+    if (split < 0) throw invalidUpload('Malformed multipart/form-data body');
+    const headers = parseHeaders(part.subarray(0, split).toString('utf8'));
+    const data = part.subarray(split + 4);
+    const name = dispositionParam(headers['content-disposition'], 'name');
+    const filename = dispositionParam(headers['content-disposition'], 'filename');
+    if (name && typeof filename === 'string') files.push({ field: name, filename, contentType: headers['content-type'], data });
+    else if (name) fields[name] = data.toString('utf8');
+    start = next;
+  }
+  return { fields, files };
+}
@@ -0,0 +1,102 @@
+// Map Cohere finish reasons and upstream failures onto OpenAI response semantics.
+
+const FINISH_REASONS = {
+  COMPLETE: 'stop',
+  STOP_SEQUENCE: 'stop',
+  USER_CANCEL: 'stop',
+  MAX_TOKENS: 'length',
+  ERROR_LIMIT: 'length',
+  ERROR_TOXIC: 'content_filter',
+  TOOL_CALL: 'tool_calls',
+};
+
+// Seconds clients are told to wait on a 429/503 when Cohere does not say.
+const DEFAULT_RETRY_AFTER_SECONDS = 5;
+
+/**
+ * OpenAI `finish_reason` for a Cohere finish reason (v1 or v2, any casing).
+ * A response that produced tool calls always finishes with `tool_calls`.
+ * @returns {'stop'|'length'|'content_filter'|'tool_calls'}
+ */
+export function mapFinishReason(cohereReason, { toolCalls } = {}) {
+  if (toolCalls && toolCalls.length > 0) return 'tool_calls';
+  return FINISH_REASONS[String(cohereReason || '').toUpperCase()] || 'stop';
+}
+
+function headerValue(headers, name) {
+  if (!headers) return undefined;
+  if (typeof headers.get === 'function') return headers.get(name) ?? undefined;
+  return headers[name] ?? headers[name.toLowerCase()];
+}
+
+function retryAfterSeconds(err) {
+  const raw = headerValue(err?.rawResponse?.headers ?? err?.response?.headers ?? err?.headers, 'retry-after');
+  const seconds = Number(raw);
+  return Number.isFinite(seconds) && seconds >= 0 ? Math.ceil(seconds) : undefined;
+}
+
+function upstreamMessage(err) {
+  const body = err?.body ?? err?.response?.data;
+  return (typeof body?.message === 'string' && body.message) || err?.message || 'Cohere API request failed';
+}
+
+function openaiError(message, { statusCode, type, code, retryAfter, cause }) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.type = type;
+  if (code) err.code = code;
+  if (typeof retryAfter === 'number') err.retryAfter = retryAfter;
+  if (cause) err.cause = cause;
+  return err;
+}
+
+/**
+ * Translate an error thrown by the (wrapped) Cohere client into an OpenAI-style error:
+ * an Error with `statusCode`, `type`, optional `code` and `retryAfter` (seconds).
+ * Upstream 4xx keep their status and message; 5xx, timeouts and network failures become
+ * server errors; an open circuit becomes a 503 with the remaining reset time as Retry-After.
+ */
+export function toOpenAIError(err) {
+  if (err?.code === 'CIRCUIT_OPEN' || err?.message === 'CircuitOpen') {
+    const retryAfter = typeof err.retryAfterMs === 'number' ? Math.max(1, Math.ceil(err.retryAfterMs / 1000)) : DEFAULT_RETRY_AFTER_SECONDS;
+    return openaiError('Cohere API is temporarily unavailable (circuit open), please retry later', { statusCode: 503, type: 'server_error', code: 'circuit_open', retryAfter, cause: err });
+  }
+  const status = Number(err?.statusCode ?? err?.status);
+  if (!Number.isInteger(status) || status < 400) {
+    if (err?.isTimeout || err?.code === 'ETIMEDOUT') {
+      return openaiError('Cohere API request timed out', { statusCode: 504, type: 'server_error', code: 'upstream_timeout', cause: err });
+    }
+    return openaiError('Failed to receive response from Cohere API', { statusCode: 502, type: 'server_error', code: 'upstream_error', cause: err });
+  }
+  switch (status) {
+    case 400:
+    case 422:
+      return openaiError(upstreamMessage(err), { statusCode: status, type: 'invalid_request_error', cause: err });
+    case 401:
+      return openaiError(upstreamMessage(err), { statusCode: 401, type: 'authentication_error', code: 'invalid_api_key', cause: err });
+    case 403:
+      return openaiError(upstreamMessage(err), { statusCode: 403, type: 'permission_error', cause: err });
+    case 404:
+      return openaiError(upstreamMessage(err), { statusCode: 404, type: 'not_found_error', cause: err });
+    case 429:
+      return openaiError(upstreamMessage(err), { statusCode: 429, type: 'rate_limit_error', code: 'rate_limit_exceeded', retryAfter: retryAfterSeconds(err) ?? DEFAULT_RETRY_AFTER_SECONDS, cause: err });
+    default:
+      if (status >= 500) {
+        const retryAfter = retryAfterSeconds(err) ?? (status === 503 ? DEFAULT_RETRY_AFTER_SECONDS : undefined);
+        return openaiError(`Cohere API error (${status})`, { statusCode: status, type: 'server_error', retryAfter, cause: err });
+      }
+      return openaiError(upstreamMessage(err), { statusCode: status, type: 'invalid_request_error', cause: err });
+  }
+}
+
+/**
+ * Send an OpenAI-style error produced by `toOpenAIError` (or any Error carrying `statusCode` and `type`),
+ * including the Retry-After header when the error has one.
+ */
+export function sendOpenAIError(res, err) {
+  if (typeof err.retryAfter === 'number') res.set('Retry-After', String(err.retryAfter));
+  const body = { message: err.message, type: err.type };
+  if (err.code) body.code = err.code;
+  if (err.param) body.param = err.param;
+  return res.status(err.statusCode).json({ error: body });
+}
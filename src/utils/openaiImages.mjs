@@ -0,0 +1,64 @@
+// Helpers for OpenAI `image_url` content parts: validation and vision model selection.
+import { getModelsList, validateModelOrThrow } from './cohereClientFactory.mjs';
+
+const DATA_URI_RE = /^data:(image\/(?:png|jpeg|jpg|webp|gif));base64,([A-Za-z0-9+/=\s]+)$/i;
+
+function invalidImage(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  err.param = 'messages';
+  return err;
+}
+
+export function maxImageBytes() {
+  return Number(process.env.MAX_IMAGE_BYTES) || 5 * 1024 * 1024;
+}
+
+// Decoded size of a base64 payload without materialising the buffer.
+function base64ByteLength(b64) {
+  const clean = b64.replace(/\s/g, '');
+  const padding = clean.endsWith('==') ? 2 : clean.endsWith('=') ? 1 : 0;
+  return Math.floor((clean.length * 3) / 4) - padding;
+}
+
+/**
+ * Collect the image URLs from an OpenAI message `content` array.
+ * Accepts base64 data URIs (png/jpeg/webp/gif, up to MAX_IMAGE_BYTES decoded) and http(s) URLs;
+ * anything else is rejected with a 400-style error.
+ * @param {any} content - message content (string or array of parts)
+ * @returns {string[]} image URLs in the order they appear
+ */
+export function extractImageUrls(content, { maxBytes = maxImageBytes() } = {}) {
+  if (!Array.isArray(content)) return [];
+  const urls = [];
+  for (const part of content) {
+    if (!part || part.type !== 'image_url') continue;
+    const url = typeof part.image_url === 'string' ? part.image_url : part.image_url?.url;
+    if (typeof url !== 'string' || !url) throw invalidImage('image_url.url is required');
+    if (url.startsWith('data:')) {
+      const match = DATA_URI_RE.exec(url);
+      if (!match) throw invalidImage('image_url data URIs must be base64-encoded png, jpeg, webp or gif images');
+      const bytes = base64ByteLength(match[2]);
+      if (bytes > maxBytes) throw invalidImage(`Image is ${bytes} bytes, which exceeds the ${maxBytes} byte limit`);
+    } else if (!/^https?:\/\//i.test(url)) {
+      throw invalidImage('image_url.url must be a data URI or an http(s) URL');
+    }
+    urls.push(url);
+  }
+  return urls;
+}
+
+/**
+ * Pick the model for a request that contains images: the requested model when it is
+ * vision-typed, otherwise COHERE_VISION_MODEL or the first `vision` model in models-config.json.
+ * @returns {string}
+ */
+export function resolveVisionModel(requestedModel) {
+  const models = getModelsList();
+  if (models.some((m) => m.id === requestedModel && m.type === 'vision')) return requestedModel;
+  const configured = process.env.COHERE_VISION_MODEL;
+  if (configured) return validateModelOrThrow(configured, 'vision').id;
+  const fallback = models.find((m) => m.type === 'vision');
+  if (!fallback) throw invalidImage('No vision model is configured to handle image content');
+  return fallback.id;
+}
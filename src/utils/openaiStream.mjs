@@ -0,0 +1,109 @@
+// Server-Sent Events helpers for OpenAI-compatible streaming, plus a consumer that
+// normalizes the different stream shapes the Cohere SDK (or a mock) may hand back.
+import { extractToolCalls } from './openaiTools.mjs';
+
+export function startSSE(res) {
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  // Prevent Express from buffering the response
+  if (typeof res.flushHeaders === 'function') res.flushHeaders();
+  // Send an initial comment to establish the stream
+  res.write(': ok\n\n');
+}
+
+export function writeSSE(res, data) {
+  res.write(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+}
+
+export function endSSE(res) {
+  res.write('data: [DONE]\n\n');
+  res.end();
+}
+
+// True for responses that are consumed incrementally (async iterables and Node-style emitters).
+export function isCohereStream(response) {
+  return !!response && (typeof response[Symbol.asyncIterator] === 'function' || typeof response.on === 'function');
+}
+
+/**
+ * Text of a complete (non-streamed) Cohere chat response, v1 (`text`) or v2 (`message.content` parts).
+ * @returns {string}
+ */
+export function extractResponseText(response) {
+  if (typeof response?.text === 'string') return response.text;
+  const content = response?.message?.content;
+  if (Array.isArray(content)) return content.filter((p) => p && typeof p.text === 'string').map((p) => p.text).join('');
+  return typeof content === 'string' ? content : '';
+}
+
+/**
+ * Parse one Cohere stream event into its text delta, tool calls and finish data.
+ * Handles v1 events (`event_type`/`eventType`), v2 events (`type` + `delta`) and the
+ * plain `{ text }` / string chunks used by simpler clients. Unknown events yield nothing.
+ * @returns {{ text?: string, toolCalls?: Array<object>, finishReason?: string, response?: object }}
+ */
+export function parseCohereStreamEvent(chunk) {
+  if (typeof chunk === 'string') return { text: chunk };
+  if (Buffer.isBuffer(chunk)) return { text: chunk.toString() };
+  if (!chunk || typeof chunk !== 'object') return {};
+  const eventType = chunk.event_type ?? chunk.eventType ?? chunk.type;
+  const toolCalls = extractToolCalls(chunk);
+  if (toolCalls) return { toolCalls };
+  switch (eventType) {
+    case 'stream-end':
+      return { finishReason: chunk.finish_reason ?? chunk.finishReason, response: chunk.response };
+    case 'message-end':
+      return { finishReason: chunk.delta?.finish_reason ?? chunk.delta?.finishReason, response: chunk.delta };
+    case 'content-delta':
+      return { text: chunk.delta?.message?.content?.text ?? '' };
+    case 'text-generation':
+      return { text: chunk.text ?? '' };
+    default:
+      break;
+  }
+  if (eventType) return {};
+  if (typeof chunk.text === 'string') return { text: chunk.text };
+  if (chunk.delta && typeof chunk.delta.content === 'string') return { text: chunk.delta.content };
+  if (typeof chunk.content === 'string') return { text: chunk.content };
+  return {};
+}
+
+/**
+ * Drive a Cohere chat response through `onText`/`onToolCalls` callbacks.
+ * Accepts an async iterable, a Node-style emitter (data/end/error) or a plain
+ * non-streamed response, which is replayed as a single text delta.
+ * Resolves with the accumulated text, tool calls and finish data; rejects on stream errors.
+ */
+export async function consumeCohereStream(response, { onText = () => {}, onToolCalls = () => {} } = {}) {
+  const state = { text: '', toolCalls: undefined, finishReason: undefined, response: undefined };
+  const apply = (parsed) => {
+    if (parsed.text) { state.text += parsed.text; onText(parsed.text); }
+    if (parsed.toolCalls) { state.toolCalls = parsed.toolCalls; onToolCalls(parsed.toolCalls); }
+    if (parsed.finishReason) state.finishReason = parsed.finishReason;
+    if (parsed.response) state.response = parsed.response;
+  };
+
+  if (response && typeof response[Symbol.asyncIterator] === 'function') {
+    for await (const chunk of response) apply(parseCohereStreamEvent(chunk));
+    return state;
+  }
+
+  if (response && typeof response.on === 'function') {
+    await new Promise((resolve, reject) => {
+      response.on('data', (chunk) => apply(parseCohereStreamEvent(chunk)));
+      response.on('end', resolve);
+      response.on('error', reject);
+    });
+    return state;
+  }
+
+  // Not streamable: replay the complete response.
+  apply({
+    text: extractResponseText(response),
+    toolCalls: extractToolCalls(response),
+    finishReason: response?.finish_reason ?? response?.finishReason,
+    response,
+  });
+  return state;
+}
@@ -0,0 +1,136 @@
+// Translation helpers between OpenAI function calling and Cohere tool use.
+// OpenAI describes parameters with JSON Schema and identifies calls by id;
+// Cohere v1 uses flat `parameter_definitions` and matches results by call name/parameters.
+
+const JSON_TYPE_TO_COHERE = { string: 'str', integer: 'int', number: 'float', boolean: 'bool', array: 'list', object: 'dict' };
+
+function invalidTools(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  err.param = 'tools';
+  return err;
+}
+
+function toCohereParamType(schema = {}) {
+  const type = Array.isArray(schema.type) ? schema.type.find((t) => t !== 'null') : schema.type;
+  if (type === 'array' && schema.items && JSON_TYPE_TO_COHERE[schema.items.type]) return `List[${JSON_TYPE_TO_COHERE[schema.items.type]}]`;
+  return JSON_TYPE_TO_COHERE[type] || 'str';
+}
+
+export function makeToolCallId() {
+  return `call_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Convert OpenAI `tools` into Cohere tool definitions.
+ * Throws a 400-style error for malformed definitions.
+ * @param {Array<object>} tools - OpenAI tools ([{ type: 'function', function: { name, description, parameters } }])
+ * @returns {Array<object>|undefined}
+ */
+export function toCohereTools(tools) {
+  if (typeof tools === 'undefined' || tools === null) return undefined;
+  if (!Array.isArray(tools)) throw invalidTools('tools must be an array');
+  if (tools.length === 0) return undefined;
+  return tools.map((tool, i) => {
+    if (tool?.type && tool.type !== 'function') throw invalidTools(`tools[${i}].type must be "function"`);
+    const fn = tool?.function;
+    if (!fn || typeof fn.name !== 'string' || !fn.name) throw invalidTools(`tools[${i}].function.name is required`);
+    const params = fn.parameters || {};
+    const required = new Set(Array.isArray(params.required) ? params.required : []);
+    const parameter_definitions = {};
+    for (const [name, schema] of Object.entries(params.properties || {})) {
+      parameter_definitions[name] = { description: schema?.description || '', type: toCohereParamType(schema), required: required.has(name) };
+    }
+    return { name: fn.name, description: fn.description || '', parameter_definitions };
+  });
+}
+
+/**
+ * Resolve OpenAI `tools` + `tool_choice` into the Cohere payload fields.
+ * 'none' drops the tools, 'required' or a named function forces a tool call.
+ * @returns {{ tools?: Array<object>, toolChoice?: string }}
+ */
+export function resolveCohereTools(tools, toolChoice) {
+  const cohereTools = toCohereTools(tools);
+  if (!cohereTools || toolChoice === 'none') return {};
+  if (typeof toolChoice === 'undefined' || toolChoice === null || toolChoice === 'auto') return { tools: cohereTools };
+  if (toolChoice === 'required') return { tools: cohereTools, toolChoice: 'REQUIRED' };
+  const forced = toolChoice?.function?.name;
+  if (typeof forced === 'string') {
+    const match = cohereTools.filter((t) => t.name === forced);
+    if (match.length === 0) {
+      const err = invalidTools(`tool_choice references unknown function: ${forced}`);
+      err.param = 'tool_choice';
+      throw err;
+    }
+    return { tools: match, toolChoice: 'REQUIRED' };
+  }
+  const err = invalidTools('tool_choice must be "none", "auto", "required" or a function reference');
+  err.param = 'tool_choice';
+  throw err;
+}
+
+/**
+ * Read tool calls from a Cohere response or stream event (v1 and v2 shapes).
+ */
+export function extractToolCalls(response) {
+  if (!response || typeof response !== 'object') return undefined;
+  const calls = response.tool_calls ?? response.toolCalls ?? response.message?.tool_calls ?? response.message?.toolCalls;
+  return Array.isArray(calls) && calls.length > 0 ? calls : undefined;
+}
+
+/**
+ * Convert Cohere tool calls into OpenAI `tool_calls`, assigning ids where Cohere has none.
+ */
+export function fromCohereToolCalls(toolCalls) {
+  if (!Array.isArray(toolCalls) || toolCalls.length === 0) return undefined;
+  return toolCalls.map((tc) => {
+    if (tc?.function) {
+      const args = tc.function.arguments;
+      return { id: tc.id || makeToolCallId(), type: 'function', function: { name: tc.function.name, arguments: typeof args === 'string' ? args : JSON.stringify(args || {}) } };
+    }
+    return { id: tc?.id || makeToolCallId(), type: 'function', function: { name: tc?.name, arguments: JSON.stringify(tc?.parameters || {}) } };
+  });
+}
+
+function parseArguments(args) {
+  if (args && typeof args === 'object') return args;
+  try {
+    const parsed = JSON.parse(args || '{}');
+    return parsed && typeof parsed === 'object' ? parsed : { value: parsed };
+  } catch (e) {
+    return { value: String(args) };
+  }
+}
+
+/**
+ * Convert a stored OpenAI tool call into Cohere's `{ name, parameters }` call shape.
+ */
+export function toCohereToolCall(toolCall) {
+  return { name: toolCall?.function?.name, parameters: parseArguments(toolCall?.function?.arguments) };
+}
+
+function toOutputs(content) {
+  if (content && typeof content === 'object') return Array.isArray(content) ? content : [content];
+  try {
+    const parsed = JSON.parse(content);
+    if (Array.isArray(parsed) && parsed.every((o) => o && typeof o === 'object')) return parsed;
+    if (parsed && typeof parsed === 'object') return [parsed];
+  } catch (e) { /* plain text output */ }
+  return [{ output: String(content ?? '') }];
+}
+
+/**
+ * Map stored tool result messages back to Cohere `tool_results`.
+ * @param {Array<object>} toolMessages - messages with role 'tool' and a `toolCallId`
+ * @param {Array<object>} toolCalls - OpenAI tool calls previously issued by the assistant
+ */
+export function toCohereToolResults(toolMessages, toolCalls = []) {
+  return toolMessages.map((m) => {
+    const call = toolCalls.find((c) => c.id === m.toolCallId);
+    return {
+      call: call ? toCohereToolCall(call) : { name: m.name || 'unknown', parameters: {} },
+      outputs: toOutputs(m.content),
+    };
+  });
+}
@@ -0,0 +1,102 @@
+import fs from 'fs';
+import path from 'path';
+
+// Built-in persona, used when no template directory entry overrides `default`.
+export const DEFAULT_TEMPLATE = `You are RooCode Assistant, an AI coding companion enhanced with RAG capabilities.
+
+{{preamble}}
+
+{{context}}`;
+
+const TEMPLATE_EXTENSIONS = new Set(['.md', '.txt']);
+const NAME_PATTERN = /^[\w.-]+$/;
+
+/**
+ * Fill `{{name}}` placeholders from `variables`; unknown or empty ones render as nothing,
+ * and the blank lines they leave behind are collapsed.
+ * Variables: preamble (client system messages), context (retrieved documents), date, user, project.
+ */
+export function renderTemplate(template, variables = {}) {
+  return template
+    .replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, name) => (variables[name] === undefined || variables[name] === null ? '' : String(variables[name])))
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Named preamble templates: `<dir>/<name>.md` or `.txt`, plus the built-in `default`.
+ * Files are re-read when they change, so templates can be edited without a restart.
+ */
+class PreambleTemplateStore {
+  constructor({ dir, logger, reloadIntervalMs = 1000 } = {}) {
+    this.dir = dir || null;
+    this.logger = logger;
+    this.reloadIntervalMs = reloadIntervalMs;
+    this.templates = new Map();
+    this._signature = null;
+    this._checkedAt = 0;
+    this.reload();
+  }
+
+  // Cheap fingerprint of the directory: names, sizes and mtimes of template files.
+  _scan() {
+    if (!this.dir) return [];
+    let names;
+    try { names = fs.readdirSync(this.dir); } catch (e) { return []; }
+    const files = [];
+    for (const file of names.sort()) {
+      const ext = path.extname(file);
+      const name = path.basename(file, ext);
+      if (!TEMPLATE_EXTENSIONS.has(ext) || !NAME_PATTERN.test(name)) continue;
+      try {
+        const stat = fs.statSync(path.join(this.dir, file));
+        if (stat.isFile()) files.push({ name, file, signature: `${file}:${stat.size}:${stat.mtimeMs}` });
+      } catch (e) { /* removed while scanning */ }
+    }
+    return files;
+  }
+
+  reload() {
+    const files = this._scan();
+    this._signature = files.map(f => f.signature).join('|');
+    const templates = new Map([['default', DEFAULT_TEMPLATE]]);
+    for (const { name, file } of files) {
+      try {
+        templates.set(name, fs.readFileSync(path.join(this.dir, file), 'utf8'));
+      } catch (err) {
+        this.logger?.warn({ file, err: err.message }, 'Failed to read preamble template');
+      }
+    }
+    this.templates = templates;
+    if (files.length > 0) this.logger?.info({ dir: this.dir, templates: files.map(f => f.name) }, 'Loaded preamble templates');
+    return this.names();
+  }
+
+  _reloadIfChanged() {
+    if (!this.dir) return;
+    const now = Date.now();
+    if (now - this._checkedAt < this.reloadIntervalMs) return;
+    this._checkedAt = now;
+    if (this._scan().map(f => f.signature).join('|') !== this._signature) this.reload();
+  }
+
+  names() {
+    return Array.from(this.templates.keys()).sort();
+  }
+
+  has(name) {
+    this._reloadIfChanged();
+    return this.templates.has(name);
+  }
+
+  /**
+   * Render template `name` (falls back to `default` if it disappeared since it was selected).
+   * @returns {string}
+   */
+  render(name, variables = {}) {
+    this._reloadIfChanged();
+    return renderTemplate(this.templates.get(name) ?? this.templates.get('default'), variables);
+  }
+}
+
+export default PreambleTemplateStore;
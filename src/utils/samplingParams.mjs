@@ -0,0 +1,57 @@
+// Map OpenAI sampling parameters onto their Cohere chat equivalents.
+// Values Cohere cannot honour are rejected rather than silently dropped.
+
+function invalidParam(param, message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  err.param = param;
+  return err;
+}
+
+const isSet = (v) => typeof v !== 'undefined' && v !== null;
+
+// Cohere accepts penalties in [0, 1]; OpenAI allows [-2, 2], so negative values have no Cohere equivalent.
+function penalty(name, value) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) throw invalidParam(name, `${name} must be a number`);
+  if (value < 0 || value > 1) throw invalidParam(name, `${name} must be between 0 and 1 for Cohere models`);
+  return value;
+}
+
+/**
+ * Translate `stop`, `top_p`, `frequency_penalty`, `presence_penalty`, `seed` and `n`
+ * from an OpenAI request body. Throws a 400-style error (with `param`) for unsupported values.
+ * @param {object} body - OpenAI request body
+ * @param {object} [opts]
+ * @param {number} [opts.maxChoices=16] - upper bound for `n`
+ * @returns {{ sampling: object, n: number }} Cohere payload fields and the number of choices to generate
+ */
+export function toCohereSampling(body = {}, { maxChoices = 16 } = {}) {
+  const { stop, top_p, frequency_penalty, presence_penalty, seed, n = 1 } = body;
+  const sampling = {};
+
+  if (isSet(stop)) {
+    const stops = typeof stop === 'string' ? [stop] : stop;
+    if (!Array.isArray(stops) || stops.length > 4 || stops.some((s) => typeof s !== 'string' || !s)) {
+      throw invalidParam('stop', 'stop must be a non-empty string or an array of up to 4 non-empty strings');
+    }
+    if (stops.length) sampling.stop_sequences = stops;
+  }
+
+  if (isSet(top_p)) {
+    if (typeof top_p !== 'number' || !Number.isFinite(top_p) || top_p <= 0 || top_p > 1) throw invalidParam('top_p', 'top_p must be a number greater than 0 and at most 1');
+    // Cohere's `p` range is [0.01, 0.99]; top_p: 1 (no nucleus cut-off) maps to its widest setting
+    sampling.p = Math.min(Math.max(top_p, 0.01), 0.99);
+  }
+
+  if (isSet(frequency_penalty)) sampling.frequency_penalty = penalty('frequency_penalty', frequency_penalty);
+  if (isSet(presence_penalty)) sampling.presence_penalty = penalty('presence_penalty', presence_penalty);
+
+  if (isSet(seed)) {
+    if (!Number.isSafeInteger(seed) || seed < 0) throw invalidParam('seed', 'seed must be a non-negative integer');
+    sampling.seed = seed;
+  }
+
+  if (!Number.isInteger(n) || n < 1 || n > maxChoices) throw invalidParam('n', `n must be an integer between 1 and ${maxChoices}`);
+
+  return { sampling, n };
+}
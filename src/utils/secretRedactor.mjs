@@ -0,0 +1,136 @@
+import crypto from 'crypto';
+
+// Bump when the built-in detectors change, so files indexed with older rules are redacted again
+export const REDACTOR_VERSION = 1;
+export const DEFAULT_ENTROPY_THRESHOLD = 3.5;
+const MIN_ENTROPY_LENGTH = 20;
+
+// Credential-like key names, e.g. API_KEY, clientSecret, "auth_token", db-password
+const SECRET_KEY = '[\\w-]*(?:api[_-]?key|secret|token|passw(?:or)?d|credentials?)[\\w-]*';
+// Values an earlier detector has already replaced
+const NOT_REDACTED = '(?!\\[REDACTED:)';
+
+/**
+ * Built-in detectors, applied in order. With a `secret` group only that group is replaced,
+ * so `API_KEY=abc` becomes `API_KEY=[REDACTED:credential]`.
+ */
+const BUILTIN_DETECTORS = [
+  { type: 'private_key', regex: /-----BEGIN ([A-Z0-9 ]*)PRIVATE KEY( BLOCK)?-----[\s\S]*?(?:-----END \1PRIVATE KEY\2-----|$)/g },
+  { type: 'aws_access_key', regex: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { type: 'github_token', regex: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{40,})\b/g },
+  { type: 'slack_token', regex: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g },
+  { type: 'stripe_key', regex: /\b[sr]k_(?:live|test)_[A-Za-z0-9]{16,}\b/g },
+  { type: 'google_api_key', regex: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+  { type: 'openai_key', regex: /\bsk-(?:proj-|ant-)?[A-Za-z0-9_-]{20,}/g },
+  { type: 'jwt', regex: /\beyJ[\w-]{8,}\.eyJ[\w-]{8,}\.[\w-]{8,}/g },
+  { type: 'url_credentials', regex: /(?<pre>\b[a-z][a-z0-9+.-]*:\/\/[^\s:/@'"]+:)(?<secret>[^\s@/'"]+)(?=@)/gi },
+  // .env and shell style, KEY=value at the start of a line
+  { type: 'credential', regex: new RegExp(`(?<pre>^[ \\t]*(?:export[ \\t]+)?${SECRET_KEY}[ \\t]*=[ \\t]*(?<q>["']?))${NOT_REDACTED}(?<secret>[^\\s"'#]+)(?=\\k<q>)`, 'gim') },
+  // Quoted values assigned to credential-like keys in code, JSON and YAML
+  { type: 'credential', regex: new RegExp(`(?<pre>\\b${SECRET_KEY}["']?[ \\t]*[:=][ \\t]*(?<q>["']))${NOT_REDACTED}(?<secret>[^"'\\s]{8,})(?=\\k<q>)`, 'gi') },
+];
+
+// Base64 and URL-safe token alphabets; `[REDACTED:...]` markers never match
+const TOKEN_PATTERN = /[A-Za-z0-9+/_=-]{20,}/g;
+
+/** Shannon entropy of `text` in bits per character. */
+export function shannonEntropy(text) {
+  const frequencies = new Map();
+  for (const ch of text) frequencies.set(ch, (frequencies.get(ch) || 0) + 1);
+  let entropy = 0;
+  for (const n of frequencies.values()) {
+    const p = n / text.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+// Random-looking tokens: upper and lower case letters and at least two digits, so long identifiers and hex digests are left alone
+function looksRandom(token, threshold) {
+  if (token.length < MIN_ENTROPY_LENGTH || !/[a-z]/.test(token) || !/[A-Z]/.test(token)) return false;
+  if ((token.match(/\d/g) || []).length < 2) return false;
+  return shannonEntropy(token) >= threshold;
+}
+
+/**
+ * User-defined patterns from a JSON array of regex sources or `{ name, pattern, flags }` objects
+ * (for example the REDACT_PATTERNS setting). Throws on invalid JSON or regexes.
+ * @returns {Array<{ name: string, pattern: string, flags?: string }>}
+ */
+export function parseRedactPatterns(value) {
+  if (!value) return [];
+  const list = typeof value === 'string' ? JSON.parse(value) : value;
+  if (!Array.isArray(list)) throw new Error('Redaction patterns must be a JSON array');
+  return list.map((entry, i) => {
+    const spec = typeof entry === 'string' ? { pattern: entry } : entry;
+    if (typeof spec?.pattern !== 'string' || !spec.pattern) throw new Error(`Redaction pattern ${i} has no pattern`);
+    new RegExp(spec.pattern, spec.flags || ''); // throws on a bad pattern or flags
+    return { name: spec.name || 'custom', pattern: spec.pattern, ...(spec.flags ? { flags: spec.flags } : {}) };
+  });
+}
+
+/**
+ * Replaces secrets in text with `[REDACTED:<type>]` markers: private key blocks, well-known API key
+ * and token formats, credentials in URLs and in assignments to credential-like keys, user-defined
+ * `patterns`, and high-entropy tokens (`entropyThreshold` bits per character; 0 turns that off).
+ * Newlines inside a redacted span are kept, so line numbers don't move.
+ */
+class SecretRedactor {
+  constructor({ patterns = [], entropyThreshold = DEFAULT_ENTROPY_THRESHOLD } = {}) {
+    const custom = parseRedactPatterns(patterns).map(({ name, pattern, flags = '' }) => ({
+      type: name,
+      regex: new RegExp(pattern, flags.includes('g') ? flags : `${flags}g`),
+    }));
+    this.detectors = [...BUILTIN_DETECTORS, ...custom];
+    this.entropyThreshold = Number(entropyThreshold) || 0;
+    // Identifies the rules in effect, so stored redactions can be redone when they change
+    this.signature = crypto.createHash('sha256')
+      .update(JSON.stringify([REDACTOR_VERSION, this.entropyThreshold, custom.map(d => [d.type, d.regex.source, d.regex.flags])]))
+      .digest('hex')
+      .slice(0, 16);
+  }
+
+  /**
+   * @param {string} text
+   * @returns {{ text: string, count: number, byType: Object<string, number> }}
+   */
+  redact(text) {
+    const byType = {};
+    let count = 0;
+    const marker = (type, secret) => {
+      byType[type] = (byType[type] || 0) + 1;
+      count += 1;
+      return `[REDACTED:${type}]${'\n'.repeat((secret.match(/\n/g) || []).length)}`;
+    };
+    let result = String(text ?? '');
+    for (const { type, regex } of this.detectors) {
+      result = result.replace(regex, (match, ...args) => {
+        if (!match) return match;
+        const groups = typeof args[args.length - 1] === 'object' ? args[args.length - 1] : undefined;
+        if (groups?.secret === undefined) return marker(type, match);
+        const start = groups.pre?.length || 0;
+        return match.slice(0, start) + marker(type, groups.secret) + match.slice(start + groups.secret.length);
+      });
+    }
+    if (this.entropyThreshold > 0) {
+      result = result.replace(TOKEN_PATTERN, (token) => (looksRandom(token, this.entropyThreshold) ? marker('high_entropy', token) : token));
+    }
+    return { text: result, count, byType };
+  }
+}
+
+/**
+ * Redactor configured by REDACT_PATTERNS and REDACT_ENTROPY_THRESHOLD. Invalid patterns are logged
+ * and left out, rather than turning redaction off.
+ */
+export function redactorFromEnv({ env = process.env, logger = console } = {}) {
+  const entropyThreshold = env.REDACT_ENTROPY_THRESHOLD !== undefined ? Number(env.REDACT_ENTROPY_THRESHOLD) : undefined;
+  try {
+    return new SecretRedactor({ patterns: env.REDACT_PATTERNS, entropyThreshold });
+  } catch (err) {
+    logger.error({ err: err.message }, 'Invalid REDACT_PATTERNS; using the built-in detectors only');
+    return new SecretRedactor({ entropyThreshold });
+  }
+}
+
+export default SecretRedactor;
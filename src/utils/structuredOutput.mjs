@@ -0,0 +1,70 @@
+// OpenAI `response_format` support: translation to Cohere JSON mode and
+// validation of the generated text before it reaches the client.
+import { validateJsonSchema } from './jsonSchema.mjs';
+
+function invalidFormat(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  err.param = 'response_format';
+  return err;
+}
+
+export function structuredOutputMaxRetries() {
+  const configured = Number(process.env.STRUCTURED_OUTPUT_MAX_RETRIES);
+  return Number.isInteger(configured) && configured >= 0 ? configured : 1;
+}
+
+/**
+ * Resolve an OpenAI `response_format` into the structured-output settings for a request.
+ * `text` (or no format) yields undefined; malformed formats throw a 400-style error.
+ * @param {object} responseFormat - { type: 'text' | 'json_object' | 'json_schema', json_schema?: { name, schema, strict } }
+ * @returns {{ type: string, name?: string, schema?: object }|undefined}
+ */
+export function resolveResponseFormat(responseFormat) {
+  if (typeof responseFormat === 'undefined' || responseFormat === null) return undefined;
+  if (typeof responseFormat !== 'object' || Array.isArray(responseFormat)) throw invalidFormat('response_format must be an object');
+  switch (responseFormat.type) {
+    case 'text':
+      return undefined;
+    case 'json_object':
+      return { type: 'json_object' };
+    case 'json_schema': {
+      const spec = responseFormat.json_schema;
+      if (!spec || typeof spec !== 'object') throw invalidFormat('response_format.json_schema is required when type is "json_schema"');
+      if (typeof spec.name !== 'string' || !spec.name) throw invalidFormat('response_format.json_schema.name is required');
+      if (typeof spec.schema !== 'undefined' && (typeof spec.schema !== 'object' || spec.schema === null || Array.isArray(spec.schema))) {
+        throw invalidFormat('response_format.json_schema.schema must be an object');
+      }
+      return { type: 'json_schema', name: spec.name, schema: spec.schema };
+    }
+    default:
+      throw invalidFormat(`Unsupported response_format type: ${responseFormat.type}`);
+  }
+}
+
+/**
+ * Cohere `response_format` payload field. v1 chat takes the schema as `schema`, v2 as `json_schema`.
+ * @returns {object}
+ */
+export function toCohereResponseFormat(format, { v2 = false } = {}) {
+  if (!format.schema) return { type: 'json_object' };
+  return { type: 'json_object', [v2 ? 'json_schema' : 'schema']: format.schema };
+}
+
+/**
+ * Check generated text against the requested format.
+ * @returns {{ ok: boolean, errors: string[] }}
+ */
+export function checkStructuredOutput(text, format) {
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch (e) {
+    return { ok: false, errors: ['output is not valid JSON'] };
+  }
+  if (format.type === 'json_object' && (value === null || typeof value !== 'object' || Array.isArray(value))) {
+    return { ok: false, errors: ['output must be a JSON object'] };
+  }
+  const errors = format.schema ? validateJsonSchema(value, format.schema) : [];
+  return { ok: errors.length === 0, errors };
+}
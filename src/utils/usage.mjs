@@ -0,0 +1,48 @@
+// Token usage reported by Cohere, normalised across API versions and SDK casing.
+// v1 responses carry `meta.billed_units` / `meta.tokens`, v2 responses (and v2 `message-end`
+// stream events) carry `usage.billed_units` / `usage.tokens`; the SDK may camelCase all of them.
+
+/**
+ * Read the token counts Cohere reported for a response, preferring billed units.
+ * @param {object} response - Cohere chat/embed response, v1 `stream-end` response or v2 `message-end` delta
+ * @returns {{ inputTokens: number, outputTokens: number, cachedTokens: number }|undefined} undefined when Cohere reported nothing
+ */
+export function extractCohereUsage(response) {
+  const source = response?.meta ?? response?.usage;
+  if (!source || typeof source !== 'object') return undefined;
+  const billed = source.billed_units ?? source.billedUnits;
+  const tokens = source.tokens;
+  const pick = (snake, camel) => [billed?.[snake], billed?.[camel], tokens?.[snake], tokens?.[camel]].find((v) => typeof v === 'number');
+  const inputTokens = pick('input_tokens', 'inputTokens');
+  const outputTokens = pick('output_tokens', 'outputTokens');
+  if (typeof inputTokens === 'undefined' && typeof outputTokens === 'undefined') return undefined;
+  const cachedTokens = source.cached_tokens ?? source.cachedTokens;
+  return { inputTokens: inputTokens || 0, outputTokens: outputTokens || 0, cachedTokens: typeof cachedTokens === 'number' ? cachedTokens : 0 };
+}
+
+/**
+ * OpenAI `usage` object, including the token detail breakdowns.
+ * @returns {object}
+ */
+export function toOpenAIUsage({ promptTokens = 0, completionTokens = 0, cachedTokens = 0, reasoningTokens = 0 } = {}) {
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens,
+    prompt_tokens_details: { cached_tokens: cachedTokens },
+    completion_tokens_details: { reasoning_tokens: reasoningTokens },
+  };
+}
+
+/**
+ * Add OpenAI usage objects together (e.g. across the prompts of a batched completion request).
+ * @returns {object}
+ */
+export function sumOpenAIUsage(usages) {
+  return toOpenAIUsage(usages.reduce((acc, u) => ({
+    promptTokens: acc.promptTokens + (u.prompt_tokens || 0),
+    completionTokens: acc.completionTokens + (u.completion_tokens || 0),
+    cachedTokens: acc.cachedTokens + (u.prompt_tokens_details?.cached_tokens || 0),
+    reasoningTokens: acc.reasoningTokens + (u.completion_tokens_details?.reasoning_tokens || 0),
+  }), { promptTokens: 0, completionTokens: 0, cachedTokens: 0, reasoningTokens: 0 }));
+}
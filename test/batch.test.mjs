@@ -0,0 +1,97 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import BatchStore from '../src/batch/store.mjs';
+import BatchRunner, { parseBatchInput } from '../src/batch/runner.mjs';
+
+const line = (customId, body = { messages: [{ role: 'user', content: customId }] }) => JSON.stringify({ custom_id: customId, method: 'POST', url: '/v1/chat/completions', body });
+const lines = (content) => content.toString('utf8').trim().split('\n').map(l => JSON.parse(l));
+
+describe('parseBatchInput', () => {
+  it('reports every invalid line', () => {
+    const { requests, errors } = parseBatchInput([line('a'), 'nope', line('a'), JSON.stringify({ custom_id: 'b', method: 'POST', url: '/v1/embed', body: {} }), ''].join('\n'), '/v1/chat/completions');
+    expect(requests.map(r => r.custom_id)).toEqual(['a']);
+    expect(errors.map(e => [e.code, e.line])).toEqual([['invalid_json_line', 2], ['duplicate_custom_id', 3], ['invalid_url', 4]]);
+    expect(parseBatchInput('\n', '/v1/chat/completions').errors[0].code).toBe('empty_file');
+  });
+});
+
+describe('BatchRunner', () => {
+  let dir;
+
+  afterEach(() => {
+    if (dir) fs.rmSync(dir, { recursive: true, force: true });
+    dir = undefined;
+  });
+
+  const setup = (content, execute, options = {}) => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'batches-'));
+    const store = new BatchStore({ dir });
+    const input = store.createFile({ filename: 'in.jsonl', purpose: 'batch', data: content });
+    const runner = new BatchRunner({ store, execute, retryDelayMs: 1, ...options });
+    return { store, runner, input };
+  };
+
+  it('bounds concurrency and retries retryable failures', async () => {
+    let inFlight = 0;
+    let peak = 0;
+    const attempts = {};
+    const execute = vi.fn(async (body, { customId }) => {
+      inFlight++;
+      peak = Math.max(peak, inFlight);
+      await new Promise(r => setTimeout(r, 5));
+      inFlight--;
+      attempts[customId] = (attempts[customId] || 0) + 1;
+      if (customId === 'flaky' && attempts[customId] < 2) throw Object.assign(new Error('busy'), { statusCode: 503, type: 'server_error' });
+      if (customId === 'bad') throw Object.assign(new Error('Invalid model: x'), { statusCode: 400, type: 'invalid_request_error', param: 'model' });
+      return { echo: customId };
+    });
+    const ids = ['a', 'b', 'flaky', 'bad', 'c', 'd'];
+    const { store, runner, input } = setup(ids.map(id => line(id)).join('\n'), execute, { concurrency: 2 });
+    const batch = runner.create({ inputFileId: input.id, endpoint: '/v1/chat/completions' });
+    await runner.whenIdle();
+
+    expect(peak).toBe(2);
+    expect(attempts).toMatchObject({ flaky: 2, bad: 1 });
+    expect(batch).toMatchObject({ status: 'completed', request_counts: { total: 6, completed: 5, failed: 1 } });
+    expect(lines(store.readFile(batch.output_file_id)).map(l => l.custom_id).sort()).toEqual(['a', 'b', 'c', 'd', 'flaky']);
+    const [failure] = lines(store.readFile(batch.error_file_id));
+    expect(failure).toMatchObject({ custom_id: 'bad', response: { status_code: 400, body: { error: { type: 'invalid_request_error', param: 'model' } } } });
+    // The job record on disk matches
+    expect(new BatchStore({ dir }).getBatch(batch.id).status).toBe('completed');
+  });
+
+  it('fails batches whose input does not validate', async () => {
+    const { runner, input } = setup('not json', vi.fn());
+    const batch = runner.create({ inputFileId: input.id, endpoint: '/v1/chat/completions' });
+    await runner.whenIdle();
+    expect(batch.status).toBe('failed');
+    expect(batch.errors.data[0]).toMatchObject({ code: 'invalid_json_line', line: 1 });
+  });
+
+  it('stops after cancel and resumes unfinished batches after a restart', async () => {
+    let runner;
+    let batch;
+    const execute = vi.fn(async (body, { customId }) => {
+      if (customId === 'b') runner.cancel(batch.id);
+      return { echo: customId };
+    });
+    const setupResult = setup(['a', 'b', 'c', 'd'].map(id => line(id)).join('\n'), execute, { concurrency: 1 });
+    runner = setupResult.runner;
+    batch = runner.create({ inputFileId: setupResult.input.id, endpoint: '/v1/chat/completions' });
+    await runner.whenIdle();
+    expect(batch).toMatchObject({ status: 'cancelled', request_counts: { completed: 2 } });
+
+    // Simulate a crash mid-run: the record says in_progress and two results exist
+    batch.status = 'in_progress';
+    setupResult.store.saveBatch(batch);
+    const restarted = new BatchRunner({ store: new BatchStore({ dir }), execute: vi.fn(async (body, { customId }) => ({ echo: customId })) });
+    restarted.resume();
+    await restarted.whenIdle();
+    const resumed = restarted.store.getBatch(batch.id);
+    expect(restarted.execute.mock.calls.map(c => c[1].customId)).toEqual(['c', 'd']);
+    expect(resumed).toMatchObject({ status: 'completed', request_counts: { completed: 4 } });
+    expect(lines(restarted.store.readFile(resumed.output_file_id))).toHaveLength(4);
+  });
+});
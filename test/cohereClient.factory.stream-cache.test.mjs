@@ -48,4 +48,75 @@ describe('Cohere client factory - streaming & caching', () => {
     await expect(createCohereClient({ token: 'x', agentOptions: {}, logger: console, model: 'unknown-model' }))
       .rejects.toMatchObject({ statusCode: 400 });
   });
-});
\ No newline at end of file
+});
+describe('Cohere client factory - per-request streaming', () => {
+  beforeEach(() => {
+    vi.resetModules();
+    delete process.env.COHERE_V2_STREAMING_SUPPORTED;
+    try { import('prom-client').then((pc) => pc.register.clear()).catch(() => {}); } catch (e) {}
+  });
+
+  it('honours an explicit stream flag and never serves streams from the response cache', async () => {
+    process.env.COHERE_V2_STREAMING_SUPPORTED = 'true';
+    const mockChat = vi.fn(async (payload) => ({ payload }));
+    mockCohereModule(createMockCohereCtor(() => ({ chat: mockChat })));
+
+    const { createCohereClient } = await import('../src/utils/cohereClientFactory.mjs');
+    const { client } = await createCohereClient({ token: 'x', agentOptions: {}, logger: console });
+
+    // concurrent identical non-streaming calls share one cached response object
+    const [plain, cached] = await Promise.all([client.chat({ message: 'hello', stream: false }), client.chat({ message: 'hello', stream: false })]);
+    expect(plain.payload.stream).toBe(false);
+    expect(cached).toBe(plain);
+
+    const [s1, s2] = await Promise.all([client.chat({ message: 'hello', stream: true }), client.chat({ message: 'hello', stream: true })]);
+    expect(s1.payload.stream).toBe(true);
+    expect(s2).not.toBe(s1);
+    delete process.env.COHERE_V2_STREAMING_SUPPORTED;
+  });
+});
+
+describe('Cohere client factory - sampling-aware cache keys', () => {
+  beforeEach(() => {
+    vi.resetModules();
+    delete process.env.COHERE_V2_STREAMING_SUPPORTED;
+    try { import('prom-client').then((pc) => pc.register.clear()).catch(() => {}); } catch (e) {}
+  });
+
+  it('does not share cached responses across seeds, stop sequences or choice variants', async () => {
+    const mockChat = vi.fn(async (payload) => ({ payload }));
+    mockCohereModule(createMockCohereCtor(() => ({ chat: mockChat })));
+
+    const { createCohereClient } = await import('../src/utils/cohereClientFactory.mjs');
+    const { client } = await createCohereClient({ token: 'x', agentOptions: {}, logger: console });
+
+    const [a, sameSeed, otherSeed, otherStop, variant] = await Promise.all([
+      client.chat({ message: 'hi', seed: 1 }),
+      client.chat({ message: 'hi', seed: 1 }),
+      client.chat({ message: 'hi', seed: 2 }),
+      client.chat({ message: 'hi', seed: 1, stop_sequences: ['\n'] }),
+      client.chat({ message: 'hi', seed: 1 }, { cacheVariant: 1 }),
+    ]);
+    expect(sameSeed).toBe(a);
+    expect(otherSeed).not.toBe(a);
+    expect(otherStop).not.toBe(a);
+    expect(variant).not.toBe(a);
+  });
+
+  it('keeps temperature 0 apart from the default temperature in the cache', async () => {
+    const mockChat = vi.fn(async (payload) => ({ payload }));
+    mockCohereModule(createMockCohereCtor(() => ({ chat: mockChat })));
+
+    const { createCohereClient } = await import('../src/utils/cohereClientFactory.mjs');
+    const { client } = await createCohereClient({ token: 'x', agentOptions: {}, logger: console });
+
+    const [greedy, sameGreedy, warm] = await Promise.all([
+      client.chat({ message: 'hi', temperature: 0 }),
+      client.chat({ message: 'hi', temperature: 0 }),
+      client.chat({ message: 'hi', temperature: 0.7 }),
+    ]);
+    expect(greedy.payload.temperature).toBe(0);
+    expect(sameGreedy).toBe(greedy);
+    expect(warm).not.toBe(greedy);
+  });
+});
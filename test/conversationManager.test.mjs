@@ -58,18 +58,40 @@ describe('ConversationManager', () => {
     expect(conv.preamble).toContain('correction');
   });
 
-  it('prevents duplicate messages based on content hash', async () => {
+  it('keeps identical consecutive messages', async () => {
     const session = 'duplicate-test';
-    const messageContent = 'duplicate message';
+    const messageContent = 'yes';
 
     const msg1 = await cm.addMessage(session, 'user', messageContent);
     const msg2 = await cm.addMessage(session, 'user', messageContent);
 
     expect(msg1).toBeTruthy();
-    expect(msg2).toBeNull(); // Should be prevented as duplicate
+    expect(msg2).toBeTruthy();
 
     const messages = cm.getConversation(session);
-    expect(messages).toHaveLength(1);
+    expect(messages).toHaveLength(2);
+  });
+
+  it('syncs a resent OpenAI message list against stored history', async () => {
+    const session = 'sync-test';
+    const turn1 = [{ role: 'system', content: 'be brief' }, { role: 'user', content: 'hi' }];
+    expect(await cm.syncMessages(session, turn1)).toEqual({ appended: 2 });
+    await cm.addMessage(session, 'assistant', 'hello');
+    await cm.addFeedback(session, 'friendlier please');
+
+    // Full history resent with one new turn: only the new turn is stored
+    const turn2 = [...turn1, { role: 'assistant', content: 'hello' }, { role: 'user', content: 'yes' }];
+    expect(await cm.syncMessages(session, turn2)).toEqual({ appended: 1 });
+    // A client that only sends the latest message still works
+    expect(await cm.syncMessages(session, [{ role: 'user', content: 'yes' }])).toEqual({ appended: 1 });
+    expect(cm.getConversation(session).map(m => m.content)).toEqual(['be brief', 'hi', 'hello', 'User feedback (correction): friendlier please', 'yes', 'yes']);
+
+    // Edited history: the stored version becomes a branch and the client's version wins
+    const edited = [...turn1, { role: 'assistant', content: 'hello' }, { role: 'user', content: 'no' }];
+    const result = await cm.syncMessages(session, edited);
+    expect(result.appended).toBe(1);
+    expect(cm.getConversation(session).map(m => m.content)).toEqual(['be brief', 'hi', 'hello', 'User feedback (correction): friendlier please', 'no']);
+    expect(cm.getConversation(result.branchId).map(m => m.content)).toContain('yes');
   });
 
   it('handles concurrent message additions safely', async () => {
@@ -83,8 +105,33 @@ describe('ConversationManager', () => {
     const results = await Promise.all(promises);
     const messages = cm.getConversation(session);
 
-    // All messages should be added (no duplicates prevented by processing flag)
-    expect(messages.length).toBeGreaterThan(0);
-    expect(results.filter(r => r !== null)).toHaveLength(messages.length);
+    // Writes are queued per session: nothing is dropped and arrival order is kept
+    expect(results.every(r => r !== null)).toBe(true);
+    expect(messages.map(m => m.content)).toEqual([0, 1, 2, 3, 4].map(i => `Concurrent message ${i}`));
+  });
+
+  it('replaces summarised turns with the rolling summary until they change', async () => {
+    const session = 'summary-test';
+    await cm.addMessage(session, 'system', 'be brief');
+    for (const [role, content] of [['user', 'q1'], ['assistant', 'a1'], ['user', 'q2'], ['assistant', 'a2'], ['user', 'q3']]) {
+      await cm.addMessage(session, role, content);
+    }
+    expect(cm.summaryCandidate(session, { threshold: 5, keepRecent: 2 })).toBeUndefined();
+    // Keeping 2 would start the kept part on an assistant turn, so the cut moves to the next user turn
+    const candidate = cm.summaryCandidate(session, { threshold: 4, keepRecent: 2 });
+    expect(candidate.turns.map(t => t.content)).toEqual(['q1', 'a1', 'q2', 'a2']);
+    expect(cm.setSummary(session, { text: 'Asked q1 and q2.', throughIndex: candidate.throughIndex, throughMessageId: candidate.throughMessageId })).toBe(true);
+
+    const conv = cm.getFormattedHistoryWithRAG(session);
+    expect(conv.chatHistory).toEqual([]);
+    expect(conv.message).toBe('q3');
+    expect(conv.preamble).toContain('be brief');
+    expect(conv.preamble).toContain('# Summary of earlier conversation\n\nAsked q1 and q2.');
+    expect(cm.summaryCandidate(session, { force: true }).previous).toBe('Asked q1 and q2.');
+
+    // Editing a summarised message retires the summary
+    cm.editMessage(session, 3, 'q2 (edited)');
+    expect(cm.getSummary(session)).toBeUndefined();
+    expect(cm.getFormattedHistory(session).chatHistory.map(t => t.message)).toEqual(['q1', 'a1']);
   });
 });
@@ -1,16 +1,23 @@
 import { describe, it, expect, beforeAll, afterAll } from 'vitest';
 import { createRequire } from 'module';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 const require = createRequire(import.meta.url);
 const request = require('supertest');
 import EnhancedCohereRAGServer from '../src/index.mjs';
 
 let server;
+let ragServer;
 let app;
 let addr;
+let dir;
 
 beforeAll(async () => {
-  const s = new EnhancedCohereRAGServer({ port: 0 });
-  server = await s.start();
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'endpoints-'));
+  process.env.FEEDBACK_FILE = path.join(dir, 'feedback.jsonl');
+  ragServer = new EnhancedCohereRAGServer({ port: 0 });
+  server = await ragServer.start();
   // supertest accepts an http.Server
   app = server;
   addr = server.address();
@@ -18,6 +25,8 @@ beforeAll(async () => {
 
 afterAll(async () => {
   if (server && server.close) await new Promise((r) => server.close(r));
+  delete process.env.FEEDBACK_FILE;
+  fs.rmSync(dir, { recursive: true, force: true });
 });
 
 describe('HTTP endpoints', () => {
@@ -34,6 +43,7 @@ describe('HTTP endpoints', () => {
 
   it('adds feedback and reads history', async () => {
     const sessionId = 'test-session-1';
+    await ragServer.conversationManager.addMessage(sessionId, 'assistant', 'hello');
     const fb = await request(app).post(`/v1/conversations/${sessionId}/feedback`).send({ feedback: 'test feedback' }).expect(200);
     expect(fb.body.success).toBe(true);
 
@@ -0,0 +1,62 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createRequire } from 'module';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import promClient from 'prom-client';
+import EnhancedCohereRAGServer from '../src/index.mjs';
+const require = createRequire(import.meta.url);
+const request = require('supertest');
+
+describe('API key scopes on routes', () => {
+  let server;
+  let dir;
+
+  beforeEach(() => {
+    process.env.SKIP_DIAGNOSTICS = 'true';
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'keys-'));
+    const file = path.join(dir, 'keys.json');
+    fs.writeFileSync(file, JSON.stringify({ keys: [
+      { name: 'chatter', key: 'sk-chat', scopes: ['chat'] },
+      { name: 'indexer', key: 'sk-rag', scopes: ['rag:write'] },
+    ] }));
+    process.env.API_KEYS_FILE = file;
+    promClient.register.clear();
+    server = new EnhancedCohereRAGServer({ port: 0 });
+    server.conversationManager.ragManager = { retrieveRelevantDocuments: async () => [] };
+    server.cohere = { chat: vi.fn().mockResolvedValue({ text: 'ok' }) };
+  });
+
+  afterEach(() => {
+    delete process.env.API_KEYS_FILE;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('requires a known key', async () => {
+    const missing = await request(server.app).post('/v1/chat/completions').send({ messages: [{ role: 'user', content: 'hi' }] }).expect(401);
+    expect(missing.body.error).toMatchObject({ type: 'authentication_error', code: 'invalid_api_key' });
+    await request(server.app).post('/v1/chat/completions').set('Authorization', 'Bearer sk-nope').send({ messages: [{ role: 'user', content: 'hi' }] }).expect(401);
+    expect(server.cohere.chat).not.toHaveBeenCalled();
+  });
+
+  it('enforces the scope of each route', async () => {
+    await request(server.app).post('/v1/chat/completions').set('Authorization', 'Bearer sk-chat').send({ messages: [{ role: 'user', content: 'hi' }] }).expect(200);
+    const denied = await request(server.app).delete('/v1/rag/index').set('x-api-key', 'sk-chat').expect(403);
+    expect(denied.body.error).toMatchObject({ type: 'permission_error', code: 'insufficient_scope' });
+    await request(server.app).post('/v1/embed').set('x-api-key', 'sk-chat').send({ input: 'x' }).expect(403);
+    await request(server.app).get('/metrics').set('x-api-key', 'sk-rag').expect(403);
+    await request(server.app).get('/health').expect(200);
+  });
+
+  it('never logs the key itself', async () => {
+    const warn = vi.fn();
+    const { createApiKeyAuth } = await import('../src/middleware/apiKeyAuth.mjs');
+    const guard = createApiKeyAuth(server.apiKeyStore, { logger: { warn } })('admin');
+    const res = { status: () => res, json: () => res };
+    guard({ headers: { 'x-api-key': 'sk-chat' }, path: '/metrics' }, res, () => {});
+    guard({ headers: { 'x-api-key': 'sk-secret-guess' }, path: '/metrics' }, res, () => {});
+    expect(warn).toHaveBeenCalledTimes(2);
+    expect(JSON.stringify(warn.mock.calls)).not.toMatch(/sk-chat|sk-secret-guess/);
+    expect(warn.mock.calls[0][0].fingerprint).toMatch(/^[0-9a-f]{12}$/);
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createRequire } from 'module';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import promClient from 'prom-client';
+import EnhancedCohereRAGServer from '../src/index.mjs';
+const require = createRequire(import.meta.url);
+const request = require('supertest');
+
+const line = (customId, body) => JSON.stringify({ custom_id: customId, method: 'POST', url: '/v1/chat/completions', body });
+
+describe('Files and Batches API', () => {
+  let server;
+  let dir;
+
+  beforeEach(() => {
+    process.env.SKIP_DIAGNOSTICS = 'true';
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'batches-'));
+    process.env.BATCH_DIR = dir;
+    process.env.BATCH_RETRY_DELAY_MS = '1';
+    promClient.register.clear();
+    server = new EnhancedCohereRAGServer({ port: 0 });
+    server.cohere = { chat: vi.fn(async (payload) => ({ text: `re: ${payload.message}`, finish_reason: 'COMPLETE' })) };
+    // Batch requests go through ConversationManager.sendPrompt, which calls the RAG manager's client
+    server.conversationManager.ragManager = { retrieveRelevantDocuments: async () => [], cohere: server.cohere };
+  });
+
+  afterEach(() => {
+    delete process.env.BATCH_DIR;
+    delete process.env.BATCH_RETRY_DELAY_MS;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const upload = (content) => request(server.app).post('/v1/files').field('purpose', 'batch').attach('file', Buffer.from(content), 'requests.jsonl');
+
+  it('runs an uploaded JSONL file and serves the results', async () => {
+    const content = [
+      line('one', { model: 'command-r7b-12-2024', messages: [{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'hi' }] }),
+      line('two', { messages: [{ role: 'user', content: 'hello' }], max_tokens: 20 }),
+      line('bad', { messages: [] }),
+    ].join('\n');
+    const file = (await upload(content).expect(200)).body;
+    expect(file).toMatchObject({ object: 'file', purpose: 'batch', filename: 'requests.jsonl', bytes: Buffer.byteLength(content) });
+    expect(file).not.toHaveProperty('owner');
+
+    const created = await request(server.app).post('/v1/batches').send({ input_file_id: file.id, endpoint: '/v1/chat/completions', completion_window: '24h', metadata: { run: 'eval-1' } }).expect(200);
+    expect(created.body).toMatchObject({ object: 'batch', status: 'validating', input_file_id: file.id, metadata: { run: 'eval-1' } });
+    await server.batchRunner.whenIdle();
+
+    const batch = (await request(server.app).get(`/v1/batches/${created.body.id}`).expect(200)).body;
+    expect(batch).toMatchObject({ status: 'completed', request_counts: { total: 3, completed: 2, failed: 1 } });
+    expect(server.cohere.chat).toHaveBeenCalledTimes(2);
+    expect(server.cohere.chat.mock.calls.map(c => c[0]).find(p => p.message === 'hi')).toMatchObject({ model: 'command-r7b-12-2024', preamble: 'Be brief.' });
+
+    const output = await request(server.app).get(`/v1/files/${batch.output_file_id}/content`).expect(200);
+    const results = output.text.trim().split('\n').map(l => JSON.parse(l));
+    const one = results.find(r => r.custom_id === 'one');
+    expect(one.response.status_code).toBe(200);
+    expect(one.response.body).toMatchObject({ object: 'chat.completion', choices: [{ message: { role: 'assistant', content: 're: hi' }, finish_reason: 'stop' }] });
+    expect(one.response.body).not.toHaveProperty('session_id');
+
+    const errors = await request(server.app).get(`/v1/files/${batch.error_file_id}/content`).expect(200);
+    expect(JSON.parse(errors.text.trim())).toMatchObject({ custom_id: 'bad', response: { status_code: 400, body: { error: { param: 'messages' } } } });
+
+    const list = await request(server.app).get('/v1/batches?limit=1').expect(200);
+    expect(list.body).toMatchObject({ object: 'list', first_id: batch.id, has_more: false });
+  });
+
+  it('records invalid request parameters as invalid_request_error', async () => {
+    const content = line('sampling', { messages: [{ role: 'user', content: 'hi' }], top_p: 5 });
+    const file = (await upload(content).expect(200)).body;
+    const created = await request(server.app).post('/v1/batches').send({ input_file_id: file.id, endpoint: '/v1/chat/completions', completion_window: '24h' }).expect(200);
+    await server.batchRunner.whenIdle();
+
+    const batch = (await request(server.app).get(`/v1/batches/${created.body.id}`).expect(200)).body;
+    expect(batch.request_counts).toMatchObject({ completed: 0, failed: 1 });
+    const errors = await request(server.app).get(`/v1/files/${batch.error_file_id}/content`).expect(200);
+    expect(JSON.parse(errors.text.trim())).toMatchObject({ custom_id: 'sampling', response: { status_code: 400, body: { error: { type: 'invalid_request_error', param: 'top_p' } } } });
+    expect(server.cohere.chat).not.toHaveBeenCalled();
+  });
+
+  it('accepts raw JSONL uploads and validates batch creation', async () => {
+    const file = (await request(server.app).post('/v1/files?purpose=batch&filename=raw.jsonl').set('Content-Type', 'application/jsonl').send(line('x', { messages: [{ role: 'user', content: 'x' }] })).expect(200)).body;
+    expect(file.filename).toBe('raw.jsonl');
+    expect((await request(server.app).post('/v1/files').attach('file', Buffer.from('{}'), 'a.jsonl').expect(400)).body.error.param).toBe('purpose');
+
+    const create = (body) => request(server.app).post('/v1/batches').send({ input_file_id: file.id, endpoint: '/v1/chat/completions', ...body });
+    expect((await create({ endpoint: '/v1/embeddings' }).expect(400)).body.error.param).toBe('endpoint');
+    expect((await create({ completion_window: '1h' }).expect(400)).body.error.param).toBe('completion_window');
+    expect((await create({ input_file_id: 'file-missing' }).expect(400)).body.error.param).toBe('input_file_id');
+    await request(server.app).get('/v1/batches/batch_000000000000000000000000').expect(404);
+  });
+
+  it('fails batches with invalid lines and refuses to cancel finished ones', async () => {
+    const file = (await upload(`${line('a', { messages: [] })}\nnot json`).expect(200)).body;
+    const created = (await request(server.app).post('/v1/batches').send({ input_file_id: file.id, endpoint: '/v1/chat/completions' }).expect(200)).body;
+    await server.batchRunner.whenIdle();
+    const batch = (await request(server.app).get(`/v1/batches/${created.id}`).expect(200)).body;
+    expect(batch.status).toBe('failed');
+    expect(batch.errors.data).toEqual([{ code: 'invalid_json_line', message: 'This line is not parseable as valid JSON.', line: 2 }]);
+    await request(server.app).post(`/v1/batches/${created.id}/cancel`).expect(409);
+
+    await request(server.app).delete(`/v1/files/${file.id}`).expect(200);
+    await request(server.app).get(`/v1/files/${file.id}`).expect(404);
+  });
+});
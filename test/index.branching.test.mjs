@@ -0,0 +1,80 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createRequire } from 'module';
+import promClient from 'prom-client';
+import EnhancedCohereRAGServer from '../src/index.mjs';
+const require = createRequire(import.meta.url);
+const request = require('supertest');
+
+describe('conversation branching and editing', () => {
+  let server;
+  let cm;
+  const contents = (sessionId) => cm.getConversation(sessionId).map(m => m.content);
+
+  beforeEach(async () => {
+    process.env.SKIP_DIAGNOSTICS = 'true';
+    promClient.register.clear();
+    server = new EnhancedCohereRAGServer({ port: 0 });
+    cm = server.conversationManager;
+    cm.ragManager = { retrieveRelevantDocuments: async () => [] };
+    await cm.addMessage('s1', 'user', 'Write a haiku');
+    await cm.addMessage('s1', 'assistant', 'Old pond, frog jumps in');
+    await cm.addMessage('s1', 'user', 'Now about rain');
+    await cm.addMessage('s1', 'assistant', 'Rain on the tin roof');
+  });
+
+  it('forks a session at a message index', async () => {
+    const res = await request(server.app).post('/v1/conversations/s1/fork').send({ messageIndex: 1, newSessionId: 'fork-1' }).expect(200);
+    expect(res.body).toEqual({ session_id: 'fork-1', parent_session_id: 's1', message_count: 2 });
+    expect(contents('fork-1')).toEqual(['Write a haiku', 'Old pond, frog jumps in']);
+    expect(contents('s1')).toHaveLength(4);
+
+    const tree = await request(server.app).get('/v1/conversations/fork-1/branches').expect(200);
+    expect(tree.body.parent).toEqual({ sessionId: 's1', messageIndex: 1, reason: 'fork' });
+    await request(server.app).post('/v1/conversations/s1/fork').send({ messageIndex: 1, newSessionId: 'fork-1' }).expect(409);
+    expect((await request(server.app).post('/v1/conversations/s1/fork').send({ messageIndex: 9 }).expect(400)).body.error.param).toBe('messageIndex');
+    await request(server.app).post('/v1/conversations/nope/fork').send({ messageIndex: 0 }).expect(404);
+  });
+
+  it('edits a message, dropping later replies but keeping them in a branch', async () => {
+    const res = await request(server.app).patch('/v1/conversations/s1/messages/2').send({ content: 'Now about snow' }).expect(200);
+    expect(contents('s1')).toEqual(['Write a haiku', 'Old pond, frog jumps in', 'Now about snow']);
+    expect(contents(res.body.branch_id)).toEqual(['Write a haiku', 'Old pond, frog jumps in', 'Now about rain', 'Rain on the tin roof']);
+
+    const tree = await request(server.app).get('/v1/conversations/s1/branches').expect(200);
+    expect(tree.body.branches).toEqual([expect.objectContaining({ sessionId: res.body.branch_id, messageIndex: 2, reason: 'edit' })]);
+  });
+
+  it('deletes a single message', async () => {
+    const res = await request(server.app).delete('/v1/conversations/s1/messages/0').expect(200);
+    expect(res.body.message.content).toBe('Write a haiku');
+    expect(contents('s1')).toEqual(['Old pond, frog jumps in', 'Now about rain', 'Rain on the tin roof']);
+    expect(contents(res.body.branch_id)).toHaveLength(4);
+  });
+
+  it('regenerates an assistant reply from any point', async () => {
+    server.cohere = { chat: vi.fn().mockResolvedValue({ text: 'Cicada song', finish_reason: 'COMPLETE' }) };
+    const res = await request(server.app).post('/v1/conversations/s1/regenerate').send({ messageIndex: 1 }).expect(200);
+
+    expect(server.cohere.chat.mock.calls[0][0].message).toBe('Write a haiku');
+    expect(res.body.choices[0].message.content).toBe('Cicada song');
+    expect(contents('s1')).toEqual(['Write a haiku', 'Cicada song']);
+    expect(contents(res.body.branch_id)).toHaveLength(4);
+
+    const again = await request(server.app).post('/v1/conversations/s1/regenerate').send({}).expect(200);
+    expect(contents('s1')).toEqual(['Write a haiku', 'Cicada song']);
+    expect(cm.getBranches('s1').branches).toHaveLength(2);
+    expect(again.body.branch_id).not.toBe(res.body.branch_id);
+
+    expect((await request(server.app).post('/v1/conversations/s1/regenerate').send({ messageIndex: 0 }).expect(400)).body.error.param).toBe('messageIndex');
+  });
+
+  it('leaves the session as it was when regeneration fails', async () => {
+    server.cohere = { chat: vi.fn().mockRejectedValue(Object.assign(new Error('upstream down'), { statusCode: 503 })) };
+    const before = cm.getConversation('s1').map(m => ({ ...m }));
+    const res = await request(server.app).post('/v1/conversations/s1/regenerate').send({ messageIndex: 1 });
+    expect(res.status).toBeGreaterThanOrEqual(500);
+    expect(cm.getConversation('s1')).toEqual(before);
+    expect(cm.getBranches('s1').branches).toEqual([]);
+    expect(cm.conversations.size).toBe(1);
+  });
+});
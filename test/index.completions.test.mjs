@@ -0,0 +1,90 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createRequire } from 'module';
+import promClient from 'prom-client';
+import EnhancedCohereRAGServer from '../src/index.mjs';
+const require = createRequire(import.meta.url);
+const request = require('supertest');
+
+function sseEvents(text) {
+  return text.split('\n\n').filter(b => b.startsWith('data: ')).map(b => b.slice(6)).map(d => (d === '[DONE]' ? d : JSON.parse(d)));
+}
+
+describe('legacy /v1/completions', () => {
+  let server;
+
+  beforeEach(() => {
+    delete process.env.COHERE_V2_STREAMING_SUPPORTED;
+    process.env.SKIP_DIAGNOSTICS = 'true';
+    promClient.register.clear();
+    server = new EnhancedCohereRAGServer({ port: 0 });
+    server.conversationManager.ragManager = { retrieveRelevantDocuments: async () => [] };
+  });
+
+  it('returns a text_completion for a prompt and forwards stop sequences', async () => {
+    server.cohere = { chat: vi.fn().mockResolvedValue({ text: ' world' }) };
+    const res = await request(server.app)
+      .post('/v1/completions')
+      .send({ prompt: 'Hello', stop: '\n', max_tokens: 16 })
+      .expect(200);
+
+    const payload = server.cohere.chat.mock.calls[0][0];
+    expect(payload.message).toBe('Hello');
+    expect(payload.stop_sequences).toEqual(['\n']);
+    expect(payload.max_tokens).toBe(16);
+    expect(res.body.id).toMatch(/^cmpl-/);
+    expect(res.body.object).toBe('text_completion');
+    expect(res.body.choices).toEqual([{ text: ' world', index: 0, logprobs: null, finish_reason: 'stop' }]);
+    expect(res.body.usage.total_tokens).toBe(res.body.usage.prompt_tokens + res.body.usage.completion_tokens);
+  });
+
+  it('supports echo, suffix and n choices across prompt arrays', async () => {
+    server.cohere = { chat: vi.fn().mockResolvedValue({ text: '!' }) };
+    const res = await request(server.app)
+      .post('/v1/completions')
+      .send({ prompt: ['a', 'b'], n: 2, echo: true, suffix: 'END' })
+      .expect(200);
+
+    expect(server.cohere.chat).toHaveBeenCalledTimes(4);
+    expect(server.cohere.chat.mock.calls[0][0].preamble).toContain('END');
+    expect(server.cohere.chat.mock.calls.map(c => c[1]?.cacheVariant)).toEqual([0, 1, 0, 1]);
+    expect(res.body.choices.map(c => [c.index, c.text])).toEqual([[0, 'a!'], [1, 'a!'], [2, 'b!'], [3, 'b!']]);
+  });
+
+  it('validates prompt, n and stop', async () => {
+    server.cohere = { chat: vi.fn() };
+    expect((await request(server.app).post('/v1/completions').send({}).expect(400)).body.error.param).toBe('prompt');
+    expect((await request(server.app).post('/v1/completions').send({ prompt: 'x', n: 0 }).expect(400)).body.error.param).toBe('n');
+    expect((await request(server.app).post('/v1/completions').send({ prompt: 'x', n: 17 }).expect(400)).body.error.param).toBe('n');
+    expect((await request(server.app).post('/v1/completions').send({ prompt: 'x', stop: [1] }).expect(400)).body.error.param).toBe('stop');
+    expect(server.cohere.chat).not.toHaveBeenCalled();
+  });
+
+  it('streams text_completion chunks terminated by [DONE]', async () => {
+    server.cohere = {
+      chat: vi.fn().mockResolvedValue((async function* () {
+        yield { event_type: 'text-generation', text: 'foo' };
+        yield { event_type: 'text-generation', text: 'bar' };
+        yield { event_type: 'stream-end', finish_reason: 'COMPLETE' };
+      })()),
+    };
+    const res = await request(server.app)
+      .post('/v1/completions')
+      .send({ prompt: 'x', stream: true, stream_options: { include_usage: true } })
+      .expect(200);
+
+    expect(server.cohere.chat.mock.calls[0][0].stream).toBe(true);
+    const events = sseEvents(res.text);
+    expect(events[events.length - 1]).toBe('[DONE]');
+    const chunks = events.slice(0, -1);
+    expect(chunks.every(c => c.object === 'text_completion')).toBe(true);
+    expect(chunks.filter(c => c.choices.length).map(c => c.choices[0].text).join('')).toBe('foobar');
+    expect(chunks[chunks.length - 2].choices[0].finish_reason).toBe('stop');
+    expect(chunks[chunks.length - 1].usage.completion_tokens).toBeGreaterThan(0);
+  });
+
+  it('surfaces upstream failures as OpenAI-style errors', async () => {
+    server.cohere = { chat: vi.fn().mockRejectedValue(new Error('boom')) };
+    const res = await request(server.app).post('/v1/completions').send({ prompt: 'x' }).expect(502);
+    expect(res.body.error.type).toBe('server_error');
+  });
+});
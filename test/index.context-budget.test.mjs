@@ -0,0 +1,66 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createRequire } from 'module';
+import promClient from 'prom-client';
+import EnhancedCohereRAGServer from '../src/index.mjs';
+const require = createRequire(import.meta.url);
+const request = require('supertest');
+
+const words = (n, word = 'hello') => Array.from({ length: n }, () => word).join(' ');
+
+describe('context window budgeting', () => {
+  let server;
+
+  beforeEach(() => {
+    delete process.env.COHERE_V2_STREAMING_SUPPORTED;
+    process.env.SKIP_DIAGNOSTICS = 'true';
+    promClient.register.clear();
+    server = new EnhancedCohereRAGServer({ port: 0 });
+    server.conversationManager.ragManager = { retrieveRelevantDocuments: async () => [] };
+    server.MAX_TOTAL_TOKENS = 400;
+    server.TOKEN_SAFETY_BUFFER = 10;
+    server.MIN_COMPLETION_TOKENS = 20;
+  });
+
+  const longHistory = () => [
+    { role: 'user', content: words(250, 'first') },
+    { role: 'assistant', content: words(250, 'reply') },
+    { role: 'user', content: 'What now?' },
+  ];
+
+  it('drops the oldest turns and clamps max_tokens to what is left', async () => {
+    server.cohere = { chat: vi.fn().mockResolvedValue({ text: 'ok' }) };
+    await request(server.app).post('/v1/chat/completions').send({ messages: longHistory(), max_tokens: 1000 }).expect(200);
+
+    const payload = server.cohere.chat.mock.calls[0][0];
+    expect(payload.message).toBe('What now?');
+    expect(payload.chat_history).toBeUndefined();
+    expect(payload.max_tokens).toBeLessThanOrEqual(400 - 10);
+    expect(payload.max_tokens).toBeGreaterThanOrEqual(20);
+  });
+
+  it('replaces dropped turns with a summary when enabled', async () => {
+    server.SUMMARIZE_DROPPED_HISTORY = true;
+    server.cohere = {
+      chat: vi.fn()
+        .mockResolvedValueOnce({ text: 'The user said first a lot.' })
+        .mockResolvedValue({ text: 'ok' }),
+    };
+    await request(server.app).post('/v1/chat/completions').send({ messages: longHistory() }).expect(200);
+
+    expect(server.cohere.chat).toHaveBeenCalledTimes(2);
+    expect(server.cohere.chat.mock.calls[0][0].message).toContain('first first');
+    const payload = server.cohere.chat.mock.calls[1][0];
+    expect(payload.chat_history).toBeUndefined();
+    expect(payload.preamble).toContain('The user said first a lot.');
+  });
+
+  it('rejects a message that cannot fit with context_length_exceeded', async () => {
+    server.cohere = { chat: vi.fn() };
+    const res = await request(server.app).post('/v1/chat/completions').send({ messages: [{ role: 'user', content: words(500) }] }).expect(400);
+    expect(res.body.error).toMatchObject({ type: 'invalid_request_error', code: 'context_length_exceeded', param: 'messages' });
+    expect(server.cohere.chat).not.toHaveBeenCalled();
+
+    const completion = await request(server.app).post('/v1/completions').send({ prompt: words(500) }).expect(400);
+    expect(completion.body.error.code).toBe('context_length_exceeded');
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { createRequire } from 'module';
+import promClient from 'prom-client';
+import EnhancedCohereRAGServer from '../src/index.mjs';
+const require = createRequire(import.meta.url);
+const request = require('supertest');
+
+describe('conversation listing, search and export', () => {
+  let server;
+
+  beforeEach(async () => {
+    process.env.SKIP_DIAGNOSTICS = 'true';
+    promClient.register.clear();
+    server = new EnhancedCohereRAGServer({ port: 0 });
+    const cm = server.conversationManager;
+    cm.ragManager = { retrieveRelevantDocuments: async () => [] };
+    await cm.addMessage('alpha', 'user', 'How do I rotate the API keys?');
+    await cm.addMessage('alpha', 'assistant', 'Edit the key file; it is reloaded automatically.');
+    await cm.addFeedback('alpha', 'mention the admin scope');
+    await cm.addMessage('beta', 'user', 'Hello there');
+    await cm.addMessage('gamma', 'user', 'One');
+    await cm.addMessage('gamma', 'assistant', 'Two');
+    const now = Date.now();
+    Object.assign(cm.conversations.get('alpha'), { created: now - 3000, lastAccessed: now - 1000 });
+    Object.assign(cm.conversations.get('beta'), { created: now - 2000, lastAccessed: now - 3000 });
+    Object.assign(cm.conversations.get('gamma'), { created: now - 1000, lastAccessed: now - 2000 });
+  });
+
+  it('lists sessions most recently accessed first, with cursor pagination', async () => {
+    const first = await request(server.app).get('/v1/conversations?limit=2').expect(200);
+    expect(first.body.data.map(c => c.id)).toEqual(['alpha', 'gamma']);
+    expect(first.body.data[0]).toMatchObject({ object: 'conversation', message_count: 3, has_feedback: true });
+    expect(first.body).toMatchObject({ object: 'list', first_id: 'alpha', last_id: 'gamma', has_more: true });
+
+    const second = await request(server.app).get(`/v1/conversations?limit=2&after=${first.body.last_id}`).expect(200);
+    expect(second.body.data.map(c => c.id)).toEqual(['beta']);
+    expect(second.body.has_more).toBe(false);
+  });
+
+  it('filters by feedback, message count and time range', async () => {
+    const ids = async (qs) => (await request(server.app).get(`/v1/conversations?${qs}`).expect(200)).body.data.map(c => c.id);
+    expect(await ids('has_feedback=true')).toEqual(['alpha']);
+    expect(await ids('has_feedback=false&min_messages=2')).toEqual(['gamma']);
+    expect(await ids('max_messages=1')).toEqual(['beta']);
+    const since = new Date(Date.now() - 1500).toISOString();
+    expect(await ids(`created_after=${encodeURIComponent(since)}`)).toEqual(['gamma']);
+
+    const bad = await request(server.app).get('/v1/conversations?min_messages=-1').expect(400);
+    expect(bad.body.error.param).toBe('min_messages');
+    await request(server.app).get('/v1/conversations?limit=500').expect(400);
+  });
+
+  it('searches message content across sessions', async () => {
+    const res = await request(server.app).get('/v1/conversations/search?q=KEY%20file').expect(200);
+    expect(res.body.data).toHaveLength(1);
+    expect(res.body.data[0]).toMatchObject({ session_id: 'alpha', message_index: 1, role: 'assistant' });
+    expect(res.body.data[0].snippet).toContain('key file');
+    await request(server.app).get('/v1/conversations/search').expect(400);
+  });
+
+  it('exports a session as JSON, Markdown or fine-tuning JSONL', async () => {
+    const json = await request(server.app).get('/v1/conversations/alpha/export').expect(200);
+    expect(json.headers['content-disposition']).toContain('conversation-alpha.json');
+    expect(JSON.parse(json.text).messages).toHaveLength(3);
+
+    const md = await request(server.app).get('/v1/conversations/alpha/export?format=markdown').expect(200);
+    expect(md.headers['content-type']).toMatch(/text\/markdown/);
+    expect(md.text).toContain('# Conversation alpha');
+    expect(md.text).toContain('> **Feedback (correction)**: mention the admin scope');
+
+    const jsonl = await request(server.app).get('/v1/conversations/alpha/export?format=jsonl').expect(200);
+    const lines = jsonl.text.trim().split('\n');
+    expect(lines).toHaveLength(1);
+    expect(JSON.parse(lines[0])).toEqual({ messages: [
+      { role: 'user', content: 'How do I rotate the API keys?' },
+      { role: 'assistant', content: 'Edit the key file; it is reloaded automatically.' },
+    ] });
+
+    await request(server.app).get('/v1/conversations/alpha/export?format=pdf').expect(400);
+    await request(server.app).get('/v1/conversations/missing/export').expect(404);
+  });
+
+  it('does not create sessions when reading the history of an unknown one', async () => {
+    const history = await request(server.app).get('/v1/conversations/beta/history').expect(200);
+    expect(history.body).toMatchObject({ sessionId: 'beta', count: 1 });
+    const missing = await request(server.app).get('/v1/conversations/missing/history').expect(404);
+    expect(missing.body.error.type).toBe('not_found_error');
+    expect(server.conversationManager.findConversation('missing')).toBeUndefined();
+  });
+});
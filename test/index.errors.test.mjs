@@ -0,0 +1,58 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createRequire } from 'module';
+import promClient from 'prom-client';
+import EnhancedCohereRAGServer from '../src/index.mjs';
+const require = createRequire(import.meta.url);
+const request = require('supertest');
+
+describe('finish reasons and upstream errors', () => {
+  let server;
+
+  beforeEach(() => {
+    delete process.env.COHERE_V2_STREAMING_SUPPORTED;
+    process.env.SKIP_DIAGNOSTICS = 'true';
+    promClient.register.clear();
+    server = new EnhancedCohereRAGServer({ port: 0 });
+    server.conversationManager.ragManager = { retrieveRelevantDocuments: async () => [] };
+  });
+
+  const chat = (body = {}) => request(server.app).post('/v1/chat/completions').send({ messages: [{ role: 'user', content: 'hi' }], ...body });
+
+  it('maps MAX_TOKENS and ERROR_TOXIC finish reasons', async () => {
+    server.cohere = { chat: vi.fn().mockResolvedValueOnce({ text: 'trunc', finish_reason: 'MAX_TOKENS' }).mockResolvedValueOnce({ text: '', finishReason: 'ERROR_TOXIC' }) };
+    expect((await chat().expect(200)).body.choices[0].finish_reason).toBe('length');
+    expect((await chat({ sessionId: 'other' }).expect(200)).body.choices[0].finish_reason).toBe('content_filter');
+  });
+
+  it('maps the streamed stream-end finish reason', async () => {
+    server.cohere = {
+      chat: vi.fn().mockResolvedValue((async function* () {
+        yield { event_type: 'text-generation', text: 'abc' };
+        yield { event_type: 'stream-end', finish_reason: 'MAX_TOKENS' };
+      })()),
+    };
+    const res = await chat({ stream: true }).expect(200);
+    expect(res.text).toContain('"finish_reason":"length"');
+  });
+
+  it('passes upstream 429s through with Retry-After', async () => {
+    const err = Object.assign(new Error('Too Many Requests'), { statusCode: 429, rawResponse: { headers: new Headers({ 'retry-after': '7' }) } });
+    server.cohere = { chat: vi.fn().mockRejectedValue(err) };
+    const res = await chat().expect(429);
+    expect(res.headers['retry-after']).toBe('7');
+    expect(res.body.error).toMatchObject({ type: 'rate_limit_error', code: 'rate_limit_exceeded' });
+  });
+
+  it('passes upstream 400s through as invalid_request_error', async () => {
+    server.cohere = { chat: vi.fn().mockRejectedValue(Object.assign(new Error('bad'), { statusCode: 400, body: { message: 'too many tokens' } })) };
+    const res = await chat().expect(400);
+    expect(res.body.error).toEqual({ message: 'too many tokens', type: 'invalid_request_error' });
+  });
+
+  it('reports an open circuit as 503 with Retry-After', async () => {
+    server.cohere = { chat: vi.fn().mockRejectedValue(Object.assign(new Error('CircuitOpen'), { code: 'CIRCUIT_OPEN', retryAfterMs: 2500 })) };
+    const res = await chat().expect(503);
+    expect(res.headers['retry-after']).toBe('3');
+    expect(res.body.error.code).toBe('circuit_open');
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createRequire } from 'module';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import promClient from 'prom-client';
+import EnhancedCohereRAGServer from '../src/index.mjs';
+const require = createRequire(import.meta.url);
+const request = require('supertest');
+
+describe('feedback records', () => {
+  let server;
+  let dir;
+
+  beforeEach(() => {
+    delete process.env.COHERE_V2_STREAMING_SUPPORTED;
+    process.env.SKIP_DIAGNOSTICS = 'true';
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'feedback-'));
+    process.env.FEEDBACK_FILE = path.join(dir, 'feedback.jsonl');
+    promClient.register.clear();
+    server = new EnhancedCohereRAGServer({ port: 0 });
+    server.conversationManager.ragManager = { retrieveRelevantDocuments: async () => [] };
+    server.cohere = { chat: vi.fn().mockResolvedValueOnce({ text: 'blue' }).mockResolvedValueOnce({ text: 'teal' }) };
+  });
+
+  afterEach(() => {
+    delete process.env.FEEDBACK_FILE;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const feedback = (body) => request(server.app).post('/v1/conversations/s/feedback').send(body);
+
+  it('records ratings on replies with what produced them', async () => {
+    await request(server.app).post('/v1/chat/completions').send({ sessionId: 's', model: 'command-r7b-12-2024', messages: [{ role: 'user', content: 'name a colour' }] }).expect(200);
+    const reply = server.conversationManager.getConversation('s')[1];
+    expect(reply).toMatchObject({ id: expect.stringMatching(/^msg_/), model: 'command-r7b-12-2024', preambleTemplate: null, ragDocuments: 0 });
+
+    const res = await feedback({ rating: 'down', feedback: 'too plain', type: 'quality' }).expect(200);
+    expect(res.body.feedback).toMatchObject({ object: 'feedback', session_id: 's', message_id: reply.id, rating: 'down', text: 'too plain', model: 'command-r7b-12-2024' });
+    expect(server.conversationManager.getConversation('s').at(-1).content).toBe('User feedback (quality): too plain');
+    // A rating alone is not added to the conversation
+    await feedback({ rating: 'up', message_id: reply.id }).expect(200);
+    expect(server.conversationManager.getConversation('s')).toHaveLength(3);
+    expect(fs.readFileSync(process.env.FEEDBACK_FILE, 'utf8').trim().split('\n')).toHaveLength(2);
+  });
+
+  it('validates ratings and target messages', async () => {
+    expect((await feedback({ rating: 'sideways' }).expect(400)).body.error.param).toBe('rating');
+    expect((await feedback({}).expect(400)).body.error.type).toBe('invalid_request_error');
+    await request(server.app).post('/v1/chat/completions').send({ sessionId: 's', messages: [{ role: 'user', content: 'name a colour' }] }).expect(200);
+    expect((await feedback({ rating: 'up', message_id: 'msg_missing' }).expect(404)).body.error.param).toBe('message_id');
+  });
+
+  it('does not create sessions for feedback on unknown ones', async () => {
+    const res = await request(server.app).post('/v1/conversations/unknown/feedback').send({ rating: 'up', feedback: 'great' }).expect(404);
+    expect(res.body.error).toMatchObject({ type: 'not_found_error', message: 'Conversation unknown not found' });
+    expect(server.conversationManager.findConversation('unknown')).toBeUndefined();
+    expect(server.feedbackStore.list()).toHaveLength(0);
+  });
+
+  it('aggregates feedback and exports preference pairs from regenerated replies', async () => {
+    await request(server.app).post('/v1/chat/completions').send({ sessionId: 's', messages: [{ role: 'user', content: 'name a colour' }] }).expect(200);
+    await feedback({ rating: 'down' }).expect(200);
+    await request(server.app).post('/v1/conversations/s/regenerate').send({}).expect(200);
+    await feedback({ rating: 'up' }).expect(200);
+
+    const summary = await request(server.app).get('/v1/feedback').expect(200);
+    expect(summary.body).toMatchObject({ object: 'feedback.summary', total: 2, up: 1, down: 1, approval_rate: 0.5 });
+    expect(summary.body.by_rag_hit).toEqual([{ rag_hit: false, total: 2, up: 1, down: 1, approval_rate: 0.5 }]);
+    expect(summary.body.recent[0].rating).toBe('up');
+    expect((await request(server.app).get('/v1/feedback?rating=down').expect(200)).body.total).toBe(1);
+    await request(server.app).get('/v1/feedback?created_after=yesterday').expect(400);
+
+    const pairs = await request(server.app).get('/v1/feedback/export').expect(200);
+    expect(pairs.headers['content-type']).toMatch(/application\/jsonl/);
+    expect(pairs.text.trim().split('\n').map(l => JSON.parse(l))).toEqual([{
+      input: { messages: [{ role: 'user', content: 'name a colour' }] },
+      preferred_output: [{ role: 'assistant', content: 'teal' }],
+      non_preferred_output: [{ role: 'assistant', content: 'blue' }],
+    }]);
+    const records = await request(server.app).get('/v1/feedback/export?format=records').expect(200);
+    expect(records.text.trim().split('\n')).toHaveLength(2);
+    await request(server.app).get('/v1/feedback/export?format=csv').expect(400);
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createRequire } from 'module';
+import promClient from 'prom-client';
+import EnhancedCohereRAGServer from '../src/index.mjs';
+const require = createRequire(import.meta.url);
+const request = require('supertest');
+
+const PNG = `data:image/png;base64,${Buffer.from('fake-png-bytes').toString('base64')}`;
+const imageMessage = (url, text = 'What is in this picture?') => ({
+  role: 'user',
+  content: [{ type: 'text', text }, { type: 'image_url', image_url: { url } }],
+});
+
+describe('chat completions with image_url content', () => {
+  let server;
+
+  beforeEach(() => {
+    delete process.env.COHERE_V2_STREAMING_SUPPORTED;
+    delete process.env.MAX_IMAGE_BYTES;
+    process.env.SKIP_DIAGNOSTICS = 'true';
+    promClient.register.clear();
+    server = new EnhancedCohereRAGServer({ port: 0 });
+    server.conversationManager.ragManager = { retrieveRelevantDocuments: async () => [] };
+  });
+
+  afterEach(() => { delete process.env.MAX_IMAGE_BYTES; });
+
+  it('routes image messages to the vision model using v2 content parts', async () => {
+    const v2Chat = vi.fn().mockResolvedValue({ message: { role: 'assistant', content: [{ type: 'text', text: 'A cat.' }] }, finish_reason: 'COMPLETE' });
+    server.cohere = { chat: vi.fn(), v2: { chat: v2Chat } };
+
+    const res = await request(server.app)
+      .post('/v1/chat/completions')
+      .send({ sessionId: 'img-1', messages: [{ role: 'system', content: 'Be brief.' }, imageMessage(PNG)] })
+      .expect(200);
+
+    expect(server.cohere.chat).not.toHaveBeenCalled();
+    const payload = v2Chat.mock.calls[0][0];
+    expect(payload.model).toBe('command-a-vision-07-2025');
+    expect(payload.message).toBeUndefined();
+    expect(payload.messages).toEqual([
+      { role: 'system', content: 'Be brief.' },
+      { role: 'user', content: [{ type: 'text', text: 'What is in this picture?' }, { type: 'image_url', image_url: { url: PNG } }] },
+    ]);
+    expect(res.body.model).toBe('cohere/command-a-vision-07-2025');
+    expect(res.body.choices[0].message.content).toBe('A cat.');
+  });
+
+  it('updates the summary memory with the vision model that answered', async () => {
+    server.cohere = { chat: vi.fn().mockResolvedValue({ text: 'A cat.' }) };
+    const updateSummary = vi.spyOn(server, 'updateSummaryMemory');
+
+    await request(server.app).post('/v1/chat/completions').send({ sessionId: 'img-3', model: 'command-a-03-2025', messages: [imageMessage(PNG)] }).expect(200);
+    expect(updateSummary).toHaveBeenCalledWith('img-3', 'command-a-vision-07-2025');
+  });
+
+  it('keeps images in history so follow-up turns still reach the vision model', async () => {
+    server.cohere = { chat: vi.fn().mockResolvedValueOnce({ text: 'A cat.' }).mockResolvedValueOnce({ text: 'Orange.' }) };
+
+    await request(server.app).post('/v1/chat/completions').send({ sessionId: 'img-2', messages: [imageMessage('https://example.com/cat.png')] }).expect(200);
+    await request(server.app).post('/v1/chat/completions').send({ sessionId: 'img-2', messages: [{ role: 'user', content: 'What colour is it?' }] }).expect(200);
+
+    const followUp = server.cohere.chat.mock.calls[1][0];
+    expect(followUp.model).toBe('command-a-vision-07-2025');
+    expect(followUp.messages.map(m => m.role)).toEqual(['user', 'assistant', 'user']);
+    expect(followUp.messages[0].content[1]).toEqual({ type: 'image_url', image_url: { url: 'https://example.com/cat.png' } });
+    expect(server.conversationManager.getConversation('img-2')[0].images).toEqual(['https://example.com/cat.png']);
+  });
+
+  it('keeps an explicitly requested vision model', async () => {
+    server.cohere = { chat: vi.fn().mockResolvedValue({ text: 'ok' }) };
+    await request(server.app).post('/v1/chat/completions').send({ model: 'command-a-vision-07-2025', messages: [imageMessage(PNG)] }).expect(200);
+    expect(server.cohere.chat.mock.calls[0][0].model).toBe('command-a-vision-07-2025');
+  });
+
+  it('rejects oversized base64 images before storing anything', async () => {
+    process.env.MAX_IMAGE_BYTES = '4';
+    server.cohere = { chat: vi.fn() };
+    const res = await request(server.app)
+      .post('/v1/chat/completions')
+      .send({ sessionId: 'img-3', messages: [imageMessage(PNG)] })
+      .expect(400);
+    expect(res.body.error.param).toBe('messages');
+    expect(res.body.error.message).toMatch(/exceeds the 4 byte limit/);
+    expect(server.cohere.chat).not.toHaveBeenCalled();
+    expect(server.conversationManager.getConversation('img-3')).toHaveLength(0);
+  });
+
+  it('rejects unsupported image URLs', async () => {
+    server.cohere = { chat: vi.fn() };
+    await request(server.app).post('/v1/chat/completions').send({ messages: [imageMessage('file:///etc/passwd')] }).expect(400);
+    await request(server.app).post('/v1/chat/completions').send({ messages: [imageMessage('data:text/plain;base64,aGk=')] }).expect(400);
+    expect(server.cohere.chat).not.toHaveBeenCalled();
+  });
+});
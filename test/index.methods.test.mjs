@@ -23,20 +23,17 @@ describe('EnhancedCohereRAGServer methods', () => {
 
   it('callCohereChatAPI handles client not initialized', async () => {
     server.cohere = null;
-    const result = await server.callCohereChatAPI('model', { message: 'test' });
-    expect(result).toBe(null);
+    await expect(server.callCohereChatAPI('model', { message: 'test' })).rejects.toMatchObject({ statusCode: 503, type: 'server_error' });
   });
 
   it('callCohereChatAPI handles client without chat method', async () => {
     server.cohere = {};
-    const result = await server.callCohereChatAPI('model', { message: 'test' });
-    expect(result).toBe(null);
+    await expect(server.callCohereChatAPI('model', { message: 'test' })).rejects.toMatchObject({ statusCode: 503 });
   });
 
   it('callCohereChatAPI handles API error', async () => {
     server.cohere = { chat: vi.fn().mockRejectedValue(new Error('API error')) };
-    const result = await server.callCohereChatAPI('model', { message: 'test' });
-    expect(result).toBe(null);
+    await expect(server.callCohereChatAPI('model', { message: 'test' })).rejects.toMatchObject({ statusCode: 502, type: 'server_error' });
   });
 
   it('start method handles initializeSupportedModels error', async () => {
@@ -65,6 +62,8 @@ describe('EnhancedCohereRAGServer methods', () => {
     conversationsMap.set('id', { ragContext: [] });
     server.conversationManager = {
       addMessage: vi.fn(),
+      syncMessages: vi.fn().mockResolvedValue({ appended: 1 }),
+      findConversation: vi.fn(),
       getFormattedHistoryWithRAG: vi.fn().mockReturnValue({ message: 'test', chatHistory: [] }),
       getStats: vi.fn().mockReturnValue({}),
       conversations: conversationsMap
@@ -93,9 +92,13 @@ describe('EnhancedCohereRAGServer methods', () => {
     await server.handleChatCompletion(req, res);
 
     expect(res.setHeader).toHaveBeenCalledWith('Content-Type', 'text/event-stream; charset=utf-8');
-    expect(res.write).toHaveBeenCalledWith('data: {"text":"chunk1"}\n\n');
-    expect(res.write).toHaveBeenCalledWith('data: {"text":"chunk2"}\n\n');
-    expect(res.write).toHaveBeenCalledWith('event: done\ndata: {}\n\n');
+    const events = res.write.mock.calls.map(([s]) => s).filter(s => s.startsWith('data: ')).map(s => s.slice(6).trim());
+    expect(events[events.length - 1]).toBe('[DONE]');
+    const chunks = events.slice(0, -1).map(e => JSON.parse(e));
+    expect(chunks.every(c => c.object === 'chat.completion.chunk')).toBe(true);
+    expect(chunks[0].choices[0].delta.role).toBe('assistant');
+    expect(chunks.map(c => c.choices[0].delta.content).filter(Boolean)).toEqual(['chunk1', 'chunk2']);
+    expect(chunks[chunks.length - 1].choices[0].finish_reason).toBe('stop');
     expect(res.end).toHaveBeenCalled();
   });
 });
\ No newline at end of file
@@ -0,0 +1,81 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createRequire } from 'module';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import promClient from 'prom-client';
+import EnhancedCohereRAGServer from '../src/index.mjs';
+const require = createRequire(import.meta.url);
+const request = require('supertest');
+
+describe('preamble templates', () => {
+  let server;
+  let dir;
+
+  beforeEach(() => {
+    delete process.env.COHERE_V2_STREAMING_SUPPORTED;
+    process.env.SKIP_DIAGNOSTICS = 'true';
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'preambles-'));
+    fs.writeFileSync(path.join(dir, 'reviewer.md'), 'You review code for {{user}} on {{project}}.\n\n{{preamble}}\n\n{{context}}');
+    fs.writeFileSync(path.join(dir, 'terse.md'), 'Answer in one sentence.');
+    fs.writeFileSync(path.join(dir, 'keys.json'), JSON.stringify({ keys: [
+      { name: 'ana', key: 'sk-ana', scopes: ['chat'], preambleTemplate: 'terse' },
+      { name: 'ops', key: 'sk-ops', scopes: ['admin'] },
+    ] }));
+    process.env.PREAMBLE_TEMPLATES_DIR = dir;
+    process.env.API_KEYS_FILE = path.join(dir, 'keys.json');
+    promClient.register.clear();
+    server = new EnhancedCohereRAGServer({ port: 0 });
+    server.conversationManager.ragManager = { retrieveRelevantDocuments: async () => [] };
+    server.cohere = { chat: vi.fn().mockResolvedValue({ text: 'ok' }) };
+  });
+
+  afterEach(() => {
+    delete process.env.PREAMBLE_TEMPLATES_DIR;
+    delete process.env.API_KEYS_FILE;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const chat = (key = 'sk-ops') => request(server.app).post('/v1/chat/completions').set('Authorization', `Bearer ${key}`);
+  const lastPreamble = () => server.cohere.chat.mock.calls.at(-1)[0].preamble;
+
+  it('renders the template named in metadata with request variables', async () => {
+    await chat().send({ sessionId: 's1', metadata: { preamble_template: 'reviewer', project: 'proxy' }, user: 'bo', messages: [{ role: 'system', content: 'Use tabs.' }, { role: 'user', content: 'hi' }] }).expect(200);
+    expect(lastPreamble()).toBe('You review code for bo on proxy.\n\nUse tabs.');
+  });
+
+  it('prefers the header, then the session, then the API key template', async () => {
+    await chat('sk-ana').send({ sessionId: 's2', messages: [{ role: 'user', content: 'hi' }] }).expect(200);
+    expect(lastPreamble()).toBe('Answer in one sentence.');
+
+    await request(server.app).put('/v1/conversations/s2/template').set('Authorization', 'Bearer sk-ana').send({ template: 'reviewer' }).expect(200);
+    await chat('sk-ana').send({ sessionId: 's2', metadata: { project: 'proxy' }, messages: [{ role: 'user', content: 'again' }] }).expect(200);
+    expect(lastPreamble()).toBe('You review code for ana on proxy.');
+
+    await chat('sk-ana').set('x-preamble-template', 'default').send({ sessionId: 's2', messages: [{ role: 'user', content: 'more' }] }).expect(200);
+    expect(lastPreamble()).toBe('You are RooCode Assistant, an AI coding companion enhanced with RAG capabilities.');
+  });
+
+  it('leaves the preamble alone when nothing is selected and there is no context', async () => {
+    await chat().send({ messages: [{ role: 'system', content: 'Use tabs.' }, { role: 'user', content: 'hi' }] }).expect(200);
+    expect(lastPreamble()).toBe('Use tabs.');
+  });
+
+  it('rejects unknown templates', async () => {
+    const res = await chat().set('x-preamble-template', 'nope').send({ messages: [{ role: 'user', content: 'hi' }] }).expect(400);
+    expect(res.body.error).toMatchObject({ type: 'invalid_request_error', param: 'x-preamble-template' });
+    expect(server.cohere.chat).not.toHaveBeenCalled();
+    await chat().send({ messages: [{ role: 'user', content: 'hi' }] }).expect(200);
+    const put = await request(server.app).put('/v1/conversations/missing/template').set('Authorization', 'Bearer sk-ops').send({ template: 'nope' }).expect(400);
+    expect(put.body.error.param).toBe('template');
+  });
+
+  it('lists templates and reloads them on demand', async () => {
+    fs.writeFileSync(path.join(dir, 'fresh.txt'), 'New persona.');
+    const reload = await request(server.app).post('/v1/preamble-templates/reload').set('Authorization', 'Bearer sk-ops').expect(200);
+    expect(reload.body.templates).toEqual(['default', 'fresh', 'reviewer', 'terse']);
+    await request(server.app).post('/v1/preamble-templates/reload').set('Authorization', 'Bearer sk-ana').expect(403);
+    const list = await request(server.app).get('/v1/preamble-templates').set('Authorization', 'Bearer sk-ana').expect(200);
+    expect(list.body.data.map(t => t.id)).toContain('fresh');
+  });
+});
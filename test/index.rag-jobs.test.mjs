@@ -0,0 +1,89 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createRequire } from 'module';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import promClient from 'prom-client';
+import EnhancedCohereRAGServer from '../src/index.mjs';
+import RAGDocumentManager from '../src/ragDocumentManager.mjs';
+const require = createRequire(import.meta.url);
+const request = require('supertest');
+
+describe('RAG index job routes', () => {
+  let server;
+  let dir;
+  let project;
+
+  beforeEach(() => {
+    process.env.SKIP_DIAGNOSTICS = 'true';
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rag-job-routes-'));
+    project = path.join(dir, 'project');
+    fs.mkdirSync(project);
+    fs.writeFileSync(path.join(project, 'a.js'), 'export const a = 1;');
+    fs.writeFileSync(path.join(project, 'README.md'), '# Readme');
+    process.env.RAG_PERSIST_PATH = path.join(dir, 'index.json');
+    promClient.register.clear();
+    server = new EnhancedCohereRAGServer({ port: 0 });
+    const rag = new RAGDocumentManager({ embed: async ({ texts }) => ({ body: { embeddings: texts.map(() => [0.1, 0.2]) } }) }, { logger: { info() {}, warn() {}, error() {} } });
+    rag.embeddingWorkerDelayMs = 1;
+    server.ragManager = rag;
+  });
+
+  afterEach(() => {
+    delete process.env.RAG_PERSIST_PATH;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const startJob = async () => (await request(server.app).post('/v1/rag/index').send({ projectPath: project }).expect(200)).body.result.jobId;
+
+  it('streams progress until the job and its embeddings are done', async () => {
+    const jobId = await startJob();
+    const res = await request(server.app).get(`/v1/rag/jobs/${jobId}/events`).expect(200);
+    expect(res.headers['content-type']).toMatch(/text\/event-stream/);
+    const events = res.text.split('\n').filter(l => l.startsWith('data: ')).map(l => l.slice(6));
+    expect(events.at(-1)).toBe('[DONE]');
+    const last = JSON.parse(events.at(-2));
+    expect(last).toMatchObject({ id: jobId, object: 'rag.index_job', status: 'completed', project_path: project, collection: 'default', progress: { files_total: 2, files_scanned: 2, chunks_created: 2, embeddings_pending: 0, error_count: 0 }, result: { added: 2 } });
+
+    const job = await request(server.app).get(`/v1/rag/jobs/${jobId}`).expect(200);
+    expect(job.body.status).toBe('completed');
+    const list = await request(server.app).get('/v1/rag/jobs').expect(200);
+    expect(list.body.data.map(j => j.id)).toEqual([jobId]);
+  });
+
+  it('cancels queued jobs and refuses to cancel finished ones', async () => {
+    const running = await startJob();
+    const queued = await startJob();
+    const cancelled = await request(server.app).delete(`/v1/rag/jobs/${queued}`).expect(200);
+    expect(cancelled.body.status).toBe('cancelled');
+
+    await request(server.app).get(`/v1/rag/jobs/${running}/events`).expect(200);
+    const finished = await request(server.app).delete(`/v1/rag/jobs/${running}`).expect(409);
+    expect(finished.body.error.code).toBe('job_finished');
+    await request(server.app).delete('/v1/rag/jobs/unknown').expect(404);
+    await request(server.app).get('/v1/rag/jobs/unknown').expect(404);
+  });
+
+  it('needs the rag:write scope to follow jobs', async () => {
+    fs.writeFileSync(path.join(dir, 'keys.json'), JSON.stringify({ keys: [
+      { name: 'chat-only', key: 'sk-chat', scopes: ['chat'] },
+      { name: 'indexer', key: 'sk-rag', scopes: ['rag:write'] },
+    ] }));
+    process.env.API_KEYS_FILE = path.join(dir, 'keys.json');
+    process.env.RATE_LIMIT_STATE_FILE = path.join(dir, 'state.json');
+    try {
+      promClient.register.clear();
+      const secured = new EnhancedCohereRAGServer({ port: 0 });
+      secured.ragManager = server.ragManager;
+      const jobId = (await request(secured.app).post('/v1/rag/index').set('x-api-key', 'sk-rag').send({ projectPath: project }).expect(200)).body.result.jobId;
+      for (const url of ['/v1/rag/jobs', `/v1/rag/jobs/${jobId}`, `/v1/rag/jobs/${jobId}/events`]) {
+        expect((await request(secured.app).get(url).set('x-api-key', 'sk-chat').expect(403)).body.error.code).toBe('insufficient_scope');
+      }
+      await request(secured.app).delete(`/v1/rag/jobs/${jobId}`).set('x-api-key', 'sk-chat').expect(403);
+      await request(secured.app).get(`/v1/rag/jobs/${jobId}/events`).set('x-api-key', 'sk-rag').expect(200);
+    } finally {
+      delete process.env.API_KEYS_FILE;
+      delete process.env.RATE_LIMIT_STATE_FILE;
+    }
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createRequire } from 'module';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import promClient from 'prom-client';
+import EnhancedCohereRAGServer from '../src/index.mjs';
+const require = createRequire(import.meta.url);
+const request = require('supertest');
+
+describe('per-key rate limits', () => {
+  let server;
+  let dir;
+  const chat = (key) => request(server.app).post('/v1/chat/completions').set('x-api-key', key).send({ messages: [{ role: 'user', content: 'hi' }] });
+
+  beforeEach(() => {
+    process.env.SKIP_DIAGNOSTICS = 'true';
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ratelimit-'));
+    fs.writeFileSync(path.join(dir, 'keys.json'), JSON.stringify({ keys: [
+      { name: 'team-a', key: 'sk-a', scopes: ['chat'], requestsPerMinute: 2 },
+      { name: 'team-b', key: 'sk-b', scopes: ['chat'], tokensPerDay: 10 },
+    ] }));
+    process.env.API_KEYS_FILE = path.join(dir, 'keys.json');
+    process.env.RATE_LIMIT_STATE_FILE = path.join(dir, 'state.json');
+    promClient.register.clear();
+    server = new EnhancedCohereRAGServer({ port: 0 });
+    server.conversationManager.ragManager = { retrieveRelevantDocuments: async () => [] };
+    server.cohere = { chat: vi.fn().mockResolvedValue({ text: 'ok', meta: { billed_units: { input_tokens: 8, output_tokens: 4 } } }) };
+  });
+
+  afterEach(() => {
+    delete process.env.API_KEYS_FILE;
+    delete process.env.RATE_LIMIT_STATE_FILE;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('limits requests per key and reports OpenAI rate limit headers', async () => {
+    const first = await chat('sk-a').expect(200);
+    expect(first.headers['x-ratelimit-limit-requests']).toBe('2');
+    expect(first.headers['x-ratelimit-remaining-requests']).toBe('1');
+    expect(first.headers['x-ratelimit-reset-requests']).toMatch(/^(\d+m)?\d+(ms|s)$/);
+    await chat('sk-a').expect(200);
+    const limited = await chat('sk-a').expect(429);
+    expect(limited.body.error).toMatchObject({ type: 'rate_limit_error', code: 'rate_limit_exceeded' });
+    expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+    // Other keys have their own bucket
+    await chat('sk-b').expect(200);
+  });
+
+  it('charges reported usage against the daily token budget and persists it', async () => {
+    const res = await chat('sk-b').expect(200);
+    expect(res.headers['x-ratelimit-limit-tokens']).toBe('10');
+    const limited = await chat('sk-b').expect(429);
+    expect(limited.body.error.message).toMatch(/token limit/);
+    expect(limited.headers['x-ratelimit-remaining-tokens']).toBe('0');
+
+    await server.stop();
+    promClient.register.clear();
+    const restarted = new EnhancedCohereRAGServer({ port: 0 });
+    await request(restarted.app).post('/v1/chat/completions').set('x-api-key', 'sk-b').send({ messages: [{ role: 'user', content: 'hi' }] }).expect(429);
+  });
+
+  it('still honours the deprecated RATE_LIMIT_WINDOW_MS and RATE_LIMIT_MAX_REQUESTS', () => {
+    process.env.RATE_LIMIT_WINDOW_MS = String(15 * 60 * 1000);
+    process.env.RATE_LIMIT_MAX_REQUESTS = '300';
+    try {
+      promClient.register.clear();
+      expect(new EnhancedCohereRAGServer({ port: 0 }).rateLimiter.requestsPerMinute).toBe(20);
+      process.env.RATE_LIMIT_REQUESTS_PER_MINUTE = '5';
+      promClient.register.clear();
+      expect(new EnhancedCohereRAGServer({ port: 0 }).rateLimiter.requestsPerMinute).toBe(5);
+    } finally {
+      delete process.env.RATE_LIMIT_WINDOW_MS;
+      delete process.env.RATE_LIMIT_MAX_REQUESTS;
+      delete process.env.RATE_LIMIT_REQUESTS_PER_MINUTE;
+    }
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createRequire } from 'module';
+import promClient from 'prom-client';
+import EnhancedCohereRAGServer from '../src/index.mjs';
+const require = createRequire(import.meta.url);
+const request = require('supertest');
+
+function sseEvents(text) {
+  return text.split('\n\n').filter(b => b.startsWith('data: ')).map(b => b.slice(6)).map(d => (d === '[DONE]' ? d : JSON.parse(d)));
+}
+
+describe('chat completions sampling parameters', () => {
+  let server;
+
+  beforeEach(() => {
+    delete process.env.COHERE_V2_STREAMING_SUPPORTED;
+    process.env.SKIP_DIAGNOSTICS = 'true';
+    promClient.register.clear();
+    server = new EnhancedCohereRAGServer({ port: 0 });
+    server.conversationManager.ragManager = { retrieveRelevantDocuments: async () => [] };
+  });
+
+  it('forwards stop, top_p, penalties and seed to Cohere', async () => {
+    server.cohere = { chat: vi.fn().mockResolvedValue({ text: 'ok' }) };
+    await request(server.app)
+      .post('/v1/chat/completions')
+      .send({ messages: [{ role: 'user', content: 'hi' }], stop: 'END', top_p: 0.3, frequency_penalty: 0.4, presence_penalty: 0.5, seed: 7 })
+      .expect(200);
+
+    expect(server.cohere.chat.mock.calls[0][0]).toMatchObject({ stop_sequences: ['END'], p: 0.3, frequency_penalty: 0.4, presence_penalty: 0.5, seed: 7 });
+  });
+
+  it('passes temperature 0 through for deterministic runs', async () => {
+    server.cohere = { chat: vi.fn().mockResolvedValue({ text: 'ok' }) };
+    await request(server.app)
+      .post('/v1/chat/completions')
+      .send({ messages: [{ role: 'user', content: 'hi' }], temperature: 0, seed: 7 })
+      .expect(200);
+
+    expect(server.cohere.chat.mock.calls[0][0]).toMatchObject({ temperature: 0, seed: 7 });
+  });
+
+  it('issues n parallel calls and returns one choice per call', async () => {
+    server.cohere = { chat: vi.fn().mockResolvedValueOnce({ text: 'first' }).mockResolvedValueOnce({ text: 'second' }) };
+    const res = await request(server.app)
+      .post('/v1/chat/completions')
+      .send({ sessionId: 'n-1', messages: [{ role: 'user', content: 'hi' }], n: 2, seed: 1 })
+      .expect(200);
+
+    expect(server.cohere.chat).toHaveBeenCalledTimes(2);
+    expect(server.cohere.chat.mock.calls.map(c => c[1])).toEqual([{ cacheVariant: 0 }, { cacheVariant: 1 }]);
+    expect(res.body.choices.map(c => [c.index, c.message.content])).toEqual([[0, 'first'], [1, 'second']]);
+    const stored = server.conversationManager.getConversation('n-1');
+    expect(stored[stored.length - 1].content).toBe('first');
+  });
+
+  it('streams each choice under its own index', async () => {
+    server.cohere = { chat: vi.fn().mockResolvedValueOnce({ text: 'aa' }).mockResolvedValueOnce({ text: 'bb' }) };
+    const res = await request(server.app)
+      .post('/v1/chat/completions')
+      .send({ stream: true, messages: [{ role: 'user', content: 'hi' }], n: 2 })
+      .expect(200);
+
+    const chunks = sseEvents(res.text).slice(0, -1);
+    const textFor = (index) => chunks.map(c => c.choices[0]).filter(c => c.index === index).map(c => c.delta.content || '').join('');
+    expect(textFor(0)).toBe('aa');
+    expect(textFor(1)).toBe('bb');
+    expect(chunks.filter(c => c.choices[0].finish_reason === 'stop')).toHaveLength(2);
+  });
+
+  it('returns an OpenAI-style 400 for unsupported values', async () => {
+    server.cohere = { chat: vi.fn() };
+    const res = await request(server.app)
+      .post('/v1/chat/completions')
+      .send({ messages: [{ role: 'user', content: 'hi' }], frequency_penalty: -1 })
+      .expect(400);
+    expect(res.body.error).toMatchObject({ type: 'invalid_request_error', param: 'frequency_penalty' });
+    expect(server.cohere.chat).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createRequire } from 'module';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import promClient from 'prom-client';
+import EnhancedCohereRAGServer from '../src/index.mjs';
+const require = createRequire(import.meta.url);
+const request = require('supertest');
+
+describe('session ownership', () => {
+  let server;
+  let dir;
+  const chat = (key, sessionId, content = 'hi') => request(server.app).post('/v1/chat/completions').set('x-api-key', key).send({ sessionId, messages: [{ role: 'user', content }] });
+
+  beforeEach(() => {
+    process.env.SKIP_DIAGNOSTICS = 'true';
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'session-owner-'));
+    fs.writeFileSync(path.join(dir, 'keys.json'), JSON.stringify({ keys: [
+      { name: 'team-a', key: 'sk-a', scopes: ['chat'] },
+      { name: 'team-b', key: 'sk-b', scopes: ['chat'] },
+      { name: 'ops', key: 'sk-admin', scopes: ['admin'] },
+    ] }));
+    process.env.API_KEYS_FILE = path.join(dir, 'keys.json');
+    process.env.RATE_LIMIT_STATE_FILE = path.join(dir, 'state.json');
+    promClient.register.clear();
+    server = new EnhancedCohereRAGServer({ port: 0 });
+    server.conversationManager.ragManager = { retrieveRelevantDocuments: async () => [] };
+    server.cohere = { chat: vi.fn().mockResolvedValue({ text: 'ok' }) };
+  });
+
+  afterEach(() => {
+    delete process.env.API_KEYS_FILE;
+    delete process.env.RATE_LIMIT_STATE_FILE;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('hides a session from keys other than the one that created it', async () => {
+    await chat('sk-a', 'owned').expect(200);
+    await request(server.app).get('/v1/conversations/owned/history').set('x-api-key', 'sk-a').expect(200);
+
+    for (const [method, url] of [['get', '/v1/conversations/owned/export'], ['get', '/v1/conversations/owned/history'], ['patch', '/v1/conversations/owned/messages/0'], ['delete', '/v1/conversations/owned']]) {
+      const res = await request(server.app)[method](url).set('x-api-key', 'sk-b').send({ content: 'changed' }).expect(404);
+      expect(res.body.error).toMatchObject({ type: 'not_found_error', message: 'Conversation owned not found' });
+    }
+    // Nor can another key continue it
+    await chat('sk-b', 'owned', 'me too').expect(404);
+    expect(server.conversationManager.findConversation('owned').messages).toHaveLength(2);
+  });
+
+  it('lets admin keys reach every session', async () => {
+    await chat('sk-a', 'owned').expect(200);
+    const res = await request(server.app).get('/v1/conversations/owned/history').set('x-api-key', 'sk-admin').expect(200);
+    expect(res.body.messages).toHaveLength(2);
+    await request(server.app).delete('/v1/conversations/owned').set('x-api-key', 'sk-admin').expect(200);
+  });
+
+  it('keeps the owner on branches', async () => {
+    await chat('sk-a', 'owned').expect(200);
+    const fork = await request(server.app).post('/v1/conversations/owned/fork').set('x-api-key', 'sk-a').send({ messageIndex: 0 }).expect(200);
+    await request(server.app).get(`/v1/conversations/${fork.body.session_id}/history`).set('x-api-key', 'sk-a').expect(200);
+    await request(server.app).get(`/v1/conversations/${fork.body.session_id}/history`).set('x-api-key', 'sk-b').expect(404);
+  });
+});
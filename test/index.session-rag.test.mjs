@@ -0,0 +1,93 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createRequire } from 'module';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import promClient from 'prom-client';
+import EnhancedCohereRAGServer from '../src/index.mjs';
+import RAGDocumentManager from '../src/ragDocumentManager.mjs';
+const require = createRequire(import.meta.url);
+const request = require('supertest');
+
+describe('session-scoped RAG', () => {
+  let server;
+  let dir;
+
+  beforeEach(() => {
+    delete process.env.COHERE_V2_STREAMING_SUPPORTED;
+    process.env.SKIP_DIAGNOSTICS = 'true';
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'session-rag-'));
+    process.env.RAG_PERSIST_PATH = path.join(dir, 'index.json');
+    promClient.register.clear();
+    server = new EnhancedCohereRAGServer({ port: 0 });
+    // Zero vectors never pass the similarity threshold, so retrieval falls back to keywords
+    const rag = new RAGDocumentManager({ embed: async ({ texts }) => ({ embeddings: texts.map(() => [0, 0]) }) }, { logger: { info() {}, warn() {}, error() {} } });
+    rag.documents.set('api-1', { content: 'function parseInvoice(input) {}', metadata: { filePath: '/repos/api/invoice.js', projectPath: '/repos/api', language: 'js', category: 'source', collection: 'api' } });
+    rag.documents.set('web-1', { content: 'function renderInvoice(props) {}', metadata: { filePath: '/repos/web/invoice.js', projectPath: '/repos/web', language: 'js', category: 'source', collection: 'web' } });
+    rag.documents.set('web-2', { content: 'const theme = { color: "blue" };', metadata: { filePath: '/repos/web/theme.js', projectPath: '/repos/web', language: 'js', category: 'source', collection: 'web' } });
+    server.ragManager = rag;
+    server.conversationManager.ragManager = rag;
+    server.cohere = { chat: vi.fn().mockResolvedValue({ text: 'ok' }) };
+  });
+
+  afterEach(() => {
+    delete process.env.RAG_PERSIST_PATH;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const chat = (body) => request(server.app).post('/v1/chat/completions').send(body);
+  const lastPreamble = () => server.cohere.chat.mock.calls.at(-1)[0].preamble || '';
+
+  it('searches only the collections the session is bound to', async () => {
+    await chat({ sessionId: 's1', messages: [{ role: 'user', content: 'hello' }] }).expect(200);
+    await request(server.app).put('/v1/conversations/s1/rag').send({ collections: ['web'] }).expect(200);
+
+    await chat({ sessionId: 's1', messages: [{ role: 'user', content: 'how does invoice work' }] }).expect(200);
+    expect(lastPreamble()).toContain('/repos/web/invoice.js');
+    expect(lastPreamble()).not.toContain('/repos/api/invoice.js');
+
+    // A request can search other collections without changing the session
+    await chat({ sessionId: 's1', metadata: { rag: { collections: ['api'] } }, messages: [{ role: 'user', content: 'and the invoice parser' }] }).expect(200);
+    expect(lastPreamble()).toContain('/repos/api/invoice.js');
+    const res = await request(server.app).get('/v1/conversations/s1/rag').expect(200);
+    expect(res.body).toMatchObject({ session_id: 's1', enabled: true, collections: ['web'], pins: [] });
+  });
+
+  it('turns retrieval off per request or per session but keeps pinned files', async () => {
+    await chat({ sessionId: 's2', metadata: { rag: false }, messages: [{ role: 'user', content: 'invoice' }] }).expect(200);
+    expect(lastPreamble()).not.toContain('invoice.js');
+    await chat({ sessionId: 's2', messages: [{ role: 'user', content: 'invoice' }] }).set('x-rag', 'off').expect(200);
+    expect(lastPreamble()).not.toContain('invoice.js');
+
+    const pin = await request(server.app).post('/v1/conversations/s2/rag/pins').send({ file_path: 'theme.js', collection: 'web' }).expect(200);
+    expect(pin.body).toMatchObject({ object: 'rag_pin', file_path: 'theme.js', collection: 'web', documents: 1 });
+    await request(server.app).put('/v1/conversations/s2/rag').send({ enabled: false }).expect(200);
+
+    await chat({ sessionId: 's2', messages: [{ role: 'user', content: 'invoice' }] }).expect(200);
+    expect(lastPreamble()).toContain('/repos/web/theme.js');
+    expect(lastPreamble()).toContain('**Relevance**: pinned');
+    expect(lastPreamble()).not.toContain('invoice.js');
+
+    await request(server.app).delete(`/v1/conversations/s2/rag/pins/${pin.body.id}`).expect(200);
+    await chat({ sessionId: 's2', messages: [{ role: 'user', content: 'invoice' }] }).expect(200);
+    expect(lastPreamble()).not.toContain('theme.js');
+  });
+
+  it('lists collections and validates settings and pins', async () => {
+    const list = await request(server.app).get('/v1/rag/collections').expect(200);
+    expect(list.body.data.map(c => c.id)).toEqual(['api', 'web']);
+
+    await chat({ sessionId: 's3', messages: [{ role: 'user', content: 'hi' }] }).expect(200);
+    const missing = await request(server.app).post('/v1/conversations/s3/rag/pins').send({ file_path: 'nope.js' }).expect(400);
+    expect(missing.body.error.param).toBe('file_path');
+    await request(server.app).post('/v1/conversations/s3/rag/pins').send({ chunk_id: 'api-1' }).expect(200);
+    await request(server.app).put('/v1/conversations/s3/rag').send({ collections: ['../x'] }).expect(400);
+    await request(server.app).put('/v1/conversations/unknown/rag').send({ enabled: false }).expect(404);
+    const bad = await chat({ sessionId: 's3', metadata: { rag: 'maybe' }, messages: [{ role: 'user', content: 'hi' }] }).expect(400);
+    expect(bad.body.error.param).toBe('metadata.rag');
+
+    await request(server.app).delete('/v1/rag/index?collection=web').expect(200);
+    const after = await request(server.app).get('/v1/rag/collections').expect(200);
+    expect(after.body.data.map(c => c.id)).toEqual(['api']);
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createRequire } from 'module';
+import promClient from 'prom-client';
+import EnhancedCohereRAGServer from '../src/index.mjs';
+const require = createRequire(import.meta.url);
+const request = require('supertest');
+
+describe('session sync on chat completions', () => {
+  let server;
+
+  beforeEach(() => {
+    delete process.env.COHERE_V2_STREAMING_SUPPORTED;
+    process.env.SKIP_DIAGNOSTICS = 'true';
+    promClient.register.clear();
+    server = new EnhancedCohereRAGServer({ port: 0 });
+    server.conversationManager.ragManager = { retrieveRelevantDocuments: async () => [] };
+    server.cohere = { chat: vi.fn().mockResolvedValue({ text: 'Sure.' }) };
+  });
+
+  const chat = (messages) => request(server.app).post('/v1/chat/completions').send({ sessionId: 's', messages }).expect(200);
+  const stored = () => server.conversationManager.getConversation('s').map(m => `${m.role}:${m.content}`);
+
+  it('stores each turn once when clients resend the whole conversation', async () => {
+    await chat([{ role: 'user', content: 'yes' }]);
+    await chat([{ role: 'user', content: 'yes' }, { role: 'assistant', content: 'Sure.' }, { role: 'user', content: 'yes' }]);
+    expect(stored()).toEqual(['user:yes', 'assistant:Sure.', 'user:yes', 'assistant:Sure.']);
+    expect(server.cohere.chat.mock.calls[1][0].chat_history).toEqual([{ role: 'USER', message: 'yes' }, { role: 'CHATBOT', message: 'Sure.' }]);
+  });
+
+  it('keeps both messages when overlapping requests hit one session', async () => {
+    await Promise.all([chat([{ role: 'user', content: 'first' }]), chat([{ role: 'user', content: 'second' }])]);
+    expect(stored().filter(m => m.startsWith('user:'))).toEqual(['user:first', 'user:second']);
+  });
+
+  it('appends only the new turn for clients that send the system prompt and the latest message', async () => {
+    const system = { role: 'system', content: 'be brief' };
+    await chat([system, { role: 'user', content: 'q1' }]);
+    await chat([system, { role: 'user', content: 'q2' }]);
+    expect(stored()).toEqual(['system:be brief', 'user:q1', 'assistant:Sure.', 'user:q2', 'assistant:Sure.']);
+    expect(server.conversationManager.getBranches('s').branches).toHaveLength(0);
+    // A sliding window that repeats the latest turns is not a divergence either
+    await chat([{ role: 'user', content: 'q2' }, { role: 'assistant', content: 'Sure.' }, { role: 'user', content: 'q3' }]);
+    expect(stored().slice(-2)).toEqual(['user:q3', 'assistant:Sure.']);
+    expect(stored()).toHaveLength(7);
+  });
+
+  it('branches instead of duplicating history when a client prepends a new system prompt', async () => {
+    await chat([{ role: 'user', content: 'q1' }]);
+    await chat([{ role: 'system', content: 'be brief' }, { role: 'user', content: 'q1' }, { role: 'assistant', content: 'Sure.' }, { role: 'user', content: 'q2' }]);
+    expect(stored()).toEqual(['system:be brief', 'user:q1', 'assistant:Sure.', 'user:q2', 'assistant:Sure.']);
+    const [branch] = server.conversationManager.getBranches('s').branches;
+    expect(server.conversationManager.getConversation(branch.sessionId).map(m => `${m.role}:${m.content}`)).toEqual(['user:q1', 'assistant:Sure.']);
+  });
+
+  it('branches when a resent history was edited part-way', async () => {
+    await chat([{ role: 'user', content: 'q1' }]);
+    await chat([{ role: 'user', content: 'q1' }, { role: 'assistant', content: 'Sure.' }, { role: 'user', content: 'q2' }]);
+    await chat([{ role: 'user', content: 'q1 edited' }, { role: 'assistant', content: 'Sure.' }, { role: 'user', content: 'q2' }]);
+    expect(stored()).toEqual(['user:q1 edited', 'assistant:Sure.', 'user:q2', 'assistant:Sure.']);
+  });
+
+  it('stores the reply before responding, streamed or not', async () => {
+    const cm = server.conversationManager;
+    const append = cm._append.bind(cm);
+    // A slow session write: the response must still wait for the reply to be stored
+    cm._append = async (...args) => { await new Promise(r => setTimeout(r, 20)); return append(...args); };
+    await chat([{ role: 'user', content: 'q1' }]);
+    expect(stored()).toEqual(['user:q1', 'assistant:Sure.']);
+    await request(server.app).post('/v1/chat/completions').send({ sessionId: 's', stream: true, messages: [{ role: 'user', content: 'q2' }] }).expect(200);
+    expect(stored()).toEqual(['user:q1', 'assistant:Sure.', 'user:q2', 'assistant:Sure.']);
+  });
+});
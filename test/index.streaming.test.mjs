@@ -0,0 +1,92 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createRequire } from 'module';
+import promClient from 'prom-client';
+import EnhancedCohereRAGServer from '../src/index.mjs';
+const require = createRequire(import.meta.url);
+const request = require('supertest');
+
+// Parse an SSE body into its `data:` payloads (JSON-decoded except the [DONE] sentinel).
+function sseEvents(text) {
+  return text.split('\n\n').filter(b => b.startsWith('data: ')).map(b => b.slice(6)).map(d => (d === '[DONE]' ? d : JSON.parse(d)));
+}
+
+describe('chat completions streaming (OpenAI chunk format)', () => {
+  let server;
+
+  beforeEach(() => {
+    delete process.env.COHERE_V2_STREAMING_SUPPORTED;
+    process.env.SKIP_DIAGNOSTICS = 'true';
+    promClient.register.clear();
+    server = new EnhancedCohereRAGServer({ port: 0 });
+    server.conversationManager.ragManager = { retrieveRelevantDocuments: async () => [] };
+  });
+
+  afterEach(() => { delete process.env.COHERE_V2_STREAMING_SUPPORTED; });
+
+  it('streams chat.completion.chunk events when the request sets stream: true', async () => {
+    const stream = (async function* () {
+      yield { event_type: 'stream-start', generation_id: 'g1' };
+      yield { event_type: 'text-generation', text: 'Hel' };
+      yield { event_type: 'text-generation', text: 'lo' };
+      yield { event_type: 'stream-end', finish_reason: 'COMPLETE', response: { text: 'Hello' } };
+    })();
+    server.cohere = { chat: vi.fn().mockResolvedValue(stream) };
+
+    const res = await request(server.app)
+      .post('/v1/chat/completions')
+      .send({ sessionId: 'stream-1', stream: true, messages: [{ role: 'user', content: 'hi' }] })
+      .expect(200);
+
+    expect(res.headers['content-type']).toMatch(/text\/event-stream/);
+    expect(server.cohere.chat.mock.calls[0][0].stream).toBe(true);
+    const events = sseEvents(res.text);
+    expect(events[events.length - 1]).toBe('[DONE]');
+    const chunks = events.slice(0, -1);
+    expect(new Set(chunks.map(c => c.id)).size).toBe(1);
+    expect(chunks.every(c => c.object === 'chat.completion.chunk' && c.model === 'cohere/command-a-03-2025')).toBe(true);
+    expect(chunks[0].choices[0].delta).toEqual({ role: 'assistant', content: '' });
+    expect(chunks.map(c => c.choices[0].delta.content).join('')).toBe('Hello');
+    expect(chunks[chunks.length - 1].choices[0]).toEqual({ index: 0, delta: {}, finish_reason: 'stop' });
+    expect(chunks.some(c => 'usage' in c)).toBe(false);
+
+    const stored = server.conversationManager.getConversation('stream-1');
+    expect(stored[stored.length - 1]).toMatchObject({ role: 'assistant', content: 'Hello' });
+  });
+
+  it('adds a usage chunk when stream_options.include_usage is set', async () => {
+    server.cohere = { chat: vi.fn().mockResolvedValue((async function* () { yield { text: 'ok' }; })()) };
+
+    const res = await request(server.app)
+      .post('/v1/chat/completions')
+      .send({ stream: true, stream_options: { include_usage: true }, messages: [{ role: 'user', content: 'hi' }] })
+      .expect(200);
+
+    const chunks = sseEvents(res.text).slice(0, -1);
+    const usageChunk = chunks[chunks.length - 1];
+    expect(usageChunk.choices).toEqual([]);
+    expect(usageChunk.usage.total_tokens).toBe(usageChunk.usage.prompt_tokens + usageChunk.usage.completion_tokens);
+    expect(chunks.slice(0, -1).every(c => c.usage === null)).toBe(true);
+  });
+
+  it('replays a non-streamed Cohere response as chunks', async () => {
+    server.cohere = { chat: vi.fn().mockResolvedValue({ text: 'whole answer' }) };
+    const res = await request(server.app)
+      .post('/v1/chat/completions')
+      .send({ stream: true, messages: [{ role: 'user', content: 'hi' }] })
+      .expect(200);
+    const chunks = sseEvents(res.text).slice(0, -1);
+    expect(chunks.map(c => c.choices[0].delta.content).join('')).toBe('whole answer');
+  });
+
+  it('stream: false overrides the env streaming default', async () => {
+    process.env.COHERE_V2_STREAMING_SUPPORTED = 'true';
+    server.cohere = { chat: vi.fn().mockResolvedValue({ text: 'plain' }) };
+    const res = await request(server.app)
+      .post('/v1/chat/completions')
+      .send({ stream: false, messages: [{ role: 'user', content: 'hi' }] })
+      .expect(200);
+    expect(server.cohere.chat.mock.calls[0][0].stream).toBe(false);
+    expect(res.body.object).toBe('chat.completion');
+    expect(res.body.choices[0].message.content).toBe('plain');
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createRequire } from 'module';
+import promClient from 'prom-client';
+import EnhancedCohereRAGServer from '../src/index.mjs';
+const require = createRequire(import.meta.url);
+const request = require('supertest');
+
+const responseFormat = {
+  type: 'json_schema',
+  json_schema: { name: 'invoice', strict: true, schema: { type: 'object', properties: { total: { type: 'number' } }, required: ['total'], additionalProperties: false } },
+};
+
+describe('chat completions structured output', () => {
+  let server;
+
+  beforeEach(() => {
+    delete process.env.COHERE_V2_STREAMING_SUPPORTED;
+    delete process.env.STRUCTURED_OUTPUT_MAX_RETRIES;
+    process.env.SKIP_DIAGNOSTICS = 'true';
+    promClient.register.clear();
+    server = new EnhancedCohereRAGServer({ port: 0 });
+    server.conversationManager.ragManager = { retrieveRelevantDocuments: async () => [] };
+  });
+
+  afterEach(() => { delete process.env.STRUCTURED_OUTPUT_MAX_RETRIES; });
+
+  it('sends the schema as Cohere response_format and returns valid output', async () => {
+    server.cohere = { chat: vi.fn().mockResolvedValue({ text: '{"total":42}' }) };
+    const res = await request(server.app)
+      .post('/v1/chat/completions')
+      .send({ messages: [{ role: 'user', content: 'Extract the total' }], response_format: responseFormat })
+      .expect(200);
+
+    expect(server.cohere.chat.mock.calls[0][0].response_format).toEqual({ type: 'json_object', schema: responseFormat.json_schema.schema });
+    expect(JSON.parse(res.body.choices[0].message.content)).toEqual({ total: 42 });
+  });
+
+  it('retries once on a schema mismatch', async () => {
+    server.cohere = { chat: vi.fn().mockResolvedValueOnce({ text: '{"total":"42"}' }).mockResolvedValueOnce({ text: '{"total":42}' }) };
+    const res = await request(server.app)
+      .post('/v1/chat/completions')
+      .send({ messages: [{ role: 'user', content: 'Extract the total' }], response_format: responseFormat })
+      .expect(200);
+
+    expect(server.cohere.chat).toHaveBeenCalledTimes(2);
+    expect(server.cohere.chat.mock.calls[1][1]).toEqual({ cacheVariant: '0:retry1' });
+    expect(res.body.choices[0].message.content).toBe('{"total":42}');
+  });
+
+  it('returns a clear error once retries are exhausted', async () => {
+    process.env.STRUCTURED_OUTPUT_MAX_RETRIES = '2';
+    server.cohere = { chat: vi.fn().mockResolvedValue({ text: 'sorry, no JSON' }) };
+    const res = await request(server.app)
+      .post('/v1/chat/completions')
+      .send({ sessionId: 'so-1', messages: [{ role: 'user', content: 'Extract the total' }], response_format: responseFormat })
+      .expect(502);
+
+    expect(server.cohere.chat).toHaveBeenCalledTimes(3);
+    expect(res.body.error).toMatchObject({ type: 'server_error', code: 'structured_output_invalid' });
+    expect(res.body.error.message).toMatch(/schema "invoice" after 3 attempt\(s\): output is not valid JSON/);
+    expect(server.conversationManager.getConversation('so-1').some(m => m.role === 'assistant')).toBe(false);
+  });
+
+  it('validates before streaming and replays the result as chunks', async () => {
+    server.cohere = { chat: vi.fn().mockResolvedValue({ text: '{"ok":true}' }) };
+    const res = await request(server.app)
+      .post('/v1/chat/completions')
+      .send({ stream: true, messages: [{ role: 'user', content: 'json please' }], response_format: { type: 'json_object' } })
+      .expect(200);
+
+    expect(server.cohere.chat.mock.calls[0][0].stream).toBe(false);
+    expect(res.text).toContain('{\\"ok\\":true}');
+    expect(res.text).toContain('data: [DONE]');
+  });
+
+  it('rejects malformed response_format with a 400', async () => {
+    server.cohere = { chat: vi.fn() };
+    const res = await request(server.app)
+      .post('/v1/chat/completions')
+      .send({ messages: [{ role: 'user', content: 'hi' }], response_format: { type: 'json_schema' } })
+      .expect(400);
+    expect(res.body.error.param).toBe('response_format');
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createRequire } from 'module';
+import promClient from 'prom-client';
+import EnhancedCohereRAGServer from '../src/index.mjs';
+const require = createRequire(import.meta.url);
+const request = require('supertest');
+
+describe('rolling summary memory', () => {
+  let server;
+
+  beforeEach(() => {
+    delete process.env.COHERE_V2_STREAMING_SUPPORTED;
+    process.env.SKIP_DIAGNOSTICS = 'true';
+    process.env.SUMMARY_MEMORY_THRESHOLD = '4';
+    process.env.SUMMARY_MEMORY_KEEP_RECENT = '2';
+    promClient.register.clear();
+    server = new EnhancedCohereRAGServer({ port: 0 });
+    server.conversationManager.ragManager = { retrieveRelevantDocuments: async () => [] };
+    let summaries = 0;
+    server.cohere = {
+      chat: vi.fn(async (payload) => (payload.message.includes('Summarise') || payload.message.includes('Rewrite it')
+        ? { text: `summary ${++summaries}` }
+        : { text: `reply to ${payload.message}` })),
+    };
+  });
+
+  afterEach(() => {
+    delete process.env.SUMMARY_MEMORY_THRESHOLD;
+    delete process.env.SUMMARY_MEMORY_KEEP_RECENT;
+  });
+
+  const say = (content) => request(server.app).post('/v1/chat/completions').send({ sessionId: 's', messages: [{ role: 'user', content }] }).expect(200);
+  const chatCalls = () => server.cohere.chat.mock.calls.map(c => c[0]).filter(p => p.message.startsWith('q'));
+
+  it('summarises older turns in the background and sends the summary instead of them', async () => {
+    await say('q1');
+    await say('q2');
+    expect(server.cohere.chat).toHaveBeenCalledTimes(2);
+    await say('q3');
+    // 6 messages passed the threshold of 4: q1..a2 are summarised, q3 and its reply stay
+    await vi.waitFor(() => expect(server.conversationManager.getSummary('s')?.text).toBe('summary 1'));
+    expect(server.cohere.chat.mock.calls[3][0].message).toContain('user: q1\nassistant: reply to q1\nuser: q2\nassistant: reply to q2');
+
+    await say('q4');
+    const last = chatCalls().at(-1);
+    expect(last.preamble).toBe('# Summary of earlier conversation\n\nsummary 1');
+    expect(last.chat_history).toEqual([{ role: 'USER', message: 'q3' }, { role: 'CHATBOT', message: 'reply to q3' }]);
+
+    const history = await request(server.app).get('/v1/conversations/s/history').expect(200);
+    expect(history.body.count).toBe(8);
+    expect(history.body.summary).toMatchObject({ text: 'summary 1', message_count: 4, through_message_id: history.body.messages[3].id });
+  });
+
+  it('rebuilds the summary on demand', async () => {
+    await say('q1');
+    await say('q2');
+    const res = await request(server.app).post('/v1/conversations/s/summary').send({ keep_recent: 0 }).expect(200);
+    expect(res.body.summary).toMatchObject({ text: 'summary 1', message_count: 4 });
+    expect(server.cohere.chat.mock.calls.at(-1)[0].message).toMatch(/^Summarise this conversation/);
+
+    await request(server.app).post('/v1/conversations/s/summary').send({ keep_recent: 10 }).expect(400);
+    await request(server.app).post('/v1/conversations/s/summary').send({ keep_recent: -1 }).expect(400);
+    await request(server.app).post('/v1/conversations/missing/summary').send({}).expect(404);
+
+    server.cohere.chat.mockRejectedValueOnce(new Error('upstream down'));
+    await request(server.app).post('/v1/conversations/s/summary').send({ keep_recent: 0 }).expect(502);
+    expect(server.conversationManager.getSummary('s').text).toBe('summary 1');
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createRequire } from 'module';
+import promClient from 'prom-client';
+import EnhancedCohereRAGServer from '../src/index.mjs';
+const require = createRequire(import.meta.url);
+const request = require('supertest');
+
+const tools = [{
+  type: 'function',
+  function: { name: 'get_weather', description: 'Weather lookup', parameters: { type: 'object', properties: { city: { type: 'string' } }, required: ['city'] } },
+}];
+
+describe('chat completions tool calling', () => {
+  let server;
+
+  beforeEach(() => {
+    delete process.env.COHERE_V2_STREAMING_SUPPORTED;
+    process.env.SKIP_DIAGNOSTICS = 'true';
+    promClient.register.clear();
+    server = new EnhancedCohereRAGServer({ port: 0 });
+    server.conversationManager.ragManager = { retrieveRelevantDocuments: async () => [] };
+  });
+
+  it('forwards tools and returns Cohere tool calls as OpenAI tool_calls', async () => {
+    server.cohere = { chat: vi.fn().mockResolvedValue({ text: '', tool_calls: [{ name: 'get_weather', parameters: { city: 'Paris' } }] }) };
+
+    const res = await request(server.app)
+      .post('/v1/chat/completions')
+      .send({ sessionId: 'tools-1', messages: [{ role: 'user', content: 'Weather in Paris?' }], tools })
+      .expect(200);
+
+    const payload = server.cohere.chat.mock.calls[0][0];
+    expect(payload.tools[0]).toMatchObject({ name: 'get_weather', parameter_definitions: { city: { type: 'str', required: true } } });
+    expect(res.body.choices[0].finish_reason).toBe('tool_calls');
+    expect(res.body.choices[0].message.content).toBeNull();
+    expect(res.body.choices[0].message.tool_calls[0]).toMatchObject({ type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } });
+  });
+
+  it('maps tool result messages into Cohere tool_results and chat history', async () => {
+    server.cohere = { chat: vi.fn().mockResolvedValue({ text: 'It is 21C in Paris.' }) };
+
+    const res = await request(server.app)
+      .post('/v1/chat/completions')
+      .send({
+        sessionId: 'tools-2',
+        tools,
+        messages: [
+          { role: 'user', content: 'Weather in Paris?' },
+          { role: 'assistant', content: null, tool_calls: [{ id: 'call_abc', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }] },
+          { role: 'tool', tool_call_id: 'call_abc', content: '{"temp":21}' },
+        ],
+      })
+      .expect(200);
+
+    const payload = server.cohere.chat.mock.calls[0][0];
+    expect(payload.message).toBe('');
+    expect(payload.tool_results).toEqual([{ call: { name: 'get_weather', parameters: { city: 'Paris' } }, outputs: [{ temp: 21 }] }]);
+    expect(payload.chat_history).toEqual([
+      { role: 'USER', message: 'Weather in Paris?' },
+      { role: 'CHATBOT', message: '', tool_calls: [{ name: 'get_weather', parameters: { city: 'Paris' } }] },
+    ]);
+    expect(res.body.choices[0].finish_reason).toBe('stop');
+    expect(res.body.choices[0].message.content).toBe('It is 21C in Paris.');
+  });
+
+  it('rejects malformed tools with a 400', async () => {
+    server.cohere = { chat: vi.fn() };
+    const res = await request(server.app)
+      .post('/v1/chat/completions')
+      .send({ messages: [{ role: 'user', content: 'hi' }], tools: [{ type: 'function', function: {} }] })
+      .expect(400);
+    expect(res.body.error.param).toBe('tools');
+    expect(server.cohere.chat).not.toHaveBeenCalled();
+  });
+
+  it('streams tool calls and records them on the assistant message', async () => {
+    process.env.COHERE_V2_STREAMING_SUPPORTED = 'true';
+    const stream = (async function* () {
+      yield { event_type: 'tool-calls-generation', tool_calls: [{ name: 'get_weather', parameters: { city: 'Oslo' } }] };
+    })();
+    server.cohere = { chat: vi.fn().mockResolvedValue(stream) };
+
+    const res = await request(server.app)
+      .post('/v1/chat/completions')
+      .send({ sessionId: 'tools-3', messages: [{ role: 'user', content: 'Weather in Oslo?' }], tools })
+      .expect(200);
+
+    expect(res.text).toContain('"tool_calls"');
+    const stored = server.conversationManager.getConversation('tools-3');
+    expect(stored[stored.length - 1].toolCalls[0].function.name).toBe('get_weather');
+    delete process.env.COHERE_V2_STREAMING_SUPPORTED;
+  });
+});
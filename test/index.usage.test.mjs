@@ -0,0 +1,57 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createRequire } from 'module';
+import promClient from 'prom-client';
+import EnhancedCohereRAGServer from '../src/index.mjs';
+const require = createRequire(import.meta.url);
+const request = require('supertest');
+
+describe('usage accounting', () => {
+  let server;
+
+  beforeEach(() => {
+    delete process.env.COHERE_V2_STREAMING_SUPPORTED;
+    process.env.SKIP_DIAGNOSTICS = 'true';
+    promClient.register.clear();
+    server = new EnhancedCohereRAGServer({ port: 0 });
+    server.conversationManager.ragManager = { retrieveRelevantDocuments: async () => [] };
+  });
+
+  it('reports Cohere billed units as usage', async () => {
+    server.cohere = { chat: vi.fn().mockResolvedValue({ text: 'hello there', meta: { billed_units: { input_tokens: 123, output_tokens: 45 } } }) };
+    const res = await request(server.app).post('/v1/chat/completions').send({ messages: [{ role: 'user', content: 'hi' }] }).expect(200);
+    expect(res.body.usage).toEqual({
+      prompt_tokens: 123,
+      completion_tokens: 45,
+      total_tokens: 168,
+      prompt_tokens_details: { cached_tokens: 0 },
+      completion_tokens_details: { reasoning_tokens: 0 },
+    });
+  });
+
+  it('falls back to the estimate when Cohere reports no usage', async () => {
+    server.cohere = { chat: vi.fn().mockResolvedValue({ text: 'hello there' }) };
+    const res = await request(server.app).post('/v1/chat/completions').send({ messages: [{ role: 'user', content: 'hi' }] }).expect(200);
+    expect(res.body.usage.completion_tokens).toBe(server.estimateTokens('hello there'));
+    expect(res.body.usage.prompt_tokens_details).toEqual({ cached_tokens: 0 });
+  });
+
+  it('takes streamed usage from the stream-end event', async () => {
+    const stream = (async function* () {
+      yield { event_type: 'text-generation', text: 'ok' };
+      yield { event_type: 'stream-end', finish_reason: 'COMPLETE', response: { text: 'ok', meta: { billed_units: { input_tokens: 20, output_tokens: 1 } } } };
+    })();
+    server.cohere = { chat: vi.fn().mockResolvedValue(stream) };
+    const res = await request(server.app)
+      .post('/v1/chat/completions')
+      .send({ stream: true, stream_options: { include_usage: true }, messages: [{ role: 'user', content: 'hi' }] })
+      .expect(200);
+    const usageChunk = res.text.split('\n\n').filter(b => b.startsWith('data: {')).map(b => JSON.parse(b.slice(6))).pop();
+    expect(usageChunk.usage).toMatchObject({ prompt_tokens: 20, completion_tokens: 1, total_tokens: 21 });
+  });
+
+  it('sums billed usage across legacy completion choices', async () => {
+    server.cohere = { chat: vi.fn().mockResolvedValue({ text: 'x', meta: { billed_units: { input_tokens: 10, output_tokens: 2 } } }) };
+    const res = await request(server.app).post('/v1/completions').send({ prompt: ['a', 'b'], n: 2 }).expect(200);
+    expect(res.body.usage).toMatchObject({ prompt_tokens: 40, completion_tokens: 8, total_tokens: 48 });
+  });
+});
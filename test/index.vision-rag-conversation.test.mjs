@@ -1,13 +1,20 @@
 import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
 import { createRequire } from 'module';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 const require = createRequire(import.meta.url);
 const request = require('supertest');
 import promClient from 'prom-client';
 
 let server;
+let ragServer;
 let app;
+let dir;
 
 beforeAll(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vision-rag-'));
+  process.env.FEEDBACK_FILE = path.join(dir, 'feedback.jsonl');
   vi.resetModules();
   promClient.register.clear();
   const { createMockCohereCtor, mockCohereModule } = await import('./utils/cohereClient.mjs');
@@ -30,13 +37,15 @@ beforeAll(async () => {
   });
   mockCohereModule(MockCtor);
   const { default: EnhancedCohereRAGServer } = await import('../src/index.mjs');
-  const s = new EnhancedCohereRAGServer({ port: 0 });
-  server = await s.start();
+  ragServer = new EnhancedCohereRAGServer({ port: 0 });
+  server = await ragServer.start();
   app = server;
 });
 
 afterAll(async () => {
   if (server && server.close) await new Promise((r) => server.close(r));
+  delete process.env.FEEDBACK_FILE;
+  fs.rmSync(dir, { recursive: true, force: true });
 });
 
 describe('Vision, RAG, Conversation endpoints', () => {
@@ -58,6 +67,7 @@ describe('Vision, RAG, Conversation endpoints', () => {
 
   it('conversation feedback and history endpoints behave as expected (add feedback, retrieve history)', async () => {
     const sessionId = 'test-session-vision';
+    await ragServer.conversationManager.addMessage(sessionId, 'assistant', 'hello');
     const fbRes = await request(app).post(`/v1/conversations/${sessionId}/feedback`).send({ feedback: 'test feedback', type: 'correction' }).expect(200);
     expect(fbRes.body.success).toBe(true);
 
@@ -69,6 +79,7 @@ describe('Vision, RAG, Conversation endpoints', () => {
 
   it('delete conversation endpoint clears conversation', async () => {
     const sessionId = 'test-session-delete';
+    await ragServer.conversationManager.addMessage(sessionId, 'assistant', 'hello');
     // Add some feedback first
     await request(app).post(`/v1/conversations/${sessionId}/feedback`).send({ feedback: 'test' }).expect(200);
     // Delete
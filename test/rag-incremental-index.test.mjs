@@ -0,0 +1,80 @@
+import { it, describe, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import RAGDocumentManager from '../src/ragDocumentManager.mjs';
+
+describe('RAGDocumentManager incremental indexing', () => {
+  let dir;
+  let project;
+  let embedded;
+  let mgr;
+
+  const waitForEmbeddings = async () => {
+    while (mgr.embeddingWorkerRunning || mgr.embeddingQueue.length > 0) await new Promise(r => setTimeout(r, 5));
+  };
+  const filesOf = () => new Set(Array.from(mgr.documents.values(), d => path.basename(d.metadata.filePath)));
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rag-incremental-'));
+    project = path.join(dir, 'project');
+    fs.mkdirSync(project);
+    fs.writeFileSync(path.join(project, 'a.js'), 'export const a = 1;');
+    fs.writeFileSync(path.join(project, 'b.js'), 'export const b = 2;');
+    fs.writeFileSync(path.join(project, 'README.md'), '# Project');
+    process.env.RAG_PERSIST_PATH = path.join(dir, 'index.json');
+    embedded = [];
+    const cohere = { embed: async ({ texts }) => { embedded.push(...texts); return { body: { embeddings: texts.map(() => [0.1, 0.2]) } }; } };
+    mgr = new RAGDocumentManager(cohere, { logger: { warn: () => {}, info: () => {}, error: () => {} } });
+    mgr.embeddingWorkerDelayMs = 1;
+  });
+
+  afterEach(() => {
+    delete process.env.RAG_PERSIST_PATH;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('only re-chunks changed files and purges deleted ones', async () => {
+    expect(await mgr._doIndex(project)).toMatchObject({ added: 3, updated: 0, removed: 0, unchanged: 0 });
+    await waitForEmbeddings();
+    expect(embedded).toHaveLength(3);
+
+    expect(await mgr._doIndex(project)).toMatchObject({ added: 0, updated: 0, removed: 0, unchanged: 3 });
+
+    // Same content with a new mtime is still unchanged
+    const later = new Date(Date.now() + 60000);
+    fs.utimesSync(path.join(project, 'README.md'), later, later);
+    fs.writeFileSync(path.join(project, 'a.js'), 'export const a = 42;');
+    fs.rmSync(path.join(project, 'b.js'));
+    expect(await mgr._doIndex(project)).toMatchObject({ added: 0, updated: 1, removed: 1, unchanged: 1 });
+    await waitForEmbeddings();
+
+    expect(embedded.slice(3)).toEqual(['export const a = 42;']);
+    expect(Array.from(mgr.documents.values(), d => d.content).sort()).toEqual(['# Project', 'export const a = 42;']);
+    expect(filesOf()).toEqual(new Set(['a.js', 'README.md']));
+  });
+
+  it('persists the manifest and replaces chunks indexed before it existed', async () => {
+    await mgr._doIndex(project);
+    await waitForEmbeddings();
+    const stale = { content: 'old a.js chunk', metadata: { filePath: path.join(project, 'a.js'), language: 'js', category: 'source' } };
+    const gone = { content: 'old chunk of a deleted file', metadata: { filePath: path.join(project, 'gone.js'), language: 'js', category: 'source' } };
+    mgr.documents.set('legacy-a', stale);
+    mgr.documents.set('legacy-gone', gone);
+    await mgr._saveIndex();
+
+    const reloaded = new RAGDocumentManager(mgr.cohere, { logger: mgr.logger });
+    await reloaded._loadIndex();
+    expect(reloaded.fileManifest.size).toBe(3);
+    expect(await reloaded._doIndex(project)).toMatchObject({ added: 0, updated: 0, removed: 1, unchanged: 3 });
+    expect(reloaded.documents.has('legacy-a')).toBe(false);
+    expect(reloaded.documents.has('legacy-gone')).toBe(false);
+  });
+
+  it('keeps the result on the job record', async () => {
+    const { jobId } = await mgr.indexCodebase(project);
+    while (['queued', 'running'].includes(mgr.getJob(jobId).status)) await new Promise(r => setTimeout(r, 5));
+    expect(mgr.getJob(jobId)).toMatchObject({ status: 'completed', projectPath: project, collection: 'default', result: { added: 3, removed: 0 } });
+    await waitForEmbeddings();
+  });
+});
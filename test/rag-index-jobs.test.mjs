@@ -0,0 +1,68 @@
+import { it, describe, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import RAGDocumentManager from '../src/ragDocumentManager.mjs';
+
+describe('RAGDocumentManager index jobs', () => {
+  let dir;
+  let project;
+  let mgr;
+
+  const waitForJob = async (jobId) => {
+    while (!mgr.isJobDone(mgr.getJob(jobId))) await new Promise(r => setTimeout(r, 5));
+    return mgr.getJob(jobId);
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rag-jobs-'));
+    project = path.join(dir, 'project');
+    fs.mkdirSync(project);
+    for (const name of ['a.js', 'b.js', 'bad.js']) fs.writeFileSync(path.join(project, name), `export const ${name[0]} = 1;`);
+    process.env.RAG_PERSIST_PATH = path.join(dir, 'index.json');
+    const cohere = { embed: async ({ texts }) => ({ body: { embeddings: texts.map(() => [0.1, 0.2]) } }) };
+    mgr = new RAGDocumentManager(cohere, { logger: { warn: () => {}, info: () => {}, error: () => {} } });
+    mgr.embeddingWorkerDelayMs = 1;
+    const categorize = mgr._categorizeFile.bind(mgr);
+    mgr._categorizeFile = (fp) => {
+      if (fp.endsWith('bad.js')) throw new Error('cannot categorize');
+      return categorize(fp);
+    };
+  });
+
+  afterEach(() => {
+    delete process.env.RAG_PERSIST_PATH;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('tracks files, chunks, pending embeddings and per-file errors', async () => {
+    const updates = [];
+    const { jobId } = await mgr.indexCodebase(project);
+    mgr.subscribeJob(jobId, (job) => updates.push(job));
+    const job = await waitForJob(jobId);
+    expect(job).toMatchObject({
+      status: 'completed',
+      progress: { filesTotal: 3, filesScanned: 3, chunksCreated: 2, embeddingsPending: 0, errorCount: 1, errors: [{ file: path.join(project, 'bad.js'), message: 'cannot categorize' }] },
+      result: { added: 2 },
+    });
+    expect(updates.map(u => u.status)).toContain('running');
+    expect(mgr.isJobDone(updates.at(-1))).toBe(true);
+    expect(mgr.listJobs().map(j => j.jobId)).toEqual([jobId]);
+  });
+
+  it('cancels queued and running jobs without purging what was indexed', async () => {
+    const first = await mgr.indexCodebase(project);
+    await waitForJob(first.jobId);
+    fs.rmSync(path.join(project, 'b.js'));
+
+    const running = await mgr.indexCodebase(project);
+    const queued = await mgr.indexCodebase(project);
+    expect(mgr.cancelJob(queued.jobId).status).toBe('cancelled');
+    expect(mgr.cancelJob(running.jobId).status).toBe('cancelling');
+    expect(await waitForJob(running.jobId)).toMatchObject({ status: 'cancelled', progress: { filesScanned: 0 }, result: { removed: 0 } });
+    // b.js is gone from disk, but only a complete scan may remove it from the index
+    expect(Array.from(mgr.documents.values()).some(d => d.metadata.filePath.endsWith('b.js'))).toBe(true);
+    expect(mgr.cancelJob(first.jobId).status).toBe('completed');
+    expect(mgr.cancelJob('nope')).toBeUndefined();
+  });
+});
@@ -0,0 +1,93 @@
+import { it, describe, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createRequire } from 'module';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import promClient from 'prom-client';
+import EnhancedCohereRAGServer from '../src/index.mjs';
+import RAGDocumentManager from '../src/ragDocumentManager.mjs';
+const require = createRequire(import.meta.url);
+const request = require('supertest');
+
+const awsKey = 'AKIA' + 'ABCDEFGH23456789';
+const quiet = { warn: () => {}, info: () => {}, error: () => {} };
+
+describe('secret redaction', () => {
+  let dir;
+  let project;
+  let server;
+  let embedded;
+
+  beforeEach(() => {
+    delete process.env.COHERE_V2_STREAMING_SUPPORTED;
+    process.env.SKIP_DIAGNOSTICS = 'true';
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rag-redact-'));
+    project = path.join(dir, 'project');
+    fs.mkdirSync(project);
+    fs.writeFileSync(path.join(project, 'deploy.sh'), `#!/bin/sh\nexport AWS_ACCESS_KEY_ID=${awsKey}\nexport DB_PASSWORD='hunter22'\naws s3 sync dist s3://bucket\n`);
+    fs.writeFileSync(path.join(project, 'app.js'), 'export const answer = 42;\n');
+    process.env.RAG_PERSIST_PATH = path.join(dir, 'index.json');
+    embedded = [];
+    promClient.register.clear();
+    server = new EnhancedCohereRAGServer({ port: 0 });
+    server.cohere = { chat: vi.fn().mockResolvedValue({ text: 'ok' }) };
+  });
+
+  afterEach(async () => {
+    const mgr = server.ragManager;
+    while (mgr.embeddingWorkerRunning) await new Promise(r => setTimeout(r, 5));
+    delete process.env.RAG_PERSIST_PATH;
+    delete process.env.RAG_REDACT_SECRETS;
+    delete process.env.REDACT_CHAT_MESSAGES;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const useManager = () => {
+    const mgr = new RAGDocumentManager({ embed: async ({ texts }) => { embedded.push(...texts); return { embeddings: texts.map(() => [0.1]) }; } }, { logger: quiet });
+    mgr.embeddingWorkerDelayMs = 1;
+    server.ragManager = mgr;
+    return mgr;
+  };
+
+  it('redacts file content before it is embedded or persisted and reports counts on the job', async () => {
+    const mgr = useManager();
+    const { body: { result: { jobId } } } = await request(server.app).post('/v1/rag/index').send({ projectPath: project }).expect(200);
+    await vi.waitFor(() => expect(mgr.isJobDone(mgr.getJob(jobId))).toBe(true));
+
+    const script = Array.from(mgr.documents.values()).find(d => d.metadata.filePath.endsWith('deploy.sh'));
+    expect(script.content).toContain('export AWS_ACCESS_KEY_ID=[REDACTED:aws_access_key]');
+    expect(script.content).toContain("export DB_PASSWORD='[REDACTED:credential]'");
+    expect(script.metadata).toMatchObject({ startLine: 1, endLine: 5 });
+    expect(embedded.join('\n')).not.toContain(awsKey);
+    expect(fs.readFileSync(process.env.RAG_PERSIST_PATH, 'utf8')).not.toContain('hunter22');
+
+    const res = await request(server.app).get(`/v1/rag/jobs/${jobId}`).expect(200);
+    expect(res.body.progress).toMatchObject({ redactions: 2, redactions_by_type: { aws_access_key: 1, credential: 1 } });
+  });
+
+  it('can be turned off for indexing', async () => {
+    process.env.RAG_REDACT_SECRETS = '0';
+    const mgr = useManager();
+    await mgr._doIndex(project);
+    const script = Array.from(mgr.documents.values()).find(d => d.metadata.filePath.endsWith('deploy.sh'));
+    expect(script.content).toContain(awsKey);
+  });
+
+  it('redacts outgoing chat messages when enabled', async () => {
+    const send = () => request(server.app).post('/v1/chat/completions').send({
+      messages: [{ role: 'system', content: `Use key ${awsKey}` }, { role: 'user', content: `My password='hunter22', deploy please` }],
+    }).expect(200);
+    await send();
+    expect(JSON.stringify(server.cohere.chat.mock.calls.at(-1)[0])).toContain(awsKey);
+
+    process.env.REDACT_CHAT_MESSAGES = '1';
+    promClient.register.clear();
+    server = new EnhancedCohereRAGServer({ port: 0 });
+    server.cohere = { chat: vi.fn().mockResolvedValue({ text: 'ok' }) };
+    await send();
+    const payload = server.cohere.chat.mock.calls.at(-1)[0];
+    expect(payload.preamble).toContain('Use key [REDACTED:aws_access_key]');
+    expect(payload.message).toBe(`My password='[REDACTED:credential]', deploy please`);
+    expect(JSON.stringify(payload)).not.toContain('hunter22');
+  });
+});
@@ -0,0 +1,68 @@
+import { it, describe, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import RAGDocumentManager from '../src/ragDocumentManager.mjs';
+
+describe('RAGDocumentManager file selection', () => {
+  let dir;
+  let project;
+  let mgr;
+
+  const write = (rel, content) => {
+    fs.mkdirSync(path.dirname(path.join(project, rel)), { recursive: true });
+    fs.writeFileSync(path.join(project, rel), content);
+  };
+  const scanned = async (options) => (await mgr._scanDirectory(project, options)).map(f => path.relative(project, f).split(path.sep).join('/')).sort();
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rag-scan-'));
+    project = path.join(dir, 'project');
+    write('.gitignore', 'generated/\n*.min.js\n');
+    write('src/app.js', 'export const app = 1;');
+    write('src/app.min.js', 'minified');
+    write('src/app.test.js', 'test');
+    write('generated/api.js', 'generated');
+    write('vendor/.ragignore', '*\n!keep.js\n');
+    write('vendor/lib.js', 'lib');
+    write('vendor/keep.js', 'keep');
+    write('docs/guide.md', '# Guide');
+    process.env.RAG_PERSIST_PATH = path.join(dir, 'index.json');
+    mgr = new RAGDocumentManager({ embed: async ({ texts }) => ({ body: { embeddings: texts.map(() => [0.1]) } }) }, { logger: { warn: () => {}, info: () => {}, error: () => {} } });
+    mgr.embeddingWorkerDelayMs = 1;
+  });
+
+  afterEach(async () => {
+    while (mgr.embeddingWorkerRunning) await new Promise(r => setTimeout(r, 5));
+    delete process.env.RAG_PERSIST_PATH;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('honours ignore files in every directory', async () => {
+    expect(await scanned()).toEqual(['.gitignore', 'docs/guide.md', 'src/app.js', 'src/app.test.js', 'vendor/keep.js']);
+    expect(await scanned({ ignoreFiles: [] })).toContain('generated/api.js');
+  });
+
+  it('applies include and exclude globs', async () => {
+    expect(await scanned({ include: ['src/**'], exclude: ['*.test.js'] })).toEqual(['src/app.js']);
+    expect(await scanned({ exclude: ['docs/', 'vendor'] })).toEqual(['.gitignore', 'src/app.js', 'src/app.test.js']);
+  });
+
+  it('does not follow symlink loops', async () => {
+    fs.symlinkSync(project, path.join(project, 'src', 'loop'));
+    fs.symlinkSync(path.join(project, 'docs'), path.join(project, 'docs-link'));
+    expect(await scanned()).toEqual(['.gitignore', 'docs/guide.md', 'src/app.js', 'src/app.test.js', 'vendor/keep.js']);
+  });
+
+  it('skips binary files and uses the configured extensions', async () => {
+    write('src/blob.js', Buffer.from([0x7f, 0x45, 0x4c, 0x46, 0x00, 0x02]));
+    const result = await mgr._doIndex(project, { extensions: ['JS'] });
+    expect(result).toMatchObject({ added: 3, skipped: 3 });
+    const files = new Set(Array.from(mgr.documents.values(), d => path.relative(project, d.metadata.filePath)));
+    expect(files).toEqual(new Set(['src/app.js', 'src/app.test.js', path.join('vendor', 'keep.js')]));
+  });
+
+  it('rejects malformed selection options', async () => {
+    await expect(mgr.indexCodebase(project, { include: 'src/**' })).rejects.toMatchObject({ statusCode: 400, param: 'options.include' });
+  });
+});
@@ -1,4 +1,7 @@
 import { describe, it, expect, beforeEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 import RAGDocumentManager from '../src/ragDocumentManager.mjs';
 
 const fakeCohere = {
@@ -25,4 +28,35 @@ describe('RAGDocumentManager', () => {
     const res = await mgr.retrieveRelevantDocuments('add function', { maxResults: 2 });
     expect(res.length).toBeGreaterThan(0);
   });
+
+  it('indexes into named collections and searches only the requested ones', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rag-coll-'));
+    fs.writeFileSync(path.join(dir, 'billing.js'), 'function invoiceTotal(items){ return items.length }');
+    // Own persist path, so the repo's persisted index is not loaded into this manager
+    process.env.RAG_PERSIST_PATH = path.join(dir, 'index.json');
+    mgr = new RAGDocumentManager(fakeCohere, { logger: console });
+    delete process.env.RAG_PERSIST_PATH;
+    mgr.documents.set('legacy', { content: 'function invoiceLegacy(){}', metadata: { filePath: '/old/a.js', language: 'js', category: 'source' } });
+    await mgr._doIndex(dir, { collection: 'shop' });
+
+    const shop = await mgr.retrieveRelevantDocuments('invoiceTotal function', { collections: ['shop'], useSemanticSearch: false });
+    expect(shop).toHaveLength(1);
+    expect(shop[0]).toMatchObject({ content: expect.stringContaining('invoiceTotal'), metadata: { collection: 'shop', projectPath: dir, chunker: 'javascript', startLine: 1, endLine: 1, symbol: 'invoiceTotal' }, matchType: 'keyword' });
+    expect(shop[0].id).toBeTruthy();
+    const legacy = await mgr.retrieveRelevantDocuments('function', { collections: ['default'], useSemanticSearch: false });
+    expect(legacy.map(d => d.id)).toEqual(['legacy']);
+
+    expect(mgr.listCollections()).toEqual([{ name: 'default', documents: 1, files: 1 }, { name: 'shop', documents: 1, files: 1 }]);
+    expect(mgr.resolvePin({ filePath: 'billing.js', collection: 'shop' })).toHaveLength(1);
+    expect(mgr.resolvePin({ filePath: 'billing.js', collection: 'default' })).toEqual([]);
+    expect(mgr.resolvePin({ id: 'legacy' })[0]).toMatchObject({ id: 'legacy', content: 'function invoiceLegacy(){}' });
+
+    mgr.clearIndex('shop');
+    expect(mgr.listCollections().map(c => c.name)).toEqual(['default']);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('rejects invalid collection names', async () => {
+    await expect(mgr.indexCodebase('/tmp', { collection: '../etc' })).rejects.toMatchObject({ statusCode: 400, param: 'collection' });
+  });
 });
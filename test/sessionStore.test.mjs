@@ -0,0 +1,152 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import ConversationManager from '../src/conversationManager.mjs';
+import { createSessionStore, MemorySessionStore, JsonFileSessionStore } from '../src/sessionStore/index.mjs';
+
+const fakeRag = { retrieveRelevantDocuments: async () => [{ content: 'ctx', metadata: { filePath: '/tmp/a.js', language: 'js' }, score: 0.9 }] };
+const quietLogger = { info() {}, warn() {}, error() {} };
+
+describe('session stores', () => {
+  let dir;
+  const tmpDir = () => (dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-')));
+  afterEach(() => { if (dir) fs.rmSync(dir, { recursive: true, force: true }); dir = undefined; });
+
+  it('memory store evicts the least recently accessed session', () => {
+    const store = new MemorySessionStore({ maxSessions: 2 });
+    store.set('a', { messages: [], lastAccessed: 1 });
+    store.set('b', { messages: [], lastAccessed: 3 });
+    store.set('c', { messages: [], lastAccessed: 2 });
+    expect(Array.from(store.ids()).sort()).toEqual(['b', 'c']);
+    expect(store.expire(3)).toEqual(['c']);
+  });
+
+  it('file store persists sessions, loads them lazily and drops transient fields', () => {
+    const first = new JsonFileSessionStore({ dir: tmpDir() });
+    first.set('user/1', { messages: [{ role: 'user', content: 'hi' }], ragContext: [{ content: 'doc' }], lastAccessed: Date.now(), _processing: true });
+    first.flush();
+
+    const second = new JsonFileSessionStore({ dir });
+    expect(second.cache.size).toBe(0);
+    expect(second.has('user/1')).toBe(true);
+    expect(Array.from(second.ids())).toEqual(['user/1']);
+    const session = second.get('user/1');
+    expect(session.messages).toEqual([{ role: 'user', content: 'hi' }]);
+    expect(session.ragContext).toEqual([{ content: 'doc' }]);
+    expect(session).not.toHaveProperty('_processing');
+
+    second.delete('user/1');
+    expect(new JsonFileSessionStore({ dir }).has('user/1')).toBe(false);
+  });
+
+  it('file store expires idle sessions on disk and in its cache', () => {
+    const store = new JsonFileSessionStore({ dir: tmpDir(), cacheSize: 1 });
+    store.set('old', { messages: [], lastAccessed: 0 });
+    store.set('new', { messages: [], lastAccessed: Date.now() });
+    const oldFile = store._file('old');
+    fs.utimesSync(oldFile, new Date(0), new Date(0));
+    expect(store.expire(Date.now() - 60000)).toEqual(['old']);
+    expect(store.size).toBe(1);
+  });
+
+  it('file store counts sessions on disk without rescanning the directory', () => {
+    const first = new JsonFileSessionStore({ dir: tmpDir() });
+    first.set('a', { messages: [{ role: 'user', content: '1' }, { role: 'assistant', content: '2' }] });
+    first.set('b', { messages: [{ role: 'user', content: '3' }] });
+    first.flush();
+
+    const store = new JsonFileSessionStore({ dir, cacheSize: 1 });
+    store.get('a').messages.push({ role: 'user', content: '4' });
+    store.save('a');
+    expect(store.stats()).toEqual({ sessions: 2, messages: 4 });
+    const readdir = fs.readdirSync;
+    fs.readdirSync = () => { throw new Error('directory scanned'); };
+    try {
+      store.set('c', { messages: [{ role: 'user', content: '5' }] }); // evicts and writes 'a'
+      expect(store.stats()).toEqual({ sessions: 3, messages: 5 });
+      store.delete('b');
+      expect(store.stats()).toEqual({ sessions: 2, messages: 4 });
+    } finally {
+      fs.readdirSync = readdir;
+    }
+  });
+
+  it('file store only writes evicted sessions that changed, keeping their last access in the index', () => {
+    const first = new JsonFileSessionStore({ dir: tmpDir(), cacheSize: 1 });
+    first.set('a', { messages: [{ role: 'user', content: 'hi' }], lastAccessed: 1 });
+    first.flush();
+    const written = fs.readFileSync(first._file('a'), 'utf8');
+
+    const store = new JsonFileSessionStore({ dir, cacheSize: 1 });
+    store.get('a').lastAccessed = 5000;
+    const writeFileSync = fs.writeFileSync;
+    const writes = [];
+    fs.writeFileSync = (file, ...args) => { writes.push(path.basename(String(file))); return writeFileSync(file, ...args); };
+    try {
+      store.set('b', { messages: [], lastAccessed: 6000 }); // evicts 'a' without writing it
+      expect(writes).toEqual([]);
+      store.flush();
+    } finally {
+      fs.writeFileSync = writeFileSync;
+    }
+    expect(fs.readFileSync(store._file('a'), 'utf8')).toBe(written);
+    expect(writes.some(f => f.startsWith(path.basename(store._file('a'))))).toBe(false);
+
+    const restarted = new JsonFileSessionStore({ dir });
+    expect(Array.from(restarted.summaries()).find(s => s.id === 'a')).toMatchObject({ lastAccessed: 5000, messageCount: 1 });
+    expect(restarted.expire(5500)).toEqual(['a']);
+  });
+
+  it('rejects unknown store types', () => {
+    expect(() => createSessionStore({ type: 'redis' })).toThrow(/Unknown session store/);
+  });
+});
+
+describe('ConversationManager with a persistent store', () => {
+  let dir;
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('restores messages, RAG context and feedback after a restart', async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+    const cm = new ConversationManager(fakeRag, { logger: quietLogger, store: createSessionStore({ type: 'file', dir }) });
+    await cm.addMessage('s1', 'user', 'please help');
+    await cm.addMessage('s1', 'assistant', 'sure');
+    await cm.addFeedback('s1', 'be shorter');
+    await cm.shutdown();
+
+    const restarted = new ConversationManager(fakeRag, { logger: quietLogger, store: createSessionStore({ type: 'file', dir }) });
+    expect(restarted.getConversation('s1').map(m => m.content)).toEqual(['please help', 'sure', 'User feedback (correction): be shorter']);
+    expect(restarted.getFormattedHistoryWithRAG('s1').ragDocuments).toHaveLength(1);
+    await restarted.shutdown();
+  });
+
+  it('lists and searches stored sessions without loading them into the cache', async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+    const cm = new ConversationManager(fakeRag, { logger: quietLogger, store: createSessionStore({ type: 'file', dir }) });
+    for (let i = 0; i < 5; i++) await cm.addMessage(`s${i}`, 'assistant', i === 3 ? 'the "blue" whale' : `reply ${i}`);
+    await cm.shutdown();
+
+    const restarted = new ConversationManager(fakeRag, { logger: quietLogger, store: createSessionStore({ type: 'file', dir, maxSessions: 2 }) });
+    restarted.getConversation('s0');
+    const { data, hasMore } = restarted.listConversations({}, { limit: 2 });
+    expect(data.map(c => c.messageCount)).toEqual([1, 1]);
+    expect(hasMore).toBe(true);
+    expect(restarted.searchConversations('"BLUE"')).toMatchObject([{ sessionId: 's3', messageIndex: 0 }]);
+    expect(Array.from(restarted.conversations.cache.keys())).toEqual(['s0']);
+    await restarted.shutdown();
+  });
+
+  it('expires idle sessions by TTL', async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+    const cm = new ConversationManager(fakeRag, { logger: quietLogger, ttlMs: 1000, cleanupIntervalMs: 0 });
+    await cm.addMessage('idle', 'user', 'hello');
+    cm.conversations.get('idle').lastAccessed = Date.now() - 5000;
+    expect(cm.cleanupExpired()).toBe(1);
+
+    await cm.addMessage('stale', 'user', 'hello');
+    cm.conversations.get('stale').lastAccessed = Date.now() - 5000;
+    expect(cm.getConversation('stale')).toEqual([]);
+    await cm.shutdown();
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import ApiKeyStore, { keyFingerprint } from '../../src/utils/apiKeyStore.mjs';
+
+describe('ApiKeyStore', () => {
+  let dir;
+  const writeKeys = (keys) => {
+    dir = dir || fs.mkdtempSync(path.join(os.tmpdir(), 'keys-'));
+    const file = path.join(dir, 'keys.json');
+    fs.writeFileSync(file, JSON.stringify({ keys }));
+    return file;
+  };
+
+  afterEach(() => {
+    if (dir) fs.rmSync(dir, { recursive: true, force: true });
+    dir = undefined;
+  });
+
+  it('is disabled when no keys are configured', () => {
+    const store = new ApiKeyStore({});
+    expect(store.enabled).toBe(false);
+    expect(store.lookup('anything')).toBeNull();
+  });
+
+  it('looks up plain and sha256 keys with their scopes', () => {
+    const hashed = crypto.createHash('sha256').update('sk-hashed').digest('hex');
+    const store = new ApiKeyStore({
+      filePath: writeKeys([
+        { name: 'ci', key: 'sk-plain', scopes: ['chat', 'embed', 'bogus'] },
+        { name: 'ops', sha256: hashed, scopes: ['rag:write'] },
+        { name: 'broken', key: 'sk-noscope' },
+      ]),
+      adminKey: 'sk-admin',
+    });
+    expect(store.lookup('sk-plain')).toEqual({ name: 'ci', scopes: ['chat', 'embed'], fingerprint: keyFingerprint('sk-plain') });
+    expect(store.lookup('sk-hashed').name).toBe('ops');
+    expect(store.lookup('sk-noscope')).toBeNull();
+    expect(store.lookup('sk-wrong')).toBeNull();
+    expect(ApiKeyStore.hasScope(store.lookup('sk-admin'), 'rag:write')).toBe(true);
+    expect(ApiKeyStore.hasScope(store.lookup('sk-plain'), 'rag:write')).toBe(false);
+  });
+
+  it('reloads the file when it changes and keeps keys when it turns invalid', () => {
+    const file = writeKeys([{ name: 'old', key: 'sk-old', scopes: ['chat'] }]);
+    const store = new ApiKeyStore({ filePath: file, reloadIntervalMs: 0 });
+    expect(store.lookup('sk-old').name).toBe('old');
+
+    writeKeys([{ name: 'new', key: 'sk-new', scopes: ['chat'] }]);
+    fs.utimesSync(file, new Date(), new Date(Date.now() + 5000));
+    expect(store.lookup('sk-old')).toBeNull();
+    expect(store.lookup('sk-new').name).toBe('new');
+
+    fs.writeFileSync(file, '{ not json');
+    fs.utimesSync(file, new Date(), new Date(Date.now() + 10000));
+    expect(store.lookup('sk-new').name).toBe('new');
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { chunkText, chunkerFor } from '../../src/utils/chunkers.mjs';
+
+const summary = (chunks) => chunks.map(c => [c.startLine, c.endLine, c.symbol]);
+
+describe('chunkerFor', () => {
+  it('picks a chunker by extension', () => {
+    expect(['a.ts', 'b.mjs', 'c.py', 'README.md', 'package.json', 'ci.yml', 'run.sh'].map(chunkerFor))
+      .toEqual(['javascript', 'javascript', 'python', 'markdown', 'json', 'yaml', 'text']);
+  });
+});
+
+describe('chunkText', () => {
+  it('splits JS on declarations and class methods, keeping doc comments with them', () => {
+    const js = [
+      "import fs from 'fs';",
+      '',
+      '/** Adds numbers. */',
+      'export function add(a, b) {',
+      '  return a + b;',
+      '}',
+      'class Store {',
+      '  constructor() {',
+      '    this.items = [];',
+      '  }',
+      '  async load(id) {',
+      '    return this.items[id];',
+      '  }',
+      '}',
+    ].join('\n');
+    const chunks = chunkText(js, { chunker: 'javascript', size: 70 });
+    // The class line and constructor fit together, under their common enclosing symbol
+    expect(summary(chunks)).toEqual([[1, 2, null], [3, 6, 'add'], [7, 10, 'Store'], [11, 14, 'Store.load']]);
+    expect(chunks[1].content).toBe('/** Adds numbers. */\nexport function add(a, b) {\n  return a + b;\n}');
+    expect(summary(chunkText(js.split('\n').slice(6).join('\n'), { chunker: 'javascript', size: 52 }))).toEqual([[1, 1, 'Store'], [2, 4, 'Store.constructor'], [5, 8, 'Store.load']]);
+    expect(summary(chunkText(js.split('\n').slice(6).join('\n'), { chunker: 'javascript', size: 500 }))).toEqual([[1, 8, 'Store']]);
+  });
+
+  it('splits Python on functions, classes and methods but not nested functions', () => {
+    const py = ['class Repo:', '    @property', '    def name(self):', '        def inner():', '            pass', '        return 1', '', 'def main():', '    return 2'].join('\n');
+    expect(summary(chunkText(py, { chunker: 'python', size: 100 }))).toEqual([[1, 1, 'Repo'], [2, 7, 'Repo.name'], [8, 9, 'main']]);
+  });
+
+  it('splits Markdown on headings outside code fences', () => {
+    const md = ['# Guide', 'intro', '## Install', '```sh', '# not a heading', '```', '## Usage', 'run it'].join('\n');
+    expect(summary(chunkText(md, { chunker: 'markdown', size: 40 }))).toEqual([[1, 2, 'Guide'], [3, 6, 'Guide > Install'], [7, 8, 'Guide > Usage']]);
+  });
+
+  it('splits JSON and YAML on top-level keys', () => {
+    const json = ['{', '  "name": "proxy",', '  "scripts": {', '    "test": "vitest"', '  },', '  "files": ["src"]', '}'].join('\n');
+    expect(summary(chunkText(json, { chunker: 'json', size: 40 }))).toEqual([[1, 2, null], [3, 5, 'scripts'], [6, 7, 'files']]);
+    const yaml = ['# service', 'name: proxy', 'env:', '  - PORT=3000', 'image: "node:20"'].join('\n');
+    expect(summary(chunkText(yaml, { chunker: 'yaml', size: 25 }))).toEqual([[1, 2, 'name'], [3, 4, 'env'], [5, 5, 'image']]);
+  });
+
+  it('repeats whole lines before a chunk as overlap', () => {
+    const text = ['one', 'two', 'three', 'four', 'five'].join('\n');
+    const chunks = chunkText(text, { size: 10, overlap: 6 });
+    expect(chunks.map(c => c.content)).toEqual(['one\ntwo', 'two\nthree\nfour', 'four\nfive']);
+    expect(summary(chunks)).toEqual([[1, 2, null], [2, 4, null], [4, 5, null]]);
+  });
+
+  it('slices lines longer than the chunk size', () => {
+    const chunks = chunkText(`short\n${'x'.repeat(25)}`, { size: 10, overlap: 5 });
+    expect(chunks.map(c => c.content)).toEqual(['short', 'xxxxxxxxxx', 'xxxxxxxxxx', 'xxxxx']);
+    expect(chunks.every(c => c.startLine === c.endLine)).toBe(true);
+  });
+});
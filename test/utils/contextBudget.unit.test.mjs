@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { fitToContextWindow } from '../../src/utils/contextBudget.mjs';
+
+// One token per word keeps the arithmetic readable
+const countTokens = (text) => String(text).split(/\s+/).filter(Boolean).length;
+const words = (n) => Array.from({ length: n }, () => 'w').join(' ');
+
+describe('contextBudget', () => {
+  const history = [
+    { role: 'USER', message: words(20) },
+    { role: 'CHATBOT', message: words(20) },
+    { role: 'USER', message: words(20) },
+    { role: 'CHATBOT', message: words(20) },
+  ];
+
+  it('keeps everything and clamps max_tokens to the remaining budget', () => {
+    const data = { message: words(10), chatHistory: history, preamble: 'be brief' };
+    const fitted = fitToContextWindow(data, { limit: 1000, countTokens, requestedMaxTokens: 5000, maxCompletionTokens: 800 });
+    expect(fitted.conversationData.chatHistory).toHaveLength(4);
+    expect(fitted.droppedTurns).toEqual([]);
+    expect(fitted.maxTokens).toBe(800);
+
+    const tight = fitToContextWindow(data, { limit: 200, countTokens, requestedMaxTokens: 5000 });
+    expect(tight.maxTokens).toBe(200 - tight.promptTokens);
+  });
+
+  it('drops the oldest exchanges first, never leaving an assistant turn at the start', () => {
+    const data = { message: words(10), chatHistory: history, preamble: 'be brief' };
+    const fitted = fitToContextWindow(data, { limit: 120, countTokens, minCompletionTokens: 20 });
+    expect(fitted.droppedTurns).toEqual(history.slice(0, 2));
+    expect(fitted.conversationData.chatHistory).toEqual(history.slice(2));
+    expect(fitted.maxTokens).toBeGreaterThanOrEqual(20);
+  });
+
+  it('drops the summary, then the least relevant documents once history is gone', () => {
+    const docs = [{ content: words(30) }, { content: words(30) }];
+    const buildPreamble = (ragDocuments, summary) => [...ragDocuments.map(d => d.content), summary].filter(Boolean).join(' ');
+    const data = { message: words(10), chatHistory: history };
+    const fitted = fitToContextWindow(data, { limit: 60, countTokens, ragDocuments: docs, summary: words(10), buildPreamble });
+    expect(fitted.conversationData.chatHistory).toEqual([]);
+    expect(fitted.summaryDropped).toBe(true);
+    expect(fitted.droppedDocuments).toBe(1);
+    expect(countTokens(fitted.conversationData.preamble)).toBe(30);
+  });
+
+  it('keeps the current v2 turn intact and rejects it when it cannot fit', () => {
+    const messages = [
+      { role: 'user', content: words(20) },
+      { role: 'assistant', content: words(20) },
+      { role: 'user', content: [{ type: 'text', text: 'look' }, { type: 'image_url', image_url: { url: 'https://x/y.png' } }] },
+    ];
+    const fitted = fitToContextWindow({ message: 'look', chatHistory: [], messages }, { limit: 1020, countTokens });
+    expect(fitted.conversationData.messages).toEqual([messages[2]]);
+
+    let error;
+    try { fitToContextWindow({ message: words(50), chatHistory: history }, { limit: 40, countTokens }); } catch (e) { error = e; }
+    expect(error).toMatchObject({ statusCode: 400, type: 'invalid_request_error', code: 'context_length_exceeded', param: 'messages' });
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import FeedbackStore, { summarizeFeedback, toPreferencePairs } from '../../src/utils/feedbackStore.mjs';
+
+const prompt = [{ role: 'user', content: 'name a colour' }];
+
+describe('FeedbackStore', () => {
+  let dir;
+
+  afterEach(() => {
+    if (dir) fs.rmSync(dir, { recursive: true, force: true });
+    dir = undefined;
+  });
+
+  it('appends records to the file and reloads them', () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'feedback-'));
+    const filePath = path.join(dir, 'nested', 'feedback.jsonl');
+    const store = new FeedbackStore({ filePath });
+    const record = store.add({ sessionId: 's', type: 'rating', rating: 'up', model: 'm1' });
+    expect(record.id).toMatch(/^fb_[0-9a-f]{16}$/);
+    fs.appendFileSync(filePath, 'not json\n');
+    const reloaded = new FeedbackStore({ filePath });
+    expect(reloaded.records).toEqual([record]);
+    expect(reloaded.list({ rating: 'down' })).toEqual([]);
+    expect(reloaded.list({ model: 'm1', createdAfter: record.created })).toHaveLength(1);
+  });
+});
+
+describe('summarizeFeedback', () => {
+  it('breaks ratings down by model, template and retrieval hit', () => {
+    const summary = summarizeFeedback([
+      { type: 'rating', rating: 'up', model: 'a', preambleTemplate: 'default', ragDocuments: 2 },
+      { type: 'rating', rating: 'down', model: 'a', preambleTemplate: null, ragDocuments: 0 },
+      { type: 'correction', rating: null, model: 'b', preambleTemplate: null, ragDocuments: 0 },
+    ]);
+    expect(summary).toMatchObject({ total: 3, up: 1, down: 1, approval_rate: 0.5 });
+    expect(summary.by_model).toEqual([
+      { model: 'a', total: 2, up: 1, down: 1, approval_rate: 0.5 },
+      { model: 'b', total: 1, up: 0, down: 0, approval_rate: null },
+    ]);
+    expect(summary.by_rag_hit.find(g => g.rag_hit === true)).toMatchObject({ up: 1, approval_rate: 1 });
+    expect(summary.by_preamble_template.map(g => g.preamble_template)).toEqual([null, 'default']);
+  });
+});
+
+describe('toPreferencePairs', () => {
+  it('pairs up- and down-rated replies to the same prompt', () => {
+    const jsonl = toPreferencePairs([
+      { rating: 'down', prompt, response: 'blue' },
+      { rating: 'up', prompt, response: 'teal' },
+      { rating: 'up', prompt: [{ role: 'user', content: 'other' }], response: 'x' },
+      { rating: null, prompt, response: 'red' },
+    ]);
+    const lines = jsonl.trim().split('\n').map(l => JSON.parse(l));
+    expect(lines).toEqual([{
+      input: { messages: prompt },
+      preferred_output: [{ role: 'assistant', content: 'teal' }],
+      non_preferred_output: [{ role: 'assistant', content: 'blue' }],
+    }]);
+    expect(toPreferencePairs([])).toBe('');
+  });
+});
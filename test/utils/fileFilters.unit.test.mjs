@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import { compileRule, parseIgnoreRules, matchesRules, isBinaryContent } from '../../src/utils/fileFilters.mjs';
+
+const rules = (text, base) => parseIgnoreRules(text, base);
+
+describe('gitignore-style rules', () => {
+  it('matches names at any depth unless the pattern has a slash', () => {
+    const r = rules('*.log\n/secret.txt\ndocs/*.md\n');
+    expect(matchesRules(r, 'a/b/debug.log')).toBe(true);
+    expect(matchesRules(r, 'secret.txt')).toBe(true);
+    expect(matchesRules(r, 'sub/secret.txt')).toBe(false);
+    expect(matchesRules(r, 'docs/guide.md')).toBe(true);
+    expect(matchesRules(r, 'docs/api/guide.md')).toBe(false);
+  });
+
+  it('supports **, character classes, directory-only rules and negation', () => {
+    const r = rules('# generated\nsrc/**/gen/\n**/fixtures/*.json\nbuild-[0-9]\n*.env\n!example.env\n');
+    expect(matchesRules(r, 'src/gen', true)).toBe(true);
+    expect(matchesRules(r, 'src/a/b/gen', true)).toBe(true);
+    expect(matchesRules(r, 'src/a/gen', false)).toBe(false);
+    expect(matchesRules(r, 'test/deep/fixtures/x.json')).toBe(true);
+    expect(matchesRules(r, 'build-7', true)).toBe(true);
+    expect(matchesRules(r, 'build-x', true)).toBe(false);
+    expect(matchesRules(r, 'prod.env')).toBe(true);
+    expect(matchesRules(r, 'config/example.env')).toBe(false);
+  });
+
+  it('scopes rules from nested ignore files to their directory', () => {
+    const r = [...rules('*.tmp'), ...rules('/out\ncache', 'packages/web')];
+    expect(matchesRules(r, 'packages/web/out', true)).toBe(true);
+    expect(matchesRules(r, 'out', true)).toBe(false);
+    expect(matchesRules(r, 'packages/web/src/cache', true)).toBe(true);
+    expect(matchesRules(r, 'packages/api/x.tmp')).toBe(true);
+  });
+
+  it('skips blank lines and comments and keeps escaped characters literal', () => {
+    expect(compileRule('   ')).toBeNull();
+    expect(compileRule('# note')).toBeNull();
+    expect(matchesRules([compileRule('\\#notes')], '#notes')).toBe(true);
+    expect(matchesRules([compileRule('a.b')], 'axb')).toBe(false);
+  });
+});
+
+describe('isBinaryContent', () => {
+  it('flags NUL bytes and mostly-control content', () => {
+    expect(isBinaryContent(Buffer.from('const a = 1;\n\tok\r\n'))).toBe(false);
+    expect(isBinaryContent(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0x01]))).toBe(true);
+    expect(isBinaryContent(Buffer.from([1, 2, 3, 4, 65]))).toBe(true);
+    expect(isBinaryContent(Buffer.alloc(0))).toBe(false);
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { validateJsonSchema } from '../../src/utils/jsonSchema.mjs';
+import { resolveResponseFormat, toCohereResponseFormat, checkStructuredOutput } from '../../src/utils/structuredOutput.mjs';
+
+const person = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    age: { type: 'integer', minimum: 0 },
+    tags: { type: 'array', items: { type: 'string' }, maxItems: 2 },
+    role: { enum: ['admin', 'user'] },
+    address: { $ref: '#/$defs/address' },
+  },
+  required: ['name', 'age'],
+  additionalProperties: false,
+  $defs: { address: { type: 'object', properties: { city: { type: 'string' } }, required: ['city'] } },
+};
+
+describe('jsonSchema', () => {
+  it('accepts values that match the schema', () => {
+    expect(validateJsonSchema({ name: 'Ada', age: 36, tags: ['x'], role: 'admin', address: { city: 'London' } }, person)).toEqual([]);
+  });
+
+  it('reports each violation with its path', () => {
+    const errors = validateJsonSchema({ name: '', age: 1.5, tags: ['a', 'b', 'c'], role: 'root', address: {}, extra: true }, person);
+    expect(errors).toEqual(expect.arrayContaining([
+      '$.name: must be at least 1 characters',
+      '$.age: expected integer, got number',
+      '$.tags: must have at most 2 items',
+      '$.role: must be one of ["admin","user"]',
+      '$.address: missing required property "city"',
+      '$: unexpected property "extra"',
+    ]));
+    expect(validateJsonSchema({ age: 3 }, person)).toEqual(['$: missing required property "name"']);
+  });
+
+  it('supports nullable types and combinators', () => {
+    expect(validateJsonSchema(null, { type: ['string', 'null'] })).toEqual([]);
+    expect(validateJsonSchema(3, { anyOf: [{ type: 'string' }, { type: 'number' }] })).toEqual([]);
+    expect(validateJsonSchema(true, { anyOf: [{ type: 'string' }, { type: 'number' }] })).toHaveLength(1);
+    expect(validateJsonSchema(2, { oneOf: [{ type: 'integer' }, { type: 'number' }] })[0]).toMatch(/exactly one/);
+  });
+});
+
+describe('structuredOutput', () => {
+  it('resolves OpenAI response_format values', () => {
+    expect(resolveResponseFormat(undefined)).toBeUndefined();
+    expect(resolveResponseFormat({ type: 'text' })).toBeUndefined();
+    expect(resolveResponseFormat({ type: 'json_object' })).toEqual({ type: 'json_object' });
+    expect(resolveResponseFormat({ type: 'json_schema', json_schema: { name: 'person', schema: person, strict: true } })).toEqual({ type: 'json_schema', name: 'person', schema: person });
+    expect(() => resolveResponseFormat({ type: 'json_schema', json_schema: { schema: person } })).toThrow(/name is required/);
+    expect(() => resolveResponseFormat({ type: 'yaml' })).toThrow(/Unsupported/);
+  });
+
+  it('builds the Cohere response_format for v1 and v2 payloads', () => {
+    expect(toCohereResponseFormat({ type: 'json_object' })).toEqual({ type: 'json_object' });
+    expect(toCohereResponseFormat({ type: 'json_schema', schema: person })).toEqual({ type: 'json_object', schema: person });
+    expect(toCohereResponseFormat({ type: 'json_schema', schema: person }, { v2: true })).toEqual({ type: 'json_object', json_schema: person });
+  });
+
+  it('checks generated text', () => {
+    expect(checkStructuredOutput('not json', { type: 'json_object' })).toEqual({ ok: false, errors: ['output is not valid JSON'] });
+    expect(checkStructuredOutput('[1]', { type: 'json_object' }).ok).toBe(false);
+    expect(checkStructuredOutput('{"name":"Ada","age":36}', { type: 'json_schema', schema: person }).ok).toBe(true);
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import KeyRateLimiter, { formatResetDuration } from '../../src/utils/keyRateLimiter.mjs';
+
+describe('KeyRateLimiter', () => {
+  let dir;
+  afterEach(() => { if (dir) fs.rmSync(dir, { recursive: true, force: true }); dir = undefined; });
+
+  it('formats reset durations the way OpenAI does', () => {
+    expect(formatResetDuration(20)).toBe('20ms');
+    expect(formatResetDuration(1000)).toBe('1s');
+    expect(formatResetDuration(360000)).toBe('6m0s');
+    expect(formatResetDuration(7384000)).toBe('2h3m4s');
+  });
+
+  it('limits requests per minute per bucket and resets with the window', () => {
+    let now = 1_000_000;
+    const limiter = new KeyRateLimiter({ requestsPerMinute: 2, now: () => now });
+    expect(limiter.consume('a').remainingRequests).toBe(1);
+    expect(limiter.consume('a').allowed).toBe(true);
+    const denied = limiter.consume('a');
+    expect(denied).toMatchObject({ allowed: false, reason: 'requests', remainingRequests: 0 });
+    expect(limiter.consume('b').allowed).toBe(true);
+    now += 60_000;
+    expect(limiter.consume('a').allowed).toBe(true);
+  });
+
+  it('enforces daily token budgets, with per-key overrides', () => {
+    let now = Date.UTC(2026, 0, 1, 12);
+    const limiter = new KeyRateLimiter({ requestsPerMinute: 0, tokensPerDay: 100, now: () => now });
+    expect(limiter.consume('a').allowed).toBe(true);
+    limiter.recordTokens('a', 100);
+    expect(limiter.consume('a')).toMatchObject({ allowed: false, reason: 'tokens', remainingTokens: 0, resetTokensMs: 12 * 3600 * 1000 });
+    expect(limiter.consume('a', { tokensPerDay: 1000 }).remainingTokens).toBe(900);
+    now = Date.UTC(2026, 0, 2, 0, 1);
+    expect(limiter.consume('a').allowed).toBe(true);
+  });
+
+  it('persists budgets across instances', () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ratelimit-'));
+    const filePath = path.join(dir, 'state.json');
+    const first = new KeyRateLimiter({ tokensPerDay: 50, filePath });
+    first.consume('key:abc');
+    first.recordTokens('key:abc', 50);
+    first.flush();
+
+    const second = new KeyRateLimiter({ tokensPerDay: 50, filePath });
+    expect(second.consume('key:abc')).toMatchObject({ allowed: false, reason: 'tokens' });
+    expect(second.consume('key:other').allowed).toBe(true);
+  });
+
+  it('forgets idle buckets without a state file', () => {
+    let now = Date.UTC(2026, 0, 1, 12);
+    const limiter = new KeyRateLimiter({ requestsPerMinute: 10, tokensPerDay: 100, now: () => now });
+    for (let i = 0; i < 50; i++) limiter.consume(`ip:10.0.0.${i}`);
+    limiter.consume('key:abc');
+    limiter.recordTokens('key:abc', 10);
+    expect(limiter.buckets.size).toBe(51);
+    now += 60_000;
+    limiter.consume('ip:10.0.1.1');
+    // Only today's token usage and the live window are kept
+    expect(Array.from(limiter.buckets.keys()).sort()).toEqual(['ip:10.0.1.1', 'key:abc']);
+    expect(limiter.consume('key:abc').remainingTokens).toBe(90);
+  });
+});
@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { mapFinishReason, toOpenAIError } from '../../src/utils/openaiErrors.mjs';
+import { SimpleCircuitBreaker } from '../../src/utils/circuitBreaker.mjs';
+
+const upstream = (statusCode, extra = {}) => Object.assign(new Error(`status ${statusCode}`), { statusCode, ...extra });
+
+describe('openaiErrors', () => {
+  it('maps Cohere finish reasons', () => {
+    expect(mapFinishReason('COMPLETE')).toBe('stop');
+    expect(mapFinishReason('MAX_TOKENS')).toBe('length');
+    expect(mapFinishReason('ERROR_TOXIC')).toBe('content_filter');
+    expect(mapFinishReason('TOOL_CALL')).toBe('tool_calls');
+    expect(mapFinishReason('max_tokens')).toBe('length');
+    expect(mapFinishReason(undefined)).toBe('stop');
+    expect(mapFinishReason('COMPLETE', { toolCalls: [{ id: 'call_1' }] })).toBe('tool_calls');
+  });
+
+  it('keeps upstream client errors with their status and message', () => {
+    expect(toOpenAIError(upstream(400, { body: { message: 'invalid max_tokens' } }))).toMatchObject({ statusCode: 400, type: 'invalid_request_error', message: 'invalid max_tokens' });
+    expect(toOpenAIError(upstream(401))).toMatchObject({ statusCode: 401, type: 'authentication_error', code: 'invalid_api_key' });
+  });
+
+  it('adds Retry-After to rate limits and unavailable upstreams', () => {
+    expect(toOpenAIError(upstream(429, { rawResponse: { headers: new Headers({ 'retry-after': '12' }) } }))).toMatchObject({ statusCode: 429, type: 'rate_limit_error', retryAfter: 12 });
+    expect(toOpenAIError(upstream(429)).retryAfter).toBe(5);
+    expect(toOpenAIError(upstream(503))).toMatchObject({ statusCode: 503, type: 'server_error', retryAfter: 5 });
+    expect(toOpenAIError(upstream(500))).toMatchObject({ statusCode: 500, type: 'server_error', message: 'Cohere API error (500)' });
+  });
+
+  it('maps an open circuit to a 503 with the remaining reset time', async () => {
+    const cb = new SimpleCircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 30000 });
+    await expect(cb.exec(async () => { throw new Error('boom'); })).rejects.toThrow('boom');
+    const err = await cb.exec(async () => 'never').catch(e => e);
+    expect(err.code).toBe('CIRCUIT_OPEN');
+    expect(toOpenAIError(err)).toMatchObject({ statusCode: 503, code: 'circuit_open', retryAfter: 30 });
+  });
+
+  it('treats timeouts and network failures as gateway errors', () => {
+    expect(toOpenAIError(Object.assign(new Error('per-attempt timeout'), { code: 'ETIMEDOUT', isTimeout: true }))).toMatchObject({ statusCode: 504, code: 'upstream_timeout' });
+    expect(toOpenAIError(new Error('socket hang up'))).toMatchObject({ statusCode: 502, type: 'server_error' });
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { toCohereTools, resolveCohereTools, fromCohereToolCalls, toCohereToolResults, extractToolCalls } from '../../src/utils/openaiTools.mjs';
+
+const weatherTool = {
+  type: 'function',
+  function: {
+    name: 'get_weather',
+    description: 'Current weather for a city',
+    parameters: {
+      type: 'object',
+      properties: {
+        city: { type: 'string', description: 'City name' },
+        days: { type: 'integer' },
+        tags: { type: 'array', items: { type: 'string' } },
+      },
+      required: ['city'],
+    },
+  },
+};
+
+describe('openaiTools', () => {
+  it('translates OpenAI tool definitions to Cohere parameter_definitions', () => {
+    const [tool] = toCohereTools([weatherTool]);
+    expect(tool.name).toBe('get_weather');
+    expect(tool.description).toBe('Current weather for a city');
+    expect(tool.parameter_definitions).toEqual({
+      city: { description: 'City name', type: 'str', required: true },
+      days: { description: '', type: 'int', required: false },
+      tags: { description: '', type: 'List[str]', required: false },
+    });
+  });
+
+  it('rejects malformed tool definitions with a 400-style error', () => {
+    expect(() => toCohereTools([{ type: 'function', function: {} }])).toThrow(/name is required/);
+    expect(() => toCohereTools('nope')).toThrow(/must be an array/);
+    try { toCohereTools([{ type: 'retrieval' }]); } catch (e) { expect(e.statusCode).toBe(400); }
+  });
+
+  it('applies tool_choice', () => {
+    expect(resolveCohereTools([weatherTool], 'none')).toEqual({});
+    expect(resolveCohereTools([weatherTool], 'auto').tools).toHaveLength(1);
+    expect(resolveCohereTools([weatherTool], 'required').toolChoice).toBe('REQUIRED');
+    expect(resolveCohereTools([weatherTool], { type: 'function', function: { name: 'get_weather' } }).toolChoice).toBe('REQUIRED');
+    expect(() => resolveCohereTools([weatherTool], { type: 'function', function: { name: 'other' } })).toThrow(/unknown function/);
+  });
+
+  it('converts Cohere tool calls to OpenAI tool_calls with ids', () => {
+    const calls = fromCohereToolCalls(extractToolCalls({ tool_calls: [{ name: 'get_weather', parameters: { city: 'Paris' } }] }));
+    expect(calls).toHaveLength(1);
+    expect(calls[0].id).toMatch(/^call_/);
+    expect(calls[0]).toMatchObject({ type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } });
+    expect(extractToolCalls({ text: 'no tools' })).toBeUndefined();
+  });
+
+  it('maps tool result messages back to Cohere tool_results', () => {
+    const toolCalls = [{ id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }];
+    const results = toCohereToolResults([
+      { role: 'tool', toolCallId: 'call_1', content: '{"temp":21}' },
+      { role: 'tool', toolCallId: 'call_missing', content: 'plain text' },
+    ], toolCalls);
+    expect(results[0]).toEqual({ call: { name: 'get_weather', parameters: { city: 'Paris' } }, outputs: [{ temp: 21 }] });
+    expect(results[1].outputs).toEqual([{ output: 'plain text' }]);
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import PreambleTemplateStore, { renderTemplate, DEFAULT_TEMPLATE } from '../../src/utils/preambleTemplates.mjs';
+
+describe('renderTemplate', () => {
+  it('fills variables and drops the blank lines left by missing ones', () => {
+    expect(renderTemplate('Hi {{ user }}.\n\n{{preamble}}\n\n{{context}}', { user: 'ana', context: 'ctx' })).toBe('Hi ana.\n\nctx');
+  });
+
+  it('keeps the built-in persona as the default template', () => {
+    expect(renderTemplate(DEFAULT_TEMPLATE, { context: 'ctx' })).toBe('You are RooCode Assistant, an AI coding companion enhanced with RAG capabilities.\n\nctx');
+  });
+});
+
+describe('PreambleTemplateStore', () => {
+  let dir;
+
+  afterEach(() => {
+    if (dir) fs.rmSync(dir, { recursive: true, force: true });
+    dir = undefined;
+  });
+
+  it('has only the default template without a directory', () => {
+    const store = new PreambleTemplateStore({});
+    expect(store.names()).toEqual(['default']);
+    expect(store.has('reviewer')).toBe(false);
+  });
+
+  it('loads .md and .txt templates and ignores other files', () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'preambles-'));
+    fs.writeFileSync(path.join(dir, 'reviewer.md'), 'You review code for {{project}}.');
+    fs.writeFileSync(path.join(dir, 'default.txt'), 'Custom default. {{context}}');
+    fs.writeFileSync(path.join(dir, 'notes.json'), '{}');
+    const store = new PreambleTemplateStore({ dir });
+    expect(store.names()).toEqual(['default', 'reviewer']);
+    expect(store.render('reviewer', { project: 'proxy' })).toBe('You review code for proxy.');
+    expect(store.render('default', { context: 'ctx' })).toBe('Custom default. ctx');
+  });
+
+  it('picks up added and changed files without a restart', () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'preambles-'));
+    const store = new PreambleTemplateStore({ dir, reloadIntervalMs: 0 });
+    expect(store.has('terse')).toBe(false);
+    fs.writeFileSync(path.join(dir, 'terse.md'), 'Be brief.');
+    expect(store.has('terse')).toBe(true);
+    fs.writeFileSync(path.join(dir, 'terse.md'), 'Be very brief, {{user}}.');
+    expect(store.render('terse', { user: 'ana' })).toBe('Be very brief, ana.');
+    fs.rmSync(path.join(dir, 'terse.md'));
+    expect(store.render('terse', {})).toMatch(/^You are RooCode Assistant/);
+  });
+});
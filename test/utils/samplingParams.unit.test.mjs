@@ -0,0 +1,28 @@
+import { describe, it, expect } from 'vitest';
+import { toCohereSampling } from '../../src/utils/samplingParams.mjs';
+
+describe('samplingParams', () => {
+  it('maps OpenAI sampling parameters to Cohere fields', () => {
+    expect(toCohereSampling({ stop: ['END', '\n'], top_p: 0.5, frequency_penalty: 0.2, presence_penalty: 0.1, seed: 42, n: 3 })).toEqual({
+      sampling: { stop_sequences: ['END', '\n'], p: 0.5, frequency_penalty: 0.2, presence_penalty: 0.1, seed: 42 },
+      n: 3,
+    });
+    expect(toCohereSampling({ stop: 'END' }).sampling).toEqual({ stop_sequences: ['END'] });
+    expect(toCohereSampling({ top_p: 1 }).sampling.p).toBe(0.99);
+    expect(toCohereSampling({})).toEqual({ sampling: {}, n: 1 });
+    expect(toCohereSampling({ stop: null, seed: null }).sampling).toEqual({});
+  });
+
+  it('rejects values Cohere cannot honour with the offending param', () => {
+    const paramOf = (body, opts) => { try { toCohereSampling(body, opts); } catch (e) { return [e.statusCode, e.param]; } return null; };
+    expect(paramOf({ stop: ['a', 'b', 'c', 'd', 'e'] })).toEqual([400, 'stop']);
+    expect(paramOf({ stop: [''] })).toEqual([400, 'stop']);
+    expect(paramOf({ top_p: 0 })).toEqual([400, 'top_p']);
+    expect(paramOf({ top_p: 1.5 })).toEqual([400, 'top_p']);
+    expect(paramOf({ frequency_penalty: -0.5 })).toEqual([400, 'frequency_penalty']);
+    expect(paramOf({ presence_penalty: 1.5 })).toEqual([400, 'presence_penalty']);
+    expect(paramOf({ seed: 1.5 })).toEqual([400, 'seed']);
+    expect(paramOf({ n: 0 })).toEqual([400, 'n']);
+    expect(paramOf({ n: 5 }, { maxChoices: 4 })).toEqual([400, 'n']);
+  });
+});
@@ -0,0 +1,43 @@
+import { describe, it, expect, vi } from 'vitest';
+import { extractCohereUsage, toOpenAIUsage, sumOpenAIUsage } from '../../src/utils/usage.mjs';
+
+describe('usage', () => {
+  it('prefers billed units over raw token counts', () => {
+    expect(extractCohereUsage({ meta: { billed_units: { input_tokens: 10, output_tokens: 5 }, tokens: { input_tokens: 80, output_tokens: 5 } } }))
+      .toEqual({ inputTokens: 10, outputTokens: 5, cachedTokens: 0 });
+  });
+
+  it('reads v2 usage and camelCased SDK responses', () => {
+    expect(extractCohereUsage({ usage: { billed_units: { input_tokens: 3, output_tokens: 4 }, cached_tokens: 2 } })).toEqual({ inputTokens: 3, outputTokens: 4, cachedTokens: 2 });
+    expect(extractCohereUsage({ meta: { billedUnits: { inputTokens: 7, outputTokens: 1 } } })).toEqual({ inputTokens: 7, outputTokens: 1, cachedTokens: 0 });
+    expect(extractCohereUsage({ meta: { tokens: { inputTokens: 9, outputTokens: 2 } } })).toEqual({ inputTokens: 9, outputTokens: 2, cachedTokens: 0 });
+  });
+
+  it('returns undefined when Cohere reported nothing', () => {
+    expect(extractCohereUsage({ text: 'hi' })).toBeUndefined();
+    expect(extractCohereUsage({ meta: { api_version: { version: '1' } } })).toBeUndefined();
+    expect(extractCohereUsage(undefined)).toBeUndefined();
+  });
+
+  it('builds and sums OpenAI usage objects with token details', () => {
+    const a = toOpenAIUsage({ promptTokens: 10, completionTokens: 5, cachedTokens: 2 });
+    expect(a).toEqual({ prompt_tokens: 10, completion_tokens: 5, total_tokens: 15, prompt_tokens_details: { cached_tokens: 2 }, completion_tokens_details: { reasoning_tokens: 0 } });
+    expect(sumOpenAIUsage([a, toOpenAIUsage({ promptTokens: 1, completionTokens: 1 })])).toMatchObject({ prompt_tokens: 11, completion_tokens: 6, total_tokens: 17, prompt_tokens_details: { cached_tokens: 2 } });
+  });
+
+  it('records per-model token counters in Prometheus', async () => {
+    const { default: promClient } = await import('prom-client');
+    promClient.register.clear();
+    vi.resetModules();
+    const { recordCohereTokenUsage } = await import('../../src/utils/cohereClientFactory.mjs');
+    const { default: freshProm } = await import('prom-client');
+
+    recordCohereTokenUsage({ model: 'command-a-03-2025', response: { meta: { billed_units: { input_tokens: 12, output_tokens: 3 } } } });
+    recordCohereTokenUsage({ model: 'command-a-03-2025', response: { text: 'no usage' } });
+
+    const metric = await freshProm.register.getSingleMetric('cohere_tokens_total').get();
+    const value = (type) => metric.values.find(v => v.labels.type === type && v.labels.model === 'command-a-03-2025')?.value;
+    expect(value('input')).toBe(12);
+    expect(value('output')).toBe(3);
+  });
+});